@@ -10,7 +10,169 @@ module.exports = {
   },
   system: {
     maxLogEntries: 100,
-    updateInterval: 1000,
+    updateInterval: 100, // Periodo de muestreo del lazo de control (ms)
     maxDataPoints: 60
+  },
+  simulation: {
+    // realtime: dt medido con el reloj de pared
+    // deterministic: paso fijo, reloj virtual y PRNG con semilla
+    mode: process.env.SIMULATION_MODE || 'realtime',
+    seed: process.env.SIMULATION_SEED ? parseInt(process.env.SIMULATION_SEED) : null,
+    timestep: 0.1,  // s - paso fijo en modo determinista
+    autoStep: true  // en modo determinista, el servidor avanza un paso por ciclo
+  },
+  sensor: {
+    noiseSigma: 0.1,           // ruido gaussiano (unidades de salida)
+    countsPerRevolution: 4096, // resolución del encoder (0 = sin cuantizar)
+    delaySamples: 0,
+    bias: 0,
+    biasDrift: 0,
+    dropoutProbability: 0
+  },
+  actuator: {
+    // minOutput/maxOutput se toman de la planta activa salvo que se indiquen aquí
+    slewRate: 0,       // unidades de mando por segundo (0 = sin límite)
+    deadband: 0,
+    timeConstant: 0.05 // s - constante de tiempo del motor
+  },
+  plant: {
+    // Modelo inicial: aeropendulum, thermal, massSpring o dcMotor (ver controllers/PlantRegistry.js)
+    type: 'aeropendulum',
+    // Sobrescribe los parámetros por defecto del modelo (ver simulation/plants)
+    params: {}
+  },
+  controller: {
+    // Ley de control inicial: pid, stateFeedback, leadLag o bangBang (ver controllers/ControllerRegistry.js)
+    type: 'pid',
+    // Sobrescribe los parámetros por defecto de la ley (ver simulation/controllers)
+    params: {}
+  },
+  gainSchedule: {
+    enabled: false,
+    // Variable de planificación: angle (medición) o setpoint (referencia)
+    variable: 'angle',
+    // linear o step
+    interpolation: 'linear',
+    // [{ breakpoint, kp, ki, kd }]
+    points: []
+  },
+  feedforward: {
+    // Compensación de gravedad con el modelo de la planta; source: reference o measurement
+    gravity: { enabled: false, gain: 1, source: 'reference' },
+    // u = gain·referencia
+    setpoint: { enabled: false, gain: 0 },
+    // Compensación de la perturbación medida
+    disturbance: { enabled: false, gain: 1 }
+  },
+  metrics: {
+    // Banda de establecimiento como fracción del escalón
+    settlingBand: 0.02,
+    // Segundos dentro de la banda para dar la respuesta por establecida
+    settleWindow: 2,
+    // Segundos máximos de seguimiento de una respuesta
+    timeout: 60
+  },
+  safety: {
+    enabled: true,
+    // Referencias admitidas; la medición fuera de estos límites sólo genera un aviso
+    softLimits: { min: -150, max: 150 },
+    // La medición fuera de estos límites dispara una falla (null = sin límite)
+    hardLimits: { min: -170, max: 170 },
+    maxVelocity: 500,       // unidades de salida por segundo (0 = sin límite)
+    maxSaturationTime: 10,  // s seguidos con el actuador saturado (0 = sin límite)
+    watchdogTimeout: 2      // s máximos entre ciclos del lazo (0 = sin watchdog)
+  },
+  deadMan: {
+    // El cliente WebSocket que arranca el sistema debe enviar heartbeats; si
+    // pasan timeout s sin uno, la referencia va a safeAngle y el sistema se detiene
+    enabled: true,
+    timeout: 5,
+    safeAngle: 0,
+    rampRate: 20, // unidades de salida por segundo
+    holdTime: 3   // s regulando en safeAngle antes de detener
+  },
+  control: {
+    // Control exclusivo: quien tiene la concesión es el único que puede comandar
+    // (emergencyStop se acepta siempre)
+    enabled: true,
+    requireLease: false,   // true = sin concesión vigente nadie puede comandar
+    leaseDuration: 30,     // s por defecto de cada concesión y renovación
+    maxLeaseDuration: 300,
+    // Habilita la toma forzada del control (X-Admin-Token); null la deshabilita
+    adminToken: process.env.CONTROL_ADMIN_TOKEN || null
+  },
+  websocket: {
+    // Ping de protocolo; las conexiones que no responden al siguiente ping se cierran.
+    // El pong cuenta como heartbeat, así que debe ser menor que deadMan.timeout
+    heartbeatInterval: 2000
+  },
+  profiles: {
+    // Directorio de los perfiles de referencia subidos, relativo a la raíz del proyecto
+    directory: 'data/profiles'
+  },
+  presets: {
+    // Directorio de los presets de controlador, relativo a la raíz del proyecto
+    directory: 'data/presets'
+  },
+  alarms: {
+    // Historial de transiciones, relativo a la raíz del proyecto
+    historyFile: 'data/alarms/history.json',
+    maxHistory: 500,
+    // signal: error | angle | saturation | loopJitter | clientCount
+    // condition: { operator: > | >= | < | <=, value }; absolute compara |señal|
+    // delay: s que la condición debe mantenerse; severity: info | warning | critical
+    definitions: [
+      {
+        id: 'trackingError',
+        description: 'Error de seguimiento elevado',
+        signal: 'error',
+        condition: { operator: '>', value: 20 },
+        absolute: true,
+        delay: 5,
+        severity: 'warning'
+      },
+      {
+        id: 'angleHigh',
+        description: 'Ángulo cerca del límite de operación',
+        signal: 'angle',
+        condition: { operator: '>', value: 140 },
+        absolute: true,
+        delay: 0.5,
+        severity: 'critical'
+      },
+      {
+        id: 'actuatorSaturated',
+        description: 'Actuador saturado',
+        signal: 'saturation',
+        condition: { operator: '>=', value: 1 },
+        delay: 3,
+        severity: 'warning'
+      },
+      {
+        id: 'loopJitter',
+        description: 'Jitter del lazo de control',
+        signal: 'loopJitter',
+        condition: { operator: '>', value: 50 },
+        delay: 2,
+        severity: 'info'
+      },
+      {
+        id: 'noOperators',
+        description: 'Sistema en marcha sin clientes conectados',
+        signal: 'clientCount',
+        condition: { operator: '<', value: 1 },
+        delay: 60,
+        severity: 'warning'
+      }
+    ]
+  },
+  runs: {
+    // Corridas offline que se conservan en memoria para identificación
+    maxRuns: 10
+  },
+  identification: {
+    // Muestras de mando y medición del lazo en vivo para POST /api/identify
+    // sin runId (6000 ≈ 10 min a 100 ms); el historial del dashboard es más corto
+    maxPoints: 6000
   }
 };
\ No newline at end of file
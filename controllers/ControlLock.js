@@ -0,0 +1,209 @@
+// controllers/ControlLock.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  requireLease: false,    // sin concesión vigente, ¿se rechazan los comandos?
+  leaseDuration: 30,      // s por defecto de cada concesión y renovación
+  maxLeaseDuration: 300,
+  adminToken: null        // null = nadie puede tomar el control a la fuerza
+};
+
+// La parada de emergencia se acepta siempre, tenga quien tenga el control
+const ALWAYS_ALLOWED = ['emergencyStop'];
+
+/**
+ * Rechazo por el control exclusivo. code es CONTROL_LOCKED (otro tiene el
+ * control), CONTROL_REQUIRED (hace falta pedirlo), NOT_OWNER (renovar o
+ * liberar sin tenerlo), FORCE_DISABLED o INVALID_ADMIN_TOKEN.
+ */
+class ControlLockedError extends Error {
+  constructor(message, { code, owner = null, expiresAt = null }) {
+    super(message);
+    this.name = 'ControlLockedError';
+    this.code = code;
+    this.owner = owner;
+    this.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * Control exclusivo del equipo: un cliente pide el control y recibe una
+ * concesión con vencimiento que debe renovar. La concesión se identifica por
+ * el id de la conexión WebSocket o por el token que se entrega al pedirla
+ * (REST). Los tiempos son de pared (ms).
+ */
+class ControlLock {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.lease = null;
+  }
+
+  /**
+   * ¿La identidad tiene la concesión vigente?
+   * @param {Object} identity - { sessionId, token }
+   */
+  isHeldBy({ sessionId = null, token = null } = {}) {
+    if (!this.lease) return false;
+    return (sessionId !== null && this.lease.owner.id === sessionId) ||
+      (token !== null && this.lease.token === token);
+  }
+
+  /**
+   * Descarta la concesión vencida
+   * @returns {Object|null} Concesión vencida
+   */
+  expire(now) {
+    if (!this.lease || now < this.lease.expiresAt) return null;
+    const expired = this.lease;
+    this.lease = null;
+    return expired;
+  }
+
+  /**
+   * Motivo por el que la identidad no puede ejecutar el comando, o null
+   * @param {string|null} command - null para acciones REST que no son comandos
+   * @returns {Object|null} { code, message }
+   */
+  check(identity, command, now) {
+    if (!this.settings.enabled || ALWAYS_ALLOWED.includes(command)) return null;
+    this.expire(now);
+
+    if (this.lease) {
+      return this.isHeldBy(identity)
+        ? null
+        : { code: 'CONTROL_LOCKED', message: `El control lo tiene ${describeOwner(this.lease.owner)} hasta ${new Date(this.lease.expiresAt).toISOString()}` };
+    }
+    return this.settings.requireLease
+      ? { code: 'CONTROL_REQUIRED', message: 'Hay que pedir el control antes de comandar el sistema' }
+      : null;
+  }
+
+  assert(identity, command, now) {
+    const rejection = this.check(identity, command, now);
+    if (rejection) throw this.error(rejection.message, rejection.code);
+  }
+
+  /**
+   * Concede el control si está libre o ya era de quien lo pide (renueva)
+   * @param {Object} owner - { id, kind: websocket|rest, ip, name }
+   * @param {number} duration - s de la concesión
+   * @returns {Object} { lease, previous, renewed }
+   */
+  acquire(owner, duration, now) {
+    this.expire(now);
+    if (this.lease && this.lease.owner.id !== owner.id) {
+      throw this.error(`El control lo tiene ${describeOwner(this.lease.owner)}`, 'CONTROL_LOCKED');
+    }
+    return this.grant(owner, duration, now);
+  }
+
+  renew(identity, duration, now) {
+    this.expire(now);
+    this.assertHeldBy(identity);
+    this.lease.duration = duration || this.lease.duration;
+    this.lease.expiresAt = now + this.lease.duration * 1000;
+    return this.lease;
+  }
+
+  release(identity, now) {
+    this.expire(now);
+    this.assertHeldBy(identity);
+    const released = this.lease;
+    this.lease = null;
+    return released;
+  }
+
+  /**
+   * Libera la concesión de una conexión que se cerró
+   * @returns {Object|null} Concesión liberada
+   */
+  releaseSession(sessionId) {
+    if (!this.lease || this.lease.owner.id !== sessionId) return null;
+    const released = this.lease;
+    this.lease = null;
+    return released;
+  }
+
+  /**
+   * Toma el control aunque lo tenga otro; exige el token de administración
+   * @returns {Object} { lease, previous, renewed }
+   */
+  force(owner, adminToken, duration, now) {
+    const expected = this.settings.adminToken;
+    if (!expected) {
+      throw this.error('La toma forzada del control no está habilitada (config.control.adminToken)', 'FORCE_DISABLED');
+    }
+    if (typeof adminToken !== 'string' || !tokensMatch(adminToken, expected)) {
+      throw this.error('Token de administración inválido', 'INVALID_ADMIN_TOKEN');
+    }
+
+    this.expire(now);
+    return this.grant(owner, duration, now);
+  }
+
+  grant(owner, duration, now) {
+    const previous = this.lease;
+    const sameOwner = previous && previous.owner.id === owner.id;
+    const leaseDuration = duration || this.settings.leaseDuration;
+
+    this.lease = {
+      owner: { ...owner },
+      token: sameOwner ? previous.token : uuidv4(),
+      duration: leaseDuration,
+      acquiredAt: sameOwner ? previous.acquiredAt : now,
+      expiresAt: now + leaseDuration * 1000
+    };
+    return { lease: this.lease, previous: sameOwner ? null : previous, renewed: Boolean(sameOwner) };
+  }
+
+  assertHeldBy(identity) {
+    if (!this.isHeldBy(identity)) {
+      throw this.error('No tiene el control del sistema', 'NOT_OWNER');
+    }
+  }
+
+  error(message, code) {
+    return new ControlLockedError(message, {
+      code,
+      owner: this.lease ? { ...this.lease.owner } : null,
+      expiresAt: this.lease ? new Date(this.lease.expiresAt).toISOString() : null
+    });
+  }
+
+  /**
+   * Vista pública de una concesión (sin el token)
+   */
+  describe(lease = this.lease) {
+    if (!lease) return null;
+    return {
+      owner: { ...lease.owner },
+      duration: lease.duration,
+      acquiredAt: new Date(lease.acquiredAt).toISOString(),
+      expiresAt: new Date(lease.expiresAt).toISOString()
+    };
+  }
+
+  getSettings() {
+    const { adminToken, ...settings } = this.settings;
+    return { ...settings, forceEnabled: Boolean(adminToken) };
+  }
+}
+
+function describeOwner(owner) {
+  return owner.name ? `${owner.name} (${owner.id})` : owner.id;
+}
+
+// Comparación en tiempo constante para no filtrar el token por la latencia
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+ControlLock.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+ControlLock.ALWAYS_ALLOWED = ALWAYS_ALLOWED;
+ControlLock.ControlLockedError = ControlLockedError;
+
+module.exports = ControlLock;
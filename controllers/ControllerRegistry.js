@@ -0,0 +1,146 @@
+// controllers/ControllerRegistry.js
+const PIDController = require('../simulation/controllers/PIDController');
+const StateFeedbackController = require('../simulation/controllers/StateFeedbackController');
+const LeadLagController = require('../simulation/controllers/LeadLagController');
+const BangBangController = require('../simulation/controllers/BangBangController');
+
+const CONTROLLERS = new Map();
+
+/**
+ * Registra una ley de control
+ * @param {Function} ControllerClass - Clase con type, label, DEFAULT_PARAMS y limits
+ */
+function registerController(ControllerClass) {
+  if (!ControllerClass || !ControllerClass.type) {
+    throw new Error('La ley de control debe definir un tipo');
+  }
+  CONTROLLERS.set(ControllerClass.type, ControllerClass);
+}
+
+[PIDController, StateFeedbackController, LeadLagController, BangBangController].forEach(registerController);
+
+function hasController(type) {
+  return CONTROLLERS.has(type);
+}
+
+/**
+ * Descripción pública de una ley de control registrada
+ * @param {string} type - Tipo de controlador
+ * @returns {Object}
+ */
+function describeController(type) {
+  const ControllerClass = CONTROLLERS.get(type);
+  if (!ControllerClass) {
+    throw new Error(`Tipo de controlador desconocido: ${type}`);
+  }
+
+  return {
+    type: ControllerClass.type,
+    label: ControllerClass.label,
+    defaultParams: { ...ControllerClass.DEFAULT_PARAMS },
+    limits: ControllerClass.limits
+  };
+}
+
+function listControllers() {
+  return Array.from(CONTROLLERS.keys()).map(describeController);
+}
+
+/**
+ * Valida parámetros de una ley de control contra sus límites
+ * @param {string} type - Tipo de controlador
+ * @param {Object} params - Parámetros a validar
+ * @returns {Object} Resultado de validación
+ */
+function validateControllerParams(type, params) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  const ControllerClass = CONTROLLERS.get(type);
+  if (!ControllerClass) {
+    result.errors.push(`Tipo de controlador inválido. Tipos válidos: ${Array.from(CONTROLLERS.keys()).join(', ')}`);
+    return result;
+  }
+
+  if (params === undefined || params === null) {
+    result.valid = true;
+    return result;
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    result.errors.push('Los parámetros del controlador deben ser un objeto');
+    return result;
+  }
+
+  const ranges = ControllerClass.limits.params;
+
+  for (const [param, value] of Object.entries(params)) {
+    if (!ranges[param]) {
+      result.errors.push(`Parámetro inválido para ${type}: ${param}`);
+      continue;
+    }
+
+    if (ranges[param].options) {
+      if (!ranges[param].options.includes(value)) {
+        result.errors.push(`${param} debe ser uno de: ${ranges[param].options.join(', ')}`);
+      }
+      continue;
+    }
+
+    const numValue = parseFloat(value);
+    if (isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+      continue;
+    }
+
+    if (numValue < ranges[param].min || numValue > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Crea una instancia validada de una ley de control
+ * @param {string} type - Tipo de controlador
+ * @param {Object} params - Parámetros que sobrescriben los valores por defecto
+ * @returns {Object} Instancia del controlador
+ */
+function createController(type, params = {}) {
+  const validation = validateControllerParams(type, params);
+  if (!validation.valid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  const ControllerClass = CONTROLLERS.get(type);
+  return new ControllerClass(normalizeControllerParams(type, params));
+}
+
+/**
+ * Convierte a número los parámetros numéricos; los de opciones se dejan igual
+ * @param {string} type - Tipo de controlador
+ * @param {Object} params - Parámetros ya validados
+ * @returns {Object}
+ */
+function normalizeControllerParams(type, params) {
+  const ranges = CONTROLLERS.get(type).limits.params;
+  const normalized = {};
+  for (const [param, value] of Object.entries(params || {})) {
+    normalized[param] = ranges[param] && ranges[param].options ? value : parseFloat(value);
+  }
+  return normalized;
+}
+
+module.exports = {
+  registerController,
+  hasController,
+  describeController,
+  listControllers,
+  validateControllerParams,
+  createController,
+  normalizeControllerParams
+};
@@ -0,0 +1,114 @@
+// controllers/DeadManSwitch.js
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  timeout: 5,     // s sin heartbeat de la sesión de control antes de actuar
+  safeAngle: 0,   // referencia a la que se lleva el sistema
+  rampRate: 20,   // unidades de salida por segundo de la rampa
+  holdTime: 3     // s regulando en el ángulo seguro antes de detener
+};
+
+/**
+ * Dead-man de la sesión de control: el cliente que arranca el sistema pasa a
+ * controlarlo y debe seguir enviando heartbeats. Si pasan más de timeout
+ * segundos sin uno, check() lo informa una sola vez; la rampa, la espera de
+ * holdTime segundos en el ángulo seguro y la parada las hace SystemController.
+ * Los tiempos son de pared (ms), como los heartbeats.
+ */
+class DeadManSwitch {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.session = null;
+    this.tripped = null;
+    this.holdStartedAt = null;
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    return { ...this.settings };
+  }
+
+  /**
+   * Asigna la sesión de control; reemplaza a la anterior
+   * @returns {Object} Sesión asignada
+   */
+  claim(sessionId, now) {
+    this.session = { id: sessionId, since: now, lastHeartbeat: now };
+    this.tripped = null;
+    return this.session;
+  }
+
+  /**
+   * Libera la sesión de control (el sistema dejó de estar en marcha)
+   * @returns {Object|null} Sesión liberada
+   */
+  release() {
+    const session = this.session;
+    this.session = null;
+    this.tripped = null;
+    return session;
+  }
+
+  isControlling(sessionId) {
+    return this.session !== null && this.session.id === sessionId;
+  }
+
+  /**
+   * Registra un heartbeat; los de otras sesiones se ignoran
+   * @returns {boolean} true si era la sesión de control
+   */
+  heartbeat(sessionId, now) {
+    if (!this.isControlling(sessionId)) return false;
+    this.session.lastHeartbeat = now;
+    return true;
+  }
+
+  isTripped() {
+    return this.tripped !== null;
+  }
+
+  /**
+   * ¿Terminó la espera en el ángulo seguro? La espera empieza la primera vez
+   * que se consulta con la rampa terminada.
+   */
+  holdElapsed(now) {
+    if (this.holdStartedAt === null) this.holdStartedAt = now;
+    return now - this.holdStartedAt >= this.settings.holdTime * 1000;
+  }
+
+  /**
+   * ¿Venció el plazo de la sesión de control?
+   * @returns {Object|null} { sessionId, silence (s), timeout } la primera vez que vence
+   */
+  check(now) {
+    if (!this.settings.enabled || !this.session || this.tripped) return null;
+
+    const silence = (now - this.session.lastHeartbeat) / 1000;
+    if (silence <= this.settings.timeout) return null;
+
+    this.tripped = {
+      sessionId: this.session.id,
+      silence,
+      timeout: this.settings.timeout,
+      time: new Date(now).toISOString()
+    };
+    this.holdStartedAt = null;
+    return { ...this.tripped };
+  }
+
+  getState() {
+    return {
+      ...this.settings,
+      session: this.session && {
+        id: this.session.id,
+        since: new Date(this.session.since).toISOString(),
+        lastHeartbeat: new Date(this.session.lastHeartbeat).toISOString()
+      },
+      tripped: this.tripped ? { ...this.tripped } : null
+    };
+  }
+}
+
+DeadManSwitch.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = DeadManSwitch;
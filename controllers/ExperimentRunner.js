@@ -0,0 +1,316 @@
+// controllers/ExperimentRunner.js
+
+// Tipos de paso de un experimento guionado
+const STEP_TYPES = ['command', 'wait', 'waitSettled', 'assert'];
+
+// Métricas de la respuesta al escalón que admiten aserciones
+const ASSERTION_METRICS = [
+  'riseTime', 'peakTime', 'overshoot', 'settlingTime', 'steadyStateError',
+  'iae', 'ise', 'itae', 'controlEffort', 'controlEnergy'
+];
+
+// Tiempo máximo por defecto de waitSettled (s)
+const DEFAULT_SETTLE_TIMEOUT = 120;
+
+// Sondeo de las esperas cuando el lazo avanza solo (ms)
+const POLL_INTERVAL = 50;
+
+// Con paso manual el runner avanza la simulación y cede el event loop cada tanto
+const YIELD_EVERY_STEPS = 1000;
+
+function pause(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Texto corto de un paso para el log
+ */
+function describeStep(step) {
+  switch (step.type) {
+    case 'command':
+      return step.value === undefined ? step.command : `${step.command} ${JSON.stringify(step.value)}`;
+    case 'wait':
+      return `espera ${step.duration} s`;
+    case 'waitSettled':
+      return 'espera hasta el establecimiento';
+    default:
+      return `aserción ${step.metric}`;
+  }
+}
+
+/**
+ * Métricas de una respuesta al escalón sin las series
+ */
+function summarizeResponse(response) {
+  const fields = ['id', 'status', 'settled', 'reference', 'initialValue', ...ASSERTION_METRICS];
+  return Object.fromEntries(fields.map(field => [field, response[field] ?? null]));
+}
+
+/**
+ * Ejecuta experimentos guionados: una lista ordenada de pasos que pasan por
+ * executeCommand(), esperas en tiempo de simulación y aserciones sobre las
+ * métricas de la última respuesta al escalón. Corre en segundo plano, un
+ * experimento a la vez, y publica el avance con los eventos experiment*.
+ */
+class ExperimentRunner {
+  /**
+   * @param {Object} system - SystemController sobre el que se ejecutan los pasos
+   * @param {Function} summarize - Vista resumida de un experimento para los eventos
+   */
+  constructor(system, summarize) {
+    this.system = system;
+    this.summarize = summarize;
+    this.current = null;
+    this.manualSteps = 0;
+
+    system.on('stepResponseCompleted', response => {
+      if (this.current) this.current.lastResponse = response;
+    });
+    // Un guion no debe seguir mandando comandos tras una parada de emergencia,
+    // una falla, la pérdida de la sesión de control o un cambio de dueño del control
+    system.on('emergencyStop', () => this.abort('Parada de emergencia'));
+    system.on('safetyFault', fault => this.abort(`Falla de seguridad: ${fault.description}`));
+    system.on('deadManTriggered', () => this.abort('Sesión de control perdida'));
+    system.on('controlChanged', () => this.abort('Cambió el dueño del control'));
+  }
+
+  isRunning() {
+    return this.current !== null;
+  }
+
+  getCurrentId() {
+    return this.current ? this.current.record.id : null;
+  }
+
+  /**
+   * Lanza el experimento y devuelve sin esperar a que termine
+   * @param {Object} record - Experimento guardado con su definición
+   */
+  start(record) {
+    if (this.current) {
+      throw new Error(`Ya hay un experimento guionado en curso: ${this.current.record.id}`);
+    }
+
+    const { steps } = record.definition;
+    Object.assign(record, {
+      status: 'running',
+      runs: record.runs + 1,
+      startedAt: new Date(this.system.clock.now()).toISOString(),
+      finishedAt: null,
+      elapsed: 0,
+      progress: { index: 0, total: steps.length, step: steps[0].type },
+      reason: null,
+      passed: null,
+      assertions: { passed: 0, failed: 0 },
+      result: { steps: [] }
+    });
+    this.current = {
+      record,
+      startTime: this.system.clock.now(),
+      aborted: false,
+      reason: null,
+      lastResponse: null
+    };
+
+    this.system.logger.info(`Experimento ${record.id} (${record.name}) iniciado: ${steps.length} pasos`, 'CONTROL');
+    this.system.emit('experimentStarted', this.summarize(record));
+
+    this.execute().catch(error => {
+      this.system.logger.error(`Error en el experimento ${record.id}: ${error.message}`, 'CONTROL');
+    });
+
+    return record;
+  }
+
+  /**
+   * Pide detener el experimento; el paso en curso termina y no se ejecutan más
+   * @returns {boolean} false si no había experimento en curso
+   */
+  abort(reason) {
+    if (!this.current || this.current.aborted) return false;
+    this.current.aborted = true;
+    this.current.reason = reason;
+    return true;
+  }
+
+  async execute() {
+    const { record } = this.current;
+    const { steps, stopOnFailure } = record.definition;
+
+    for (let index = 0; index < steps.length; index++) {
+      if (this.current.aborted) break;
+
+      const step = steps[index];
+      record.progress = { index, total: steps.length, step: step.type };
+      this.system.emit('experimentProgress', {
+        id: record.id,
+        step: { index, ...step, status: 'running' },
+        progress: record.progress
+      });
+
+      const stepStart = this.system.clock.now();
+      let outcome;
+      try {
+        outcome = await this.runStep(step);
+      } catch (error) {
+        record.result.steps.push({ index, type: step.type, status: 'error', error: error.message });
+        this.finish('failed', `Paso ${index + 1} (${describeStep(step)}): ${error.message}`);
+        return;
+      }
+      if (this.current.aborted) break;
+
+      const stepResult = {
+        index,
+        type: step.type,
+        status: 'completed',
+        duration: (this.system.clock.now() - stepStart) / 1000,
+        ...outcome
+      };
+      record.result.steps.push(stepResult);
+      record.elapsed = (this.system.clock.now() - this.current.startTime) / 1000;
+      if (stepResult.passed !== undefined) {
+        record.assertions[stepResult.passed ? 'passed' : 'failed']++;
+      }
+
+      this.system.logger.info(`Experimento ${record.id}, paso ${index + 1}/${steps.length} (${describeStep(step)})${stepResult.passed === false ? ': FALLÓ' : ''}`, 'CONTROL');
+      this.system.emit('experimentProgress', {
+        id: record.id,
+        step: stepResult,
+        progress: { ...record.progress, index: index + 1 }
+      });
+
+      if (stepResult.passed === false && stopOnFailure) {
+        this.finish('failed', `Paso ${index + 1} (${describeStep(step)}) no se cumplió`);
+        return;
+      }
+    }
+
+    if (this.current.aborted) {
+      this.finish('aborted', this.current.reason);
+    } else {
+      record.progress = { index: steps.length, total: steps.length, step: null };
+      this.finish('completed');
+    }
+  }
+
+  async runStep(step) {
+    switch (step.type) {
+      case 'command':
+        return { result: await this.system.executeCommand(step.command, step.value) };
+
+      case 'wait':
+        await this.waitUntil(() => false, step.duration);
+        return {};
+
+      case 'waitSettled':
+        return await this.waitSettled(step.timeout ?? DEFAULT_SETTLE_TIMEOUT);
+
+      default:
+        return this.evaluateAssertion(step);
+    }
+  }
+
+  /**
+   * Espera a que termine la respuesta al escalón en curso. Sin respuesta en
+   * curso usa la última que terminó durante el experimento.
+   */
+  async waitSettled(timeout) {
+    const previous = this.current.lastResponse;
+    if (this.system.stepMonitor.isActive()) {
+      const finished = await this.waitUntil(() => this.current.lastResponse !== previous, timeout);
+      if (!finished && !this.current.aborted) {
+        throw new Error(`La respuesta no terminó en ${timeout} s`);
+      }
+    } else if (!previous) {
+      throw new Error('No hay una respuesta al escalón que esperar');
+    }
+
+    const response = this.current.lastResponse;
+    return response ? { passed: response.settled, response: summarizeResponse(response) } : {};
+  }
+
+  /**
+   * Compara una métrica de la última respuesta con sus límites. El error
+   * permanente se compara en valor absoluto.
+   */
+  evaluateAssertion({ metric, min, max }) {
+    const response = this.current.lastResponse;
+    let value = response ? response[metric] ?? null : null;
+    if (metric === 'steadyStateError' && value !== null) value = Math.abs(value);
+
+    const passed = value !== null &&
+      (min === undefined || value >= min) &&
+      (max === undefined || value <= max);
+
+    return {
+      passed,
+      metric,
+      value,
+      min: min ?? null,
+      max: max ?? null,
+      responseId: response ? response.id : null
+    };
+  }
+
+  /**
+   * Espera en tiempo de simulación hasta que se cumpla la condición
+   * @returns {boolean} true si se cumplió antes de agotar el tiempo
+   */
+  async waitUntil(condition, seconds) {
+    const { clock } = this.system;
+    const deadline = clock.now() + seconds * 1000;
+
+    while (!this.current.aborted) {
+      if (condition()) return true;
+      if (clock.now() >= deadline - 1e-6) return false;
+      await this.advance();
+    }
+    return false;
+  }
+
+  /**
+   * Deja pasar tiempo de simulación: con paso manual lo avanza el propio
+   * runner; si no, espera al ciclo del servidor
+   */
+  async advance() {
+    const { system } = this;
+    if (system.clock.virtual && !system.systemData.isRunning) {
+      throw new Error('El reloj de simulación no avanza con el sistema detenido');
+    }
+
+    if (system.clock.virtual && !system.shouldAutoStep()) {
+      await system.stepSimulation(1);
+      if (++this.manualSteps % YIELD_EVERY_STEPS === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return;
+    }
+
+    await pause(POLL_INTERVAL);
+  }
+
+  finish(status, reason = null) {
+    const { record, startTime } = this.current;
+    this.current = null;
+
+    record.status = status;
+    record.reason = reason;
+    record.elapsed = (this.system.clock.now() - startTime) / 1000;
+    record.finishedAt = new Date(this.system.clock.now()).toISOString();
+    record.passed = status === 'completed' && record.assertions.failed === 0;
+
+    const { passed, failed } = record.assertions;
+    if (status === 'completed') {
+      this.system.logger.info(`Experimento ${record.id} completado: ${record.passed ? 'APROBADO' : 'NO APROBADO'} (${passed} verificaciones cumplidas, ${failed} fallidas)`, 'CONTROL');
+      this.system.emit('experimentCompleted', this.summarize(record));
+    } else {
+      this.system.logger.warn(`Experimento ${record.id} ${status === 'aborted' ? 'abortado' : 'fallido'}: ${reason}`, 'CONTROL');
+      this.system.emit('experimentFailed', { id: record.id, status, reason });
+    }
+  }
+}
+
+ExperimentRunner.STEP_TYPES = STEP_TYPES;
+ExperimentRunner.ASSERTION_METRICS = ASSERTION_METRICS;
+
+module.exports = ExperimentRunner;
@@ -0,0 +1,194 @@
+// controllers/OfflineSimulator.js
+const SystemController = require('./SystemController');
+const { computeStepMetrics, computeIntegralMetrics } = require('../utils/metrics');
+
+// Las corridas offline no deben llenar el log del sistema
+const silentLogger = {
+  info() {},
+  warn() {},
+  error() {},
+  debug() {}
+};
+
+// Ceder el event loop cada cierto número de pasos para no bloquear el lazo en vivo
+const YIELD_EVERY_STEPS = 1000;
+
+/**
+ * Normaliza el perfil de referencia a una lista ordenada de escalones
+ * @param {number|Object[]} setpoint - Referencia fija o [{ time, value }]
+ * @param {number} fallback - Referencia si no se indica ninguna
+ * @returns {Object[]} [{ time, value }]
+ */
+function normalizeProfile(setpoint, fallback) {
+  if (setpoint === undefined || setpoint === null) {
+    return [{ time: 0, value: fallback }];
+  }
+
+  if (!Array.isArray(setpoint)) {
+    return [{ time: 0, value: parseFloat(setpoint) }];
+  }
+
+  const profile = setpoint
+    .map(point => ({ time: parseFloat(point.time) || 0, value: parseFloat(point.value) }))
+    .sort((a, b) => a.time - b.time);
+
+  if (profile[0].time > 0) {
+    profile.unshift({ time: 0, value: fallback });
+  }
+
+  return profile;
+}
+
+/**
+ * Ejecuta el lazo cerrado sobre una instancia aislada de SystemController,
+ * con el mismo modelo y controlador que el lazo en vivo, tan rápido como
+ * lo permita la CPU.
+ * @param {Object} request - { plant, controller, setpoint, trajectory, duration, timestep, seed, sensor, actuator, disturbances, gainSchedule, feedforward }
+ *   controller admite { type, params } o directamente ganancias PID { kp, ki, kd }
+ * @returns {Object} Trayectoria completa y métricas
+ */
+async function runOfflineSimulation(request) {
+  const {
+    plant,
+    controller,
+    setpoint,
+    trajectory: referenceTrajectory,
+    duration,
+    timestep = 0.01,
+    seed = 1,
+    sensor,
+    actuator,
+    disturbances = [],
+    gainSchedule,
+    feedforward,
+    settlingBand = 0.02
+  } = request;
+
+  const startedAt = Date.now();
+  const system = new SystemController({
+    logger: silentLogger,
+    simulation: { mode: 'deterministic', seed, timestep: Number(timestep), autoStep: false },
+    // El supervisor protege el equipo en vivo; offline cortaría la corrida
+    safety: { enabled: false }
+  });
+
+  if (plant) {
+    const plantRequest = typeof plant === 'string' ? { type: plant } : plant;
+    await system.setPlant(plantRequest.type, plantRequest.params);
+  }
+  if (sensor) await system.configureSensor(sensor);
+  if (actuator) await system.configureActuator(actuator);
+  if (gainSchedule) await system.configureGainSchedule(gainSchedule);
+  if (feedforward) await system.configureFeedforward(feedforward);
+  if (controller && controller.type !== undefined) {
+    await system.setController(controller.type, controller.params);
+  } else if (controller && Object.keys(controller).length > 0) {
+    await system.updatePIDParameters(controller);
+  }
+
+  const profile = normalizeProfile(setpoint, system.plant.constructor.defaultReference);
+  await system.setTargetAngle(profile[0].value);
+  await system.startSystem();
+  if (referenceTrajectory) await system.setTrajectory(referenceTrajectory);
+
+  for (const disturbance of disturbances) {
+    await system.injectDisturbance(disturbance);
+  }
+
+  const trajectory = {
+    time: [],
+    angle: [],
+    trueAngle: [],
+    setpoint: [],
+    target: [],
+    error: [],
+    controlOutput: [],
+    feedback: [],
+    feedforward: [],
+    actuatorOutput: [],
+    disturbance: [],
+    activeGains: []
+  };
+
+  const totalSteps = Math.round(Number(duration) / system.simulation.timestep);
+  const changes = [{ index: 0, time: 0, initialValue: system.systemData.trueAngle, reference: profile[0].value }];
+  let nextProfileIndex = 1;
+
+  for (let step = 0; step < totalSteps; step++) {
+    const time = step * system.simulation.timestep;
+
+    while (nextProfileIndex < profile.length && profile[nextProfileIndex].time <= time + 1e-9) {
+      const point = profile[nextProfileIndex++];
+      await system.setTargetAngle(point.value);
+      changes.push({ index: step, time, initialValue: system.systemData.trueAngle, reference: point.value });
+    }
+
+    const data = await system.updateSimulation();
+
+    trajectory.time.push(system.clock.now() / 1000);
+    trajectory.angle.push(data.currentAngle);
+    trajectory.trueAngle.push(data.trueAngle);
+    trajectory.setpoint.push(data.referenceAngle);
+    trajectory.target.push(data.targetAngle);
+    trajectory.error.push(data.error);
+    trajectory.controlOutput.push(data.controlOutput);
+    trajectory.feedback.push(data.feedback);
+    trajectory.feedforward.push(data.feedforward.total);
+    trajectory.actuatorOutput.push(data.actuator.output);
+    trajectory.disturbance.push(data.disturbance);
+    trajectory.activeGains.push(data.activeGains);
+
+    if ((step + 1) % YIELD_EVERY_STEPS === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  const steps = changes.map((change, i) => {
+    const end = i + 1 < changes.length ? changes[i + 1].index : trajectory.time.length;
+    return computeStepMetrics({
+      times: trajectory.time.slice(change.index, end).map(t => t - change.time),
+      values: trajectory.trueAngle.slice(change.index, end),
+      controlOutputs: trajectory.actuatorOutput.slice(change.index, end),
+      reference: change.reference,
+      initialValue: change.initialValue
+    }, settlingBand);
+  });
+
+  const summary = {
+    ...computeIntegralMetrics(
+      trajectory.time,
+      trajectory.trueAngle.map((value, i) => trajectory.setpoint[i] - value),
+      trajectory.actuatorOutput
+    ),
+    maxAbsError: trajectory.error.reduce((max, v) => Math.max(max, Math.abs(v)), 0),
+    maxControlOutput: trajectory.controlOutput.reduce((max, v) => Math.max(max, Math.abs(v)), 0),
+    finalValue: trajectory.trueAngle[trajectory.trueAngle.length - 1] ?? null
+  };
+
+  return {
+    settings: {
+      plant: system.getPlantInfo(),
+      controller: system.getControllerInfo(),
+      gainSchedule: system.getGainSchedule(),
+      feedforward: system.getFeedforward(),
+      actuator: system.actuator.getInfo(),
+      profile,
+      trajectory: referenceTrajectory || null,
+      duration: Number(duration),
+      timestep: system.simulation.timestep,
+      seed: system.simulation.seed
+    },
+    trajectory,
+    metrics: {
+      summary,
+      steps
+    },
+    stepsExecuted: trajectory.time.length,
+    elapsedMs: Date.now() - startedAt
+  };
+}
+
+module.exports = {
+  runOfflineSimulation,
+  normalizeProfile
+};
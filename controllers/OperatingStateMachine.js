@@ -0,0 +1,167 @@
+// controllers/OperatingStateMachine.js
+
+const STATES = ['idle', 'calibrating', 'ready', 'running', 'paused', 'fault', 'e-stopped'];
+
+// Destino de las paradas: ready si el sistema está calibrado, idle si no
+const STOPPED = 'stopped';
+
+// Comandos que cambian de estado: estado de origen → estado de destino
+const COMMAND_TRANSITIONS = {
+  startSystem: { idle: 'running', ready: 'running' },
+  stopSystem: { running: STOPPED, paused: STOPPED },
+  pauseSystem: { running: 'paused' },
+  resumeSystem: { paused: 'running' },
+  calibrate: { idle: 'calibrating', ready: 'calibrating' },
+  resetSystem: { idle: STOPPED, ready: STOPPED, running: STOPPED, paused: STOPPED, 'e-stopped': STOPPED },
+  // La parada de emergencia se acepta siempre
+  emergencyStop: Object.fromEntries(STATES.map(state => [state, 'e-stopped']))
+};
+
+// Transiciones que dispara el propio sistema
+const INTERNAL_TRANSITIONS = {
+  calibrationCompleted: { calibrating: 'ready' },
+  calibrationFailed: { calibrating: 'idle' },
+  safetyFault: { running: 'fault', paused: 'fault' },
+  // acknowledgeFault sale de fault; tras una parada de emergencia la falla
+  // puede seguir enclavada en otro estado y se reconoce sin transición
+  faultCleared: { fault: STOPPED },
+  simulationReconfigured: { running: STOPPED, paused: STOPPED }
+};
+
+// Estados en los que se puede operar el equipo: fuera de ellos (calibrando,
+// en falla o tras la parada de emergencia) no se cambia la referencia, la
+// planta ni la ley de control
+const OPERABLE = ['idle', 'ready', 'running', 'paused'];
+
+// Comandos sin transición restringidos a ciertos estados (acknowledgeFault
+// depende de su guarda). El resto (cancelar, detener perfiles, quitar
+// perturbaciones, rechazar ganancias, la búsqueda offline) se acepta en
+// cualquier estado
+const COMMAND_STATES = {
+  acknowledgeFault: STATES,
+  stepSimulation: ['running'],
+  autotune: ['running'],
+  frequencySweep: ['running'],
+  setTargetAngle: OPERABLE,
+  setTrajectory: OPERABLE,
+  playProfile: OPERABLE,
+  setPlant: OPERABLE,
+  injectDisturbance: OPERABLE,
+  setPID: OPERABLE,
+  applyAutotune: OPERABLE,
+  applyPreset: OPERABLE
+};
+
+/**
+ * Comando rechazado por el estado de operación. code es COMMAND_NOT_ALLOWED
+ * si el comando no está permitido en el estado actual y GUARD_FAILED si lo
+ * está pero no se cumple su condición.
+ */
+class CommandNotAllowedError extends Error {
+  constructor(message, { code, command, state, allowedCommands }) {
+    super(message);
+    this.name = 'CommandNotAllowedError';
+    this.code = code;
+    this.command = command;
+    this.state = state;
+    this.allowedCommands = allowedCommands;
+  }
+}
+
+/**
+ * Estado de operación del sistema con sus transiciones permitidas. Las
+ * guardas son funciones por comando que devuelven el motivo de rechazo o
+ * null; las pone SystemController porque dependen de su estado.
+ */
+class OperatingStateMachine {
+  /**
+   * @param {string[]} commands - Todos los comandos de executeCommand(), para informar los permitidos
+   * @param {Object} guards - { comando: () => string|null }
+   */
+  constructor(commands, guards = {}) {
+    this.commands = commands;
+    this.guards = guards;
+    this.state = 'idle';
+    this.calibrated = false;
+    this.since = null;
+  }
+
+  /**
+   * Motivo por el que el comando no se puede ejecutar ahora, o null
+   * @returns {Object|null} { code, message }
+   */
+  check(command) {
+    const transitions = COMMAND_TRANSITIONS[command];
+    const states = COMMAND_STATES[command];
+    const permitted = transitions ? this.state in transitions : !states || states.includes(this.state);
+
+    if (!permitted) {
+      return { code: 'COMMAND_NOT_ALLOWED', message: `${command} no está permitido en el estado ${this.state}` };
+    }
+
+    const reason = this.guards[command] ? this.guards[command]() : null;
+    return reason ? { code: 'GUARD_FAILED', message: `${command} rechazado: ${reason}` } : null;
+  }
+
+  isAllowed(command) {
+    return this.check(command) === null;
+  }
+
+  assertAllowed(command) {
+    const rejection = this.check(command);
+    if (rejection) {
+      throw new CommandNotAllowedError(rejection.message, {
+        code: rejection.code,
+        command,
+        state: this.state,
+        allowedCommands: this.getAllowedCommands()
+      });
+    }
+  }
+
+  getAllowedCommands() {
+    return this.commands.filter(command => this.isAllowed(command));
+  }
+
+  /**
+   * Aplica la transición de un comando (ya verificado con assertAllowed) o
+   * de un evento interno
+   * @param {string} event - Comando o evento interno
+   * @param {number} time - Instante de la transición (ms)
+   * @returns {Object|null} { from, to, event } o null si el evento interno no aplica en este estado
+   */
+  transition(event, time) {
+    const transitions = COMMAND_TRANSITIONS[event] || INTERNAL_TRANSITIONS[event];
+    if (!transitions) {
+      throw new Error(`Evento de estado desconocido: ${event}`);
+    }
+    if (COMMAND_TRANSITIONS[event]) {
+      this.assertAllowed(event);
+    } else if (!(this.state in transitions)) {
+      return null;
+    }
+
+    if (event === 'calibrationCompleted') this.calibrated = true;
+
+    const from = this.state;
+    const target = transitions[from];
+    this.state = target === STOPPED ? (this.calibrated ? 'ready' : 'idle') : target;
+    this.since = time;
+
+    return { from, to: this.state, event };
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      since: this.since === null ? null : new Date(this.since).toISOString(),
+      calibrated: this.calibrated,
+      allowedCommands: this.getAllowedCommands()
+    };
+  }
+}
+
+OperatingStateMachine.STATES = STATES;
+OperatingStateMachine.CommandNotAllowedError = CommandNotAllowedError;
+
+module.exports = OperatingStateMachine;
@@ -0,0 +1,155 @@
+// controllers/PlantRegistry.js
+const AeropendulumPlant = require('../simulation/plants/AeropendulumPlant');
+const ThermalPlant = require('../simulation/plants/ThermalPlant');
+const MassSpringPlant = require('../simulation/plants/MassSpringPlant');
+const DCMotorPlant = require('../simulation/plants/DCMotorPlant');
+const FOPDTPlant = require('../simulation/plants/FOPDTPlant');
+const SecondOrderPlant = require('../simulation/plants/SecondOrderPlant');
+const ARXPlant = require('../simulation/plants/ARXPlant');
+
+const PLANTS = new Map();
+
+/**
+ * Registra un modelo de planta
+ * @param {Function} PlantClass - Clase con type, label, unidades, DEFAULT_PARAMS y limits
+ */
+function registerPlant(PlantClass) {
+  if (!PlantClass || !PlantClass.type) {
+    throw new Error('El modelo de planta debe definir un tipo');
+  }
+  PLANTS.set(PlantClass.type, PlantClass);
+}
+
+[
+  AeropendulumPlant,
+  ThermalPlant,
+  MassSpringPlant,
+  DCMotorPlant,
+  FOPDTPlant,
+  SecondOrderPlant,
+  ARXPlant
+].forEach(registerPlant);
+
+function hasPlant(type) {
+  return PLANTS.has(type);
+}
+
+/**
+ * Descripción pública de un modelo registrado
+ * @param {string} type - Tipo de planta
+ * @returns {Object}
+ */
+function describePlant(type) {
+  const PlantClass = PLANTS.get(type);
+  if (!PlantClass) {
+    throw new Error(`Modelo de planta desconocido: ${type}`);
+  }
+
+  return {
+    type: PlantClass.type,
+    label: PlantClass.label,
+    outputUnit: PlantClass.outputUnit,
+    disturbanceUnit: PlantClass.disturbanceUnit,
+    defaultReference: PlantClass.defaultReference,
+    defaultParams: { ...PlantClass.DEFAULT_PARAMS },
+    actuatorLimits: PlantClass.actuatorLimits,
+    limits: PlantClass.limits
+  };
+}
+
+function listPlants() {
+  return Array.from(PLANTS.keys()).map(describePlant);
+}
+
+/**
+ * Valida parámetros de un modelo de planta contra sus límites
+ * @param {string} type - Tipo de planta
+ * @param {Object} params - Parámetros a validar
+ * @returns {Object} Resultado de validación
+ */
+function validatePlantParams(type, params) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  const PlantClass = PLANTS.get(type);
+  if (!PlantClass) {
+    result.errors.push(`Modelo de planta inválido. Modelos válidos: ${Array.from(PLANTS.keys()).join(', ')}`);
+    return result;
+  }
+
+  if (params === undefined || params === null) {
+    result.valid = true;
+    return result;
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    result.errors.push('Los parámetros de la planta deben ser un objeto');
+    return result;
+  }
+
+  const ranges = PlantClass.limits.params;
+
+  for (const [param, value] of Object.entries(params)) {
+    if (!ranges[param]) {
+      result.errors.push(`Parámetro inválido para ${type}: ${param}`);
+      continue;
+    }
+
+    // Coeficientes de los modelos discretos
+    if (ranges[param].array) {
+      if (!Array.isArray(value) || value.length < 1 || value.length > ranges[param].maxLength) {
+        result.errors.push(`${param} debe ser un arreglo de 1 a ${ranges[param].maxLength} números`);
+      } else if (value.some(item => typeof item !== 'number' || isNaN(item) || item < ranges[param].min || item > ranges[param].max)) {
+        result.errors.push(`Los elementos de ${param} deben ser números entre ${ranges[param].min} y ${ranges[param].max}`);
+      }
+      continue;
+    }
+
+    const numValue = parseFloat(value);
+    if (isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+      continue;
+    }
+
+    if (numValue < ranges[param].min || numValue > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    } else if (ranges[param].integer && !Number.isInteger(numValue)) {
+      result.errors.push(`${param} debe ser un entero`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Crea una instancia validada de un modelo de planta
+ * @param {string} type - Tipo de planta
+ * @param {Object} params - Parámetros que sobrescriben los valores por defecto
+ * @returns {Object} Instancia de la planta
+ */
+function createPlant(type, params = {}) {
+  const validation = validatePlantParams(type, params);
+  if (!validation.valid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  const numericParams = {};
+  for (const [param, value] of Object.entries(params || {})) {
+    numericParams[param] = Array.isArray(value) ? value.slice() : parseFloat(value);
+  }
+
+  const PlantClass = PLANTS.get(type);
+  return new PlantClass(numericParams);
+}
+
+module.exports = {
+  registerPlant,
+  hasPlant,
+  describePlant,
+  listPlants,
+  validatePlantParams,
+  createPlant
+};
@@ -2,23 +2,205 @@
 const EventEmitter = require('events');
 const logger = require('../logger');
 const config = require('../config');
+const { createPlant, describePlant, listPlants, validatePlantParams } = require('./PlantRegistry');
+const {
+  createController,
+  describeController,
+  listControllers,
+  validateControllerParams,
+  normalizeControllerParams
+} = require('./ControllerRegistry');
+const {
+  VALID_COMMANDS,
+  validateCommand,
+  validateSimulationConfig,
+  validateSensorConfig,
+  validateActuatorConfig,
+  validateGainSchedule,
+  validateFeedforwardConfig,
+  validateTrajectory,
+  validateMetricsConfig,
+  validateSafetyConfig,
+  validateDeadManConfig,
+  validateFrequencySweepOptions,
+  validateIdentifyRequest,
+  validateExperimentDefinition,
+  validateTuneRequest,
+  validatePreset
+} = require('../utils/validation');
+const SeededRandom = require('../simulation/random');
+const { SystemClock, VirtualClock } = require('../simulation/clock');
+const DisturbanceScheduler = require('../simulation/disturbances');
+const Sensor = require('../simulation/Sensor');
+const Actuator = require('../simulation/Actuator');
+const RelayAutotuner = require('../simulation/controllers/RelayAutotuner');
+const { computeTuning } = require('../simulation/tuning');
+const GainSchedule = require('../simulation/GainSchedule');
+const Feedforward = require('../simulation/Feedforward');
+const TrajectoryGenerator = require('../simulation/TrajectoryGenerator');
+const ProfileManager = require('../managers/ProfileManager');
+const PresetManager = require('../managers/PresetManager');
+const RunStore = require('../managers/RunStore');
+const StepResponseMonitor = require('../simulation/StepResponseMonitor');
+const SafetySupervisor = require('../simulation/SafetySupervisor');
+const FrequencySweep = require('../simulation/FrequencySweep');
+const { identifyModel } = require('../simulation/identification');
+const ExperimentRunner = require('./ExperimentRunner');
+const TuningJob = require('./TuningJob');
+const OperatingStateMachine = require('./OperatingStateMachine');
+const DeadManSwitch = require('./DeadManSwitch');
+const ControlLock = require('./ControlLock');
+const { computeIntegralMetrics } = require('../utils/metrics');
+
+// Series del historial, todas alineadas con times
+const HISTORY_SERIES = [
+  'angles', 'trueAngles', 'references', 'errors', 'times', 'controlOutputs', 'actuatorOutputs',
+  'disturbances', 'activeDisturbances', 'feedbackOutputs', 'feedforwardOutputs'
+];
+
+// Experimentos terminados que se conservan en memoria
+const MAX_EXPERIMENTS = 50;
+
+// Intervalo mínimo entre eventos de avance de una búsqueda de ganancias (ms)
+const TUNING_PROGRESS_INTERVAL = 500;
+
+/**
+ * Rango de referencias que recorre una trayectoria
+ * @returns {number[]} [mínimo, máximo]
+ */
+function trajectoryBounds(definition, start) {
+  switch (definition.mode) {
+    case 'ramp':
+    case 'scurve':
+      return [Math.min(start, definition.target), Math.max(start, definition.target)];
+
+    case 'sequence': {
+      const values = definition.steps.map(step => step.value);
+      return [Math.min(...values), Math.max(...values)];
+    }
+
+    case TrajectoryGenerator.PROFILE_MODE: {
+      // Antes del primer punto se mantiene la referencia de partida
+      const bounds = definition.points[0].t > 0 ? [start, start] : [Infinity, -Infinity];
+      return definition.points.reduce(
+        ([low, high], point) => [Math.min(low, point.reference), Math.max(high, point.reference)],
+        bounds
+      );
+    }
+
+    default: {
+      const offset = definition.offset !== undefined ? definition.offset : start;
+      return [offset - definition.amplitude, offset + definition.amplitude];
+    }
+  }
+}
+
+/**
+ * Pares entrada/salida para identificar. Cada muestra guarda el mando que
+ * actuó durante el intervalo que termina en ella, así que se desplaza un
+ * lugar para que input[k] sea el mando aplicado entre time[k] y time[k+1].
+ */
+function alignSignals(time, input, output) {
+  return {
+    time: time.slice(0, -1),
+    input: input.slice(1),
+    output: output.slice(0, -1)
+  };
+}
+
+/**
+ * Vista de un experimento sin los datos por frecuencia
+ */
+function summarizeExperiment(record) {
+  const { result, ...summary } = record;
+  if (result && result.margins) summary.margins = result.margins;
+  if (result && result.closedLoop) summary.closedLoop = result.closedLoop;
+  if (result && result.best) summary.best = { gains: result.best.gains, cost: result.best.cost };
+  return summary;
+}
+
+function formatCommandValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
 
 class SystemController extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Dependencias inyectables
+   * @param {Object} options.clock - Reloj con now() y delay(ms)
+   * @param {Object} options.random - Generador con next() y gaussian()
+   * @param {Object} options.simulation - Configuración de simulación (sobrescribe config.simulation)
+   * @param {Object} options.logger - Logger con info/warn/error/debug
+   * @param {Object} options.profiles - Almacén de perfiles de referencia
+   * @param {Object} options.presets - Almacén de presets de controlador
+   * @param {Object} options.runs - Almacén de corridas registradas
+   * @param {Object} options.safety - Configuración del supervisor de seguridad (sobrescribe config.safety)
+   * @param {Object} options.deadMan - Configuración del dead-man (sobrescribe config.deadMan)
+   * @param {Object} options.control - Configuración del control exclusivo (sobrescribe config.control)
+   */
+  constructor(options = {}) {
     super();
+    this.logger = options.logger || logger;
+    this.simulation = {
+      mode: 'realtime',
+      seed: null,
+      timestep: 0.1,
+      autoStep: true,
+      ...config.simulation,
+      ...options.simulation
+    };
+    this.clock = options.clock || this.createClock();
+    this.random = options.random || new SeededRandom(this.simulation.seed ?? Date.now());
+    this.simulation.seed = this.random.seed;
+
+    this.plant = createPlant(config.plant?.type || 'aeropendulum', config.plant?.params);
+    this.sensor = new Sensor(config.sensor);
+    this.actuator = new Actuator({ ...this.getActuatorLimits(), ...config.actuator });
+
+    // Una instancia por tipo de ley para conservar sus parámetros al alternar;
+    // el PID siempre existe porque /api/pid lo ajusta aunque no esté activo
+    this.controllers = new Map();
+    this.getControllerInstance('pid');
+    this.controller = this.getControllerInstance(config.controller?.type || 'pid', config.controller?.params);
+    this.gainSchedule = new GainSchedule(config.gainSchedule);
+    this.feedforward = new Feedforward(config.feedforward);
+    this.trajectory = new TrajectoryGenerator();
+    this.profiles = options.profiles || new ProfileManager(config.profiles);
+    this.presets = options.presets || new PresetManager(config.presets);
+    this.activePreset = null;
+    this.runs = options.runs || new RunStore(config.runs);
+    this.stepMonitor = new StepResponseMonitor(config.metrics);
+    this.safety = new SafetySupervisor({ ...config.safety, ...options.safety });
+    this.deadMan = new DeadManSwitch({ ...config.deadMan, ...options.deadMan });
+    this.controlLock = new ControlLock({ ...config.control, ...options.control });
+    this.operatingState = new OperatingStateMachine(VALID_COMMANDS, {
+      startSystem: () => (this.safety.isFaulted() ? 'hay una falla de seguridad enclavada; reconózcala con acknowledgeFault' : null),
+      acknowledgeFault: () => (this.safety.isFaulted() ? null : 'no hay una falla de seguridad activa')
+    });
+
     this.systemData = {
-      currentAngle: 0,
-      referenceAngle: 45,
+      currentAngle: this.plant.getOutput(),
+      trueAngle: this.plant.getOutput(),
+      sensorDropout: false,
+      referenceAngle: this.plant.constructor.defaultReference,
+      targetAngle: this.plant.constructor.defaultReference,
       error: 0,
+      angularVelocity: 0,
+      controlOutput: 0,
+      feedback: 0,
+      feedforward: this.feedforward.getOutput(),
+      actuator: this.actuator.getState(),
+      plantInput: 0,
+      disturbance: 0,
+      activeDisturbances: [],
+      plant: this.getPlantInfo(),
+      plantState: this.plant.getState(),
+      // Derivados del estado de operación
+      state: this.operatingState.state,
       isRunning: false,
       isConnected: false,
-      pid: {
-        kp: 1.2,
-        ki: 0.1,
-        kd: 0.05,
-        integral: 0,
-        previousError: 0
-      },
+      controller: this.getControllerInfo(),
+      pid: this.getPIDInfo(),
       stats: {
         avgAngle: 0,
         stdAngle: 0,
@@ -31,21 +213,64 @@ class SystemController extends EventEmitter {
 
     this.dataHistory = {
       angles: [],
+      trueAngles: [],
+      references: [],
       errors: [],
       times: [],
+      controlOutputs: [],
+      actuatorOutputs: [],
+      disturbances: [],
+      activeDisturbances: [],
+      feedbackOutputs: [],
+      feedforwardOutputs: [],
       maxPoints: config.system?.maxDataPoints || 1000
     };
 
-    this.startTime = Date.now();
-    this.lastUpdateTime = Date.now();
+    // Mando y medición para identificar sobre el lazo en vivo: el historial
+    // anterior está pensado para el dashboard y cubre pocos segundos
+    this.identificationHistory = {
+      times: [],
+      inputs: [],
+      outputs: [],
+      maxPoints: config.identification?.maxPoints || 6000
+    };
+
+    this.controllerOutput = this.controller.getOutput();
+    this.autotune = null;
+    this.pendingTuning = null;
+    this.disturbances = new DisturbanceScheduler();
+    this.sweep = null;
+    this.experiments = new Map();
+    this.nextExperimentId = 1;
+    this.experimentRunner = new ExperimentRunner(this, summarizeExperiment);
+    this.tuning = null;
+
+    this.startTime = this.clock.now();
+    this.lastUpdateTime = this.clock.now();
+    // Fin del último ciclo completo del lazo en tiempo de pared, para el watchdog
+    this.lastCycleAt = Date.now();
+    this.watchdogTimer = null;
   }
 
   async getSystemStatus() {
     return {
       ...this.systemData,
+      simulation: this.getSimulationInfo(),
+      autotune: this.getAutotuneInfo(),
+      gainSchedule: this.gainSchedule.describe(),
+      activeGains: this.getActiveGains(),
+      feedforwardConfig: this.feedforward.describe(),
+      trajectory: this.trajectory.describe(),
+      stepResponse: this.stepMonitor.describeCurrent(),
+      experiment: this.getRunningExperiment(),
+      preset: this.getPresetStatus(),
+      safety: this.safety.getState(),
+      deadMan: this.deadMan.getState(),
+      control: this.controlLock.describe(),
+      allowedCommands: this.operatingState.getAllowedCommands(),
       stats: {
         ...this.systemData.stats,
-        uptime: Date.now() - this.startTime,
+        uptime: this.clock.now() - this.startTime,
         dataPoints: this.dataHistory.angles.length
       }
     };
@@ -70,8 +295,16 @@ class SystemController extends EventEmitter {
 
     return {
       angles: this.dataHistory.angles.slice(start, endIndex),
+      trueAngles: this.dataHistory.trueAngles.slice(start, endIndex),
+      references: this.dataHistory.references.slice(start, endIndex),
       errors: this.dataHistory.errors.slice(start, endIndex),
       times: this.dataHistory.times.slice(start, endIndex),
+      controlOutputs: this.dataHistory.controlOutputs.slice(start, endIndex),
+      actuatorOutputs: this.dataHistory.actuatorOutputs.slice(start, endIndex),
+      disturbances: this.dataHistory.disturbances.slice(start, endIndex),
+      activeDisturbances: this.dataHistory.activeDisturbances.slice(start, endIndex),
+      feedbackOutputs: this.dataHistory.feedbackOutputs.slice(start, endIndex),
+      feedforwardOutputs: this.dataHistory.feedforwardOutputs.slice(start, endIndex),
       totalPoints: this.dataHistory.angles.length,
       rangeStart: start,
       rangeEnd: endIndex
@@ -79,7 +312,13 @@ class SystemController extends EventEmitter {
   }
 
   async executeCommand(command, value) {
-    logger.info(`Ejecutando comando: ${command} ${value || ''}`, 'CONTROL');
+    this.logger.info(`Ejecutando comando: ${command} ${formatCommandValue(value)}`, 'CONTROL');
+
+    const validation = validateCommand(command, value);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+    this.operatingState.assertAllowed(command);
 
     switch (command) {
       case 'startSystem':
@@ -88,6 +327,12 @@ class SystemController extends EventEmitter {
       case 'stopSystem':
         return await this.stopSystem();
       
+      case 'pauseSystem':
+        return await this.pauseSystem();
+      
+      case 'resumeSystem':
+        return await this.resumeSystem();
+      
       case 'emergencyStop':
         return await this.emergencyStop();
       
@@ -100,44 +345,159 @@ class SystemController extends EventEmitter {
       case 'calibrate':
         return await this.calibrateSystem();
       
+      case 'stepSimulation':
+        return await this.stepSimulation(value === undefined || value === null || value === '' ? 1 : parseInt(value));
+      
+      case 'injectDisturbance':
+        return await this.injectDisturbance(value);
+      
+      case 'clearDisturbances':
+        return await this.clearDisturbances(value || null);
+      
+      case 'setPlant':
+        return typeof value === 'string'
+          ? await this.setPlant(value)
+          : await this.setPlant(value.type, value.params);
+      
+      case 'autotune':
+        return await this.startAutotune(typeof value === 'string' ? { rule: value } : value || {});
+      
+      case 'cancelAutotune':
+        return await this.cancelAutotune();
+      
+      case 'applyAutotune':
+        return await this.applyAutotune();
+      
+      case 'rejectAutotune':
+        return await this.rejectAutotune();
+      
+      case 'setTrajectory':
+        return await this.setTrajectory(value);
+      
+      case 'cancelTrajectory':
+        return await this.cancelTrajectory();
+      
+      case 'playProfile':
+        return await this.playProfile(typeof value === 'string' ? { name: value } : value);
+      
+      case 'stopProfile':
+        return await this.stopProfile();
+      
+      case 'frequencySweep':
+        return await this.startFrequencySweep(value || {});
+      
+      case 'cancelExperiment':
+        return await this.cancelExperiment();
+      
+      case 'setPID':
+        return await this.updatePIDParameters(value);
+      
+      case 'applyPreset':
+        return await this.applyPreset(value);
+      
+      case 'tune':
+        return await this.startTuning(value || {});
+      
+      case 'acknowledgeFault':
+        return await this.acknowledgeFault();
+      
       default:
         throw new Error(`Comando desconocido: ${command}`);
     }
   }
 
-  async startSystem() {
-    if (this.systemData.isRunning) {
-      throw new Error('El sistema ya está en funcionamiento');
+  /**
+   * Cambia el estado de operación y actualiza los indicadores derivados
+   * @param {string} event - Comando o evento interno (ver OperatingStateMachine)
+   * @param {string} reason - Motivo para el log y el evento
+   * @returns {Object|null} Transición aplicada, o null si el evento interno no aplicaba
+   */
+  transition(event, reason = null) {
+    const change = this.operatingState.transition(event, this.clock.now());
+    if (!change) return null;
+
+    const { to } = change;
+    this.systemData.state = to;
+    this.systemData.isRunning = to === 'running';
+    this.systemData.isConnected = to !== 'idle' && to !== 'e-stopped';
+
+    // La sesión de control dura mientras el sistema esté en marcha o en pausa
+    if (to !== 'running' && to !== 'paused' && this.deadMan.session) {
+      const session = this.deadMan.release();
+      this.logger.info(`Sesión de control ${session.id} liberada`, 'CONTROL');
     }
 
-    this.systemData.isRunning = true;
-    this.systemData.isConnected = true;
-    this.resetPIDController();
+    this.logger.info(`Estado: ${change.from} → ${to} (${event}${reason ? `: ${reason}` : ''})`, 'CONTROL');
+    this.emit('stateChanged', {
+      ...change,
+      reason,
+      allowedCommands: this.operatingState.getAllowedCommands(),
+      time: new Date(this.clock.now()).toISOString()
+    });
+    return change;
+  }
+
+  getOperatingState() {
+    return this.operatingState.describe();
+  }
+
+  async startSystem() {
+    this.transition('startSystem');
+    this.resetController();
+    this.safety.reset();
+    this.lastUpdateTime = this.clock.now();
+    this.lastCycleAt = Date.now();
+
+    // Arrancar desde el reposo también es un escalón hacia la referencia
+    if (!this.stepMonitor.isActive()) {
+      this.beginStepResponse('start');
+    }
     
-    logger.info('Sistema iniciado exitosamente', 'CONTROL');
+    this.logger.info('Sistema iniciado exitosamente', 'CONTROL');
     this.emit('systemStarted');
     
     return { status: 'Sistema iniciado' };
   }
 
   async stopSystem() {
-    if (!this.systemData.isRunning) {
-      throw new Error('El sistema ya está detenido');
-    }
-
-    this.systemData.isRunning = false;
-    logger.info('Sistema detenido', 'CONTROL');
+    this.transition('stopSystem');
+    this.abortAutotune('Sistema detenido');
+    this.abortFrequencySweep('Sistema detenido');
+    this.logger.info('Sistema detenido', 'CONTROL');
     this.emit('systemStopped');
     
     return { status: 'Sistema detenido' };
   }
 
+  /**
+   * Congela el lazo sin reiniciar la ley ni abortar experimentos; resumeSystem
+   * continúa desde el mismo estado
+   */
+  async pauseSystem() {
+    this.transition('pauseSystem');
+    this.logger.info('Sistema en pausa', 'CONTROL');
+    this.emit('systemPaused');
+
+    return { status: 'Sistema en pausa' };
+  }
+
+  async resumeSystem() {
+    this.transition('resumeSystem');
+    // La pausa no cuenta como intervalo del lazo (ni para el watchdog)
+    this.lastUpdateTime = this.clock.now();
+    this.lastCycleAt = Date.now();
+    this.logger.info('Sistema reanudado', 'CONTROL');
+    this.emit('systemResumed');
+
+    return { status: 'Sistema reanudado' };
+  }
+
   async emergencyStop() {
-    this.systemData.isRunning = false;
-    this.systemData.isConnected = false;
-    this.resetPIDController();
+    this.transition('emergencyStop');
+    this.abortFrequencySweep('Parada de emergencia');
+    this.haltControl();
     
-    logger.error('Parada de emergencia activada', 'CONTROL');
+    this.logger.error('Parada de emergencia activada', 'CONTROL');
     this.emit('emergencyStop');
     
     return { status: 'Parada de emergencia activada' };
@@ -148,11 +508,29 @@ class SystemController extends EventEmitter {
       throw new Error('Ángulo objetivo inválido (debe estar entre -180 y 180)');
     }
 
+    const { min, max } = this.plant.constructor.limits.output;
+    if (angle < min || angle > max) {
+      throw new Error(`Referencia fuera de los límites de la planta ${this.plant.constructor.type} (${min} a ${max})`);
+    }
+    this.assertWithinSoftLimits(angle, angle, 'La referencia');
+
+    if (this.autotune) {
+      throw new Error('No se puede cambiar la referencia durante la autosintonía');
+    }
+    if (this.sweep) {
+      throw new Error('No se puede cambiar la referencia durante un barrido en frecuencia');
+    }
+
     const previousAngle = this.systemData.referenceAngle;
-    this.systemData.referenceAngle = angle;
-    this.resetPIDController(); // Reset para evitar saltos bruscos
+    // Un escalón explícito reemplaza a la trayectoria en curso
+    this.holdReference(angle);
+    this.beginStepResponse('step');
+    // El PID bumpless conserva su estado; sin bumpless se reinicia como antes
+    this.controller.onReferenceChange(previousAngle, angle);
+    this.controllerOutput = this.controller.getOutput();
+    this.refreshControllerInfo();
     
-    logger.info(`Ángulo objetivo cambiado de ${previousAngle}° a ${angle}°`, 'CONTROL');
+    this.logger.info(`Ángulo objetivo cambiado de ${previousAngle}° a ${angle}°`, 'CONTROL');
     this.emit('targetAngleChanged', { previous: previousAngle, current: angle });
     
     return { 
@@ -163,229 +541,2006 @@ class SystemController extends EventEmitter {
   }
 
   async resetSystem() {
-    this.systemData.isRunning = false;
-    this.systemData.currentAngle = 0;
-    this.systemData.referenceAngle = 45;
-    this.systemData.error = 0;
-    this.resetPIDController();
+    this.transition('resetSystem');
+    this.abortFrequencySweep('Sistema reseteado');
+    this.holdReference(this.plant.constructor.defaultReference);
+    this.stepMonitor.cancel();
+    this.resetPlantState();
+    this.resetController();
     this.clearHistory();
+    this.disturbances = new DisturbanceScheduler();
+
+    if (this.isDeterministic()) {
+      // Volver al instante cero con la misma semilla
+      this.clock.reset();
+      this.random.reset();
+      this.startTime = this.clock.now();
+      this.lastUpdateTime = this.clock.now();
+    }
     
-    logger.info('Sistema reseteado', 'CONTROL');
+    this.logger.info('Sistema reseteado', 'CONTROL');
     this.emit('systemReset');
     
     return { status: 'Sistema reseteado exitosamente' };
   }
 
   async calibrateSystem() {
+    this.transition('calibrate');
     // Simular proceso de calibración
-    logger.info('Iniciando calibración del sistema...', 'CONTROL');
+    this.logger.info('Iniciando calibración del sistema...', 'CONTROL');
     
     // En un sistema real, aquí iría la lógica de calibración
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await this.clock.delay(2000);
+
+    // Una parada de emergencia durante la espera deja el sistema sin calibrar
+    if (!this.transition('calibrationCompleted')) {
+      throw new Error(`Calibración interrumpida (estado ${this.operatingState.state})`);
+    }
     
-    this.systemData.isConnected = true;
-    logger.info('Calibración completada', 'CONTROL');
+    this.logger.info('Calibración completada', 'CONTROL');
     this.emit('systemCalibrated');
     
     return { status: 'Calibración completada exitosamente' };
   }
 
-  async updatePIDParameters(pidParams) {
-    const validParams = ['kp', 'ki', 'kd'];
-    const updates = {};
+  getSafety() {
+    return this.safety.describe();
+  }
 
-    for (const [key, value] of Object.entries(pidParams)) {
-      if (validParams.includes(key)) {
-        const numValue = parseFloat(value);
-        if (!isNaN(numValue) && numValue >= 0) {
-          updates[key] = numValue;
-        }
+  async configureSafety(settings = {}) {
+    const validation = validateSafetyConfig(settings, this.safety.settings);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const updated = this.safety.configure(settings);
+    this.logger.info(`Supervisor de seguridad ${updated.enabled ? 'activo' : 'desactivado'}: ${JSON.stringify(settings)}`, 'CONTROL');
+    return updated;
+  }
+
+  /**
+   * Revisa la muestra recién medida y, ante una violación, dispara la falla
+   * @returns {Object|null} Falla disparada en este ciclo
+   */
+  superviseSafety(deltaTime) {
+    const { fault, warning } = this.safety.check({
+      dt: deltaTime,
+      angle: this.systemData.currentAngle,
+      velocity: this.systemData.angularVelocity,
+      saturated: this.systemData.actuator.saturated,
+      time: new Date(this.clock.now()).toISOString()
+    });
+
+    if (warning) {
+      this.logger.warn(`Límite blando de seguridad sobrepasado: ${warning.angle.toFixed(2)}° (límite ${warning.limit}°)`, 'CONTROL');
+      this.emit('safetyWarning', warning);
+    }
+    if (fault) this.latchSafetyFault(fault);
+    return fault;
+  }
+
+  /**
+   * Arranca el watchdog independiente del lazo: revisa el tiempo desde el
+   * último ciclo completo aunque el lazo haya dejado de correr (un await
+   * colgado, el intervalo detenido). Lo arranca el servidor; las instancias
+   * offline no lo usan.
+   * @param {number} interval - Periodo de la revisión (ms)
+   */
+  startWatchdog(interval = 100) {
+    this.stopWatchdog();
+    this.watchdogTimer = setInterval(() => {
+      try {
+        this.superviseWatchdog();
+      } catch (error) {
+        this.logger.error(`Error en el watchdog del lazo: ${error.message}`, 'CONTROL');
       }
+    }, interval);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
     }
+  }
 
-    if (Object.keys(updates).length === 0) {
-      throw new Error('No se proporcionaron parámetros PID válidos');
+  /**
+   * Dispara la falla del watchdog si el lazo en marcha lleva más de
+   * watchdogTimeout sin completar un ciclo. Con paso manual no hay periodo
+   * esperado y no se revisa.
+   * @returns {Object|null} Falla disparada
+   */
+  superviseWatchdog(now = Date.now()) {
+    if (!this.systemData.isRunning || !this.shouldAutoStep()) return null;
+
+    const fault = this.safety.checkWatchdog((now - this.lastCycleAt) / 1000, new Date(this.clock.now()).toISOString());
+    if (fault) this.latchSafetyFault(fault);
+    return fault;
+  }
+
+  /**
+   * Detiene el lazo por una falla de seguridad, como la parada de emergencia
+   */
+  latchSafetyFault(fault) {
+    this.transition('safetyFault', fault.description);
+    this.abortFrequencySweep('Falla de seguridad');
+    this.haltControl();
+
+    this.logger.error(`Falla de seguridad ${fault.id}: ${fault.description} (${fault.value.toFixed(2)}, límite ${fault.limit}). Actuador en cero`, 'CONTROL');
+    this.emit('safetyFault', { ...fault });
+  }
+
+  async acknowledgeFault() {
+    const fault = this.safety.acknowledge(new Date(this.clock.now()).toISOString());
+    this.transition('faultCleared');
+
+    this.logger.info(`Falla de seguridad ${fault.id} reconocida (${fault.description})`, 'CONTROL');
+    this.emit('faultAcknowledged', { ...fault });
+
+    return { status: 'Falla reconocida', fault };
+  }
+
+  getControl() {
+    this.expireControlLease();
+    return { lease: this.controlLock.describe(), settings: this.controlLock.getSettings() };
+  }
+
+  /**
+   * Pide el control exclusivo; si ya lo tenía, lo renueva
+   * @param {Object} owner - { id, kind: websocket|rest, ip, name }
+   * @param {number} duration - s de la concesión (por defecto, leaseDuration)
+   * @returns {Object} Concesión con su token, que identifica al dueño en REST
+   */
+  requestControl(owner, duration) {
+    const now = Date.now();
+    this.expireControlLease(now);
+    const { lease, previous, renewed } = this.controlLock.acquire(owner, duration, now);
+    if (!renewed) this.announceControl('requested', previous);
+    return { ...this.controlLock.describe(), token: lease.token };
+  }
+
+  renewControl(identity, duration) {
+    const now = Date.now();
+    this.expireControlLease(now);
+    this.controlLock.renew(identity, duration, now);
+    return this.controlLock.describe();
+  }
+
+  releaseControl(identity) {
+    const now = Date.now();
+    this.expireControlLease(now);
+    const released = this.controlLock.release(identity, now);
+    this.announceControl('released', released);
+  }
+
+  /**
+   * Toma el control aunque lo tenga otro cliente (administración)
+   * @returns {Object} Concesión con su token
+   */
+  forceControl(owner, adminToken, duration) {
+    const now = Date.now();
+    this.expireControlLease(now);
+    const { lease, previous, renewed } = this.controlLock.force(owner, adminToken, duration, now);
+    if (!renewed) {
+      this.logger.warn(`Control tomado a la fuerza por ${owner.id}${previous ? ` (lo tenía ${previous.owner.id})` : ''}`, 'CONTROL');
+      this.announceControl('forced', previous);
     }
+    return { ...this.controlLock.describe(), token: lease.token };
+  }
 
-    this.systemData.pid = { ...this.systemData.pid, ...updates };
-    this.resetPIDController(); // Reset integral y error previo
-    
-    logger.info(`Parámetros PID actualizados: ${JSON.stringify(updates)}`, 'CONTROL');
-    this.emit('pidUpdated', this.systemData.pid);
-    
-    return this.systemData.pid;
+  /**
+   * Libera el control de una conexión WebSocket que se cerró
+   */
+  releaseControlSession(sessionId) {
+    const released = this.controlLock.releaseSession(sessionId);
+    if (released) this.announceControl('disconnected', released);
   }
 
-  async getSystemStats() {
-    const uptime = Date.now() - this.startTime;
-    const dataPoints = this.dataHistory.angles.length;
-    
-    let stats = {
-      ...this.systemData.stats,
-      uptime,
-      dataPoints,
-      averageUpdateRate: dataPoints > 0 ? dataPoints / (uptime / 1000) : 0
-    };
+  /**
+   * Descarta la concesión vencida y lo anuncia; se llama en cada tick del servidor
+   */
+  expireControlLease(now = Date.now()) {
+    const expired = this.controlLock.expire(now);
+    if (expired) this.announceControl('expired', expired);
+  }
 
-    if (this.dataHistory.angles.length > 0) {
-      stats = this.calculateStatistics();
+  /**
+   * Rechaza el comando si el control exclusivo lo tiene otro cliente;
+   * emergencyStop se acepta siempre
+   * @param {Object} identity - { sessionId, token }
+   * @param {string|null} command - null para acciones REST que no son comandos
+   */
+  assertControl(identity, command = null) {
+    const now = Date.now();
+    this.expireControlLease(now);
+    this.controlLock.assert(identity, command, now);
+  }
+
+  /**
+   * Anuncia el cambio de dueño del control. Lo que quedó en curso (guion,
+   * barrido, autosintonía) manda comandos sin pasar por el control, así que
+   * se aborta: el nuevo dueño, o nadie, no debe heredarlo.
+   */
+  announceControl(reason, previous) {
+    const lease = this.controlLock.describe();
+    this.logger.info(`Control exclusivo (${reason}): ${lease ? lease.owner.id : 'libre'}${previous ? `, antes ${previous.owner.id}` : ''}`, 'CONTROL');
+    this.abortAutotune('Cambió el dueño del control');
+    this.abortFrequencySweep('Cambió el dueño del control');
+    this.emit('controlChanged', {
+      reason,
+      lease,
+      previous: previous ? this.controlLock.describe(previous) : null,
+      time: new Date().toISOString()
+    });
+  }
+
+  getDeadMan() {
+    return this.deadMan.getState();
+  }
+
+  async configureDeadMan(settings = {}) {
+    const validation = validateDeadManConfig(settings, this.safety.settings, config.websocket.heartbeatInterval);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
     }
 
-    return stats;
+    const updated = this.deadMan.configure(settings);
+    this.logger.info(`Dead-man ${updated.enabled ? 'activo' : 'desactivado'}: ${JSON.stringify(settings)}`, 'CONTROL');
+    return updated;
   }
 
-  async updateSimulation() {
-    if (!this.systemData.isRunning) {
-      return null;
+  /**
+   * Asigna la sesión de control al cliente que arrancó el sistema. Los
+   * heartbeats y el plazo se miden en tiempo de pared, también en modo
+   * determinista, porque los envía el cliente.
+   * @param {string} sessionId - Id del cliente WebSocket
+   */
+  setControllingSession(sessionId) {
+    this.deadMan.claim(sessionId, Date.now());
+    this.logger.info(`Sesión de control: ${sessionId}${this.deadMan.settings.enabled ? ` (dead-man de ${this.deadMan.settings.timeout} s)` : ''}`, 'CONTROL');
+  }
+
+  recordHeartbeat(sessionId) {
+    return this.deadMan.heartbeat(sessionId, Date.now());
+  }
+
+  /**
+   * Revisa el heartbeat de la sesión de control. Al vencer el plazo se lleva
+   * la referencia al ángulo seguro con una rampa y, cuando la rampa termina
+   * (o la interrumpe otro comando), se regula holdTime segundos más para que
+   * la planta llegue antes de detener el sistema.
+   */
+  async superviseControllingSession() {
+    if (this.deadMan.isTripped()) {
+      if (!this.trajectory.isActive() && this.deadMan.holdElapsed(Date.now())) {
+        await this.completeDeadMan(false);
+      }
+      return;
     }
 
-    const now = Date.now();
-    const deltaTime = (now - this.lastUpdateTime) / 1000; // segundos
-    this.lastUpdateTime = now;
+    const lapse = this.deadMan.check(Date.now());
+    if (lapse) await this.triggerDeadMan(lapse);
+  }
 
-    // Simular comportamiento del sistema
-    this.simulateSystemBehavior();
-    
-    // Calcular error
-    this.systemData.error = this.systemData.currentAngle - this.systemData.referenceAngle;
-    
-    // Aplicar control PID (simulado)
-    this.applyPIDControl(deltaTime);
-    
-    // Actualizar historial
-    this.updateHistory();
-    
-    // Calcular estadísticas
-    this.updateStatistics();
+  async triggerDeadMan(lapse) {
+    const { safeAngle, rampRate } = this.deadMan.settings;
+    const from = this.systemData.referenceAngle;
 
-    return {
-      currentAngle: this.systemData.currentAngle,
-      referenceAngle: this.systemData.referenceAngle,
-      error: this.systemData.error,
-      pidOutput: this.calculatePIDOutput(deltaTime),
-      stats: this.systemData.stats,
-      isRunning: this.systemData.isRunning,
-      isConnected: this.systemData.isConnected
-    };
+    this.logger.warn(`Dead-man: sin heartbeat de la sesión de control ${lapse.sessionId} durante ${lapse.silence.toFixed(1)} s. Rampa de ${from.toFixed(2)}° a ${safeAngle}° y parada`, 'CONTROL');
+    this.abortAutotune('Sesión de control perdida');
+    this.abortFrequencySweep('Sesión de control perdida');
+
+    let ramp = null;
+    try {
+      ramp = (await this.setTrajectory({ mode: 'ramp', target: safeAngle, rate: rampRate })).trajectory;
+    } catch (error) {
+      this.logger.error(`Dead-man: no se pudo iniciar la rampa (${error.message}); se detiene el lazo donde está`, 'CONTROL');
+    }
+
+    this.emit('deadManTriggered', {
+      ...lapse,
+      safeAngle,
+      rampRate,
+      from,
+      rampDuration: ramp ? ramp.duration : null
+    });
+
+    if (!ramp) await this.completeDeadMan(true);
   }
 
-  simulateSystemBehavior() {
-    // Simular dinámicas del sistema físico
-    const timeMs = Date.now();
-    
-    // Componente base: movimiento hacia el ángulo de referencia
-    const errorCorrection = this.systemData.error * -0.1;
-    
-    // Ruido aleatorio
-    const noise = (Math.random() - 0.5) * 2;
-    
-    // Oscilación natural del sistema
-    const naturalFreq = 0.001; // Hz
-    const oscillation = Math.sin(timeMs * naturalFreq * 2 * Math.PI) * 5;
-    
-    // Perturbación externa ocasional
-    const disturbance = Math.random() < 0.01 ? (Math.random() - 0.5) * 20 : 0;
-    
-    // Actualizar ángulo actual
-    this.systemData.currentAngle += errorCorrection + noise + oscillation * 0.1 + disturbance;
-    
-    // Limitar ángulo a rango válido
-    this.systemData.currentAngle = Math.max(-180, Math.min(180, this.systemData.currentAngle));
+  /**
+   * @param {boolean} halted - true si no hubo rampa y se cortó el mando
+   */
+  async completeDeadMan(halted) {
+    const { tripped } = this.deadMan;
+    if (halted) this.haltControl();
+    await this.stopSystem();
+
+    const angle = this.systemData.currentAngle;
+    this.logger.warn(`Dead-man: sistema detenido en ${angle.toFixed(2)}° (sesión ${tripped.sessionId})`, 'CONTROL');
+    this.emit('deadManCompleted', {
+      sessionId: tripped.sessionId,
+      safeAngle: this.deadMan.settings.safeAngle,
+      angle,
+      reference: this.systemData.referenceAngle,
+      halted,
+      time: new Date().toISOString()
+    });
   }
 
-  applyPIDControl(deltaTime) {
-    const error = this.systemData.error;
-    const { pid } = this.systemData;
-    
-    // Integral
-    pid.integral += error * deltaTime;
-    
-    // Limitar integral (anti-windup)
-    pid.integral = Math.max(-100, Math.min(100, pid.integral));
-    
-    // Derivativo
-    const derivative = deltaTime > 0 ? (error - pid.previousError) / deltaTime : 0;
-    
-    // Calcular salida PID
-    const pidOutput = (pid.kp * error) + (pid.ki * pid.integral) + (pid.kd * derivative);
-    
-    // Actualizar error previo
-    pid.previousError = error;
-    
-    return pidOutput;
+  /**
+   * Rechaza referencias fuera de los límites blandos del supervisor
+   * @param {string} subject - Qué se está comandando, para el mensaje
+   */
+  assertWithinSoftLimits(low, high, subject) {
+    if (!this.safety.withinSoftLimits(low, high)) {
+      const { min, max } = this.safety.settings.softLimits;
+      throw new Error(`${subject} sale de los límites blandos de seguridad (${min} a ${max})`);
+    }
   }
 
-  calculatePIDOutput(deltaTime) {
-    const error = this.systemData.error;
-    const { pid } = this.systemData;
-    
-    const proportional = pid.kp * error;
-    const integral = pid.ki * pid.integral;
-    const derivative = deltaTime > 0 ? pid.kd * (error - pid.previousError) / deltaTime : 0;
-    
+  async getPlant() {
     return {
-      proportional,
-      integral,
-      derivative,
-      total: proportional + integral + derivative
+      active: this.getPlantInfo(),
+      available: listPlants()
     };
   }
 
-  updateHistory() {
-    const now = Date.now();
-    
-    this.dataHistory.angles.push(this.systemData.currentAngle);
-    this.dataHistory.errors.push(this.systemData.error);
-    this.dataHistory.times.push(now);
-    
-    // Mantener límite de datos históricos
-    while (this.dataHistory.angles.length > this.dataHistory.maxPoints) {
-      this.dataHistory.angles.shift();
-      this.dataHistory.errors.shift();
-      this.dataHistory.times.shift();
+  async setPlant(type, params = {}) {
+    const previousType = this.plant.constructor.type;
+    const mergedParams = type === previousType
+      ? { ...this.plant.params, ...params }
+      : params;
+
+    // createPlant valida el tipo y los parámetros antes de tocar el lazo
+    const plant = createPlant(type, mergedParams);
+    const { min, max } = plant.constructor.limits.output;
+
+    this.abortFrequencySweep('Planta cambiada');
+    // Los modelos identificados traen el rango de mando con el que se midieron
+    const previousLimits = this.plant.getActuatorLimits();
+    const limits = plant.getActuatorLimits();
+    this.plant = plant;
+    this.systemData.plant = this.getPlantInfo();
+    if (type !== previousType || limits.min !== previousLimits.min || limits.max !== previousLimits.max) {
+      this.actuator.configure(this.getActuatorLimits());
     }
+
+    // La trayectoria en curso no sigue sobre el modelo nuevo
+    const reference = this.systemData.referenceAngle;
+    this.holdReference(reference < min || reference > max ? plant.constructor.defaultReference : reference);
+    this.stepMonitor.cancel();
+
+    this.resetPlantState();
+    this.resetController();
+    this.clearHistory();
+    this.disturbances.clear();
+    this.lastUpdateTime = this.clock.now();
+
+    this.logger.info(`Planta cambiada de ${previousType} a ${type}: ${JSON.stringify(this.plant.params)}`, 'CONTROL');
+    this.emit('plantChanged', this.systemData.plant);
+
+    return this.systemData.plant;
   }
 
-  updateStatistics() {
-    if (this.dataHistory.angles.length === 0) return;
-    
-    const angles = this.dataHistory.angles;
-    const errors = this.dataHistory.errors;
-    
-    // Estadísticas básicas
-    const sum = angles.reduce((a, b) => a + b, 0);
-    this.systemData.stats.avgAngle = sum / angles.length;
-    
-    const variance = angles.reduce((sq, n) => 
-      sq + Math.pow(n - this.systemData.stats.avgAngle, 2), 0
-    ) / angles.length;
-    this.systemData.stats.stdAngle = Math.sqrt(variance);
-    
-    this.systemData.stats.minAngle = Math.min(...angles);
-    this.systemData.stats.maxAngle = Math.max(...angles);
-    
-    // Estadísticas de error
-    const avgError = errors.reduce((a, b) => a + Math.abs(b), 0) / errors.length;
-    this.systemData.stats.avgError = avgError;
-    this.systemData.stats.maxError = Math.max(...errors.map(Math.abs));
-    
-    // Tiempo de funcionamiento
-    this.systemData.stats.uptime = Date.now() - this.startTime;
+  getPlantInfo() {
+    const { type, label, outputUnit, disturbanceUnit, limits } = describePlant(this.plant.constructor.type);
+    return {
+      type,
+      label,
+      outputUnit,
+      disturbanceUnit,
+      limits,
+      params: { ...this.plant.params }
+    };
   }
 
-  calculateStatistics() {
-    return this.updateStatistics();
+  getActuatorLimits() {
+    const { min, max } = this.plant.getActuatorLimits();
+    return { minOutput: min, maxOutput: max };
+  }
+
+  resetPlantState() {
+    this.plant.reset();
+    this.sensor.reset();
+    this.actuator.reset();
+    this.systemData.actuator = this.actuator.getState();
+    this.systemData.currentAngle = this.plant.getOutput();
+    this.systemData.trueAngle = this.plant.getOutput();
+    this.systemData.sensorDropout = false;
+    this.systemData.angularVelocity = 0;
+    this.systemData.error = 0;
+    this.systemData.controlOutput = 0;
+    this.systemData.feedback = 0;
+    this.feedforward.clear();
+    this.systemData.feedforward = this.feedforward.getOutput();
+    this.systemData.plantInput = 0;
+    this.systemData.disturbance = 0;
+    this.systemData.activeDisturbances = [];
+    this.systemData.plantState = this.plant.getState();
+  }
+
+  createClock() {
+    return this.simulation.mode === 'deterministic' ? new VirtualClock(0) : new SystemClock();
+  }
+
+  isDeterministic() {
+    return this.simulation.mode === 'deterministic';
+  }
+
+  shouldAutoStep() {
+    return !this.isDeterministic() || this.simulation.autoStep;
+  }
+
+  getSimulationInfo() {
+    return {
+      ...this.simulation,
+      virtualClock: Boolean(this.clock.virtual),
+      time: this.clock.now()
+    };
+  }
+
+  /**
+   * Cambia el modo de simulación, la semilla o el paso. Reinicia el lazo para
+   * que la misma semilla y el mismo guion de comandos den la misma trayectoria.
+   * @param {Object} simulationConfig - { mode, seed, timestep, autoStep }
+   * @returns {Object} Configuración resultante
+   */
+  async configureSimulation(simulationConfig = {}) {
+    const validation = validateSimulationConfig(simulationConfig);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const updates = {};
+    for (const key of ['mode', 'autoStep']) {
+      if (simulationConfig[key] !== undefined) updates[key] = simulationConfig[key];
+    }
+    for (const key of ['seed', 'timestep']) {
+      if (simulationConfig[key] !== undefined && simulationConfig[key] !== null) {
+        updates[key] = Number(simulationConfig[key]);
+      }
+    }
+
+    this.abortFrequencySweep('Simulación reconfigurada');
+    this.transition('simulationReconfigured', 'Simulación reconfigurada');
+    this.simulation = { ...this.simulation, ...updates };
+    this.clock = this.createClock();
+    this.random = new SeededRandom(this.simulation.seed ?? Date.now());
+    this.simulation.seed = this.random.seed;
+
+    this.holdReference(this.plant.constructor.defaultReference);
+    this.stepMonitor.cancel();
+    this.resetPlantState();
+    this.resetController();
+    this.clearHistory();
+    this.disturbances = new DisturbanceScheduler();
+    this.startTime = this.clock.now();
+    this.lastUpdateTime = this.clock.now();
+
+    this.logger.info(`Simulación configurada: ${JSON.stringify(this.simulation)}`, 'SIMULATION');
+    this.emit('simulationConfigured', this.getSimulationInfo());
+
+    return this.getSimulationInfo();
+  }
+
+  /**
+   * Avanza la simulación un número exacto de pasos. El estado de operación lo
+   * revisa executeCommand; llamado directamente, se detiene en cuanto el
+   * sistema deja de estar en marcha.
+   * @param {number} steps - Número de pasos a ejecutar
+   * @returns {Object} Pasos ejecutados y último estado
+   */
+  async stepSimulation(steps = 1) {
+    let data = null;
+    let executed = 0;
+    for (let i = 0; i < steps; i++) {
+      data = await this.updateSimulation();
+      if (!data) break;
+      executed++;
+    }
+
+    return {
+      stepsExecuted: executed,
+      time: this.clock.now(),
+      data
+    };
+  }
+
+  async getSensor() {
+    return this.sensor.getInfo();
+  }
+
+  /**
+   * Configura la etapa de medición (ruido, cuantización, retardo, deriva y pérdidas)
+   * @param {Object} params - Parámetros del sensor
+   * @returns {Object} Configuración resultante
+   */
+  async configureSensor(params = {}) {
+    const validation = validateSensorConfig(params);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const updates = {};
+    for (const [key, value] of Object.entries(params)) {
+      updates[key] = Number(value);
+    }
+
+    this.sensor.configure(updates);
+    this.logger.info(`Sensor configurado: ${JSON.stringify(this.sensor.params)}`, 'CONTROL');
+    this.emit('sensorConfigured', this.sensor.getInfo());
+
+    return this.sensor.getInfo();
+  }
+
+  async getActuator() {
+    return this.actuator.getInfo();
+  }
+
+  /**
+   * Configura el actuador (límites, pendiente, zona muerta y retardo del motor)
+   * @param {Object} params - Parámetros del actuador
+   * @returns {Object} Configuración resultante
+   */
+  async configureActuator(params = {}) {
+    const updates = {};
+    for (const [key, value] of Object.entries(params)) {
+      updates[key] = Number(value);
+    }
+
+    const validation = validateActuatorConfig({ ...this.actuator.params, ...updates });
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    this.actuator.configure(updates);
+    this.systemData.actuator = this.actuator.getState();
+    this.logger.info(`Actuador configurado: ${JSON.stringify(this.actuator.params)}`, 'CONTROL');
+    this.emit('actuatorConfigured', this.actuator.getInfo());
+
+    return this.actuator.getInfo();
+  }
+
+  async getDisturbances() {
+    return {
+      unit: this.plant.constructor.disturbanceUnit,
+      current: this.systemData.disturbance,
+      scheduled: this.disturbances.list(this.clock.now()),
+      types: DisturbanceScheduler.TYPES
+    };
+  }
+
+  /**
+   * Programa una perturbación sobre la planta activa
+   * @param {Object} definition - { type, amplitude, startTime, duration, ... }
+   * @returns {Object} Perturbación programada
+   */
+  async injectDisturbance(definition) {
+    const disturbance = this.disturbances.add(definition, this.clock.now());
+    const unit = this.plant.constructor.disturbanceUnit;
+
+    this.logger.info(`Perturbación ${disturbance.type} programada (${disturbance.id}): ${disturbance.amplitude} ${unit} en t+${disturbance.startTime}s`, 'CONTROL');
+    this.emit('disturbanceInjected', { ...disturbance, unit });
+
+    return { ...disturbance, unit };
+  }
+
+  async clearDisturbances(id = null) {
+    if (id) {
+      if (!this.disturbances.remove(id)) {
+        throw new Error(`Perturbación no encontrada: ${id}`);
+      }
+      this.logger.info(`Perturbación ${id} cancelada`, 'CONTROL');
+      this.emit('disturbancesCleared', { ids: [id] });
+      return { status: 'Perturbación cancelada', id };
+    }
+
+    const count = this.disturbances.clear();
+    this.logger.info(`${count} perturbaciones canceladas`, 'CONTROL');
+    this.emit('disturbancesCleared', { count });
+    return { status: 'Perturbaciones canceladas', count };
+  }
+
+  async updatePIDParameters(pidParams) {
+    const validParams = Object.keys(this.controllers.get('pid').constructor.limits.params);
+    const updates = {};
+
+    for (const [key, value] of Object.entries(pidParams)) {
+      if (validParams.includes(key)) {
+        updates[key] = value;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new Error('No se proporcionaron parámetros PID válidos');
+    }
+
+    const validation = validateControllerParams('pid', updates);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    // Con bumpless el PID reajusta su integral en lugar de reiniciarse
+    this.getControllerInstance('pid').configure(normalizeControllerParams('pid', updates));
+    this.refreshControllerInfo();
+    this.controllerOutput = this.controller.getOutput();
+    
+    this.logger.info(`Parámetros PID actualizados: ${JSON.stringify(updates)}`, 'CONTROL');
+    this.emit('pidUpdated', this.systemData.pid);
+    
+    return this.systemData.pid;
+  }
+
+  /**
+   * Devuelve la instancia de una ley de control, creándola si hace falta
+   * @param {string} type - Tipo de controlador
+   * @param {Object} params - Parámetros a aplicar (opcional)
+   * @returns {Object} Instancia del controlador
+   */
+  getControllerInstance(type, params) {
+    let instance = this.controllers.get(type);
+    if (!instance) {
+      instance = createController(type, params || {});
+      this.controllers.set(type, instance);
+    } else if (params && Object.keys(params).length > 0) {
+      instance.configure(normalizeControllerParams(type, params));
+    }
+    return instance;
+  }
+
+  getControllerInfo() {
+    const { type, label, params } = this.controller.getInfo();
+    return { type, label, params };
+  }
+
+  getPIDInfo() {
+    const pid = this.controllers.get('pid');
+    return { ...pid.params, ...pid.getState() };
+  }
+
+  refreshControllerInfo() {
+    this.systemData.controller = this.getControllerInfo();
+    this.systemData.pid = this.getPIDInfo();
+  }
+
+  async getController() {
+    return {
+      ...this.controller.getInfo(),
+      available: listControllers()
+    };
+  }
+
+  /**
+   * Selecciona la ley de control activa y/o ajusta sus parámetros
+   * @param {string} type - Tipo de controlador
+   * @param {Object} params - Parámetros del controlador
+   * @returns {Object} Controlador activo
+   */
+  async setController(type, params = {}) {
+    const validation = validateControllerParams(type, params);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const previousType = this.controller.constructor.type;
+    const instance = this.getControllerInstance(type, params);
+    if (previousType !== type) {
+      this.controller = instance;
+      this.resetController();
+    } else {
+      // Mismo tipo: configure() decide si conserva el estado (PID bumpless)
+      this.controllerOutput = this.controller.getOutput();
+      this.refreshControllerInfo();
+    }
+
+    const info = this.getControllerInfo();
+    if (previousType !== type) {
+      this.logger.info(`Controlador cambiado de ${previousType} a ${type}`, 'CONTROL');
+    }
+    this.logger.info(`Parámetros del controlador ${type}: ${JSON.stringify(info.params)}`, 'CONTROL');
+    this.emit('controllerUpdated', info);
+
+    return info;
+  }
+
+  /**
+   * Configuración que guarda un preset: la ley activa con todos sus
+   * parámetros y los límites del actuador
+   */
+  capturePresetSettings() {
+    const { minOutput, maxOutput, slewRate } = this.actuator.params;
+    return {
+      controller: { type: this.controller.constructor.type, params: { ...this.controller.params } },
+      actuator: { minOutput, maxOutput, slewRate }
+    };
+  }
+
+  /**
+   * Guarda un preset con la configuración indicada o, sin controller, con la vigente
+   * @param {Object} preset - { name, description, author, controller: { type, params }, actuator }
+   * @returns {Object} Preset guardado
+   */
+  async savePreset(preset) {
+    const validation = validatePreset(preset);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const { name, description, author } = preset;
+    const fromCurrent = preset.controller === undefined;
+    let settings;
+    if (fromCurrent) {
+      settings = this.capturePresetSettings();
+    } else {
+      // Se completan los parámetros por defecto para que aplicar el preset sea reproducible
+      const { type, params } = preset.controller;
+      const actuator = preset.actuator
+        ? Object.fromEntries(Object.entries(preset.actuator).map(([key, value]) => [key, Number(value)]))
+        : null;
+      settings = {
+        controller: { type, params: { ...describeController(type).defaultParams, ...normalizeControllerParams(type, params) } },
+        actuator
+      };
+    }
+
+    const saved = this.presets.save({ name, description, author, ...settings });
+    if (fromCurrent || (this.activePreset && this.activePreset.name === name)) {
+      this.activePreset = { name, loadedAt: new Date(this.clock.now()).toISOString() };
+    }
+
+    this.logger.info(`Preset ${name} guardado${fromCurrent ? ' desde la configuración vigente' : ''}: ${saved.controller.type} ${JSON.stringify(saved.controller.params)}`, 'CONTROL');
+    return saved;
+  }
+
+  /**
+   * Carga la ley de control y los límites de un preset
+   * @param {string} name - Nombre del preset
+   * @returns {Object} Controlador y actuador resultantes
+   */
+  async applyPreset(name) {
+    const preset = this.presets.get(name);
+    const previous = this.activePreset ? this.activePreset.name : null;
+
+    if (preset.actuator) {
+      await this.configureActuator(preset.actuator);
+    }
+    const controller = await this.setController(preset.controller.type, preset.controller.params);
+    this.activePreset = { name, loadedAt: new Date(this.clock.now()).toISOString() };
+
+    this.logger.info(`Preset ${name} aplicado${preset.author ? ` (autor: ${preset.author})` : ''}${previous ? `, reemplaza a ${previous}` : ''}`, 'CONTROL');
+    this.emit('presetApplied', { name, previous, controller: preset.controller, actuator: preset.actuator });
+
+    return { status: 'Preset aplicado', preset: this.getPresetStatus(), controller, actuator: this.actuator.getInfo() };
+  }
+
+  async deletePreset(name) {
+    if (!this.presets.remove(name)) return false;
+    if (this.activePreset && this.activePreset.name === name) {
+      this.activePreset = null;
+    }
+    this.logger.info(`Preset ${name} eliminado`, 'CONTROL');
+    return true;
+  }
+
+  /**
+   * Diferencias entre un preset y la configuración vigente
+   * @returns {Object[]} [{ field, preset, current }]
+   */
+  comparePreset(name) {
+    const preset = this.presets.get(name);
+    const current = this.capturePresetSettings();
+    const differences = [];
+
+    if (preset.controller.type !== current.controller.type) {
+      differences.push({ field: 'controller.type', preset: preset.controller.type, current: current.controller.type });
+      return differences;
+    }
+
+    const params = new Set([...Object.keys(preset.controller.params), ...Object.keys(current.controller.params)]);
+    params.forEach(param => {
+      const a = preset.controller.params[param];
+      const b = current.controller.params[param];
+      if (a !== b) differences.push({ field: `controller.params.${param}`, preset: a ?? null, current: b ?? null });
+    });
+
+    Object.entries(preset.actuator || {}).forEach(([param, value]) => {
+      if (value !== current.actuator[param]) {
+        differences.push({ field: `actuator.${param}`, preset: value, current: current.actuator[param] });
+      }
+    });
+
+    return differences;
+  }
+
+  /**
+   * Preset cargado y si la configuración cambió desde entonces
+   */
+  getPresetStatus() {
+    if (!this.activePreset) return null;
+    const { name, loadedAt } = this.activePreset;
+    return { name, loadedAt, modified: this.comparePreset(name).length > 0 };
+  }
+
+  /**
+   * Inicia un experimento de relé de Åström–Hägglund alrededor de la referencia actual
+   * @param {Object} options - { rule, phaseMargin, amplitude, hysteresis, cycles, tolerance, timeout }
+   * @returns {Object} Estado inicial de la autosintonía
+   */
+  async startAutotune(options = {}) {
+    if (!this.systemData.isRunning) {
+      throw new Error('El sistema debe estar en funcionamiento para autosintonizar');
+    }
+    if (this.autotune) {
+      throw new Error('Ya hay una autosintonía en curso');
+    }
+    if (this.trajectory.isActive()) {
+      throw new Error('No se puede autosintonizar con una trayectoria de referencia en curso');
+    }
+    if (this.sweep) {
+      throw new Error('No se puede autosintonizar durante un barrido en frecuencia');
+    }
+    this.stepMonitor.cancel();
+
+    const { minOutput, maxOutput } = this.actuator.params;
+
+    // El relé conmuta alrededor del mando medio reciente, que mantiene la planta cerca de la referencia
+    const recent = this.dataHistory.actuatorOutputs.slice(-10);
+    const bias = recent.length > 0
+      ? recent.reduce((a, b) => a + b, 0) / recent.length
+      : this.actuator.saturate(this.systemData.controlOutput);
+    const room = Math.min(bias - minOutput, maxOutput - bias);
+    const amplitude = Math.min(
+      options.amplitude !== undefined ? parseFloat(options.amplitude) : 0.1 * (maxOutput - minOutput),
+      room
+    );
+
+    if (!(amplitude > 0)) {
+      throw new Error('El mando actual está en el límite del actuador; no hay margen para el relé');
+    }
+
+    const tunerParams = { amplitude, bias };
+    ['hysteresis', 'cycles', 'tolerance', 'timeout'].forEach(key => {
+      if (options[key] !== undefined) tunerParams[key] = parseFloat(options[key]);
+    });
+
+    this.autotune = {
+      tuner: new RelayAutotuner(tunerParams),
+      rule: options.rule || 'zieglerNichols',
+      phaseMargin: options.phaseMargin !== undefined ? parseFloat(options.phaseMargin) : 45,
+      reference: this.systemData.referenceAngle,
+      startedAt: this.clock.now(),
+      reportedCycles: 0,
+      lastReport: this.clock.now()
+    };
+    this.pendingTuning = null;
+
+    const info = this.getAutotuneInfo();
+    this.logger.info(`Autosintonía iniciada (${this.autotune.rule}): relé ${bias.toFixed(2)} ± ${amplitude.toFixed(2)} alrededor de ${this.autotune.reference}°`, 'CONTROL');
+    this.emit('autotuneStarted', info);
+
+    return { status: 'Autosintonía iniciada', autotune: info };
+  }
+
+  /**
+   * Revisa el experimento tras cada ciclo del lazo y publica el progreso
+   */
+  updateAutotune() {
+    const { tuner } = this.autotune;
+    const state = tuner.getState();
+    const now = this.clock.now();
+
+    if (state.status === 'completed') {
+      this.finishAutotune(state.result);
+      return;
+    }
+
+    if (state.status === 'failed') {
+      this.abortAutotune(state.reason);
+      return;
+    }
+
+    if (state.cyclesMeasured !== this.autotune.reportedCycles || now - this.autotune.lastReport >= 1000) {
+      this.autotune.reportedCycles = state.cyclesMeasured;
+      this.autotune.lastReport = now;
+      this.emit('autotuneProgress', this.getAutotuneInfo());
+    }
+  }
+
+  finishAutotune(result) {
+    const { rule, phaseMargin } = this.autotune;
+    const tuning = computeTuning(rule, result.ultimateGain, result.ultimatePeriod, { phaseMargin });
+    const round = value => Math.round(value * 10000) / 10000;
+
+    this.pendingTuning = {
+      rule,
+      phaseMargin: rule === 'phaseMargin' ? phaseMargin : null,
+      ...result,
+      gains: { kp: round(tuning.kp), ki: round(tuning.ki), kd: round(tuning.kd) },
+      Ti: tuning.Ti,
+      Td: tuning.Td,
+      proposedAt: new Date(this.clock.now()).toISOString()
+    };
+
+    this.endAutotune();
+
+    this.logger.info(`Autosintonía completada: Ku=${result.ultimateGain.toFixed(3)}, Pu=${result.ultimatePeriod.toFixed(2)} s, propuesta ${JSON.stringify(this.pendingTuning.gains)}`, 'CONTROL');
+    this.emit('autotuneCompleted', this.pendingTuning);
+  }
+
+  /**
+   * Termina el experimento y devuelve el lazo a la ley activa partiendo del
+   * mando de equilibrio del relé, sin salto de mando
+   */
+  endAutotune() {
+    const { bias } = this.autotune.tuner.params;
+    this.autotune = null;
+    // La prealimentación vuelve a sumarse: la ley aporta sólo el resto del mando
+    const feedforward = this.feedforward.compute({
+      plant: this.plant,
+      reference: this.systemData.referenceAngle,
+      measurement: this.systemData.currentAngle,
+      disturbance: this.systemData.disturbance
+    });
+    this.controller.track(bias - feedforward, {
+      reference: this.systemData.referenceAngle,
+      measurement: this.systemData.currentAngle
+    });
+    this.controllerOutput = this.controller.getOutput();
+    this.refreshControllerInfo();
+  }
+
+  abortAutotune(reason) {
+    if (!this.autotune) return false;
+
+    this.endAutotune();
+    this.logger.warn(`Autosintonía abortada: ${reason}`, 'CONTROL');
+    this.emit('autotuneFailed', { reason });
+    return true;
+  }
+
+  async cancelAutotune() {
+    if (!this.abortAutotune('Cancelada por el operador')) {
+      throw new Error('No hay una autosintonía en curso');
+    }
+    return { status: 'Autosintonía cancelada' };
+  }
+
+  async applyAutotune() {
+    if (!this.pendingTuning) {
+      throw new Error('No hay ganancias propuestas pendientes de aprobación');
+    }
+
+    const { gains } = this.pendingTuning;
+    const validation = validateControllerParams('pid', gains);
+    if (!validation.valid) {
+      throw new Error(`Las ganancias propuestas están fuera de rango: ${validation.errors.join('; ')}`);
+    }
+
+    if (this.controller.constructor.type === 'pid') {
+      await this.updatePIDParameters(gains);
+    } else {
+      await this.setController('pid', gains);
+    }
+
+    this.logger.info(`Ganancias de autosintonía aprobadas: ${JSON.stringify(gains)}`, 'CONTROL');
+    this.pendingTuning = null;
+    this.emit('autotuneApplied', { gains });
+
+    return { status: 'Ganancias de autosintonía aplicadas', pid: this.systemData.pid };
+  }
+
+  async rejectAutotune() {
+    if (!this.pendingTuning) {
+      throw new Error('No hay ganancias propuestas pendientes de aprobación');
+    }
+
+    const { gains } = this.pendingTuning;
+    this.pendingTuning = null;
+    this.logger.info(`Ganancias de autosintonía descartadas: ${JSON.stringify(gains)}`, 'CONTROL');
+    this.emit('autotuneRejected', { gains });
+
+    return { status: 'Ganancias de autosintonía descartadas' };
+  }
+
+  getAutotuneInfo() {
+    return {
+      active: this.autotune !== null,
+      rule: this.autotune ? this.autotune.rule : null,
+      reference: this.autotune ? this.autotune.reference : null,
+      progress: this.autotune ? this.autotune.tuner.getState() : null,
+      pending: this.pendingTuning
+    };
+  }
+
+  getGainSchedule() {
+    return this.gainSchedule.describe();
+  }
+
+  /**
+   * Actualiza la tabla de ganancias (actualización parcial)
+   * @param {Object} schedule - { enabled, variable, interpolation, points }
+   * @returns {Object} Tabla vigente
+   */
+  async configureGainSchedule(schedule = {}) {
+    const validation = validateGainSchedule(schedule, this.gainSchedule.describe());
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const info = this.gainSchedule.configure(schedule);
+    if (!this.gainSchedule.isActive()) {
+      this.controllers.get('pid').setScheduledGains(null);
+    }
+
+    this.logger.info(`Planificación de ganancias ${info.enabled ? 'activa' : 'inactiva'}: ${info.points.length} puntos por ${info.variable} (${info.interpolation})`, 'CONTROL');
+    this.emit('gainScheduleUpdated', info);
+
+    return info;
+  }
+
+  async clearGainSchedule() {
+    return this.configureGainSchedule({ enabled: false, points: [] });
+  }
+
+  getTrajectory() {
+    return this.trajectory.describe();
+  }
+
+  /**
+   * Inicia una trayectoria de referencia desde la referencia instantánea actual
+   * @param {Object} definition - { mode, ... } (ver validateTrajectory)
+   * @returns {Object} Estado de la trayectoria
+   */
+  async setTrajectory(definition) {
+    const validation = validateTrajectory(definition);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    if (this.autotune) {
+      throw new Error('No se puede cambiar la referencia durante la autosintonía');
+    }
+    if (this.sweep) {
+      throw new Error('No se puede cambiar la referencia durante un barrido en frecuencia');
+    }
+
+    const start = this.systemData.referenceAngle;
+    const { min, max } = this.plant.constructor.limits.output;
+    const [low, high] = trajectoryBounds(definition, start);
+    if (low < min || high > max) {
+      throw new Error(`La trayectoria sale de los límites de la planta ${this.plant.constructor.type} (${min} a ${max})`);
+    }
+    this.assertWithinSoftLimits(low, high, 'La trayectoria');
+
+    const info = this.trajectory.start(definition, start);
+    this.systemData.referenceAngle = info.reference;
+    this.systemData.targetAngle = info.target;
+    this.beginStepResponse(info.mode, info.duration !== null);
+
+    this.logger.info(`Trayectoria ${info.mode} iniciada desde ${start.toFixed(2)}° hacia ${info.target}°${info.duration !== null ? ` en ${info.duration.toFixed(2)} s` : ''}`, 'CONTROL');
+    this.emit('trajectoryStarted', info);
+
+    return { status: 'Trayectoria iniciada', trajectory: info };
+  }
+
+  async cancelTrajectory() {
+    if (!this.trajectory.isActive()) {
+      throw new Error('No hay una trayectoria en curso');
+    }
+
+    const info = this.trajectory.describe();
+    this.holdReference(this.systemData.referenceAngle);
+    this.interruptStepResponse();
+
+    this.logger.info(`Trayectoria ${info.mode} cancelada en ${this.systemData.referenceAngle.toFixed(2)}°`, 'CONTROL');
+    this.emit('trajectoryCancelled', { ...info, active: false, heldAt: this.systemData.referenceAngle });
+
+    return { status: 'Trayectoria cancelada', reference: this.systemData.referenceAngle };
+  }
+
+  /**
+   * Reproduce un perfil guardado como trayectoria de referencia
+   * @param {Object} options - { name, loop, timeScale, interpolation }
+   * @returns {Object} Estado de la reproducción
+   */
+  async playProfile(options) {
+    if (this.autotune) {
+      throw new Error('No se puede cambiar la referencia durante la autosintonía');
+    }
+    if (this.sweep) {
+      throw new Error('No se puede cambiar la referencia durante un barrido en frecuencia');
+    }
+
+    const profile = this.profiles.get(options.name);
+    const definition = { ...options, mode: TrajectoryGenerator.PROFILE_MODE, points: profile.points };
+
+    const start = this.systemData.referenceAngle;
+    const { min, max } = this.plant.constructor.limits.output;
+    const [low, high] = trajectoryBounds(definition, start);
+    if (low < min || high > max) {
+      throw new Error(`El perfil ${profile.name} sale de los límites de la planta ${this.plant.constructor.type} (${min} a ${max})`);
+    }
+    this.assertWithinSoftLimits(low, high, `El perfil ${profile.name}`);
+
+    const info = this.trajectory.start(definition, start);
+    this.systemData.referenceAngle = info.reference;
+    this.systemData.targetAngle = info.target;
+    this.beginStepResponse(info.mode, info.duration !== null);
+
+    const { loop, timeScale, interpolation } = info.params;
+    this.logger.info(`Reproduciendo perfil ${profile.name} (${profile.points.length} puntos, escala ${timeScale}, ${interpolation}${loop ? ', en bucle' : ''})`, 'CONTROL');
+    this.emit('trajectoryStarted', info);
+
+    return { status: 'Perfil en reproducción', trajectory: info };
+  }
+
+  async stopProfile() {
+    if (!this.trajectory.isActive() || this.trajectory.describe().mode !== TrajectoryGenerator.PROFILE_MODE) {
+      throw new Error('No se está reproduciendo ningún perfil');
+    }
+    return this.cancelTrajectory();
+  }
+
+  /**
+   * Deja la referencia fija en un valor, que pasa a ser también el objetivo
+   */
+  holdReference(angle) {
+    this.trajectory.cancel();
+    this.systemData.referenceAngle = angle;
+    this.systemData.targetAngle = angle;
+  }
+
+  /**
+   * Avanza la trayectoria activa y actualiza la referencia instantánea
+   */
+  updateReference(deltaTime) {
+    if (!this.trajectory.isActive()) return;
+
+    this.systemData.referenceAngle = this.trajectory.advance(deltaTime);
+
+    if (!this.trajectory.isActive()) {
+      const info = this.trajectory.describe();
+      this.logger.info(`Trayectoria ${info.mode} completada en ${info.reference}°`, 'CONTROL');
+      this.emit('trajectoryCompleted', info);
+    }
+  }
+
+  /**
+   * Empieza a medir la respuesta al objetivo recién comandado; la respuesta
+   * anterior sin establecer se informa como interrumpida
+   * @param {string} kind - step o el modo de la trayectoria
+   * @param {boolean} measurable - false para trayectorias sin final (ondas, bucles)
+   */
+  beginStepResponse(kind, measurable = true) {
+    if (!measurable) {
+      this.interruptStepResponse();
+      return;
+    }
+
+    const interrupted = this.stepMonitor.begin({
+      target: this.systemData.targetAngle,
+      initialValue: this.systemData.currentAngle,
+      kind,
+      controller: this.getControllerInfo(),
+      startedAt: this.clock.now()
+    });
+    if (interrupted) this.reportStepResponse(interrupted);
+  }
+
+  interruptStepResponse() {
+    const interrupted = this.stepMonitor.finish('interrupted');
+    if (interrupted) this.reportStepResponse(interrupted);
+  }
+
+  updateStepResponse(deltaTime) {
+    const result = this.stepMonitor.record({
+      dt: deltaTime,
+      value: this.systemData.currentAngle,
+      reference: this.systemData.referenceAngle,
+      controlOutput: this.systemData.actuator.output,
+      referenceSettled: !this.trajectory.isActive()
+    });
+    if (result) this.reportStepResponse(result);
+  }
+
+  reportStepResponse(result) {
+    const format = value => (value === null ? '-' : value.toFixed(2));
+    this.logger.info(`Respuesta ${result.id} a ${result.reference}° (${result.status}): subida ${format(result.riseTime)} s, sobreimpulso ${format(result.overshoot)}%, establecimiento ${format(result.settlingTime)} s, error permanente ${format(result.steadyStateError)}°`, 'CONTROL');
+    this.emit('stepResponseCompleted', result);
+  }
+
+  /**
+   * Métricas de las últimas respuestas y del seguimiento en la ventana del historial
+   * @param {number} limit - Cantidad de respuestas
+   */
+  getMetrics(limit) {
+    const { times, references, angles, actuatorOutputs } = this.dataHistory;
+    const seconds = times.map(time => (time - times[0]) / 1000);
+    return {
+      settings: { ...this.stepMonitor.settings },
+      current: this.stepMonitor.describeCurrent(),
+      results: this.stepMonitor.getResults(limit),
+      tracking: {
+        window: seconds.length > 0 ? seconds[seconds.length - 1] : 0,
+        ...computeIntegralMetrics(seconds, angles.map((angle, i) => references[i] - angle), actuatorOutputs)
+      }
+    };
+  }
+
+  /**
+   * Ajusta banda de establecimiento, ventana y tiempo máximo de las respuestas
+   * @param {Object} settings - { settlingBand, settleWindow, timeout }
+   */
+  async configureMetrics(settings = {}) {
+    const validation = validateMetricsConfig(settings);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const updated = this.stepMonitor.configure(settings);
+    this.logger.info(`Métricas de respuesta: banda ${updated.settlingBand * 100}%, ventana ${updated.settleWindow} s, máximo ${updated.timeout} s`, 'CONTROL');
+    return updated;
+  }
+
+  clearMetrics() {
+    return this.stepMonitor.clear();
+  }
+
+  /**
+   * Periodo del lazo: el paso fijo en modo determinista o el de muestreo del servidor
+   */
+  getLoopPeriod() {
+    return this.isDeterministic()
+      ? this.simulation.timestep
+      : (config.system?.updateInterval || 100) / 1000;
+  }
+
+  /**
+   * Barrido senoidal sobre el lazo en marcha para obtener su respuesta en
+   * frecuencia. Corre en el mismo ciclo que el control en vivo, así que mide
+   * la planta, el sensor, el actuador y la ley activos.
+   * @param {Object} options - { mode, minFrequency, maxFrequency, points, amplitude, settleCycles, settleTime, measureCycles }
+   * @returns {Object} Experimento iniciado
+   */
+  async startFrequencySweep(options = {}) {
+    const validation = validateFrequencySweepOptions(options);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    if (!this.systemData.isRunning) {
+      throw new Error('El sistema debe estar en funcionamiento para el barrido en frecuencia');
+    }
+    if (this.sweep) {
+      throw new Error('Ya hay un barrido en frecuencia en curso');
+    }
+    if (this.autotune) {
+      throw new Error('No se puede barrer en frecuencia durante la autosintonía');
+    }
+    if (this.trajectory.isActive()) {
+      throw new Error('No se puede barrer en frecuencia con una trayectoria de referencia en curso');
+    }
+
+    const params = { ...FrequencySweep.DEFAULT_PARAMS, ...options };
+
+    // Al menos diez muestras por periodo en la frecuencia más alta
+    const period = this.getLoopPeriod();
+    const nyquist = 1 / (10 * period);
+    if (params.maxFrequency > nyquist) {
+      throw new Error(`maxFrequency no puede superar ${nyquist.toFixed(3)} Hz con un periodo de lazo de ${period} s`);
+    }
+
+    const base = this.systemData.referenceAngle;
+    if (params.mode === 'closed') {
+      const { min, max } = this.plant.constructor.limits.output;
+      if (base - params.amplitude < min || base + params.amplitude > max) {
+        throw new Error(`El barrido sale de los límites de la planta ${this.plant.constructor.type} (${min} a ${max})`);
+      }
+    } else {
+      const { minOutput, maxOutput } = this.actuator.params;
+      if (2 * params.amplitude >= maxOutput - minOutput) {
+        throw new Error(`La amplitud del barrido supera el rango del actuador (${minOutput} a ${maxOutput})`);
+      }
+    }
+
+    this.stepMonitor.cancel();
+
+    const sweep = new FrequencySweep(params);
+    const record = {
+      id: `sweep-${this.nextExperimentId++}`,
+      type: 'frequencySweep',
+      status: 'running',
+      params,
+      reference: base,
+      plant: this.plant.constructor.type,
+      controller: this.getControllerInfo(),
+      startedAt: new Date(this.clock.now()).toISOString(),
+      finishedAt: null,
+      elapsed: 0,
+      progress: sweep.getProgress(),
+      reason: null,
+      result: null
+    };
+    this.sweep = { sweep, record, base };
+    this.storeExperiment(record);
+
+    const { minFrequency, maxFrequency, points, amplitude } = params;
+    this.logger.info(`Barrido en frecuencia ${record.id} (${params.mode === 'closed' ? 'lazo cerrado' : 'lazo abierto'}) iniciado: ${points} puntos de ${minFrequency} a ${maxFrequency} Hz, amplitud ${amplitude} alrededor de ${base.toFixed(2)}°`, 'CONTROL');
+    this.emit('experimentStarted', summarizeExperiment(record));
+
+    return { status: 'Barrido en frecuencia iniciado', experiment: summarizeExperiment(record) };
+  }
+
+  /**
+   * Avanza la senoide del barrido; en lazo cerrado se suma a la referencia
+   * @returns {number} Excitación del ciclo (0 sin barrido)
+   */
+  exciteFrequencySweep(deltaTime) {
+    if (!this.sweep) return 0;
+
+    const { sweep, record, base } = this.sweep;
+    const excitation = sweep.next(deltaTime);
+    record.elapsed += deltaTime;
+    if (sweep.params.mode === 'closed') {
+      this.systemData.referenceAngle = base + excitation;
+    }
+    return excitation;
+  }
+
+  /**
+   * En lazo abierto inyecta la senoide en el mando y acumula las señales del ciclo
+   */
+  recordFrequencySweep(excitation) {
+    const { sweep, record } = this.sweep;
+    const control = this.systemData.controlOutput;
+    if (sweep.params.mode === 'open') {
+      this.systemData.controlOutput = control + excitation;
+    }
+
+    const point = sweep.record({
+      excitation,
+      output: this.systemData.currentAngle,
+      control,
+      input: this.systemData.controlOutput,
+      saturated: this.systemData.actuator.saturated
+    });
+    if (!point) return;
+
+    record.progress = sweep.getProgress();
+    this.emit('experimentProgress', { id: record.id, point, progress: record.progress });
+
+    if (sweep.status === 'completed') {
+      this.finishFrequencySweep();
+    }
+  }
+
+  finishFrequencySweep() {
+    const { sweep, record } = this.sweep;
+    record.result = sweep.getResult();
+    this.endFrequencySweep('completed');
+
+    const format = value => (value === null ? '-' : value.toFixed(2));
+    if (record.result.margins) {
+      const { phaseMargin, gainMarginDb, gainCrossover } = record.result.margins;
+      this.logger.info(`Barrido ${record.id} completado: margen de fase ${format(phaseMargin)}° en ${format(gainCrossover)} Hz, margen de ganancia ${format(gainMarginDb)} dB`, 'CONTROL');
+    } else {
+      const { bandwidth, resonantPeakDb } = record.result.closedLoop;
+      this.logger.info(`Barrido ${record.id} completado: ancho de banda ${format(bandwidth)} Hz, pico de resonancia ${format(resonantPeakDb)} dB`, 'CONTROL');
+    }
+    if (record.result.saturatedPoints > 0) {
+      this.logger.warn(`Barrido ${record.id}: el actuador saturó en ${record.result.saturatedPoints} frecuencias; esos puntos no son lineales`, 'CONTROL');
+    }
+
+    this.emit('experimentCompleted', summarizeExperiment(record));
+  }
+
+  /**
+   * Cierra el barrido y devuelve la referencia al valor previo
+   */
+  endFrequencySweep(status, reason = null) {
+    const { sweep, record, base } = this.sweep;
+    this.sweep = null;
+    if (sweep.params.mode === 'closed') {
+      this.systemData.referenceAngle = base;
+    }
+
+    record.status = status;
+    record.reason = reason;
+    record.progress = sweep.getProgress();
+    record.finishedAt = new Date(this.clock.now()).toISOString();
+  }
+
+  abortFrequencySweep(reason) {
+    if (!this.sweep) return false;
+
+    const { sweep, record } = this.sweep;
+    sweep.fail(reason);
+    // Los puntos ya medidos quedan disponibles
+    record.result = sweep.points.length > 0 ? sweep.getResult() : null;
+    this.endFrequencySweep('failed', reason);
+
+    this.logger.warn(`Barrido ${record.id} abortado: ${reason}`, 'CONTROL');
+    this.emit('experimentFailed', { id: record.id, reason });
+    return true;
+  }
+
+  async cancelExperiment() {
+    if (!this.abortFrequencySweep('Cancelado por el operador') &&
+        !this.experimentRunner.abort('Cancelado por el operador') &&
+        !this.cancelTuning('Cancelado por el operador')) {
+      throw new Error('No hay un experimento en curso');
+    }
+    return { status: 'Experimento cancelado' };
+  }
+
+  /**
+   * Guarda la definición de un experimento guionado para ejecutarlo después
+   * @param {Object} definition - { name, description, stopOnFailure, steps }
+   * @returns {Object} Experimento creado
+   */
+  async createExperiment(definition) {
+    const validation = validateExperimentDefinition(definition);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const { name, description = '', stopOnFailure = false, steps } = definition;
+    const record = {
+      id: `script-${this.nextExperimentId++}`,
+      type: 'script',
+      name,
+      status: 'ready',
+      definition: { name, description, stopOnFailure, steps },
+      createdAt: new Date(this.clock.now()).toISOString(),
+      runs: 0,
+      startedAt: null,
+      finishedAt: null,
+      elapsed: 0,
+      progress: { index: 0, total: steps.length, step: null },
+      reason: null,
+      passed: null,
+      assertions: { passed: 0, failed: 0 },
+      result: null
+    };
+    this.storeExperiment(record);
+
+    this.logger.info(`Experimento ${record.id} (${name}) creado con ${steps.length} pasos`, 'CONTROL');
+    return summarizeExperiment(record);
+  }
+
+  /**
+   * Ejecuta un experimento guionado en segundo plano
+   * @param {string} id - Id del experimento
+   * @returns {Object} Experimento en curso
+   */
+  async runExperiment(id) {
+    const record = this.getExperiment(id);
+    if (record.type !== 'script') {
+      throw new Error('Sólo se pueden ejecutar experimentos guionados; los barridos se lanzan con frequencySweep');
+    }
+    if (this.sweep) {
+      throw new Error('No se puede ejecutar un experimento durante un barrido en frecuencia');
+    }
+
+    return summarizeExperiment(this.experimentRunner.start(record));
+  }
+
+  /**
+   * Aborta un experimento en curso: guionado, barrido o búsqueda de ganancias
+   * @param {string} id - Id del experimento
+   */
+  async abortExperiment(id) {
+    const record = this.getExperiment(id);
+    let aborted;
+    if (this.sweep && this.sweep.record === record) {
+      aborted = this.abortFrequencySweep('Abortado por el operador');
+    } else if (this.tuning && this.tuning.record === record) {
+      aborted = this.cancelTuning('Abortado por el operador');
+    } else {
+      aborted = this.experimentRunner.getCurrentId() === id && this.experimentRunner.abort('Abortado por el operador');
+    }
+
+    if (!aborted) {
+      throw new Error(`El experimento ${id} no está en curso`);
+    }
+    return { status: 'Experimento abortado', id };
+  }
+
+  getRunningExperiment() {
+    if (this.sweep) return summarizeExperiment(this.sweep.record);
+    const id = this.experimentRunner.getCurrentId();
+    if (id) return summarizeExperiment(this.experiments.get(id));
+    return this.tuning ? summarizeExperiment(this.tuning.record) : null;
+  }
+
+  /**
+   * Busca ganancias PID en segundo plano sobre el simulador offline. Por
+   * defecto simula la planta, el sensor y el actuador vigentes y parte de las
+   * ganancias PID actuales; no toca el lazo en vivo.
+   * @param {Object} request - { setpoint, duration, timestep, seed, plant, sensor, actuator, disturbances, settlingBand, bounds, cost, grid, maxIterations, tolerance, candidates }
+   * @returns {Object} Experimento iniciado
+   */
+  async startTuning(request) {
+    const validation = validateTuneRequest(request);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+    if (this.tuning) {
+      throw new Error(`Ya hay una búsqueda de ganancias en curso: ${this.tuning.record.id}`);
+    }
+
+    const pid = this.controllers.get('pid');
+    const { bounds, cost, grid, maxIterations, tolerance, candidates, ...simulation } = request;
+    const params = {
+      ...TuningJob.DEFAULT_OPTIONS,
+      ...simulation,
+      plant: simulation.plant ?? { type: this.plant.constructor.type, params: { ...this.plant.params } },
+      sensor: simulation.sensor ?? { ...this.sensor.params },
+      actuator: simulation.actuator ?? { ...this.actuator.params },
+      bounds: { ...TuningJob.DEFAULT_OPTIONS.bounds, ...bounds },
+      cost: { ...TuningJob.DEFAULT_OPTIONS.cost, ...cost },
+      ...Object.fromEntries(Object.entries({ grid, maxIterations, tolerance, candidates }).filter(([, value]) => value !== undefined)),
+      controller: { type: 'pid', params: { ...pid.params } }
+    };
+
+    const record = {
+      id: `tune-${this.nextExperimentId++}`,
+      type: 'tune',
+      status: 'running',
+      params,
+      plant: typeof params.plant === 'string' ? params.plant : params.plant.type,
+      startedAt: new Date(this.clock.now()).toISOString(),
+      finishedAt: null,
+      elapsed: 0,
+      progress: null,
+      reason: null,
+      result: null
+    };
+
+    // El avance se publica como mucho cada TUNING_PROGRESS_INTERVAL
+    const wallStart = Date.now();
+    let lastProgress = 0;
+    const job = new TuningJob(params, progress => {
+      record.progress = progress;
+      record.elapsed = (Date.now() - wallStart) / 1000;
+      if (Date.now() - lastProgress >= TUNING_PROGRESS_INTERVAL) {
+        lastProgress = Date.now();
+        this.emit('experimentProgress', { id: record.id, progress });
+      }
+    });
+    record.progress = job.getProgress();
+    this.tuning = { job, record };
+    this.storeExperiment(record);
+
+    const gridPoints = Math.pow(params.grid, TuningJob.GAINS.length);
+    this.logger.info(`Búsqueda de ganancias ${record.id} iniciada: grilla de ${gridPoints} puntos y hasta ${params.maxIterations} iteraciones de Nelder–Mead sobre ${record.plant}`, 'CONTROL');
+    this.emit('experimentStarted', summarizeExperiment(record));
+
+    job.run()
+      .then(result => this.finishTuning(result, wallStart))
+      .catch(error => this.finishTuning(null, wallStart, error.message));
+
+    return { status: 'Búsqueda de ganancias iniciada', experiment: summarizeExperiment(record) };
+  }
+
+  /**
+   * Pide detener la búsqueda; la evaluación en curso termina y se conservan
+   * los candidatos ya simulados
+   * @returns {boolean} false si no había búsqueda en curso
+   */
+  cancelTuning(reason) {
+    if (!this.tuning || this.tuning.job.cancelled) return false;
+    this.tuning.reason = reason;
+    this.tuning.job.cancel();
+    return true;
+  }
+
+  finishTuning(result, wallStart, error = null) {
+    const { job, record, reason } = this.tuning;
+    this.tuning = null;
+
+    record.result = result;
+    record.progress = job.getProgress();
+    record.elapsed = (Date.now() - wallStart) / 1000;
+    record.finishedAt = new Date(this.clock.now()).toISOString();
+
+    if (error || job.cancelled) {
+      // Cancelada queda como aborted, igual que los guiones; result conserva lo evaluado
+      record.status = error ? 'failed' : 'aborted';
+      record.reason = error || reason;
+      this.logger.warn(`Búsqueda de ganancias ${record.id} ${error ? 'fallida' : 'cancelada'}: ${record.reason}`, 'CONTROL');
+      this.emit('experimentFailed', { id: record.id, status: record.status, reason: record.reason });
+      return;
+    }
+
+    record.status = 'completed';
+    const { gains, cost } = result.best;
+    this.logger.info(`Búsqueda de ganancias ${record.id} completada en ${record.elapsed.toFixed(1)} s (${result.evaluations} evaluaciones): Kp=${gains.kp.toFixed(3)}, Ki=${gains.ki.toFixed(3)}, Kd=${gains.kd.toFixed(3)}, costo ${cost.toFixed(3)} (actual ${result.baseline.cost.toFixed(3)})`, 'CONTROL');
+    this.emit('experimentCompleted', summarizeExperiment(record));
+  }
+
+  /**
+   * Ajusta un modelo lineal a datos medidos y opcionalmente lo carga como planta
+   * @param {Object} request - { model, runId | from, to, sampleTime, maxDeadTime, order, apply }
+   * @returns {Object} Parámetros, ajuste, residuos y planta cargable
+   */
+  async identifyPlant(request) {
+    const validation = validateIdentifyRequest(request);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const { model, runId, from, to, sampleTime, maxDeadTime, order, apply = false } = request;
+    let source;
+    let data;
+    let inputLimits;
+
+    if (runId) {
+      const run = this.runs.get(runId);
+      const { time, actuatorOutput, angle } = run.signals;
+      const { minOutput, maxOutput } = run.settings.actuator.params;
+      source = { runId, plant: run.settings.plant.type };
+      data = alignSignals(time, actuatorOutput, angle);
+      inputLimits = { min: minOutput, max: maxOutput };
+    } else {
+      const { times, inputs, outputs } = this.identificationHistory;
+      const start = from ? new Date(from).getTime() : -Infinity;
+      const end = to ? new Date(to).getTime() : Infinity;
+      const indexes = times.map((time, i) => i).filter(i => times[i] >= start && times[i] <= end);
+      const pick = series => indexes.map(i => series[i]);
+      source = {
+        history: true,
+        from: indexes.length > 0 ? new Date(times[indexes[0]]).toISOString() : null,
+        to: indexes.length > 0 ? new Date(times[indexes[indexes.length - 1]]).toISOString() : null,
+        plant: this.plant.constructor.type
+      };
+      data = alignSignals(pick(times).map(time => time / 1000), pick(inputs), pick(outputs));
+      inputLimits = { min: this.actuator.params.minOutput, max: this.actuator.params.maxOutput };
+    }
+
+    const result = identifyModel(model, data, { sampleTime, maxDeadTime, order, inputLimits });
+
+    // El modelo puede quedar fuera de los rangos admitidos por la planta
+    const plantCheck = validatePlantParams(result.plant.type, result.plant.params);
+    result.loadable = plantCheck.valid;
+    result.loadErrors = plantCheck.errors;
+
+    this.logger.info(`Identificación ${model} sobre ${runId || 'el historial'} (${result.samples} muestras, Ts=${result.sampleTime.toFixed(3)} s): ajuste ${result.fit.toFixed(1)}%, parámetros ${JSON.stringify(result.plant.params)}`, 'CONTROL');
+
+    if (apply) {
+      if (!result.loadable) {
+        throw new Error(`El modelo identificado no se puede cargar como planta: ${plantCheck.errors.join('; ')}`);
+      }
+      await this.setPlant(result.plant.type, result.plant.params);
+    }
+
+    return { source, applied: apply, ...result };
+  }
+
+  storeExperiment(record) {
+    this.experiments.set(record.id, record);
+    // Se descartan los más antiguos, salvo los que están en curso
+    for (const [id, stored] of this.experiments) {
+      if (this.experiments.size <= MAX_EXPERIMENTS) break;
+      if (stored.status !== 'running') this.experiments.delete(id);
+    }
+  }
+
+  listExperiments() {
+    return Array.from(this.experiments.values()).map(summarizeExperiment);
+  }
+
+  getExperiment(id) {
+    const record = this.experiments.get(id);
+    if (!record) {
+      throw new Error(`Experimento no encontrado: ${id}`);
+    }
+    return record;
+  }
+
+  getFeedforward() {
+    return this.feedforward.describe();
+  }
+
+  /**
+   * Activa o ajusta los términos de prealimentación (actualización parcial)
+   * @param {Object} feedforward - { gravity, setpoint, disturbance }
+   * @returns {Object} Configuración vigente
+   */
+  async configureFeedforward(feedforward = {}) {
+    const validation = validateFeedforwardConfig(feedforward);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const info = this.feedforward.configure(feedforward);
+    const enabled = Feedforward.TERMS.filter(term => info[term].enabled);
+
+    this.logger.info(`Prealimentación actualizada: ${enabled.length > 0 ? enabled.join(', ') : 'sin términos activos'}`, 'CONTROL');
+    this.emit('feedforwardUpdated', info);
+
+    return info;
+  }
+
+  /**
+   * Impone al PID las ganancias de la tabla para la región de operación actual
+   */
+  applyGainSchedule() {
+    const pid = this.controllers.get('pid');
+    if (this.controller !== pid || !this.gainSchedule.isActive()) return;
+
+    const value = this.gainSchedule.variable === 'setpoint'
+      ? this.systemData.referenceAngle
+      : this.systemData.currentAngle;
+    pid.setScheduledGains(this.gainSchedule.lookup(value));
+  }
+
+  /**
+   * Ganancias con las que trabaja el PID en este ciclo (null si no es la ley activa)
+   */
+  getActiveGains() {
+    const pid = this.controllers.get('pid');
+    return this.controller === pid ? pid.getActiveGains() : null;
+  }
+
+  async getSystemStats() {
+    const uptime = this.clock.now() - this.startTime;
+    const dataPoints = this.dataHistory.angles.length;
+    
+    let stats = {
+      ...this.systemData.stats,
+      uptime,
+      dataPoints,
+      averageUpdateRate: dataPoints > 0 ? dataPoints / (uptime / 1000) : 0
+    };
+
+    if (this.dataHistory.angles.length > 0) {
+      stats = this.calculateStatistics();
+    }
+
+    return stats;
+  }
+
+  async updateSimulation() {
+    if (!this.systemData.isRunning) {
+      return null;
+    }
+
+    const stepStart = this.lastUpdateTime;
+    let deltaTime;
+    if (this.isDeterministic()) {
+      // Paso fijo: el reloj virtual avanza exactamente un timestep por llamada
+      deltaTime = this.simulation.timestep;
+      this.clock.advance(deltaTime * 1000);
+      this.lastUpdateTime = this.clock.now();
+    } else {
+      const now = this.clock.now();
+      deltaTime = (now - this.lastUpdateTime) / 1000; // segundos
+      this.lastUpdateTime = now;
+    }
+
+    // Perturbaciones programadas que actúan durante este intervalo
+    const { value, active } = this.disturbances.evaluate(stepStart, deltaTime, this.random);
+    this.systemData.disturbance = value;
+    this.systemData.activeDisturbances = active;
+
+    // Integrar la planta con la acción de control del ciclo anterior
+    this.simulateSystemBehavior(deltaTime, value);
+
+    // Una falla detiene el lazo con el actuador en cero antes de calcular el mando
+    const fault = this.superviseSafety(deltaTime);
+
+    // Sin heartbeat del cliente que controla: rampa al ángulo seguro y parada
+    if (!fault) await this.superviseControllingSession();
+    
+    // Referencia instantánea del generador de trayectorias
+    this.updateReference(deltaTime);
+
+    // Senoide del barrido en frecuencia sobre la referencia o el mando
+    const excitation = this.exciteFrequencySweep(deltaTime);
+
+    // Calcular error
+    this.systemData.error = this.systemData.currentAngle - this.systemData.referenceAngle;
+    
+    // Ley de control activa sobre referencia y medición; la falla puede
+    // haberla disparado el watchdog mientras este ciclo estaba detenido
+    this.systemData.controlOutput = this.safety.isFaulted() ? 0 : this.applyControl(deltaTime);
+    if (this.sweep) {
+      this.recordFrequencySweep(excitation);
+    }
+    
+    // Actualizar historial
+    this.updateHistory();
+
+    // Métricas de la respuesta al último cambio de objetivo
+    this.updateStepResponse(deltaTime);
+    
+    // Calcular estadísticas
+    this.updateStatistics();
+    this.lastCycleAt = Date.now();
+
+    return {
+      currentAngle: this.systemData.currentAngle,
+      trueAngle: this.systemData.trueAngle,
+      sensorDropout: this.systemData.sensorDropout,
+      referenceAngle: this.systemData.referenceAngle,
+      targetAngle: this.systemData.targetAngle,
+      trajectory: this.trajectory.isActive() ? this.trajectory.describe() : null,
+      error: this.systemData.error,
+      angularVelocity: this.systemData.angularVelocity,
+      controlOutput: this.systemData.controlOutput,
+      feedback: this.systemData.feedback,
+      feedforward: this.systemData.feedforward,
+      actuator: this.systemData.actuator,
+      saturated: this.systemData.actuator.saturated,
+      plantInput: this.systemData.plantInput,
+      disturbance: this.systemData.disturbance,
+      activeDisturbances: this.systemData.activeDisturbances,
+      plantState: this.systemData.plantState,
+      plant: this.systemData.plant.type,
+      controllerOutput: { type: this.controller.constructor.type, ...this.controllerOutput },
+      activeGains: this.getActiveGains(),
+      preset: this.getPresetStatus(),
+      safety: this.safety.getState(),
+      stats: this.systemData.stats,
+      state: this.systemData.state,
+      isRunning: this.systemData.isRunning,
+      isConnected: this.systemData.isConnected
+    };
+  }
+
+  simulateSystemBehavior(deltaTime, disturbance = 0) {
+    // El motor entrega el mando con saturación, pendiente, zona muerta y retardo
+    const actuatorOutput = this.actuator.apply(this.systemData.controlOutput, deltaTime);
+    this.systemData.actuator = this.actuator.getState();
+
+    // Dinámica del modelo activo integrada con RK4 de paso fijo
+    this.systemData.trueAngle = this.plant.step(actuatorOutput, deltaTime, disturbance);
+    this.systemData.angularVelocity = this.plant.getOutputRate();
+    this.systemData.plantInput = this.plant.input;
+    this.systemData.plantState = this.plant.getState();
+
+    // El controlador sólo ve la medición del sensor
+    const measurement = this.sensor.measure(this.systemData.trueAngle, deltaTime, this.random);
+    this.systemData.currentAngle = measurement.value;
+    this.systemData.sensorDropout = measurement.dropout;
+  }
+
+  applyControl(deltaTime) {
+    if (!this.autotune) {
+      this.applyGainSchedule();
+    }
+
+    // Prealimentación primero: la ley de control ve los límites que le quedan,
+    // así el anti-windup responde a la saturación del mando total. El relé de
+    // la autosintonía ya parte del mando vigente, por eso no se suma.
+    const feedforward = this.autotune
+      ? this.feedforward.clear()
+      : this.feedforward.compute({
+        plant: this.plant,
+        reference: this.systemData.referenceAngle,
+        measurement: this.systemData.currentAngle,
+        disturbance: this.systemData.disturbance
+      });
+
+    // Durante la autosintonía el relé sustituye a la ley activa
+    const active = this.autotune ? this.autotune.tuner : this.controller;
+    const feedback = active.compute({
+      reference: this.systemData.referenceAngle,
+      measurement: this.systemData.currentAngle,
+      dt: deltaTime,
+      limits: {
+        min: this.actuator.params.minOutput - feedforward,
+        max: this.actuator.params.maxOutput - feedforward
+      }
+    });
+
+    this.controllerOutput = active.getOutput();
+    this.systemData.feedback = feedback;
+    this.systemData.feedforward = this.feedforward.getOutput();
+    this.refreshControllerInfo();
+
+    if (this.autotune) {
+      this.updateAutotune();
+    }
+
+    return feedback + feedforward;
+  }
+
+  updateHistory() {
+    const now = this.clock.now();
+    
+    this.dataHistory.angles.push(this.systemData.currentAngle);
+    this.dataHistory.trueAngles.push(this.systemData.trueAngle);
+    this.dataHistory.references.push(this.systemData.referenceAngle);
+    this.dataHistory.errors.push(this.systemData.error);
+    this.dataHistory.times.push(now);
+    this.dataHistory.controlOutputs.push(this.systemData.controlOutput);
+    this.dataHistory.actuatorOutputs.push(this.systemData.actuator.output);
+    this.dataHistory.disturbances.push(this.systemData.disturbance);
+    this.dataHistory.activeDisturbances.push(this.systemData.activeDisturbances);
+    this.dataHistory.feedbackOutputs.push(this.systemData.feedback);
+    this.dataHistory.feedforwardOutputs.push(this.systemData.feedforward.total);
+    
+    // Mantener límite de datos históricos
+    while (this.dataHistory.angles.length > this.dataHistory.maxPoints) {
+      HISTORY_SERIES.forEach(key => this.dataHistory[key].shift());
+    }
+
+    const identification = this.identificationHistory;
+    identification.times.push(now);
+    identification.inputs.push(this.systemData.actuator.output);
+    identification.outputs.push(this.systemData.currentAngle);
+    if (identification.times.length > identification.maxPoints) {
+      identification.times.shift();
+      identification.inputs.shift();
+      identification.outputs.shift();
+    }
+  }
+
+  updateStatistics() {
+    if (this.dataHistory.angles.length === 0) return;
+    
+    const angles = this.dataHistory.angles;
+    const errors = this.dataHistory.errors;
+    
+    // Estadísticas básicas
+    const sum = angles.reduce((a, b) => a + b, 0);
+    this.systemData.stats.avgAngle = sum / angles.length;
+    
+    const variance = angles.reduce((sq, n) => 
+      sq + Math.pow(n - this.systemData.stats.avgAngle, 2), 0
+    ) / angles.length;
+    this.systemData.stats.stdAngle = Math.sqrt(variance);
+    
+    this.systemData.stats.minAngle = Math.min(...angles);
+    this.systemData.stats.maxAngle = Math.max(...angles);
+    
+    // Estadísticas de error
+    const avgError = errors.reduce((a, b) => a + Math.abs(b), 0) / errors.length;
+    this.systemData.stats.avgError = avgError;
+    this.systemData.stats.maxError = Math.max(...errors.map(Math.abs));
+    
+    // Tiempo de funcionamiento
+    this.systemData.stats.uptime = this.clock.now() - this.startTime;
+  }
+
+  calculateStatistics() {
+    return this.updateStatistics();
+  }
+
+  /**
+   * Corta el mando: actuador en cero, ley reiniciada y referencia fija donde
+   * estaba. El lazo se detiene con la transición de estado que lo acompaña.
+   */
+  haltControl() {
+    this.systemData.controlOutput = 0;
+    this.systemData.feedback = 0;
+    this.feedforward.clear();
+    this.systemData.feedforward = this.feedforward.getOutput();
+    this.actuator.reset();
+    this.systemData.actuator = this.actuator.getState();
+    this.resetController();
+    this.holdReference(this.systemData.referenceAngle);
+    this.stepMonitor.cancel();
   }
 
-  resetPIDController() {
-    this.systemData.pid.integral = 0;
-    this.systemData.pid.previousError = 0;
+  resetController() {
+    this.abortAutotune('Lazo reiniciado');
+    this.abortFrequencySweep('Lazo reiniciado');
+    this.controller.reset();
+    this.controllerOutput = this.controller.getOutput();
+    this.refreshControllerInfo();
   }
 
   clearHistory() {
-    this.dataHistory.angles = [];
-    this.dataHistory.errors = [];
-    this.dataHistory.times = [];
+    HISTORY_SERIES.forEach(key => {
+      this.dataHistory[key] = [];
+    });
+    this.identificationHistory.times = [];
+    this.identificationHistory.inputs = [];
+    this.identificationHistory.outputs = [];
   }
 }
 
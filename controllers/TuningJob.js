@@ -0,0 +1,240 @@
+// controllers/TuningJob.js
+const { nelderMead, paretoFront } = require('../utils/optimization');
+
+const GAINS = ['kp', 'ki', 'kd'];
+
+const DEFAULT_OPTIONS = {
+  bounds: { kp: [0, 10], ki: [0, 1], kd: [0, 1] },
+  cost: { itae: 1, overshoot: 10, effort: 0 }, // pesos del costo
+  grid: 3,            // puntos por ganancia de la grilla inicial
+  maxIterations: 40,  // iteraciones de Nelder–Mead
+  tolerance: 1e-3,    // dispersión relativa del costo para dar por convergido
+  candidates: 5,      // candidatos del frente de Pareto que se devuelven
+  timestep: 0.01,
+  seed: 1
+};
+
+// Puntos de cada respuesta simulada que se devuelven por candidato
+const RESPONSE_POINTS = 200;
+
+// Distancia mínima entre candidatos devueltos, como fracción del rango de cada
+// ganancia; sin ella el frente repite los vértices del simplex ya convergido
+const MIN_CANDIDATE_DISTANCE = 0.05;
+
+/**
+ * Submuestrea las señales de una corrida offline para devolverlas con el candidato
+ */
+function compactResponse(trajectory) {
+  const stride = Math.max(1, Math.ceil(trajectory.time.length / RESPONSE_POINTS));
+  const pick = series => series.filter((_, i) => i % stride === 0);
+  return {
+    time: pick(trajectory.time),
+    angle: pick(trajectory.trueAngle),
+    setpoint: pick(trajectory.setpoint),
+    actuatorOutput: pick(trajectory.actuatorOutput)
+  };
+}
+
+/**
+ * Búsqueda de ganancias PID sobre el simulador offline: una grilla gruesa
+ * elige el punto de partida y Nelder–Mead refina en coordenadas normalizadas
+ * por el rango de cada ganancia. El costo combina el ITAE de cada escalón
+ * del perfil, una penalización por el mayor sobreimpulso (%) y un peso sobre
+ * el esfuerzo de control. Todas las evaluaciones usan la misma semilla, así
+ * que el costo es determinista.
+ */
+class TuningJob {
+  /**
+   * @param {Object} request - Simulación base ({ plant, sensor, actuator, disturbances, setpoint, duration, timestep, seed, controller }) y opciones de búsqueda
+   * @param {Function} onProgress - Recibe el avance tras cada evaluación
+   */
+  constructor(request, onProgress = () => {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...request,
+      bounds: { ...DEFAULT_OPTIONS.bounds, ...request.bounds },
+      cost: { ...DEFAULT_OPTIONS.cost, ...request.cost }
+    };
+    this.onProgress = onProgress;
+    this.cancelled = false;
+    this.evaluations = new Map();
+    this.phase = 'grid';
+    this.iteration = 0;
+    this.best = null;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  getProgress() {
+    const { grid, maxIterations } = this.options;
+    return {
+      phase: this.phase,
+      evaluations: this.evaluations.size,
+      gridPoints: Math.pow(grid, GAINS.length),
+      iteration: this.iteration,
+      maxIterations,
+      best: this.best ? { gains: this.best.gains, cost: this.best.cost } : null
+    };
+  }
+
+  /**
+   * Corrida offline con unas ganancias sobre la simulación base
+   * @param {Object} gains - { kp, ki, kd }
+   */
+  simulate(gains) {
+    // Se carga al usar: OfflineSimulator depende de SystemController
+    const { runOfflineSimulation } = require('./OfflineSimulator');
+    const { controller } = this.options;
+
+    return runOfflineSimulation({
+      plant: this.options.plant,
+      sensor: this.options.sensor,
+      actuator: this.options.actuator,
+      disturbances: this.options.disturbances,
+      setpoint: this.options.setpoint,
+      duration: this.options.duration,
+      timestep: this.options.timestep,
+      seed: this.options.seed,
+      settlingBand: this.options.settlingBand,
+      controller: { type: 'pid', params: { ...controller.params, ...gains } }
+    });
+  }
+
+  /**
+   * Simula unas ganancias y calcula su costo; las repetidas se toman de la
+   * caché. Sólo se guardan las métricas: la respuesta de los candidatos que
+   * se devuelven se agrega en buildResult.
+   * @param {number[]} gains - [kp, ki, kd]
+   */
+  async evaluate(gains) {
+    const key = gains.map(value => value.toPrecision(6)).join(',');
+    if (this.evaluations.has(key)) return this.evaluations.get(key);
+
+    const { cost: weights } = this.options;
+    const run = await this.simulate(Object.fromEntries(GAINS.map((gain, i) => [gain, gains[i]])));
+
+    const { steps, summary } = run.metrics;
+    const itae = steps.reduce((sum, step) => sum + step.itae, 0);
+    const overshoot = steps.reduce((max, step) => Math.max(max, step.overshoot), 0);
+    const effort = summary.controlEffort;
+    const settled = steps.every(step => step.settlingTime !== null);
+    const value = weights.itae * itae + weights.overshoot * overshoot + weights.effort * effort;
+
+    const candidate = {
+      gains: Object.fromEntries(GAINS.map((gain, i) => [gain, gains[i]])),
+      cost: Number.isFinite(value) ? value : Infinity,
+      itae,
+      overshoot,
+      effort,
+      settlingTime: settled ? Math.max(...steps.map(step => step.settlingTime)) : null,
+      steadyStateError: steps.reduce((max, step) => Math.max(max, Math.abs(step.steadyStateError ?? Infinity)), 0)
+    };
+
+    this.evaluations.set(key, candidate);
+    if (!this.best || candidate.cost < this.best.cost) this.best = candidate;
+    this.onProgress(this.getProgress());
+
+    // La simulación offline cede el event loop cada 1000 pasos, así que una
+    // corrida más corta no lo cede nunca: se cede también entre evaluaciones
+    // para que el lazo en vivo y las peticiones sigan atendiéndose
+    await new Promise(resolve => setImmediate(resolve));
+    return candidate;
+  }
+
+  async run() {
+    const { bounds, grid, maxIterations, tolerance, candidates, controller } = this.options;
+    const lower = GAINS.map(gain => bounds[gain][0]);
+    const upper = GAINS.map(gain => bounds[gain][1]);
+    const span = GAINS.map((_, i) => upper[i] - lower[i]);
+    const toGains = x => x.map((value, i) => lower[i] + value * span[i]);
+
+    // Referencia: las ganancias actuales, recortadas a los límites
+    const baseline = await this.evaluate(GAINS.map((gain, i) => Math.min(upper[i], Math.max(lower[i], controller.params[gain]))));
+
+    // Grilla en los centros de las celdas para no evaluar kp = 0
+    const levels = Array.from({ length: grid }, (_, i) => (i + 0.5) / grid);
+    let start = null;
+    for (const a of levels) {
+      for (const b of levels) {
+        for (const c of levels) {
+          if (this.cancelled) return await this.buildResult(baseline, candidates);
+          const candidate = await this.evaluate(toGains([a, b, c]));
+          if (!start || candidate.cost < start.cost) start = { ...candidate, point: [a, b, c] };
+        }
+      }
+    }
+
+    this.phase = 'nelderMead';
+    const search = await nelderMead(
+      x => this.evaluate(toGains(x)).then(candidate => candidate.cost),
+      start.point,
+      {
+        lower: GAINS.map(() => 0),
+        upper: GAINS.map(() => 1),
+        step: GAINS.map(() => 0.5 / grid),
+        maxIterations,
+        tolerance,
+        xTolerance: 1e-3,
+        shouldStop: () => this.cancelled,
+        onIteration: ({ iteration }) => {
+          this.iteration = iteration;
+          this.onProgress(this.getProgress());
+        }
+      }
+    );
+
+    this.phase = 'done';
+    return { ...(await this.buildResult(baseline, candidates)), iterations: search.iterations, converged: search.converged };
+  }
+
+  /**
+   * Mejor candidato y frente de Pareto (ITAE, sobreimpulso, esfuerzo) ordenado
+   * por costo, descartando los que están muy cerca de uno ya elegido. Las
+   * respuestas se vuelven a simular sólo para los candidatos devueltos; con la
+   * misma semilla son las mismas corridas que dieron su costo.
+   */
+  async buildResult(baseline, count) {
+    const { bounds } = this.options;
+    const distance = (a, b) => Math.max(...GAINS.map(gain =>
+      Math.abs(a.gains[gain] - b.gains[gain]) / (bounds[gain][1] - bounds[gain][0])));
+
+    const evaluated = Array.from(this.evaluations.values()).filter(candidate => Number.isFinite(candidate.cost));
+    const front = [];
+    paretoFront(evaluated, ['itae', 'overshoot', 'effort'])
+      .sort((a, b) => a.cost - b.cost)
+      .forEach(candidate => {
+        if (front.length < count && front.every(other => distance(candidate, other) >= MIN_CANDIDATE_DISTANCE)) {
+          front.push(candidate);
+        }
+      });
+
+    const responses = new Map();
+    const withResponse = async candidate => {
+      if (!responses.has(candidate)) {
+        responses.set(candidate, compactResponse((await this.simulate(candidate.gains)).trajectory));
+      }
+      return { ...candidate, response: responses.get(candidate) };
+    };
+
+    const candidates = [];
+    for (const candidate of front) {
+      candidates.push(await withResponse(candidate));
+    }
+
+    return {
+      weights: { ...this.options.cost },
+      bounds: { ...this.options.bounds },
+      evaluations: this.evaluations.size,
+      baseline: await withResponse(baseline),
+      best: await withResponse(this.best),
+      candidates
+    };
+  }
+}
+
+TuningJob.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+TuningJob.GAINS = GAINS;
+
+module.exports = TuningJob;
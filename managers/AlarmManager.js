@@ -0,0 +1,218 @@
+// managers/AlarmManager.js
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNALS = ['error', 'angle', 'saturation', 'loopJitter', 'clientCount'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATES = ['cleared', 'active', 'acknowledged', 'shelved'];
+
+const OPERATORS = {
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit,
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit
+};
+
+// Duración por defecto de un shelve (s)
+const DEFAULT_SHELVE_DURATION = 3600;
+
+/**
+ * Alarmas del servidor definidas en la configuración. Cada alarma compara una
+ * señal con un umbral y se activa cuando la condición se mantiene durante su
+ * retardo; vuelve a cleared cuando la condición deja de cumplirse, esté o no
+ * reconocida. Una alarma en shelved no se evalúa hasta que vence el plazo.
+ * Las transiciones se guardan en un archivo JSON que se lee al primer acceso,
+ * así el historial sobrevive a un reinicio.
+ */
+class AlarmManager extends EventEmitter {
+  /**
+   * @param {Object} options - { definitions, historyFile, maxHistory } (definiciones ya validadas)
+   */
+  constructor(options = {}) {
+    super();
+    this.historyFile = path.resolve(__dirname, '..', options.historyFile || 'data/alarms/history.json');
+    this.maxHistory = options.maxHistory || 500;
+    this.history = null;
+
+    this.alarms = new Map();
+    (options.definitions || []).forEach(definition => {
+      this.alarms.set(definition.id, {
+        definition: { absolute: false, description: definition.id, ...definition },
+        state: 'cleared',
+        value: null,
+        pendingSince: null,
+        since: null,
+        acknowledgedBy: null,
+        shelvedUntil: null,
+        shelveReason: null
+      });
+    });
+  }
+
+  loadHistory() {
+    if (this.history) return;
+    this.history = [];
+
+    if (!fs.existsSync(this.historyFile)) return;
+
+    try {
+      this.history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Historial de alarmas ilegible (${this.historyFile}): ${error.message}`);
+    }
+  }
+
+  has(id) {
+    return this.alarms.has(id);
+  }
+
+  /**
+   * Evalúa todas las alarmas con los valores actuales de las señales
+   * @param {Object} signals - { señal: número|null }; null = la señal no aplica y no está en alarma
+   * @param {number} now - Instante de la evaluación (ms)
+   */
+  evaluate(signals, now = Date.now()) {
+    this.alarms.forEach(alarm => {
+      const { signal, condition, delay, absolute } = alarm.definition;
+      const raw = signals[signal];
+      alarm.value = typeof raw === 'number' ? (absolute ? Math.abs(raw) : raw) : null;
+
+      if (alarm.state === 'shelved') {
+        if (now < alarm.shelvedUntil) return;
+        alarm.shelvedUntil = null;
+        alarm.shelveReason = null;
+        this.changeState(alarm, 'cleared', now, { reason: 'Plazo de shelve vencido' });
+      }
+
+      const met = alarm.value !== null && OPERATORS[condition.operator](alarm.value, condition.value);
+      if (!met) {
+        alarm.pendingSince = null;
+        if (alarm.state !== 'cleared') this.changeState(alarm, 'cleared', now);
+        return;
+      }
+
+      if (alarm.pendingSince === null) alarm.pendingSince = now;
+      if (alarm.state === 'cleared' && now - alarm.pendingSince >= delay * 1000) {
+        this.changeState(alarm, 'active', now);
+      }
+    });
+  }
+
+  /**
+   * Reconoce una alarma activa; sigue reconocida hasta que su condición se despeje
+   * @returns {Object} Alarma reconocida
+   */
+  acknowledge(id, by = null, now = Date.now()) {
+    const alarm = this.get(id);
+    if (alarm.state !== 'active') {
+      throw new Error(`La alarma ${id} no está activa (estado ${alarm.state})`);
+    }
+
+    alarm.acknowledgedBy = by;
+    this.changeState(alarm, 'acknowledged', now, { by });
+    return this.summarize(alarm);
+  }
+
+  /**
+   * Suprime una alarma durante un plazo, en cualquier estado; volver a
+   * hacerlo sobre una alarma en shelved renueva el plazo
+   * @param {Object} options - { duration (s), reason } ya validado
+   * @returns {Object} Alarma suprimida
+   */
+  shelve(id, { duration = DEFAULT_SHELVE_DURATION, reason = '' } = {}, by = null, now = Date.now()) {
+    const alarm = this.get(id);
+
+    alarm.pendingSince = null;
+    alarm.shelvedUntil = now + duration * 1000;
+    alarm.shelveReason = reason;
+    this.changeState(alarm, 'shelved', now, { by, reason, until: new Date(alarm.shelvedUntil).toISOString() });
+    return this.summarize(alarm);
+  }
+
+  get(id) {
+    const alarm = this.alarms.get(id);
+    if (!alarm) {
+      throw new Error(`Alarma no encontrada: ${id}`);
+    }
+    return alarm;
+  }
+
+  list() {
+    return Array.from(this.alarms.values()).map(alarm => this.summarize(alarm));
+  }
+
+  /**
+   * Alarmas que requieren atención (activas o reconocidas)
+   */
+  getRaised() {
+    return this.list().filter(alarm => alarm.state === 'active' || alarm.state === 'acknowledged');
+  }
+
+  /**
+   * Transiciones más recientes, de la más nueva a la más vieja
+   */
+  getHistory(limit = 50) {
+    this.loadHistory();
+    return this.history.slice(-limit).reverse();
+  }
+
+  summarize(alarm) {
+    const { definition } = alarm;
+    return {
+      id: definition.id,
+      description: definition.description,
+      signal: definition.signal,
+      condition: { ...definition.condition },
+      absolute: definition.absolute,
+      delay: definition.delay,
+      severity: definition.severity,
+      state: alarm.state,
+      value: alarm.value,
+      since: alarm.since === null ? null : new Date(alarm.since).toISOString(),
+      acknowledgedBy: alarm.state === 'acknowledged' ? alarm.acknowledgedBy : null,
+      shelvedUntil: alarm.shelvedUntil === null ? null : new Date(alarm.shelvedUntil).toISOString(),
+      shelveReason: alarm.shelveReason
+    };
+  }
+
+  changeState(alarm, to, now, details = {}) {
+    const from = alarm.state;
+    alarm.state = to;
+    alarm.since = now;
+    if (to !== 'acknowledged') alarm.acknowledgedBy = null;
+
+    const entry = {
+      alarmId: alarm.definition.id,
+      description: alarm.definition.description,
+      severity: alarm.definition.severity,
+      from,
+      to,
+      value: alarm.value,
+      time: new Date(now).toISOString(),
+      ...details
+    };
+
+    this.record(entry);
+    this.emit('alarm', { ...entry, alarm: this.summarize(alarm) });
+  }
+
+  record(entry) {
+    this.loadHistory();
+    this.history.push(entry);
+    while (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    fs.writeFileSync(this.historyFile, JSON.stringify(this.history, null, 2));
+  }
+}
+
+AlarmManager.SIGNALS = SIGNALS;
+AlarmManager.SEVERITIES = SEVERITIES;
+AlarmManager.STATES = STATES;
+AlarmManager.OPERATORS = Object.keys(OPERATORS);
+AlarmManager.DEFAULT_SHELVE_DURATION = DEFAULT_SHELVE_DURATION;
+
+module.exports = AlarmManager;
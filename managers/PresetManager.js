@@ -0,0 +1,101 @@
+// managers/PresetManager.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Presets de controlador guardados por nombre: ley de control con todos sus
+ * parámetros y, opcionalmente, los límites del actuador. Un archivo JSON por
+ * preset; como los perfiles, el directorio se lee al primer acceso.
+ */
+class PresetManager {
+  constructor(options = {}) {
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/presets');
+    this.presets = null;
+  }
+
+  load() {
+    if (this.presets) return;
+    this.presets = new Map();
+
+    if (!fs.existsSync(this.directory)) return;
+
+    fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const preset = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.presets.set(preset.name, preset);
+      });
+  }
+
+  list() {
+    this.load();
+    return Array.from(this.presets.values()).map(summarize);
+  }
+
+  has(name) {
+    this.load();
+    return this.presets.has(name);
+  }
+
+  get(name) {
+    this.load();
+    const preset = this.presets.get(name);
+    if (!preset) {
+      throw new Error(`Preset no encontrado: ${name}`);
+    }
+    return preset;
+  }
+
+  /**
+   * Guarda o reemplaza un preset
+   * @param {Object} preset - { name, description, author, controller: { type, params }, actuator } ya validado
+   * @returns {Object} Preset guardado
+   */
+  save({ name, description = '', author = '', controller, actuator = null }) {
+    this.load();
+    const previous = this.presets.get(name);
+    const preset = {
+      name,
+      description,
+      author,
+      controller: { type: controller.type, params: { ...controller.params } },
+      actuator: actuator ? { ...actuator } : null,
+      createdAt: previous ? previous.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.filePath(name), JSON.stringify(preset, null, 2));
+    this.presets.set(name, preset);
+
+    return preset;
+  }
+
+  remove(name) {
+    this.load();
+    if (!this.presets.delete(name)) return false;
+
+    if (fs.existsSync(this.filePath(name))) {
+      fs.unlinkSync(this.filePath(name));
+    }
+    return true;
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+}
+
+function summarize(preset) {
+  return {
+    name: preset.name,
+    description: preset.description,
+    author: preset.author,
+    controller: preset.controller.type,
+    actuator: preset.actuator !== null,
+    createdAt: preset.createdAt,
+    updatedAt: preset.updatedAt
+  };
+}
+
+module.exports = PresetManager;
@@ -0,0 +1,179 @@
+// managers/ProfileManager.js
+const fs = require('fs');
+const path = require('path');
+
+// Nombres de columna reconocidos en la cabecera de un CSV
+const TIME_COLUMNS = ['t', 'time', 'tiempo'];
+const REFERENCE_COLUMNS = ['reference', 'ref', 'value', 'referencia', 'setpoint'];
+
+/**
+ * Perfiles de referencia (t, referencia) guardados por nombre, uno por
+ * archivo JSON en el directorio configurado. El directorio se lee al primer
+ * acceso para que las instancias offline de SystemController no toquen disco.
+ */
+class ProfileManager {
+  constructor(options = {}) {
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/profiles');
+    this.profiles = null;
+  }
+
+  load() {
+    if (this.profiles) return;
+    this.profiles = new Map();
+
+    if (!fs.existsSync(this.directory)) return;
+
+    fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const profile = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.profiles.set(profile.name, profile);
+      });
+  }
+
+  list() {
+    this.load();
+    return Array.from(this.profiles.values()).map(summarize);
+  }
+
+  has(name) {
+    this.load();
+    return this.profiles.has(name);
+  }
+
+  get(name) {
+    this.load();
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new Error(`Perfil no encontrado: ${name}`);
+    }
+    return profile;
+  }
+
+  /**
+   * Guarda o reemplaza un perfil
+   * @param {string} name - Nombre validado (letras, números, _ y -)
+   * @param {Object[]} points - [{ t, reference }] ya validados
+   * @param {string} description
+   * @returns {Object} Resumen del perfil guardado
+   */
+  save(name, points, description = '') {
+    this.load();
+    const profile = {
+      name,
+      description,
+      points: points.map(point => ({ t: point.t, reference: point.reference })),
+      createdAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.filePath(name), JSON.stringify(profile, null, 2));
+    this.profiles.set(name, profile);
+
+    return summarize(profile);
+  }
+
+  remove(name) {
+    this.load();
+    if (!this.profiles.delete(name)) return false;
+
+    if (fs.existsSync(this.filePath(name))) {
+      fs.unlinkSync(this.filePath(name));
+    }
+    return true;
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Convierte el contenido subido en una lista de puntos
+   * @param {string|Array|Object} data - Texto CSV, o JSON con [{ t, reference }], [[t, reference]] o { points }
+   * @param {string} format - csv o json
+   * @returns {Object} { points, errors }
+   */
+  static parse(data, format) {
+    if (format === 'csv') {
+      return parseCSV(data);
+    }
+
+    let parsed = data;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        return { points: [], errors: [`JSON inválido: ${error.message}`] };
+      }
+    }
+    if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.points)) {
+      parsed = parsed.points;
+    }
+    if (!Array.isArray(parsed)) {
+      return { points: [], errors: ['El perfil JSON debe ser un arreglo de puntos'] };
+    }
+
+    const points = parsed.map(point => Array.isArray(point)
+      ? { t: Number(point[0]), reference: Number(point[1]) }
+      : {
+        t: Number(point && (point.t !== undefined ? point.t : point.time)),
+        reference: Number(point && (point.reference !== undefined ? point.reference : point.value))
+      });
+
+    return { points, errors: [] };
+  }
+}
+
+function parseCSV(text) {
+  const errors = [];
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+
+  if (rows.length === 0) {
+    return { points: [], errors: ['El CSV está vacío'] };
+  }
+
+  // Cabecera opcional: si la primera fila no es numérica, ubica las columnas por nombre
+  let timeIndex = 0;
+  let referenceIndex = 1;
+  if (rows[0].some(cell => isNaN(Number(cell)))) {
+    const header = rows.shift().map(cell => cell.toLowerCase());
+    timeIndex = header.findIndex(cell => TIME_COLUMNS.includes(cell));
+    referenceIndex = header.findIndex(cell => REFERENCE_COLUMNS.includes(cell));
+    if (timeIndex === -1 || referenceIndex === -1) {
+      return {
+        points: [],
+        errors: [`La cabecera debe incluir una columna de tiempo (${TIME_COLUMNS.join(', ')}) y una de referencia (${REFERENCE_COLUMNS.join(', ')})`]
+      };
+    }
+  }
+
+  const points = [];
+  rows.forEach((row, index) => {
+    if (row.length <= Math.max(timeIndex, referenceIndex)) {
+      errors.push(`Fila ${index + 1}: faltan columnas`);
+      return;
+    }
+    points.push({ t: Number(row[timeIndex]), reference: Number(row[referenceIndex]) });
+  });
+
+  return { points, errors };
+}
+
+function summarize(profile) {
+  const { points } = profile;
+  return {
+    name: profile.name,
+    description: profile.description,
+    points: points.length,
+    duration: points[points.length - 1].t,
+    min: points.reduce((min, point) => Math.min(min, point.reference), Infinity),
+    max: points.reduce((max, point) => Math.max(max, point.reference), -Infinity),
+    createdAt: profile.createdAt
+  };
+}
+
+module.exports = ProfileManager;
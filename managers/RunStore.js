@@ -0,0 +1,55 @@
+// managers/RunStore.js
+
+/**
+ * Corridas registradas (simulaciones offline) que pueden reutilizarse como
+ * datos de entrada/salida, p. ej. para identificar un modelo. Se guardan en
+ * memoria y sólo las más recientes, porque cada una puede tener cientos de
+ * miles de muestras.
+ */
+class RunStore {
+  constructor(options = {}) {
+    this.maxRuns = options.maxRuns || 10;
+    this.runs = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Registra una corrida
+   * @param {Object} run - { source, settings, signals: { time, input, output, ... } }
+   * @returns {string} Id asignado
+   */
+  add(run) {
+    const id = `run-${this.nextId++}`;
+    this.runs.set(id, { id, createdAt: new Date().toISOString(), ...run });
+
+    while (this.runs.size > this.maxRuns) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+    return id;
+  }
+
+  has(id) {
+    return this.runs.has(id);
+  }
+
+  get(id) {
+    const run = this.runs.get(id);
+    if (!run) {
+      throw new Error(`Corrida no encontrada: ${id}`);
+    }
+    return run;
+  }
+
+  list() {
+    return Array.from(this.runs.values()).map(({ id, source, createdAt, settings, signals }) => ({
+      id,
+      source,
+      createdAt,
+      plant: settings.plant ? settings.plant.type : null,
+      samples: signals.time.length,
+      duration: signals.time.length > 0 ? signals.time[signals.time.length - 1] - signals.time[0] : 0
+    }));
+  }
+}
+
+module.exports = RunStore;
@@ -3,6 +3,7 @@ const WebSocket = require('ws');
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../logger');
+const { validateControlRequest } = require('../utils/validation');
 
 class WebSocketManager extends EventEmitter {
   constructor(server, systemController) {
@@ -44,7 +45,12 @@ class WebSocketManager extends EventEmitter {
     this.sendToClient(ws, {
       type: 'welcome',
       clientId,
-      system: this.systemController.systemData,
+      system: {
+        ...this.systemController.systemData,
+        preset: this.systemController.getPresetStatus(),
+        control: this.systemController.getControl().lease,
+        allowedCommands: this.systemController.operatingState.getAllowedCommands()
+      },
       timestamp: new Date().toISOString()
     });
 
@@ -87,6 +93,7 @@ class WebSocketManager extends EventEmitter {
     ws.on('pong', () => {
       clientInfo.lastPing = new Date();
       clientInfo.isAlive = true;
+      this.systemController.recordHeartbeat(clientInfo.id);
     });
   }
 
@@ -117,9 +124,17 @@ class WebSocketManager extends EventEmitter {
         await this.handleHistoryRequest(ws, clientInfo, data);
         break;
 
+      case 'requestControl':
+      case 'renewControl':
+      case 'releaseControl':
+      case 'forceControl':
+        this.handleControlMessage(ws, clientInfo, data);
+        break;
+
       case 'heartbeat':
         clientInfo.lastPing = new Date();
         clientInfo.isAlive = true;
+        this.systemController.recordHeartbeat(clientInfo.id);
         break;
 
       default:
@@ -135,7 +150,13 @@ class WebSocketManager extends EventEmitter {
   async handleCommand(ws, clientInfo, data) {
     try {
       const { command, value } = data;
+      this.systemController.assertControl({ sessionId: clientInfo.id }, command);
       const result = await this.systemController.executeCommand(command, value);
+
+      // Quien arranca el sistema pasa a ser la sesión de control del dead-man
+      if (command === 'startSystem') {
+        this.systemController.setControllingSession(clientInfo.id);
+      }
       
       // Enviar confirmación al cliente que envió el comando
       this.sendToClient(ws, {
@@ -163,6 +184,11 @@ class WebSocketManager extends EventEmitter {
         value: data.value,
         success: false,
         error: error.message,
+        // Rechazos por el estado de operación (COMMAND_NOT_ALLOWED, GUARD_FAILED)
+        // o por el control exclusivo (CONTROL_LOCKED, CONTROL_REQUIRED)
+        code: error.code,
+        state: error.state,
+        owner: error.owner,
         timestamp: new Date().toISOString()
       });
       
@@ -170,6 +196,60 @@ class WebSocketManager extends EventEmitter {
     }
   }
 
+  /**
+   * Pedido, renovación, liberación o toma forzada del control exclusivo; la
+   * concesión queda asociada a esta conexión y se libera al cerrarla
+   */
+  handleControlMessage(ws, clientInfo, data) {
+    const { type, duration, name, adminToken } = data;
+    const identity = { sessionId: clientInfo.id };
+    const owner = { id: clientInfo.id, kind: 'websocket', ip: clientInfo.ip, name: name || null };
+
+    try {
+      const validation = validateControlRequest({ duration, name }, this.systemController.controlLock.settings.maxLeaseDuration);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join('; '));
+      }
+
+      let lease = null;
+      switch (type) {
+        case 'requestControl':
+          lease = this.systemController.requestControl(owner, duration);
+          break;
+        case 'renewControl':
+          lease = this.systemController.renewControl(identity, duration);
+          break;
+        case 'releaseControl':
+          this.systemController.releaseControl(identity);
+          break;
+        case 'forceControl':
+          lease = this.systemController.forceControl(owner, adminToken, duration);
+          break;
+      }
+
+      this.sendToClient(ws, {
+        type: 'controlResponse',
+        action: type,
+        success: true,
+        lease,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendToClient(ws, {
+        type: 'controlResponse',
+        action: type,
+        success: false,
+        error: error.message,
+        code: error.code,
+        owner: error.owner,
+        expiresAt: error.expiresAt,
+        timestamp: new Date().toISOString()
+      });
+
+      logger.warn(`${type} rechazado para ${clientInfo.id}: ${error.message}`, 'WEBSOCKET');
+    }
+  }
+
   async handleSubscription(ws, clientInfo, data) {
     const { channels = [] } = data;
     
@@ -241,6 +321,11 @@ class WebSocketManager extends EventEmitter {
     this.clients.delete(ws);
     
     logger.info(`Cliente ${clientInfo.id} desconectado (código: ${code})`, 'WEBSOCKET');
+    const { deadMan } = this.systemController;
+    if (deadMan.isControlling(clientInfo.id) && deadMan.settings.enabled) {
+      logger.warn(`Se desconectó la sesión de control ${clientInfo.id}; el dead-man actuará en ${deadMan.settings.timeout} s`, 'WEBSOCKET');
+    }
+    this.systemController.releaseControlSession(clientInfo.id);
     this.emit('clientDisconnected', clientInfo);
   }
 
@@ -296,7 +381,13 @@ class WebSocketManager extends EventEmitter {
     return this.clients.size;
   }
 
+  /**
+   * Clientes conectados y dueño del control exclusivo, que puede ser un
+   * cliente REST y no figurar entre ellos
+   * @returns {Object} { control, clients }
+   */
   getConnectedClients() {
+    const { lease } = this.systemController.getControl();
     const clients = [];
     this.clients.forEach((clientInfo, ws) => {
       clients.push({
@@ -306,13 +397,17 @@ class WebSocketManager extends EventEmitter {
         lastPing: clientInfo.lastPing,
         isAlive: clientInfo.isAlive,
         subscriptions: clientInfo.subscriptions ? Array.from(clientInfo.subscriptions) : [],
+        hasControl: this.systemController.controlLock.isHeldBy({ sessionId: clientInfo.id }),
         readyState: ws.readyState
       });
     });
-    return clients;
+    return { control: lease, clients };
   }
 
-  startHeartbeat() {
+  /**
+   * @param {number} interval - Periodo del ping (ms)
+   */
+  startHeartbeat(interval = 30000) {
     this.heartbeatInterval = setInterval(() => {
       this.clients.forEach((clientInfo, ws) => {
         if (clientInfo.isAlive === false) {
@@ -326,9 +421,9 @@ class WebSocketManager extends EventEmitter {
           ws.ping();
         }
       });
-    }, 30000); // Ping cada 30 segundos
+    }, interval);
 
-    logger.info('Heartbeat iniciado para WebSocket', 'WEBSOCKET');
+    logger.info(`Heartbeat iniciado para WebSocket (cada ${interval} ms)`, 'WEBSOCKET');
   }
 
   stopHeartbeat() {
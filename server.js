@@ -1,68 +1,68 @@
 // server.js
 const express = require('express');
 const http = require('http');
-const WebSocket = require('ws');
 const path = require('path');
-const { v4: uuidv4 } = require('crypto'); // Usar crypto nativo en lugar de uuid
+const { v4: uuidv4 } = require('uuid');
 
 const config = require('./config');
 const logger = require('./logger');
+const SystemController = require('./controllers/SystemController');
+const WebSocketManager = require('./managers/WebSocketManager');
+const {
+  validatePIDParams,
+  validateSimulationConfig,
+  validateDisturbance,
+  validateSensorConfig,
+  validateActuatorConfig,
+  validateOfflineSimulation,
+  validateGainSchedule,
+  validateFeedforwardConfig,
+  validateTrajectory,
+  validateProfile,
+  validateMetricsConfig,
+  validateSafetyConfig,
+  validateDeadManConfig,
+  validateControlRequest,
+  validateIdentifyRequest,
+  validateExperimentDefinition,
+  validateTuneRequest,
+  validatePreset,
+  validateAlarmDefinitions,
+  validateAlarmShelve
+} = require('./utils/validation');
+const { validatePlantParams } = require('./controllers/PlantRegistry');
+const { validateControllerParams } = require('./controllers/ControllerRegistry');
+const { runOfflineSimulation } = require('./controllers/OfflineSimulator');
+const { CommandNotAllowedError } = require('./controllers/OperatingStateMachine');
+const { ControlLockedError } = require('./controllers/ControlLock');
+const ProfileManager = require('./managers/ProfileManager');
+const AlarmManager = require('./managers/AlarmManager');
 
 class Server {
   constructor() {
     this.app = express();
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
-    this.clients = new Map();
-    
-    // Sistema de datos
-    this.systemData = {
-      currentAngle: 0,
-      referenceAngle: 45,
-      error: 0,
-      isRunning: false,
-      isConnected: false,
-      pid: {
-        kp: 1.2,
-        ki: 0.1,
-        kd: 0.05,
-        integral: 0,
-        previousError: 0
-      },
-      stats: {
-        avgAngle: 0,
-        stdAngle: 0,
-        minAngle: 0,
-        maxAngle: 0,
-        uptime: 0,
-        errorCount: 0
-      }
-    };
+    this.systemController = new SystemController();
+    this.wsManager = new WebSocketManager(this.server, this.systemController);
 
-    this.dataHistory = {
-      angles: [],
-      errors: [],
-      times: [],
-      maxPoints: config.system?.maxDataPoints || 1000
-    };
+    const alarmValidation = validateAlarmDefinitions(config.alarms.definitions);
+    if (!alarmValidation.valid) {
+      throw new Error(`Configuración de alarmas inválida: ${alarmValidation.errors.join('; ')}`);
+    }
+    this.alarms = new AlarmManager(config.alarms);
 
-    this.startTime = Date.now();
-    this.lastUpdateTime = Date.now();
+    const deadManValidation = validateDeadManConfig(config.deadMan, config.safety, config.websocket.heartbeatInterval);
+    if (!deadManValidation.valid) {
+      throw new Error(`Configuración del dead-man inválida: ${deadManValidation.errors.join('; ')}`);
+    }
 
     this.setupMiddleware();
     this.setupRoutes();
-    this.setupWebSocket();
     this.setupErrorHandling();
+    this.setupSystemEvents();
+    this.setupAlarms();
     this.startSimulation();
-  }
-
-  // Generar UUID simple usando crypto nativo
-  generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c == 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
-    });
+    this.wsManager.startHeartbeat(config.websocket.heartbeatInterval);
   }
 
   setupMiddleware() {
@@ -78,7 +78,7 @@ class Server {
     this.app.use((req, res, next) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Control-Token, X-Admin-Token');
       if (req.method === 'OPTIONS') {
         res.sendStatus(200);
         return;
@@ -153,22 +153,88 @@ class Server {
     });
   }
 
+  /**
+   * Middleware de las rutas que actúan sobre el equipo: si otro cliente tiene
+   * el control exclusivo, la petición se rechaza. El dueño REST se identifica
+   * con el token de su concesión en X-Control-Token.
+   */
+  requireControl(req, res, next) {
+    try {
+      const command = req.path === '/api/command' && req.body ? req.body.command : null;
+      this.systemController.assertControl({ token: req.get('X-Control-Token') || null }, command);
+      next();
+    } catch (error) {
+      if (!(error instanceof ControlLockedError)) {
+        return next(error);
+      }
+      logger.warn(`${req.method} ${req.path} rechazado: ${error.message}`, 'API');
+      res.status(409).json({ 
+        error: 'El sistema está bajo el control de otro cliente',
+        code: error.code,
+        owner: error.owner,
+        expiresAt: error.expiresAt,
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Middleware de las rutas REST equivalentes a un comando: aplica las mismas
+   * restricciones del estado de operación que executeCommand
+   * @param {string} command - Comando equivalente
+   */
+  requireState(command) {
+    return (req, res, next) => {
+      try {
+        this.systemController.operatingState.assertAllowed(command);
+        next();
+      } catch (error) {
+        if (!(error instanceof CommandNotAllowedError)) {
+          return next(error);
+        }
+        logger.warn(`${req.method} ${req.path} rechazado: ${error.message}`, 'API');
+        res.status(409).json({ 
+          error: 'Comando no permitido en el estado actual',
+          code: error.code,
+          state: error.state,
+          allowedCommands: error.allowedCommands,
+          details: error.message 
+        });
+      }
+    };
+  }
+
+  /**
+   * Respuesta de error de las rutas de control exclusivo
+   */
+  sendControlError(res, error, action) {
+    if (error instanceof ControlLockedError) {
+      const status = error.code === 'FORCE_DISABLED' || error.code === 'INVALID_ADMIN_TOKEN' ? 403 : 409;
+      return res.status(status).json({ 
+        error: error.message,
+        code: error.code,
+        owner: error.owner,
+        expiresAt: error.expiresAt
+      });
+    }
+    logger.error(`Error en ${action}: ${error.message}`, 'API');
+    res.status(500).json({ 
+      error: `Error en ${action}`,
+      details: error.message 
+    });
+  }
+
   setupAPIRoutes() {
+    const requireControl = this.requireControl.bind(this);
+
     // Status del sistema
     this.app.get('/api/status', async (req, res) => {
       try {
         res.json({
           status: 'Operacional',
           timestamp: new Date().toISOString(),
-          system: {
-            ...this.systemData,
-            stats: {
-              ...this.systemData.stats,
-              uptime: Date.now() - this.startTime,
-              dataPoints: this.dataHistory.angles.length
-            }
-          },
-          connections: this.clients.size
+          system: await this.systemController.getSystemStatus(),
+          connections: this.wsManager.getConnectionCount()
         });
       } catch (error) {
         logger.error(`Error obteniendo status: ${error.message}`, 'API');
@@ -180,14 +246,9 @@ class Server {
     this.app.get('/api/history', async (req, res) => {
       try {
         const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
-        const start = Math.max(0, this.dataHistory.angles.length - limit);
+        const history = await this.systemController.getHistory(limit);
         
-        res.json({
-          angles: this.dataHistory.angles.slice(start),
-          errors: this.dataHistory.errors.slice(start),
-          times: this.dataHistory.times.slice(start),
-          totalPoints: this.dataHistory.angles.length
-        });
+        res.json(history);
       } catch (error) {
         logger.error(`Error obteniendo historial: ${error.message}`, 'API');
         res.status(500).json({ error: 'Error obteniendo datos históricos' });
@@ -221,7 +282,7 @@ class Server {
     });
 
     // Comandos del sistema
-    this.app.post('/api/command', async (req, res) => {
+    this.app.post('/api/command', requireControl, async (req, res) => {
       try {
         const { command, value } = req.body;
         
@@ -230,10 +291,16 @@ class Server {
           return res.status(400).json({ error: 'Comando inválido' });
         }
 
-        const result = await this.executeCommand(command, value);
+        const result = await this.systemController.executeCommand(command, value);
+
+        // REST no envía heartbeats: lo arrancado por acá no tiene sesión de control
+        const { deadMan } = this.systemController;
+        if (command === 'startSystem' && deadMan.settings.enabled && !deadMan.session) {
+          logger.warn('Sistema arrancado por REST sin sesión de control: el dead-man no actúa', 'API');
+        }
         
         // Broadcast a clientes WebSocket
-        this.broadcast({
+        this.wsManager.broadcast({
           type: 'commandExecuted',
           command,
           value,
@@ -250,6 +317,15 @@ class Server {
         });
       } catch (error) {
         logger.error(`Error ejecutando comando: ${error.message}`, 'API');
+        if (error instanceof CommandNotAllowedError) {
+          return res.status(409).json({ 
+            error: 'Comando no permitido en el estado actual',
+            code: error.code,
+            state: error.state,
+            allowedCommands: error.allowedCommands,
+            details: error.message 
+          });
+        }
         res.status(500).json({ 
           error: 'Error ejecutando comando',
           details: error.message 
@@ -258,7 +334,7 @@ class Server {
     });
 
     // Configuración PID
-    this.app.put('/api/pid', async (req, res) => {
+    this.app.put('/api/pid', requireControl, this.requireState('setPID'), async (req, res) => {
       try {
         const pidParams = req.body;
         
@@ -266,36 +342,27 @@ class Server {
           return res.status(400).json({ error: 'Parámetros PID inválidos' });
         }
 
-        const validParams = ['kp', 'ki', 'kd'];
-        const updates = {};
-
-        for (const [key, value] of Object.entries(pidParams)) {
-          if (validParams.includes(key)) {
-            const numValue = parseFloat(value);
-            if (!isNaN(numValue) && numValue >= 0) {
-              updates[key] = numValue;
-            }
-          }
-        }
-
-        if (Object.keys(updates).length === 0) {
-          return res.status(400).json({ error: 'No se proporcionaron parámetros válidos' });
+        const validation = validatePIDParams(pidParams);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Parámetros PID inválidos',
+            details: validation.errors 
+          });
         }
 
-        this.systemData.pid = { ...this.systemData.pid, ...updates };
-        this.resetPIDController();
+        const pid = await this.systemController.updatePIDParameters(pidParams);
         
-        this.broadcast({
+        this.wsManager.broadcast({
           type: 'pidUpdated',
-          pid: this.systemData.pid,
+          pid,
           timestamp: new Date().toISOString()
         });
 
-        logger.info(`Parámetros PID actualizados: ${JSON.stringify(updates)}`, 'API');
+        logger.info(`Parámetros PID actualizados: ${JSON.stringify(pid)}`, 'API');
         res.json({ 
           success: true, 
           message: 'Parámetros PID actualizados',
-          pid: this.systemData.pid,
+          pid,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -306,334 +373,1455 @@ class Server {
         });
       }
     });
-  }
 
-  setupWebSocket() {
-    this.wss.on('connection', (ws, req) => {
-      this.handleNewConnection(ws, req);
+    // Planificación de ganancias del PID
+    this.app.get('/api/pid/schedule', async (req, res) => {
+      try {
+        res.json(this.systemController.getGainSchedule());
+      } catch (error) {
+        logger.error(`Error obteniendo planificación de ganancias: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo planificación de ganancias' });
+      }
     });
 
-    this.wss.on('error', (error) => {
-      logger.error(`Error en servidor WebSocket: ${error.message}`, 'WEBSOCKET');
-    });
-  }
+    this.app.put('/api/pid/schedule', requireControl, async (req, res) => {
+      try {
+        const schedule = req.body || {};
 
-  handleNewConnection(ws, req) {
-    const clientId = this.generateUUID();
-    const clientIp = req.socket.remoteAddress || 'unknown';
-    
-    const clientInfo = {
-      id: clientId,
-      ip: clientIp,
-      connectedAt: new Date(),
-      isAlive: true
-    };
+        const validation = validateGainSchedule(schedule, this.systemController.getGainSchedule());
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Planificación de ganancias inválida',
+            details: validation.errors 
+          });
+        }
+
+        const gainSchedule = await this.systemController.configureGainSchedule(schedule);
 
-    this.clients.set(ws, clientInfo);
+        this.wsManager.broadcast({
+          type: 'gainScheduleUpdated',
+          gainSchedule,
+          timestamp: new Date().toISOString()
+        });
 
-    // Enviar datos iniciales
-    this.sendToClient(ws, {
-      type: 'welcome',
-      clientId,
-      system: this.systemData,
-      timestamp: new Date().toISOString()
+        res.json({ 
+          success: true, 
+          message: 'Planificación de ganancias actualizada',
+          gainSchedule,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error actualizando planificación de ganancias: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error actualizando planificación de ganancias',
+          details: error.message 
+        });
+      }
     });
 
-    // Configurar handlers
-    ws.on('message', async (message) => {
+    this.app.delete('/api/pid/schedule', requireControl, async (req, res) => {
       try {
-        const data = JSON.parse(message);
-        await this.handleClientMessage(ws, clientInfo, data);
+        const gainSchedule = await this.systemController.clearGainSchedule();
+
+        this.wsManager.broadcast({
+          type: 'gainScheduleUpdated',
+          gainSchedule,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Planificación de ganancias eliminada',
+          gainSchedule,
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
-        logger.error(`Error procesando mensaje de ${clientInfo.id}: ${error.message}`, 'WEBSOCKET');
+        logger.error(`Error eliminando planificación de ganancias: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error eliminando planificación de ganancias' });
       }
     });
 
-    ws.on('close', () => {
-      this.clients.delete(ws);
-      logger.info(`Cliente ${clientInfo.id} desconectado`, 'WEBSOCKET');
-    });
+    // Métricas de respuesta y seguimiento
+    this.app.get('/api/metrics', async (req, res) => {
+      try {
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : undefined;
+        if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+          return res.status(400).json({ 
+            error: 'Parámetros inválidos',
+            details: ['limit debe ser un entero mayor a 0'] 
+          });
+        }
 
-    ws.on('error', (error) => {
-      logger.error(`Error en WebSocket ${clientInfo.id}: ${error.message}`, 'WEBSOCKET');
+        res.json({
+          ...this.systemController.getMetrics(limit),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo métricas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo métricas' });
+      }
     });
 
-    logger.info(`Cliente WebSocket conectado: ${clientId} desde ${clientIp}`, 'WEBSOCKET');
-  }
-
-  async handleClientMessage(ws, clientInfo, data) {
-    switch (data.type) {
-      case 'command':
-        try {
-          const result = await this.executeCommand(data.command, data.value);
-          this.sendToClient(ws, {
-            type: 'commandResponse',
-            command: data.command,
-            value: data.value,
-            result,
-            success: true,
-            timestamp: new Date().toISOString()
-          });
+    this.app.put('/api/metrics', requireControl, async (req, res) => {
+      try {
+        const settings = req.body || {};
 
-          this.broadcast({
-            type: 'systemUpdate',
-            system: this.systemData,
-            timestamp: new Date().toISOString()
-          });
-        } catch (error) {
-          this.sendToClient(ws, {
-            type: 'commandResponse',
-            command: data.command,
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
+        const validation = validateMetricsConfig(settings);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración de métricas inválida',
+            details: validation.errors 
           });
         }
-        break;
 
-      case 'ping':
-        this.sendToClient(ws, {
-          type: 'pong',
+        const updated = await this.systemController.configureMetrics(settings);
+
+        res.json({ 
+          success: true, 
+          message: 'Configuración de métricas actualizada',
+          settings: updated,
           timestamp: new Date().toISOString()
         });
-        break;
+      } catch (error) {
+        logger.error(`Error configurando métricas: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando métricas',
+          details: error.message 
+        });
+      }
+    });
 
-      case 'getHistory':
-        const limit = Math.min(data.limit || 100, 1000);
-        const start = Math.max(0, this.dataHistory.angles.length - limit);
-        
-        this.sendToClient(ws, {
-          type: 'historyData',
-          history: {
-            angles: this.dataHistory.angles.slice(start),
-            errors: this.dataHistory.errors.slice(start),
-            times: this.dataHistory.times.slice(start)
-          },
+    this.app.delete('/api/metrics', requireControl, async (req, res) => {
+      try {
+        const cleared = this.systemController.clearMetrics();
+        res.json({ 
+          success: true, 
+          message: `${cleared} respuestas eliminadas`,
           timestamp: new Date().toISOString()
         });
-        break;
-    }
-  }
-
-  async executeCommand(command, value) {
-    logger.info(`Ejecutando comando: ${command} ${value || ''}`, 'CONTROL');
-
-    switch (command) {
-      case 'startSystem':
-        if (this.systemData.isRunning) {
-          throw new Error('El sistema ya está funcionando');
-        }
-        this.systemData.isRunning = true;
-        this.systemData.isConnected = true;
-        this.resetPIDController();
-        return { status: 'Sistema iniciado' };
-
-      case 'stopSystem':
-        if (!this.systemData.isRunning) {
-          throw new Error('El sistema ya está detenido');
-        }
-        this.systemData.isRunning = false;
-        return { status: 'Sistema detenido' };
-
-      case 'emergencyStop':
-        this.systemData.isRunning = false;
-        this.systemData.isConnected = false;
-        this.resetPIDController();
-        return { status: 'Parada de emergencia' };
-
-      case 'setTargetAngle':
-        const angle = parseFloat(value);
-        if (isNaN(angle) || angle < -180 || angle > 180) {
-          throw new Error('Ángulo inválido');
-        }
-        this.systemData.referenceAngle = angle;
-        this.resetPIDController();
-        return { status: 'Ángulo actualizado', angle };
-
-      case 'resetSystem':
-        this.systemData.isRunning = false;
-        this.systemData.currentAngle = 0;
-        this.systemData.referenceAngle = 45;
-        this.resetPIDController();
-        this.clearHistory();
-        return { status: 'Sistema reseteado' };
-
-      default:
-        throw new Error(`Comando desconocido: ${command}`);
-    }
-  }
+      } catch (error) {
+        logger.error(`Error eliminando métricas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error eliminando métricas' });
+      }
+    });
 
-  sendToClient(ws, data) {
-    if (ws.readyState === WebSocket.OPEN) {
+    // Experimentos: barridos en frecuencia (comando frequencySweep) y guiones JSON
+    this.app.get('/api/experiments', async (req, res) => {
       try {
-        ws.send(JSON.stringify(data));
-        return true;
+        res.json({ 
+          experiments: this.systemController.listExperiments(),
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
-        logger.error(`Error enviando mensaje: ${error.message}`, 'WEBSOCKET');
-        return false;
+        logger.error(`Error listando experimentos: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error listando experimentos' });
       }
-    }
-    return false;
-  }
+    });
 
-  broadcast(data) {
-    const message = JSON.stringify(data);
-    let sentCount = 0;
+    this.app.get('/api/experiments/:id', async (req, res) => {
+      try {
+        const { experiments } = this.systemController;
+        if (!experiments.has(req.params.id)) {
+          return res.status(404).json({ error: `Experimento no encontrado: ${req.params.id}` });
+        }
+        res.json({ 
+          ...this.systemController.getExperiment(req.params.id),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo experimento: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo experimento' });
+      }
+    });
 
-    this.clients.forEach((clientInfo, ws) => {
-      if (ws.readyState === WebSocket.OPEN) {
-        try {
-          ws.send(message);
-          sentCount++;
-        } catch (error) {
-          logger.error(`Error en broadcast: ${error.message}`, 'WEBSOCKET');
+    this.app.post('/api/experiments', requireControl, async (req, res) => {
+      try {
+        const validation = validateExperimentDefinition(req.body);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Definición de experimento inválida',
+            details: validation.errors 
+          });
         }
+
+        const experiment = await this.systemController.createExperiment(req.body);
+
+        logger.info(`Experimento ${experiment.id} creado: ${experiment.name}`, 'API');
+        res.status(201).json({ 
+          success: true, 
+          message: 'Experimento creado',
+          experiment,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error creando experimento: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error creando experimento',
+          details: error.message 
+        });
       }
     });
 
-    return sentCount;
-  }
+    this.app.post('/api/experiments/:id/run', requireControl, async (req, res) => {
+      try {
+        if (!this.systemController.experiments.has(req.params.id)) {
+          return res.status(404).json({ error: `Experimento no encontrado: ${req.params.id}` });
+        }
 
-  startSimulation() {
-    this.simulationInterval = setInterval(() => {
-      if (!this.systemData.isRunning) return;
+        // Corre en segundo plano; el avance llega por WebSocket
+        const experiment = await this.systemController.runExperiment(req.params.id);
 
-      const now = Date.now();
-      const deltaTime = (now - this.lastUpdateTime) / 1000;
-      this.lastUpdateTime = now;
+        logger.info(`Experimento ${experiment.id} en ejecución`, 'API');
+        res.json({ 
+          success: true, 
+          message: 'Experimento iniciado',
+          experiment,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error ejecutando experimento: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error ejecutando experimento',
+          details: error.message 
+        });
+      }
+    });
 
-      // Simular comportamiento del sistema
-      this.simulateSystemBehavior();
-      
-      // Calcular error
-      this.systemData.error = this.systemData.currentAngle - this.systemData.referenceAngle;
-      
-      // Control PID
-      this.applyPIDControl(deltaTime);
-      
-      // Actualizar historial
-      this.updateHistory();
-      
-      // Calcular estadísticas
-      this.updateStatistics();
+    this.app.post('/api/experiments/:id/abort', requireControl, async (req, res) => {
+      try {
+        if (!this.systemController.experiments.has(req.params.id)) {
+          return res.status(404).json({ error: `Experimento no encontrado: ${req.params.id}` });
+        }
 
-      // Broadcast a clientes
-      this.broadcast({
-        type: 'dataUpdate',
-        data: {
-          currentAngle: this.systemData.currentAngle,
-          referenceAngle: this.systemData.referenceAngle,
-          error: this.systemData.error,
-          stats: this.systemData.stats,
-          isRunning: this.systemData.isRunning
-        },
-        timestamp: new Date().toISOString()
-      });
+        const result = await this.systemController.abortExperiment(req.params.id);
 
-    }, config.system?.updateInterval || 100);
+        logger.info(`Experimento ${req.params.id} abortado`, 'API');
+        res.json({ 
+          success: true, 
+          message: 'Experimento abortado',
+          result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error abortando experimento: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error abortando experimento',
+          details: error.message 
+        });
+      }
+    });
 
-    logger.info('Simulación iniciada', 'SIMULATION');
-  }
+    // Búsqueda de ganancias PID sobre el simulador offline; el resultado queda en /api/experiments/:id
+    this.app.post('/api/tune', async (req, res) => {
+      try {
+        const request = req.body || {};
 
-  simulateSystemBehavior() {
-    const timeMs = Date.now();
-    const errorCorrection = this.systemData.error * -0.1;
-    const noise = (Math.random() - 0.5) * 2;
-    const oscillation = Math.sin(timeMs * 0.001 * 2 * Math.PI) * 5;
-    const disturbance = Math.random() < 0.01 ? (Math.random() - 0.5) * 20 : 0;
-    
-    this.systemData.currentAngle += errorCorrection + noise + oscillation * 0.1 + disturbance;
-    this.systemData.currentAngle = Math.max(-180, Math.min(180, this.systemData.currentAngle));
-  }
+        const validation = validateTuneRequest(request);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Solicitud de sintonía inválida',
+            details: validation.errors 
+          });
+        }
 
-  applyPIDControl(deltaTime) {
-    const error = this.systemData.error;
-    const { pid } = this.systemData;
-    
-    pid.integral += error * deltaTime;
-    pid.integral = Math.max(-100, Math.min(100, pid.integral));
-    
-    const derivative = deltaTime > 0 ? (error - pid.previousError) / deltaTime : 0;
-    const pidOutput = (pid.kp * error) + (pid.ki * pid.integral) + (pid.kd * derivative);
-    
-    pid.previousError = error;
-    return pidOutput;
-  }
+        const result = await this.systemController.startTuning(request);
 
-  updateHistory() {
-    this.dataHistory.angles.push(this.systemData.currentAngle);
-    this.dataHistory.errors.push(this.systemData.error);
-    this.dataHistory.times.push(Date.now());
-    
-    while (this.dataHistory.angles.length > this.dataHistory.maxPoints) {
-      this.dataHistory.angles.shift();
-      this.dataHistory.errors.shift();
-      this.dataHistory.times.shift();
-    }
-  }
+        logger.info(`Búsqueda de ganancias ${result.experiment.id} iniciada`, 'API');
+        res.json({ 
+          success: true, 
+          message: result.status,
+          experiment: result.experiment,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error iniciando búsqueda de ganancias: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error iniciando búsqueda de ganancias',
+          details: error.message 
+        });
+      }
+    });
 
-  updateStatistics() {
-    if (this.dataHistory.angles.length === 0) return;
-    
-    const angles = this.dataHistory.angles;
-    const sum = angles.reduce((a, b) => a + b, 0);
-    
-    this.systemData.stats.avgAngle = sum / angles.length;
-    this.systemData.stats.minAngle = Math.min(...angles);
-    this.systemData.stats.maxAngle = Math.max(...angles);
-    
-    const variance = angles.reduce((sq, n) => 
-      sq + Math.pow(n - this.systemData.stats.avgAngle, 2), 0
-    ) / angles.length;
-    this.systemData.stats.stdAngle = Math.sqrt(variance);
-    this.systemData.stats.uptime = Date.now() - this.startTime;
-  }
+    // Trayectoria de referencia
+    this.app.get('/api/trajectory', async (req, res) => {
+      try {
+        res.json({
+          ...this.systemController.getTrajectory(),
+          targetAngle: this.systemController.systemData.targetAngle,
+          referenceAngle: this.systemController.systemData.referenceAngle
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo trayectoria: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo trayectoria' });
+      }
+    });
 
-  resetPIDController() {
-    this.systemData.pid.integral = 0;
-    this.systemData.pid.previousError = 0;
-  }
+    this.app.put('/api/trajectory', requireControl, this.requireState('setTrajectory'), async (req, res) => {
+      try {
+        const definition = req.body || {};
 
-  clearHistory() {
-    this.dataHistory.angles = [];
-    this.dataHistory.errors = [];
-    this.dataHistory.times = [];
-  }
+        const validation = validateTrajectory(definition);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Trayectoria inválida',
+            details: validation.errors 
+          });
+        }
 
-  setupErrorHandling() {
-    this.app.use((error, req, res, next) => {
-      logger.error(`Error en Express: ${error.message}`, 'EXPRESS');
-      
-      if (res.headersSent) {
-        return next(error);
+        // trajectoryStarted se difunde desde setupSystemEvents
+        const result = await this.systemController.setTrajectory(definition);
+
+        res.json({ 
+          success: true, 
+          message: 'Trayectoria iniciada',
+          trajectory: result.trajectory,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error iniciando trayectoria: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error iniciando trayectoria',
+          details: error.message 
+        });
       }
+    });
 
-      res.status(500).json({
-        error: 'Error interno del servidor',
-        timestamp: new Date().toISOString()
-      });
+    this.app.delete('/api/trajectory', requireControl, async (req, res) => {
+      try {
+        const result = await this.systemController.cancelTrajectory();
+
+        res.json({ 
+          success: true, 
+          message: 'Trayectoria cancelada',
+          referenceAngle: result.reference,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error cancelando trayectoria: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error cancelando trayectoria',
+          details: error.message 
+        });
+      }
     });
 
-    process.on('uncaughtException', (error) => {
-      logger.error(`Error no capturado: ${error.message}`, 'SYSTEM');
-      console.error('Uncaught Exception:', error);
+    // Perfiles de referencia
+    this.app.get('/api/profiles', async (req, res) => {
+      try {
+        res.json({ profiles: this.systemController.profiles.list() });
+      } catch (error) {
+        logger.error(`Error listando perfiles: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error listando perfiles' });
+      }
     });
 
-    process.on('unhandledRejection', (reason, promise) => {
-      logger.error(`Promesa rechazada: ${reason}`, 'SYSTEM');
-      console.error('Unhandled Rejection:', reason);
+    this.app.get('/api/profiles/:name', async (req, res) => {
+      try {
+        const { profiles } = this.systemController;
+        if (!profiles.has(req.params.name)) {
+          return res.status(404).json({ error: `Perfil no encontrado: ${req.params.name}` });
+        }
+        res.json(profiles.get(req.params.name));
+      } catch (error) {
+        logger.error(`Error obteniendo perfil: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo perfil' });
+      }
     });
 
-    process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
+    // JSON { name, format, data | points, description } o CSV crudo con ?name=
+    this.app.post('/api/profiles', requireControl, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+      try {
+        const isText = typeof req.body === 'string';
+        const body = isText ? { ...req.query, format: 'csv', data: req.body } : (req.body || {});
+        const format = body.format || (body.points !== undefined ? 'json' : 'csv');
+
+        if (!['csv', 'json'].includes(format)) {
+          return res.status(400).json({ 
+            error: 'Perfil inválido',
+            details: ['format debe ser csv o json'] 
+          });
+        }
+
+        const parsed = ProfileManager.parse(body.points !== undefined ? body.points : body.data, format);
+        const validation = validateProfile({ name: body.name, points: parsed.points, description: body.description });
+        const errors = [...parsed.errors, ...validation.errors];
+        if (errors.length > 0) {
+          return res.status(400).json({ 
+            error: 'Perfil inválido',
+            details: errors 
+          });
+        }
+
+        const { profiles } = this.systemController;
+        const replaced = profiles.has(body.name);
+        const profile = profiles.save(body.name, parsed.points, body.description);
+
+        logger.info(`Perfil ${profile.name} ${replaced ? 'reemplazado' : 'guardado'}: ${profile.points} puntos, ${profile.duration} s`, 'API');
+        this.wsManager.broadcast({
+          type: 'profilesUpdated',
+          profiles: profiles.list(),
+          timestamp: new Date().toISOString()
+        });
+
+        res.status(replaced ? 200 : 201).json({ 
+          success: true, 
+          message: replaced ? 'Perfil reemplazado' : 'Perfil guardado',
+          profile,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error guardando perfil: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error guardando perfil',
+          details: error.message 
+        });
+      }
+    });
+
+    this.app.delete('/api/profiles/:name', requireControl, async (req, res) => {
+      try {
+        const { profiles } = this.systemController;
+        if (!profiles.remove(req.params.name)) {
+          return res.status(404).json({ error: `Perfil no encontrado: ${req.params.name}` });
+        }
+
+        logger.info(`Perfil ${req.params.name} eliminado`, 'API');
+        this.wsManager.broadcast({
+          type: 'profilesUpdated',
+          profiles: profiles.list(),
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Perfil eliminado',
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error eliminando perfil: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error eliminando perfil' });
+      }
+    });
+
+    // Presets de controlador; se aplican con el comando applyPreset
+    this.app.get('/api/presets', async (req, res) => {
+      try {
+        res.json({ 
+          presets: this.systemController.presets.list(),
+          active: this.systemController.getPresetStatus(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listando presets: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error listando presets' });
+      }
+    });
+
+    // Preset completo y sus diferencias con la configuración vigente
+    this.app.get('/api/presets/:name', async (req, res) => {
+      try {
+        const { presets } = this.systemController;
+        if (!presets.has(req.params.name)) {
+          return res.status(404).json({ error: `Preset no encontrado: ${req.params.name}` });
+        }
+        res.json({ 
+          ...presets.get(req.params.name),
+          differences: this.systemController.comparePreset(req.params.name),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo preset: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo preset' });
+      }
+    });
+
+    this.app.post('/api/presets', requireControl, async (req, res) => {
+      try {
+        const validation = validatePreset(req.body);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Preset inválido',
+            details: validation.errors 
+          });
+        }
+
+        const { presets } = this.systemController;
+        const replaced = presets.has(req.body.name);
+        const preset = await this.systemController.savePreset(req.body);
+
+        logger.info(`Preset ${preset.name} ${replaced ? 'reemplazado' : 'guardado'}`, 'API');
+        this.wsManager.broadcast({
+          type: 'presetsUpdated',
+          presets: presets.list(),
+          timestamp: new Date().toISOString()
+        });
+
+        res.status(replaced ? 200 : 201).json({ 
+          success: true, 
+          message: replaced ? 'Preset reemplazado' : 'Preset guardado',
+          preset,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error guardando preset: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error guardando preset',
+          details: error.message 
+        });
+      }
+    });
+
+    this.app.delete('/api/presets/:name', requireControl, async (req, res) => {
+      try {
+        if (!(await this.systemController.deletePreset(req.params.name))) {
+          return res.status(404).json({ error: `Preset no encontrado: ${req.params.name}` });
+        }
+
+        logger.info(`Preset ${req.params.name} eliminado`, 'API');
+        this.wsManager.broadcast({
+          type: 'presetsUpdated',
+          presets: this.systemController.presets.list(),
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Preset eliminado',
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error eliminando preset: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error eliminando preset' });
+      }
+    });
+
+    // Prealimentación
+    this.app.get('/api/feedforward', async (req, res) => {
+      try {
+        res.json(this.systemController.getFeedforward());
+      } catch (error) {
+        logger.error(`Error obteniendo prealimentación: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo prealimentación' });
+      }
+    });
+
+    this.app.put('/api/feedforward', requireControl, async (req, res) => {
+      try {
+        const settings = req.body || {};
+
+        const validation = validateFeedforwardConfig(settings);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Prealimentación inválida',
+            details: validation.errors 
+          });
+        }
+
+        const feedforward = await this.systemController.configureFeedforward(settings);
+
+        this.wsManager.broadcast({
+          type: 'feedforwardUpdated',
+          feedforward,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Prealimentación actualizada',
+          feedforward,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error actualizando prealimentación: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error actualizando prealimentación',
+          details: error.message 
+        });
+      }
+    });
+
+    // Ley de control
+    this.app.get('/api/controller', async (req, res) => {
+      try {
+        res.json(await this.systemController.getController());
+      } catch (error) {
+        logger.error(`Error obteniendo controlador: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo controlador' });
+      }
+    });
+
+    this.app.put('/api/controller', requireControl, async (req, res) => {
+      try {
+        const { type, params } = req.body || {};
+        const controllerType = type || this.systemController.systemData.controller.type;
+
+        const validation = validateControllerParams(controllerType, params);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración de controlador inválida',
+            details: validation.errors 
+          });
+        }
+
+        const controller = await this.systemController.setController(controllerType, params);
+
+        this.wsManager.broadcast({
+          type: 'controllerUpdated',
+          controller,
+          timestamp: new Date().toISOString()
+        });
+
+        logger.info(`Controlador actualizado: ${controller.type}`, 'API');
+        res.json({ 
+          success: true, 
+          message: 'Controlador actualizado',
+          controller,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error actualizando controlador: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error actualizando controlador',
+          details: error.message 
+        });
+      }
+    });
+
+    // Modelo de planta
+    this.app.get('/api/plant', async (req, res) => {
+      try {
+        res.json(await this.systemController.getPlant());
+      } catch (error) {
+        logger.error(`Error obteniendo planta: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo modelo de planta' });
+      }
+    });
+
+    this.app.put('/api/plant', requireControl, this.requireState('setPlant'), async (req, res) => {
+      try {
+        const { type, params } = req.body || {};
+        const plantType = type || this.systemController.systemData.plant.type;
+
+        const validation = validatePlantParams(plantType, params);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Modelo de planta inválido',
+            details: validation.errors 
+          });
+        }
+
+        const plant = await this.systemController.setPlant(plantType, params);
+
+        this.wsManager.broadcast({
+          type: 'plantChanged',
+          plant,
+          timestamp: new Date().toISOString()
+        });
+
+        logger.info(`Planta actualizada: ${plant.type}`, 'API');
+        res.json({ 
+          success: true, 
+          message: 'Modelo de planta actualizado',
+          plant,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error actualizando planta: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error actualizando modelo de planta',
+          details: error.message 
+        });
+      }
+    });
+
+    // Modo de simulación (semilla, paso fijo, reloj virtual)
+    this.app.get('/api/simulation', (req, res) => {
+      try {
+        res.json(this.systemController.getSimulationInfo());
+      } catch (error) {
+        logger.error(`Error obteniendo simulación: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo configuración de simulación' });
+      }
+    });
+
+    this.app.put('/api/simulation', requireControl, async (req, res) => {
+      try {
+        const validation = validateSimulationConfig(req.body);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración de simulación inválida',
+            details: validation.errors 
+          });
+        }
+
+        const simulation = await this.systemController.configureSimulation(req.body);
+
+        this.wsManager.broadcast({
+          type: 'simulationConfigured',
+          simulation,
+          timestamp: new Date().toISOString()
+        });
+
+        logger.info(`Simulación configurada: ${simulation.mode} (semilla ${simulation.seed})`, 'API');
+        res.json({ 
+          success: true, 
+          message: 'Simulación configurada',
+          simulation,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error configurando simulación: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando simulación',
+          details: error.message 
+        });
+      }
+    });
+
+    this.app.post('/api/simulation/step', requireControl, async (req, res) => {
+      try {
+        const steps = req.body?.steps === undefined ? 1 : Number(req.body.steps);
+        if (!Number.isInteger(steps) || steps < 1 || steps > 100000) {
+          return res.status(400).json({ error: 'steps debe ser un entero entre 1 y 100000' });
+        }
+
+        const result = await this.systemController.executeCommand('stepSimulation', steps);
+
+        if (result.data) {
+          this.wsManager.broadcast({
+            type: 'dataUpdate',
+            data: result.data,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({ 
+          success: true, 
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error avanzando simulación: ${error.message}`, 'API');
+        if (error instanceof CommandNotAllowedError) {
+          return res.status(409).json({ 
+            error: 'El sistema debe estar en funcionamiento para avanzar la simulación',
+            code: error.code,
+            state: error.state,
+            details: error.message 
+          });
+        }
+        res.status(500).json({ 
+          error: 'Error avanzando simulación',
+          details: error.message 
+        });
+      }
+    });
+
+    // Modelo del sensor
+    this.app.get('/api/sensor', async (req, res) => {
+      try {
+        res.json(await this.systemController.getSensor());
+      } catch (error) {
+        logger.error(`Error obteniendo sensor: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo configuración del sensor' });
+      }
+    });
+
+    this.app.put('/api/sensor', requireControl, async (req, res) => {
+      try {
+        const validation = validateSensorConfig(req.body);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración del sensor inválida',
+            details: validation.errors 
+          });
+        }
+
+        const sensor = await this.systemController.configureSensor(req.body);
+
+        this.wsManager.broadcast({
+          type: 'sensorConfigured',
+          sensor,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Sensor configurado',
+          sensor,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error configurando sensor: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando sensor',
+          details: error.message 
+        });
+      }
+    });
+
+    // Supervisor de seguridad: configuración, falla enclavada e historial
+    this.app.get('/api/safety', async (req, res) => {
+      try {
+        res.json({ 
+          ...this.systemController.getSafety(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo estado de seguridad: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo estado de seguridad' });
+      }
+    });
+
+    this.app.put('/api/safety', requireControl, async (req, res) => {
+      try {
+        const validation = validateSafetyConfig(req.body, this.systemController.safety.settings);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración de seguridad inválida',
+            details: validation.errors 
+          });
+        }
+
+        const settings = await this.systemController.configureSafety(req.body);
+
+        this.wsManager.broadcast({
+          type: 'safetyConfigured',
+          settings,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Configuración de seguridad actualizada',
+          settings,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error configurando seguridad: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando seguridad',
+          details: error.message 
+        });
+      }
+    });
+
+    // Control exclusivo: concesión vigente, configuración y clientes conectados
+    this.app.get('/api/control', async (req, res) => {
+      try {
+        const { clients } = this.wsManager.getConnectedClients();
+        res.json({ 
+          ...this.systemController.getControl(),
+          clients,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo control exclusivo: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo control exclusivo' });
+      }
+    });
+
+    // Pedir el control; con el token de la concesión vigente, la renueva
+    this.app.post('/api/control', async (req, res) => {
+      try {
+        const validation = validateControlRequest(req.body || {}, this.systemController.controlLock.settings.maxLeaseDuration);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Pedido de control inválido',
+            details: validation.errors 
+          });
+        }
+
+        const { duration, name } = req.body || {};
+        const token = req.get('X-Control-Token') || null;
+        const { controlLock } = this.systemController;
+        const owner = controlLock.isHeldBy({ token })
+          ? controlLock.lease.owner
+          : { id: `rest-${uuidv4()}`, kind: 'rest', ip: req.ip, name: name || null };
+
+        const lease = this.systemController.requestControl(owner, duration);
+
+        res.json({ 
+          success: true, 
+          message: `Control concedido hasta ${lease.expiresAt}`,
+          lease,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendControlError(res, error, 'pedido de control');
+      }
+    });
+
+    this.app.post('/api/control/renew', async (req, res) => {
+      try {
+        const validation = validateControlRequest(req.body || {}, this.systemController.controlLock.settings.maxLeaseDuration);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Renovación de control inválida',
+            details: validation.errors 
+          });
+        }
+
+        const lease = this.systemController.renewControl({ token: req.get('X-Control-Token') || null }, (req.body || {}).duration);
+
+        res.json({ 
+          success: true, 
+          message: `Control renovado hasta ${lease.expiresAt}`,
+          lease,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendControlError(res, error, 'renovación de control');
+      }
+    });
+
+    this.app.delete('/api/control', async (req, res) => {
+      try {
+        this.systemController.releaseControl({ token: req.get('X-Control-Token') || null });
+
+        res.json({ 
+          success: true, 
+          message: 'Control liberado',
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendControlError(res, error, 'liberación de control');
+      }
+    });
+
+    // Toma forzada (administración): requiere X-Admin-Token = config.control.adminToken
+    this.app.post('/api/control/force', async (req, res) => {
+      try {
+        const validation = validateControlRequest(req.body || {}, this.systemController.controlLock.settings.maxLeaseDuration);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Toma de control inválida',
+            details: validation.errors 
+          });
+        }
+
+        const { duration, name } = req.body || {};
+        const owner = { id: `rest-${uuidv4()}`, kind: 'rest', ip: req.ip, name: name || null };
+        const lease = this.systemController.forceControl(owner, req.get('X-Admin-Token'), duration);
+
+        res.json({ 
+          success: true, 
+          message: `Control tomado hasta ${lease.expiresAt}`,
+          lease,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendControlError(res, error, 'toma forzada de control');
+      }
+    });
+
+    // Dead-man de la sesión de control
+    this.app.get('/api/deadman', async (req, res) => {
+      try {
+        res.json({ 
+          ...this.systemController.getDeadMan(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error obteniendo dead-man: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo configuración del dead-man' });
+      }
+    });
+
+    this.app.put('/api/deadman', requireControl, async (req, res) => {
+      try {
+        const validation = validateDeadManConfig(req.body, this.systemController.safety.settings, config.websocket.heartbeatInterval);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración del dead-man inválida',
+            details: validation.errors 
+          });
+        }
+
+        const settings = await this.systemController.configureDeadMan(req.body);
+
+        this.wsManager.broadcast({
+          type: 'deadManConfigured',
+          settings,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Configuración del dead-man actualizada',
+          settings,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error configurando dead-man: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando dead-man',
+          details: error.message 
+        });
+      }
+    });
+
+    // Alarmas y sus transiciones más recientes
+    this.app.get('/api/alarms', async (req, res) => {
+      try {
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+        if (isNaN(limit) || limit < 0 || limit > config.alarms.maxHistory) {
+          return res.status(400).json({ 
+            error: `limit debe ser un entero entre 0 y ${config.alarms.maxHistory}` 
+          });
+        }
+
+        res.json({ 
+          alarms: this.alarms.list(),
+          raised: this.alarms.getRaised().length,
+          history: this.alarms.getHistory(limit),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listando alarmas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error listando alarmas' });
+      }
+    });
+
+    this.app.post('/api/alarms/:id/ack', requireControl, async (req, res) => {
+      try {
+        if (!this.alarms.has(req.params.id)) {
+          return res.status(404).json({ error: `Alarma no encontrada: ${req.params.id}` });
+        }
+        const { state } = this.alarms.get(req.params.id);
+        if (state !== 'active') {
+          return res.status(409).json({ 
+            error: 'Sólo se reconocen alarmas activas',
+            state
+          });
+        }
+
+        const alarm = this.alarms.acknowledge(req.params.id, req.ip);
+
+        res.json({ 
+          success: true, 
+          message: `Alarma ${alarm.id} reconocida`,
+          alarm,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error reconociendo alarma: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error reconociendo alarma',
+          details: error.message 
+        });
+      }
+    });
+
+    this.app.post('/api/alarms/:id/shelve', requireControl, async (req, res) => {
+      try {
+        if (!this.alarms.has(req.params.id)) {
+          return res.status(404).json({ error: `Alarma no encontrada: ${req.params.id}` });
+        }
+
+        const validation = validateAlarmShelve(req.body || {});
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Pedido de shelve inválido',
+            details: validation.errors 
+          });
+        }
+
+        const alarm = this.alarms.shelve(req.params.id, req.body || {}, req.ip);
+
+        res.json({ 
+          success: true, 
+          message: `Alarma ${alarm.id} suprimida hasta ${alarm.shelvedUntil}`,
+          alarm,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error suprimiendo alarma: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error suprimiendo alarma',
+          details: error.message 
+        });
+      }
+    });
+
+    // Modelo del actuador
+    this.app.get('/api/actuator', async (req, res) => {
+      try {
+        res.json(await this.systemController.getActuator());
+      } catch (error) {
+        logger.error(`Error obteniendo actuador: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo configuración del actuador' });
+      }
+    });
+
+    this.app.put('/api/actuator', requireControl, async (req, res) => {
+      try {
+        const validation = validateActuatorConfig(req.body, this.systemController.actuator.params);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Configuración del actuador inválida',
+            details: validation.errors 
+          });
+        }
+
+        const actuator = await this.systemController.configureActuator(req.body);
+
+        this.wsManager.broadcast({
+          type: 'actuatorConfigured',
+          actuator,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          message: 'Actuador configurado',
+          actuator,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error configurando actuador: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error configurando actuador',
+          details: error.message 
+        });
+      }
+    });
+
+    // Perturbaciones
+    this.app.get('/api/disturbances', async (req, res) => {
+      try {
+        res.json(await this.systemController.getDisturbances());
+      } catch (error) {
+        logger.error(`Error obteniendo perturbaciones: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error obteniendo perturbaciones' });
+      }
+    });
+
+    this.app.post('/api/disturbances', requireControl, this.requireState('injectDisturbance'), async (req, res) => {
+      try {
+        const definitions = Array.isArray(req.body) ? req.body : [req.body];
+
+        const errors = definitions.flatMap(definition => validateDisturbance(definition).errors);
+        if (errors.length > 0) {
+          return res.status(400).json({ 
+            error: 'Perturbación inválida',
+            details: errors 
+          });
+        }
+
+        const disturbances = [];
+        for (const definition of definitions) {
+          disturbances.push(await this.systemController.injectDisturbance(definition));
+        }
+
+        this.wsManager.broadcast({
+          type: 'disturbanceInjected',
+          disturbances,
+          timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json({ 
+          success: true, 
+          message: 'Perturbación programada',
+          disturbances,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error programando perturbación: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error programando perturbación',
+          details: error.message 
+        });
+      }
+    });
+
+    this.app.delete('/api/disturbances/:id?', requireControl, async (req, res) => {
+      try {
+        if (req.params.id && !this.systemController.disturbances.has(req.params.id)) {
+          return res.status(404).json({ error: `Perturbación no encontrada: ${req.params.id}` });
+        }
+
+        const result = await this.systemController.clearDisturbances(req.params.id || null);
+
+        this.wsManager.broadcast({
+          type: 'disturbancesCleared',
+          result,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ 
+          success: true, 
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error cancelando perturbaciones: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error cancelando perturbaciones',
+          details: error.message 
+        });
+      }
+    });
+
+    // Simulación offline: corre el lazo cerrado sin tocar el estado en vivo
+    this.app.post('/api/simulate', async (req, res) => {
+      try {
+        const request = req.body || {};
+
+        const validation = validateOfflineSimulation(request);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Solicitud de simulación inválida',
+            details: validation.errors 
+          });
+        }
+
+        const result = await runOfflineSimulation(request);
+
+        // La corrida queda disponible para POST /api/identify
+        const { time, angle, trueAngle, setpoint, controlOutput, actuatorOutput } = result.trajectory;
+        const runId = this.systemController.runs.add({
+          source: 'simulate',
+          settings: result.settings,
+          signals: { time, angle, trueAngle, setpoint, controlOutput, actuatorOutput }
+        });
+
+        logger.info(`Simulación offline ${runId}: ${result.stepsExecuted} pasos en ${result.elapsedMs} ms`, 'API');
+        res.json({ 
+          success: true, 
+          runId,
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error en simulación offline: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error ejecutando simulación offline',
+          details: error.message 
+        });
+      }
+    });
+
+    // Corridas registradas
+    this.app.get('/api/runs', async (req, res) => {
+      try {
+        res.json({ 
+          runs: this.systemController.runs.list(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listando corridas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error listando corridas' });
+      }
+    });
+
+    // Ajuste de FOPDT, segundo orden o ARX sobre una corrida o un tramo del historial
+    // Identificar sin aplicar el modelo no toca el equipo
+    this.app.post('/api/identify', (req, res, next) => (req.body && req.body.apply ? requireControl(req, res, next) : next()), async (req, res) => {
+      try {
+        const request = req.body || {};
+
+        const validation = validateIdentifyRequest(request);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Solicitud de identificación inválida',
+            details: validation.errors 
+          });
+        }
+
+        if (request.runId && !this.systemController.runs.has(request.runId)) {
+          return res.status(404).json({ error: `Corrida no encontrada: ${request.runId}` });
+        }
+
+        const result = await this.systemController.identifyPlant(request);
+
+        if (result.applied) {
+          this.wsManager.broadcast({
+            type: 'plantChanged',
+            plant: this.systemController.systemData.plant,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        logger.info(`Identificación ${result.model}: ajuste ${result.fit.toFixed(1)}%${result.applied ? ', cargado como planta' : ''}`, 'API');
+        res.json({ 
+          success: true, 
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error en identificación: ${error.message}`, 'API');
+        res.status(500).json({ 
+          error: 'Error identificando el modelo',
+          details: error.message 
+        });
+      }
+    });
+  }
+
+  setupSystemEvents() {
+    // Eventos que el controlador genera dentro del lazo y que no pasan por la API
+    const forwardedEvents = [
+      'autotuneStarted',
+      'autotuneProgress',
+      'autotuneCompleted',
+      'autotuneFailed',
+      'autotuneApplied',
+      'autotuneRejected',
+      'trajectoryStarted',
+      'trajectoryCompleted',
+      'trajectoryCancelled',
+      'stepResponseCompleted',
+      'experimentStarted',
+      'experimentProgress',
+      'experimentCompleted',
+      'experimentFailed',
+      'presetApplied',
+      'safetyWarning',
+      'safetyFault',
+      'faultAcknowledged',
+      'stateChanged',
+      'deadManTriggered',
+      'deadManCompleted',
+      'controlChanged'
+    ];
+
+    forwardedEvents.forEach(type => {
+      this.systemController.on(type, payload => {
+        this.wsManager.broadcast({
+          type,
+          data: payload,
+          timestamp: new Date().toISOString()
+        });
+      });
+    });
+  }
+
+  setupAlarms() {
+    this.alarms.on('alarm', event => {
+      const message = `Alarma ${event.alarmId} (${event.severity}): ${event.from} → ${event.to}`;
+      if (event.to === 'active' && event.severity !== 'info') {
+        logger.warn(`${message} - ${event.description}`, 'ALARM');
+      } else {
+        logger.info(message, 'ALARM');
+      }
+
+      this.wsManager.broadcastToChannel('alarm', {
+        type: 'alarm',
+        data: event,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Evalúa las alarmas en cada tick del intervalo. Las señales del proceso y
+   * la cantidad de clientes sólo se evalúan con el lazo en marcha; el jitter
+   * es la diferencia entre el intervalo medido y el configurado (ms). Un
+   * error de las alarmas no debe frenar el lazo.
+   */
+  evaluateAlarms(now, jitter) {
+    const { isRunning, error: trackingError, currentAngle, actuator } = this.systemController.systemData;
+
+    try {
+      this.alarms.evaluate({
+        error: isRunning ? trackingError : null,
+        angle: isRunning ? currentAngle : null,
+        saturation: isRunning ? (actuator.saturated ? 1 : 0) : null,
+        loopJitter: jitter,
+        clientCount: isRunning ? this.wsManager.getConnectionCount() : null
+      }, now);
+    } catch (error) {
+      logger.error(`Error evaluando alarmas: ${error.message}`, 'ALARM');
+    }
+  }
+
+  startSimulation() {
+    const interval = config.system?.updateInterval || 100;
+    let lastTick = null;
+
+    const cycle = async (now) => {
+      const jitter = lastTick === null ? 0 : Math.abs(now - lastTick - interval);
+      lastTick = now;
+      this.evaluateAlarms(now, jitter);
+      this.systemController.expireControlLease(now);
+
+      if (!this.systemController.shouldAutoStep()) return;
+
+      const data = await this.systemController.updateSimulation();
+      if (!data) return;
+
+      // Broadcast a clientes
+      this.wsManager.broadcast({
+        type: 'dataUpdate',
+        data,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // El siguiente ciclo se programa cuando termina el anterior: un ciclo
+    // lento lo demora en vez de superponerse (la planta se integraría dos
+    // veces sobre el mismo estado) y el watchdog ve la demora real
+    const tick = async () => {
+      const started = Date.now();
+      try {
+        await cycle(started);
+      } catch (error) {
+        logger.error(`Error en ciclo de simulación: ${error.message}`, 'SIMULATION');
+      }
+      if (this.simulationTimer) {
+        this.simulationTimer = setTimeout(tick, Math.max(0, interval - (Date.now() - started)));
+      }
+    };
+
+    this.simulationTimer = setTimeout(tick, interval);
+    this.systemController.startWatchdog(interval);
+
+    logger.info('Simulación iniciada', 'SIMULATION');
+  }
+
+  stopSimulation() {
+    if (this.simulationTimer) {
+      clearTimeout(this.simulationTimer);
+      this.simulationTimer = null;
+    }
+    this.systemController.stopWatchdog();
+  }
+
+  setupErrorHandling() {
+    this.app.use((error, req, res, next) => {
+      logger.error(`Error en Express: ${error.message}`, 'EXPRESS');
+      
+      if (res.headersSent) {
+        return next(error);
+      }
+
+      res.status(500).json({
+        error: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    process.on('uncaughtException', (error) => {
+      logger.error(`Error no capturado: ${error.message}`, 'SYSTEM');
+      console.error('Uncaught Exception:', error);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+      logger.error(`Promesa rechazada: ${reason}`, 'SYSTEM');
+      console.error('Unhandled Rejection:', reason);
+    });
+
+    process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
     process.on('SIGINT', () => this.gracefulShutdown('SIGINT'));
   }
 
   gracefulShutdown(signal) {
     logger.info(`Cerrando servidor (${signal})...`, 'SYSTEM');
     
-    if (this.simulationInterval) {
-      clearInterval(this.simulationInterval);
-    }
+    this.stopSimulation();
+
+    this.wsManager.closeAll();
 
     this.server.close(() => {
       logger.info('Servidor cerrado', 'SYSTEM');
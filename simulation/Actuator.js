@@ -0,0 +1,96 @@
+// simulation/Actuator.js
+
+const DEFAULT_PARAMS = {
+  minOutput: 0,       // mando mínimo (unidades de salida del controlador)
+  maxOutput: 100,     // mando máximo
+  slewRate: 0,        // variación máxima del mando por segundo; 0 = sin límite
+  deadband: 0,        // mandos con magnitud menor no mueven el motor
+  timeConstant: 0.05  // s - retardo de primer orden del motor; 0 = instantáneo
+};
+
+/**
+ * Etapa motor/hélice entre el controlador y la planta:
+ * mando → saturación → zona muerta → limitación de pendiente → retardo del motor
+ */
+class Actuator {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.reset();
+  }
+
+  reset() {
+    this.command = 0;
+    this.limitedCommand = 0;
+    this.output = 0;
+    this.saturated = false;
+    this.rateLimited = false;
+  }
+
+  configure(params = {}) {
+    this.params = { ...this.params, ...params };
+    this.reset();
+    return this.params;
+  }
+
+  saturate(value) {
+    const { minOutput, maxOutput } = this.params;
+    return Math.max(minOutput, Math.min(maxOutput, value));
+  }
+
+  /**
+   * Calcula el mando efectivo que llega a la planta durante dt
+   * @param {number} command - Salida del controlador
+   * @param {number} dt - Intervalo en segundos
+   * @returns {number} Mando aplicado a la planta
+   */
+  apply(command, dt) {
+    const { deadband, slewRate, timeConstant } = this.params;
+    this.command = command;
+
+    let target = this.saturate(command);
+    this.saturated = target !== command;
+
+    if (Math.abs(target) < deadband) {
+      target = 0;
+    }
+
+    this.rateLimited = false;
+    if (slewRate > 0 && dt > 0) {
+      const maxChange = slewRate * dt;
+      const change = target - this.limitedCommand;
+      if (Math.abs(change) > maxChange) {
+        target = this.limitedCommand + Math.sign(change) * maxChange;
+        this.rateLimited = true;
+      }
+    }
+    this.limitedCommand = target;
+
+    if (timeConstant > 0 && dt > 0) {
+      this.output += (target - this.output) * (1 - Math.exp(-dt / timeConstant));
+    } else {
+      this.output = target;
+    }
+
+    return this.output;
+  }
+
+  getState() {
+    return {
+      command: this.command,
+      output: this.output,
+      saturated: this.saturated,
+      rateLimited: this.rateLimited
+    };
+  }
+
+  getInfo() {
+    return {
+      params: { ...this.params },
+      ...this.getState()
+    };
+  }
+}
+
+Actuator.DEFAULT_PARAMS = DEFAULT_PARAMS;
+
+module.exports = Actuator;
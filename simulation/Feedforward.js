@@ -0,0 +1,107 @@
+// simulation/Feedforward.js
+
+const GRAVITY_SOURCES = ['reference', 'measurement'];
+const TERMS = ['gravity', 'setpoint', 'disturbance'];
+
+const DEFAULT_CONFIG = {
+  // Compensación del modelo: mando que sostiene la planta en equilibrio (m·g·d·sen θ en el aeropéndulo)
+  gravity: { enabled: false, gain: 1, source: 'reference' },
+  // Término proporcional a la referencia: u = gain·r
+  setpoint: { enabled: false, gain: 0 },
+  // Compensación de la perturbación medida a través del modelo estático de la planta
+  disturbance: { enabled: false, gain: 1 }
+};
+
+/**
+ * Caminos de prealimentación que se suman a la salida de la ley de control.
+ * Cada término se activa y ajusta por separado; los que dependen del modelo
+ * usan Plant.staticInput(), así que valen para cualquier planta que lo defina.
+ */
+class Feedforward {
+  constructor(config = {}) {
+    this.config = {
+      gravity: { ...DEFAULT_CONFIG.gravity },
+      setpoint: { ...DEFAULT_CONFIG.setpoint },
+      disturbance: { ...DEFAULT_CONFIG.disturbance }
+    };
+    this.output = { gravity: 0, setpoint: 0, disturbance: 0, total: 0 };
+    this.configure(config);
+  }
+
+  /**
+   * Actualización parcial por término
+   * @param {Object} config - { gravity: { enabled, gain, source }, setpoint: { enabled, gain }, disturbance: { enabled, gain } }
+   * @returns {Object} Configuración vigente
+   */
+  configure(config = {}) {
+    TERMS.forEach(term => {
+      if (config[term] !== undefined) {
+        this.config[term] = { ...this.config[term], ...config[term] };
+      }
+    });
+    return this.describe();
+  }
+
+  isActive() {
+    return TERMS.some(term => this.config[term].enabled);
+  }
+
+  /**
+   * Mando de prealimentación del ciclo
+   * @param {Object} context - { plant, reference, measurement, disturbance }
+   * @returns {number} Suma de los términos activos
+   */
+  compute({ plant, reference, measurement, disturbance = 0 }) {
+    const { gravity, setpoint, disturbance: measured } = this.config;
+    const output = { gravity: 0, setpoint: 0, disturbance: 0, total: 0 };
+
+    if (gravity.enabled) {
+      const angle = gravity.source === 'measurement' ? measurement : reference;
+      output.gravity = gravity.gain * (plant.staticInput(angle, 0) || 0);
+    }
+
+    if (setpoint.enabled) {
+      output.setpoint = setpoint.gain * reference;
+    }
+
+    if (measured.enabled && disturbance !== 0) {
+      // Diferencia entre el equilibrio con y sin la perturbación en el punto actual
+      const loaded = plant.staticInput(measurement, disturbance);
+      const unloaded = plant.staticInput(measurement, 0);
+      if (loaded !== null && unloaded !== null) {
+        output.disturbance = measured.gain * (loaded - unloaded);
+      }
+    }
+
+    output.total = output.gravity + output.setpoint + output.disturbance;
+    this.output = output;
+    return output.total;
+  }
+
+  /**
+   * Sin prealimentación en este ciclo (p. ej. durante la autosintonía)
+   */
+  clear() {
+    this.output = { gravity: 0, setpoint: 0, disturbance: 0, total: 0 };
+    return 0;
+  }
+
+  getOutput() {
+    return { ...this.output };
+  }
+
+  describe() {
+    return {
+      gravity: { ...this.config.gravity },
+      setpoint: { ...this.config.setpoint },
+      disturbance: { ...this.config.disturbance },
+      active: this.isActive()
+    };
+  }
+}
+
+Feedforward.TERMS = TERMS;
+Feedforward.GRAVITY_SOURCES = GRAVITY_SOURCES;
+Feedforward.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = Feedforward;
@@ -0,0 +1,298 @@
+// simulation/FrequencySweep.js
+const { solveLinearSystem } = require('../utils/linearAlgebra');
+
+const SWEEP_MODES = ['closed', 'open'];
+
+const DEFAULT_PARAMS = {
+  mode: 'closed',       // closed: excita la referencia; open: inyecta en la entrada de la planta
+  minFrequency: 0.05,   // Hz
+  maxFrequency: 1,      // Hz
+  points: 8,            // frecuencias espaciadas logarítmicamente
+  amplitude: 5,         // ° en lazo cerrado, unidades de mando en lazo abierto
+  settleCycles: 3,      // ciclos descartados hasta el régimen permanente
+  settleTime: 5,        // s mínimos de espera por frecuencia (modos lentos de la planta)
+  measureCycles: 4      // ciclos usados en el ajuste
+};
+
+const SIGNALS = ['excitation', 'output', 'control', 'input'];
+
+/**
+ * Barrido senoidal para medir la respuesta en frecuencia del lazo.
+ * En cada frecuencia se descartan settleCycles ciclos (y al menos settleTime
+ * segundos) y durante measureCycles ciclos se ajusta cada señal por mínimos
+ * cuadrados a offset + deriva + coseno + seno. La deriva absorbe la cola de
+ * los modos lentos que la espera no llegó a apagar, que a alta frecuencia
+ * puede ser mayor que la respuesta forzada.
+ *
+ * - closed: r = r0 + A·sen(ωt); mide T(jω) = Y/R
+ * - open: u = u_c + A·sen(ωt) con el lazo cerrado; mide el lazo abierto
+ *   L(jω) = -U_c/U y la planta P(jω) = Y/U sin abrir físicamente el lazo
+ */
+class FrequencySweep {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.frequencies = logSpace(this.params.minFrequency, this.params.maxFrequency, this.params.points);
+    this.index = 0;
+    this.points = [];
+    this.status = 'running';
+    this.startFrequency();
+  }
+
+  startFrequency() {
+    const frequency = this.frequencies[this.index];
+    this.time = 0;
+    this.settleTime = Math.max(this.params.settleCycles / frequency, this.params.settleTime);
+    this.measureTime = this.params.measureCycles / frequency;
+    this.saturatedSamples = 0;
+    // Ecuaciones normales del ajuste: base [1, τ, cos, sen] con τ ∈ [0, 1] en la ventana
+    this.normal = Array.from({ length: 4 }, () => [0, 0, 0, 0]);
+    this.sums = Object.fromEntries(SIGNALS.map(name => [name, [0, 0, 0, 0]]));
+  }
+
+  /**
+   * Excitación del ciclo; avanza el tiempo del experimento
+   * @param {number} dt - Intervalo en segundos
+   * @returns {number} Valor de la senoide a sumar a la referencia o al mando
+   */
+  next(dt) {
+    if (this.status !== 'running') return 0;
+    this.time += dt;
+    this.lastDt = dt;
+    return this.params.amplitude * Math.sin(this.omega() * this.time);
+  }
+
+  omega() {
+    return 2 * Math.PI * this.frequencies[this.index];
+  }
+
+  /**
+   * Acumula las señales del ciclo en el ajuste
+   * @param {Object} signals - { excitation, output, control, input, saturated }
+   *   output: medición; control: mando de la ley; input: mando total a la planta
+   * @returns {Object|null} Punto de Bode si se completó una frecuencia
+   */
+  record({ excitation, output, control, input, saturated }) {
+    if (this.status !== 'running' || this.time <= this.settleTime) return null;
+
+    const angle = this.omega() * this.time;
+    const basis = [1, (this.time - this.settleTime) / this.measureTime, Math.cos(angle), Math.sin(angle)];
+    basis.forEach((a, i) => basis.forEach((b, j) => { this.normal[i][j] += a * b; }));
+
+    const values = { excitation, output, control, input };
+    SIGNALS.forEach(name => {
+      basis.forEach((a, i) => { this.sums[name][i] += a * values[name]; });
+    });
+    if (saturated) this.saturatedSamples++;
+
+    if (this.time < this.settleTime + this.measureTime - 1e-9) return null;
+
+    const point = this.computePoint();
+    this.points.push(point);
+    this.index++;
+
+    if (this.index >= this.frequencies.length) {
+      this.status = 'completed';
+    } else {
+      this.startFrequency();
+    }
+
+    return point;
+  }
+
+  computePoint() {
+    const frequency = this.frequencies[this.index];
+    const { excitation, output, control, input } = Object.fromEntries(
+      SIGNALS.map(name => [name, this.phasor(this.sums[name])])
+    );
+    const point = {
+      frequency,
+      omega: 2 * Math.PI * frequency,
+      saturated: this.saturatedSamples > 0
+    };
+
+    if (this.params.mode === 'closed') {
+      Object.assign(point, describeRatio(divide(output, excitation)));
+    } else {
+      // El mando de la ley es -L veces el mando total que entra a la planta
+      Object.assign(point, describeRatio(divide(negate(control), input)));
+      point.plant = describeRatio(divide(output, input));
+    }
+
+    return point;
+  }
+
+  /**
+   * Fasor de una señal: x ≈ a + b·τ + re·cos(ωt) - im·sen(ωt)
+   */
+  phasor(sums) {
+    const solution = solveLinearSystem(this.normal, sums);
+    if (!solution) return { re: NaN, im: NaN };
+    return { re: solution[2], im: -solution[3] };
+  }
+
+  fail(reason) {
+    this.status = 'failed';
+    this.reason = reason;
+  }
+
+  getProgress() {
+    return {
+      status: this.status,
+      index: this.index,
+      total: this.frequencies.length,
+      frequency: this.frequencies[this.index] ?? null,
+      elapsed: this.time,
+      points: this.points.length
+    };
+  }
+
+  /**
+   * Datos de Bode con la fase desenrollada y el análisis según el modo
+   */
+  getResult() {
+    const phases = unwrapPhase(this.points.map(point => point.phase));
+    const bode = {
+      frequency: this.points.map(point => point.frequency),
+      gain: this.points.map(point => point.gain),
+      gainDb: this.points.map(point => point.gainDb),
+      phase: phases
+    };
+
+    const result = {
+      mode: this.params.mode,
+      points: this.points,
+      bode,
+      saturatedPoints: this.points.filter(point => point.saturated).length
+    };
+
+    if (this.params.mode === 'open') {
+      result.plantBode = {
+        frequency: bode.frequency,
+        gainDb: this.points.map(point => point.plant.gainDb),
+        phase: unwrapPhase(this.points.map(point => point.plant.phase))
+      };
+      result.margins = computeMargins(bode.frequency, bode.gain, phases);
+    } else {
+      result.closedLoop = analyzeClosedLoop(bode.frequency, bode.gain);
+    }
+
+    return result;
+  }
+}
+
+function logSpace(min, max, count) {
+  if (count === 1) return [min];
+  const step = (Math.log10(max) - Math.log10(min)) / (count - 1);
+  return Array.from({ length: count }, (_, i) => Math.pow(10, Math.log10(min) + step * i));
+}
+
+function divide(a, b) {
+  const denominator = b.re * b.re + b.im * b.im;
+  return {
+    re: (a.re * b.re + a.im * b.im) / denominator,
+    im: (a.im * b.re - a.re * b.im) / denominator
+  };
+}
+
+function negate(a) {
+  return { re: -a.re, im: -a.im };
+}
+
+function describeRatio(ratio) {
+  const gain = Math.hypot(ratio.re, ratio.im);
+  return {
+    gain,
+    gainDb: 20 * Math.log10(gain),
+    phase: Math.atan2(ratio.im, ratio.re) * 180 / Math.PI
+  };
+}
+
+function unwrapPhase(phases) {
+  const unwrapped = [];
+  phases.forEach((phase, i) => {
+    if (i === 0) {
+      unwrapped.push(phase);
+      return;
+    }
+    let value = phase;
+    while (value - unwrapped[i - 1] > 180) value -= 360;
+    while (value - unwrapped[i - 1] < -180) value += 360;
+    unwrapped.push(value);
+  });
+  return unwrapped;
+}
+
+// Interpolación lineal en escala logarítmica de frecuencia
+function interpolateLog(f1, f2, ratio) {
+  return Math.pow(10, Math.log10(f1) + (Math.log10(f2) - Math.log10(f1)) * ratio);
+}
+
+/**
+ * Márgenes de ganancia y fase del lazo abierto medido; null si el cruce
+ * cae fuera del rango barrido
+ */
+function computeMargins(frequencies, gains, phases) {
+  const margins = {
+    gainCrossover: null,
+    phaseMargin: null,
+    phaseCrossover: null,
+    gainMargin: null,
+    gainMarginDb: null
+  };
+
+  for (let i = 0; i < frequencies.length - 1; i++) {
+    const a = Math.log10(gains[i]);
+    const b = Math.log10(gains[i + 1]);
+    if (a * b <= 0 && a !== b) {
+      const ratio = a / (a - b);
+      margins.gainCrossover = interpolateLog(frequencies[i], frequencies[i + 1], ratio);
+      margins.phaseMargin = 180 + phases[i] + (phases[i + 1] - phases[i]) * ratio;
+      break;
+    }
+  }
+
+  for (let i = 0; i < frequencies.length - 1; i++) {
+    const a = phases[i] + 180;
+    const b = phases[i + 1] + 180;
+    if (a * b <= 0 && a !== b) {
+      const ratio = a / (a - b);
+      const logGain = Math.log10(gains[i]) + (Math.log10(gains[i + 1]) - Math.log10(gains[i])) * ratio;
+      margins.phaseCrossover = interpolateLog(frequencies[i], frequencies[i + 1], ratio);
+      margins.gainMargin = Math.pow(10, -logGain);
+      margins.gainMarginDb = -20 * logGain;
+      break;
+    }
+  }
+
+  return margins;
+}
+
+/**
+ * Ancho de banda (-3 dB respecto de la ganancia a baja frecuencia) y pico de resonancia
+ */
+function analyzeClosedLoop(frequencies, gains) {
+  const reference = gains[0];
+  let bandwidth = null;
+  for (let i = 0; i < gains.length - 1; i++) {
+    const a = gains[i] / reference - Math.SQRT1_2;
+    const b = gains[i + 1] / reference - Math.SQRT1_2;
+    if (a >= 0 && b < 0) {
+      bandwidth = interpolateLog(frequencies[i], frequencies[i + 1], a / (a - b));
+      break;
+    }
+  }
+
+  const peakIndex = gains.reduce((best, gain, i) => (gain > gains[best] ? i : best), 0);
+  return {
+    lowFrequencyGain: reference,
+    bandwidth,
+    resonantPeak: gains[peakIndex],
+    resonantPeakDb: 20 * Math.log10(gains[peakIndex]),
+    resonantFrequency: frequencies[peakIndex]
+  };
+}
+
+FrequencySweep.MODES = SWEEP_MODES;
+FrequencySweep.DEFAULT_PARAMS = DEFAULT_PARAMS;
+
+module.exports = FrequencySweep;
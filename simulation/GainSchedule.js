@@ -0,0 +1,88 @@
+// simulation/GainSchedule.js
+
+const SCHEDULE_VARIABLES = ['angle', 'setpoint'];
+const INTERPOLATIONS = ['linear', 'step'];
+
+/**
+ * Tabla de ganancias PID por región de operación. Cada punto fija kp, ki y
+ * kd en un valor de la variable de planificación (ángulo medido o
+ * referencia); entre puntos se interpola linealmente o por escalones y
+ * fuera de la tabla se usa el extremo más cercano.
+ */
+class GainSchedule {
+  constructor(config = {}) {
+    this.enabled = false;
+    this.variable = 'angle';
+    this.interpolation = 'linear';
+    this.points = [];
+    this.configure(config);
+  }
+
+  configure(config = {}) {
+    if (config.enabled !== undefined) this.enabled = Boolean(config.enabled);
+    if (config.variable !== undefined) this.variable = config.variable;
+    if (config.interpolation !== undefined) this.interpolation = config.interpolation;
+    if (config.points !== undefined) {
+      this.points = config.points
+        .map(point => ({
+          breakpoint: parseFloat(point.breakpoint),
+          kp: parseFloat(point.kp),
+          ki: parseFloat(point.ki),
+          kd: parseFloat(point.kd)
+        }))
+        .sort((a, b) => a.breakpoint - b.breakpoint);
+    }
+    return this.describe();
+  }
+
+  isActive() {
+    return this.enabled && this.points.length > 0;
+  }
+
+  /**
+   * Ganancias para un valor de la variable de planificación
+   * @param {number} value - Ángulo o referencia
+   * @returns {Object} { kp, ki, kd }
+   */
+  lookup(value) {
+    const { points } = this;
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (value <= first.breakpoint) return pickGains(first);
+    if (value >= last.breakpoint) return pickGains(last);
+
+    const upperIndex = points.findIndex(point => point.breakpoint > value);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+
+    if (this.interpolation === 'step') {
+      return pickGains(lower);
+    }
+
+    const ratio = (value - lower.breakpoint) / (upper.breakpoint - lower.breakpoint);
+    return {
+      kp: lower.kp + (upper.kp - lower.kp) * ratio,
+      ki: lower.ki + (upper.ki - lower.ki) * ratio,
+      kd: lower.kd + (upper.kd - lower.kd) * ratio
+    };
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      variable: this.variable,
+      interpolation: this.interpolation,
+      points: this.points.map(point => ({ ...point }))
+    };
+  }
+}
+
+function pickGains(point) {
+  return { kp: point.kp, ki: point.ki, kd: point.kd };
+}
+
+GainSchedule.VARIABLES = SCHEDULE_VARIABLES;
+GainSchedule.INTERPOLATIONS = INTERPOLATIONS;
+
+module.exports = GainSchedule;
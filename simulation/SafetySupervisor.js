@@ -0,0 +1,167 @@
+// simulation/SafetySupervisor.js
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  softLimits: { min: -150, max: 150 }, // referencias admitidas y aviso al sobrepasarlos
+  hardLimits: { min: -170, max: 170 }, // falla al sobrepasarlos
+  maxVelocity: 500,                    // unidades de salida por segundo; 0 = sin límite
+  maxSaturationTime: 10,               // s seguidos con el actuador saturado; 0 = sin límite
+  watchdogTimeout: 2                   // s máximos entre ciclos del lazo; 0 = sin watchdog
+};
+
+// Fallas que se conservan en el historial
+const MAX_HISTORY = 50;
+
+const CAUSES = {
+  watchdog: 'Watchdog del lazo de control',
+  hardLimit: 'Límite duro de ángulo',
+  velocity: 'Velocidad máxima',
+  saturation: 'Saturación prolongada del actuador'
+};
+
+/**
+ * Supervisor de seguridad que revisa cada ciclo del lazo: límites duros de
+ * ángulo, velocidad máxima, tiempo continuo de saturación del actuador y
+ * tiempo entre ciclos. La primera violación dispara una falla enclavada que
+ * sólo se borra al reconocerla; mientras tanto el supervisor no vuelve a
+ * revisar. Los límites blandos no disparan fallas: acotan las referencias
+ * que se aceptan y avisan cuando la medición los sobrepasa.
+ */
+class SafetySupervisor {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.fault = null;
+    this.history = [];
+    this.nextId = 1;
+    this.reset();
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    return { ...this.settings };
+  }
+
+  /**
+   * Reinicia los contadores por ciclo; la falla enclavada se conserva
+   */
+  reset() {
+    this.saturationTime = 0;
+    this.softLimitExceeded = false;
+  }
+
+  isFaulted() {
+    return this.fault !== null;
+  }
+
+  /**
+   * ¿El intervalo [low, high] queda dentro de los límites blandos?
+   */
+  withinSoftLimits(low, high = low) {
+    const { enabled, softLimits } = this.settings;
+    return !enabled || !softLimits || (low >= softLimits.min && high <= softLimits.max);
+  }
+
+  /**
+   * Revisa una muestra del lazo
+   * @param {Object} sample - { dt, angle, velocity, saturated, time }
+   * @returns {Object} { fault, warning }: la falla disparada en esta muestra y
+   *   el aviso de límite blando al sobrepasarlo, o null
+   */
+  check({ dt, angle, velocity, saturated, time }) {
+    const result = { fault: null, warning: null };
+    if (!this.settings.enabled || this.fault) return result;
+
+    const { softLimits, hardLimits, maxVelocity, maxSaturationTime } = this.settings;
+    this.saturationTime = saturated ? this.saturationTime + dt : 0;
+
+    result.fault = this.checkWatchdog(dt, time);
+    if (result.fault) return result;
+
+    if (hardLimits && (angle < hardLimits.min || angle > hardLimits.max)) {
+      result.fault = this.trip('hardLimit', angle, angle < hardLimits.min ? hardLimits.min : hardLimits.max, time);
+    } else if (maxVelocity > 0 && Math.abs(velocity) > maxVelocity) {
+      result.fault = this.trip('velocity', velocity, maxVelocity, time);
+    } else if (maxSaturationTime > 0 && this.saturationTime > maxSaturationTime) {
+      result.fault = this.trip('saturation', this.saturationTime, maxSaturationTime, time);
+    }
+    if (result.fault) return result;
+
+    // El aviso se da al salir de los límites blandos, no en cada muestra
+    const outside = softLimits !== null && (angle < softLimits.min || angle > softLimits.max);
+    if (outside && !this.softLimitExceeded) {
+      result.warning = { angle, limit: angle < softLimits.min ? softLimits.min : softLimits.max, time };
+    }
+    this.softLimitExceeded = outside;
+
+    return result;
+  }
+
+  /**
+   * Revisa el tiempo transcurrido desde el último ciclo del lazo. Además de
+   * cada ciclo lo consulta un temporizador propio, que detecta un lazo
+   * detenido aunque no vuelva a correr.
+   * @param {number} elapsed - s desde el último ciclo
+   * @returns {Object|null} Falla disparada
+   */
+  checkWatchdog(elapsed, time) {
+    const { enabled, watchdogTimeout } = this.settings;
+    if (!enabled || this.fault || !(watchdogTimeout > 0) || elapsed <= watchdogTimeout) return null;
+    return this.trip('watchdog', elapsed, watchdogTimeout, time);
+  }
+
+  trip(cause, value, limit, time) {
+    this.fault = {
+      id: `fault-${this.nextId++}`,
+      cause,
+      description: CAUSES[cause],
+      value,
+      limit,
+      time,
+      acknowledgedAt: null
+    };
+
+    this.history.push(this.fault);
+    while (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+    return this.fault;
+  }
+
+  /**
+   * Borra la falla enclavada
+   * @returns {Object} Falla reconocida
+   */
+  acknowledge(time) {
+    if (!this.fault) {
+      throw new Error('No hay una falla de seguridad activa');
+    }
+
+    const fault = this.fault;
+    fault.acknowledgedAt = time;
+    this.fault = null;
+    this.reset();
+    return fault;
+  }
+
+  getState() {
+    return {
+      enabled: this.settings.enabled,
+      fault: this.fault ? { ...this.fault } : null,
+      softLimitExceeded: this.softLimitExceeded,
+      saturationTime: this.saturationTime
+    };
+  }
+
+  describe() {
+    return {
+      settings: { ...this.settings },
+      ...this.getState(),
+      history: this.history.map(fault => ({ ...fault }))
+    };
+  }
+}
+
+SafetySupervisor.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+SafetySupervisor.CAUSES = Object.keys(CAUSES);
+
+module.exports = SafetySupervisor;
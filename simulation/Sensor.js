@@ -0,0 +1,92 @@
+// simulation/Sensor.js
+
+const DEFAULT_PARAMS = {
+  noiseSigma: 0.1,           // desviación estándar del ruido gaussiano (unidades de salida)
+  countsPerRevolution: 4096, // resolución del encoder; 0 desactiva la cuantización
+  delaySamples: 0,           // retardo fijo de la medición en muestras
+  bias: 0,                   // sesgo inicial (unidades de salida)
+  biasDrift: 0,              // deriva del sesgo como paseo aleatorio (unidades/√s)
+  dropoutProbability: 0      // probabilidad de perder una muestra (se mantiene la anterior)
+};
+
+/**
+ * Etapa de medición entre la planta y el controlador:
+ * valor real → sesgo + ruido → cuantización → retardo → pérdidas de muestra
+ */
+class Sensor {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.reset();
+  }
+
+  reset() {
+    this.bias = this.params.bias;
+    this.buffer = [];
+    this.lastMeasurement = null;
+  }
+
+  configure(params = {}) {
+    this.params = { ...this.params, ...params };
+    this.reset();
+    return this.params;
+  }
+
+  quantize(value) {
+    const { countsPerRevolution } = this.params;
+    if (!countsPerRevolution) return value;
+
+    const resolution = 360 / countsPerRevolution;
+    return Math.round(value / resolution) * resolution;
+  }
+
+  /**
+   * Produce la medición de la muestra actual
+   * @param {number} trueValue - Salida real de la planta
+   * @param {number} dt - Periodo de muestreo (s)
+   * @param {Object} random - Generador con next() y gaussian()
+   * @returns {Object} { value, dropout, bias }
+   */
+  measure(trueValue, dt, random) {
+    const { noiseSigma, delaySamples, biasDrift, dropoutProbability } = this.params;
+
+    if (biasDrift > 0 && dt > 0) {
+      this.bias += random.gaussian(0, biasDrift * Math.sqrt(dt));
+    }
+
+    const noise = noiseSigma > 0 ? random.gaussian(0, noiseSigma) : 0;
+    const sample = this.quantize(trueValue + this.bias + noise);
+
+    // Línea de retardo de N muestras
+    this.buffer.push(sample);
+    while (this.buffer.length > delaySamples + 1) {
+      this.buffer.shift();
+    }
+    const delayed = this.buffer[0];
+
+    const dropout = dropoutProbability > 0 &&
+      this.lastMeasurement !== null &&
+      random.next() < dropoutProbability;
+
+    if (!dropout) {
+      this.lastMeasurement = delayed;
+    }
+
+    return {
+      value: this.lastMeasurement,
+      dropout,
+      bias: this.bias
+    };
+  }
+
+  getInfo() {
+    return {
+      params: { ...this.params },
+      bias: this.bias,
+      resolution: this.params.countsPerRevolution ? 360 / this.params.countsPerRevolution : 0
+    };
+  }
+}
+
+Sensor.DEFAULT_PARAMS = DEFAULT_PARAMS;
+
+module.exports = Sensor;
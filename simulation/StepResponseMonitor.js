@@ -0,0 +1,175 @@
+// simulation/StepResponseMonitor.js
+const { computeStepMetrics, computeIntegralMetrics } = require('../utils/metrics');
+
+const DEFAULT_SETTINGS = {
+  settlingBand: 0.02, // fracción del escalón
+  settleWindow: 2,    // s dentro de la banda para dar la respuesta por establecida
+  timeout: 60,        // s máximos por respuesta
+  maxResults: 50
+};
+
+/**
+ * Sigue la respuesta del lazo a cada cambio de objetivo y calcula sus
+ * métricas cuando se establece. El tiempo avanza con el dt de cada ciclo,
+ * como el generador de trayectorias, así que una respuesta se pausa con el
+ * lazo. Con trayectorias la banda sólo se evalúa una vez que la referencia
+ * llegó al objetivo.
+ */
+class StepResponseMonitor {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.current = null;
+    this.results = [];
+    this.nextId = 1;
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    return { ...this.settings };
+  }
+
+  isActive() {
+    return this.current !== null;
+  }
+
+  /**
+   * Empieza a seguir un cambio de objetivo
+   * @param {Object} step - { target, initialValue, kind, controller, startedAt }
+   * @returns {Object|null} Resultado de la respuesta anterior si quedó interrumpida
+   */
+  begin({ target, initialValue, kind = 'step', controller = null, startedAt = null }) {
+    const interrupted = this.current ? this.finish('interrupted') : null;
+
+    this.current = {
+      id: `step-${this.nextId++}`,
+      kind,
+      target,
+      initialValue,
+      controller,
+      startedAt,
+      elapsed: 0,
+      insideSince: null,
+      times: [],
+      values: [],
+      references: [],
+      controlOutputs: []
+    };
+
+    return interrupted;
+  }
+
+  /**
+   * Registra una muestra del lazo
+   * @param {Object} sample - { dt, value, reference, controlOutput, referenceSettled }
+   * @returns {Object|null} Resultado si la respuesta terminó en esta muestra
+   */
+  record({ dt, value, reference, controlOutput, referenceSettled = true }) {
+    const current = this.current;
+    if (!current) return null;
+
+    current.elapsed += dt;
+    current.times.push(current.elapsed);
+    current.values.push(value);
+    current.references.push(reference);
+    current.controlOutputs.push(controlOutput);
+
+    const magnitude = Math.abs(current.target - current.initialValue);
+    const band = Math.max(magnitude * this.settings.settlingBand, 1e-9);
+    const inside = referenceSettled && Math.abs(value - current.target) <= band;
+
+    if (!inside) {
+      current.insideSince = null;
+    } else if (current.insideSince === null) {
+      current.insideSince = current.elapsed;
+    }
+
+    if (current.insideSince !== null && current.elapsed - current.insideSince >= this.settings.settleWindow) {
+      return this.finish('settled');
+    }
+    if (current.elapsed >= this.settings.timeout) {
+      return this.finish('timeout');
+    }
+    return null;
+  }
+
+  /**
+   * Cierra la respuesta en curso y guarda sus métricas
+   * @param {string} status - settled, timeout o interrupted
+   */
+  finish(status) {
+    const current = this.current;
+    if (!current) return null;
+    this.current = null;
+
+    const metrics = computeStepMetrics({
+      times: current.times,
+      values: current.values,
+      controlOutputs: current.controlOutputs,
+      reference: current.target,
+      initialValue: current.initialValue
+    }, this.settings.settlingBand);
+
+    // Seguimiento de la referencia instantánea (igual al escalón si no hay trayectoria)
+    const tracking = computeIntegralMetrics(
+      current.times,
+      current.values.map((value, i) => current.references[i] - value)
+    );
+
+    const result = {
+      id: current.id,
+      kind: current.kind,
+      status,
+      settled: status === 'settled',
+      startedAt: current.startedAt,
+      controller: current.controller,
+      samples: current.times.length,
+      ...metrics,
+      tracking: { iae: tracking.iae, ise: tracking.ise, itae: tracking.itae }
+    };
+
+    this.results.push(result);
+    while (this.results.length > this.settings.maxResults) {
+      this.results.shift();
+    }
+
+    return result;
+  }
+
+  /**
+   * Descarta la respuesta en curso sin calcular métricas
+   */
+  cancel() {
+    const had = this.current !== null;
+    this.current = null;
+    return had;
+  }
+
+  clear() {
+    const count = this.results.length;
+    this.results = [];
+    return count;
+  }
+
+  getResults(limit = this.settings.maxResults) {
+    return this.results.slice(-limit);
+  }
+
+  describeCurrent() {
+    if (!this.current) return null;
+    const { id, kind, target, initialValue, startedAt, elapsed, insideSince, times } = this.current;
+    return {
+      id,
+      kind,
+      target,
+      initialValue,
+      startedAt,
+      elapsed,
+      insideBandFor: insideSince !== null ? elapsed - insideSince : 0,
+      samples: times.length
+    };
+  }
+}
+
+StepResponseMonitor.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = StepResponseMonitor;
@@ -0,0 +1,315 @@
+// simulation/TrajectoryGenerator.js
+
+const TRAJECTORY_MODES = ['ramp', 'scurve', 'sequence', 'square', 'triangle', 'sine'];
+const PERIODIC_MODES = ['square', 'triangle', 'sine'];
+// Reproducción de perfiles guardados; no se expone en setTrajectory
+const PROFILE_MODE = 'profile';
+
+/**
+ * Generador de referencia del lazo. Avanza con el dt de cada ciclo, así que
+ * sólo progresa mientras el lazo corre y es reproducible en modo
+ * determinista. Distingue el objetivo final comandado de la referencia
+ * instantánea que ve la ley de control.
+ */
+class TrajectoryGenerator {
+  constructor() {
+    this.trajectory = null;
+  }
+
+  /**
+   * Inicia una trayectoria desde la referencia actual
+   * @param {Object} definition - { mode, ...parámetros del modo }
+   * @param {number} start - Referencia instantánea al iniciar
+   * @returns {Object} Estado de la trayectoria
+   */
+  start(definition, start) {
+    const { mode } = definition;
+    const trajectory = {
+      mode,
+      start,
+      elapsed: 0,
+      completed: false,
+      params: { ...definition }
+    };
+    delete trajectory.params.mode;
+
+    switch (mode) {
+      case 'ramp':
+        trajectory.target = definition.target;
+        trajectory.duration = Math.abs(definition.target - start) / definition.rate;
+        break;
+
+      case 'scurve':
+        trajectory.target = definition.target;
+        trajectory.profile = planSCurve(
+          Math.abs(definition.target - start),
+          definition.maxVelocity,
+          definition.maxAcceleration,
+          definition.maxJerk
+        );
+        trajectory.duration = trajectory.profile.duration;
+        break;
+
+      case 'sequence': {
+        const steps = definition.steps.map(step => ({ value: step.value, duration: step.duration }));
+        trajectory.params.steps = steps;
+        trajectory.target = steps[steps.length - 1].value;
+        trajectory.period = steps.reduce((total, step) => total + step.duration, 0);
+        trajectory.duration = definition.loop ? null : trajectory.period;
+        break;
+      }
+
+      case PROFILE_MODE: {
+        // Los puntos quedan fuera de params para no viajar en cada dataUpdate
+        const timeScale = definition.timeScale || 1;
+        trajectory.points = definition.points.map(point => ({ time: point.t * timeScale, value: point.reference }));
+        trajectory.params = {
+          name: definition.name,
+          loop: Boolean(definition.loop),
+          timeScale,
+          interpolation: definition.interpolation || 'linear'
+        };
+        const last = trajectory.points[trajectory.points.length - 1];
+        trajectory.target = last.value;
+        trajectory.period = last.time;
+        trajectory.duration = definition.loop && last.time > 0 ? null : last.time;
+        break;
+      }
+
+      default: {
+        // Ondas periódicas alrededor de offset; cycles acota la duración
+        const offset = definition.offset !== undefined ? definition.offset : start;
+        trajectory.params.offset = offset;
+        trajectory.target = offset;
+        trajectory.period = 1 / definition.frequency;
+        trajectory.duration = definition.cycles ? definition.cycles * trajectory.period : null;
+      }
+    }
+
+    this.trajectory = trajectory;
+    trajectory.reference = this.sample(0);
+    return this.describe();
+  }
+
+  isActive() {
+    return this.trajectory !== null && !this.trajectory.completed;
+  }
+
+  /**
+   * Avanza la trayectoria
+   * @param {number} dt - Intervalo en segundos
+   * @returns {number|null} Referencia instantánea, o null si no hay trayectoria activa
+   */
+  advance(dt) {
+    if (!this.isActive()) return null;
+
+    const trajectory = this.trajectory;
+    trajectory.elapsed += dt;
+
+    if (trajectory.duration !== null && trajectory.elapsed >= trajectory.duration) {
+      trajectory.elapsed = trajectory.duration;
+      trajectory.completed = true;
+    }
+
+    trajectory.reference = this.sample(trajectory.elapsed);
+    return trajectory.reference;
+  }
+
+  /**
+   * Referencia de la trayectoria activa en un instante
+   * @param {number} t - Segundos desde el inicio
+   * @returns {number}
+   */
+  sample(t) {
+    const { mode, start, target, params, duration, period } = this.trajectory;
+
+    switch (mode) {
+      case 'ramp':
+        return duration > 0 && t < duration
+          ? start + (target - start) * (t / duration)
+          : target;
+
+      case 'scurve': {
+        const distance = sCurvePosition(this.trajectory.profile, t);
+        return start + Math.sign(target - start) * distance;
+      }
+
+      case 'sequence': {
+        let local = params.loop ? t % period : t;
+        for (const step of params.steps) {
+          if (local < step.duration) return step.value;
+          local -= step.duration;
+        }
+        return target;
+      }
+
+      case PROFILE_MODE:
+        return sampleProfile(this.trajectory, params.loop && period > 0 ? t % period : t);
+
+      default: {
+        // Al agotar los ciclos la onda queda en su valor medio
+        if (duration !== null && t >= duration) return params.offset;
+
+        const phase = (t % period) / period;
+        const { offset, amplitude } = params;
+
+        if (mode === 'square') {
+          return offset + (phase < 0.5 ? amplitude : -amplitude);
+        }
+        if (mode === 'triangle') {
+          // Arranca en offset y sube, como el seno
+          const wave = phase < 0.25 ? 4 * phase : phase < 0.75 ? 2 - 4 * phase : 4 * phase - 4;
+          return offset + amplitude * wave;
+        }
+        return offset + amplitude * Math.sin(2 * Math.PI * phase);
+      }
+    }
+  }
+
+  cancel() {
+    const had = this.trajectory !== null;
+    this.trajectory = null;
+    return had;
+  }
+
+  describe() {
+    if (!this.trajectory) {
+      return { active: false, mode: null };
+    }
+
+    const { mode, params, start, target, reference, elapsed, duration, completed } = this.trajectory;
+    return {
+      active: !completed,
+      mode,
+      params: { ...params },
+      start,
+      target,
+      reference,
+      elapsed,
+      duration,
+      progress: duration ? elapsed / duration : null,
+      completed
+    };
+  }
+}
+
+/**
+ * Referencia de un perfil en un instante: antes del primer punto se mantiene
+ * la referencia de partida; después del último, el último valor
+ */
+function sampleProfile(trajectory, t) {
+  const { points, start, params } = trajectory;
+  if (t < points[0].time) return start;
+
+  // Búsqueda binaria del último punto con time <= t
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (points[middle].time <= t) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const point = points[low];
+  const next = points[low + 1];
+  if (!next || params.interpolation === 'step') return point.value;
+
+  return point.value + (next.value - point.value) * (t - point.time) / (next.time - point.time);
+}
+
+/**
+ * Perfil de reposo a reposo con jerk limitado (siete tramos): sube la
+ * aceleración a jerk constante, la mantiene, la baja, crucero y el mismo
+ * esquema en espejo para frenar. Si la distancia no alcanza para llegar a
+ * la velocidad máxima se busca la velocidad pico por bisección.
+ * @param {number} distance - Recorrido total (positivo)
+ * @param {number} maxVelocity
+ * @param {number} maxAcceleration
+ * @param {number} maxJerk
+ * @returns {Object} Tiempos del perfil
+ */
+function planSCurve(distance, maxVelocity, maxAcceleration, maxJerk) {
+  // Duración del tramo de aceleración para llegar a una velocidad dada
+  const accelerationPhase = velocity => {
+    if (velocity * maxJerk >= maxAcceleration * maxAcceleration) {
+      const jerkTime = maxAcceleration / maxJerk;
+      return { jerkTime, accelTime: velocity / maxAcceleration + jerkTime };
+    }
+    const jerkTime = Math.sqrt(velocity / maxJerk);
+    return { jerkTime, accelTime: 2 * jerkTime };
+  };
+
+  let velocity = maxVelocity;
+  let phase = accelerationPhase(velocity);
+
+  // Acelerar y frenar recorre velocity·accelTime; si no cabe, bajar la velocidad pico
+  if (velocity * phase.accelTime > distance) {
+    let low = 0;
+    let high = maxVelocity;
+    for (let i = 0; i < 60; i++) {
+      velocity = (low + high) / 2;
+      phase = accelerationPhase(velocity);
+      if (velocity * phase.accelTime > distance) {
+        high = velocity;
+      } else {
+        low = velocity;
+      }
+    }
+    velocity = low;
+    phase = accelerationPhase(velocity);
+  }
+
+  const cruiseTime = velocity > 0 ? (distance - velocity * phase.accelTime) / velocity : 0;
+
+  return {
+    distance,
+    velocity,
+    jerk: maxJerk,
+    jerkTime: phase.jerkTime,
+    accelTime: phase.accelTime,
+    cruiseTime,
+    duration: velocity > 0 ? 2 * phase.accelTime + cruiseTime : 0
+  };
+}
+
+/**
+ * Recorrido del tramo de aceleración hasta su mitad; la otra mitad se obtiene
+ * por la simetría de la velocidad respecto de (accelTime/2, velocity/2)
+ */
+function accelerationDistance(profile, t) {
+  const { velocity, jerk, jerkTime, accelTime } = profile;
+
+  if (t > accelTime / 2) {
+    return velocity * t - velocity * accelTime / 2 + accelerationDistance(profile, accelTime - t);
+  }
+  if (t < jerkTime) {
+    return jerk * t * t * t / 6;
+  }
+
+  const peakAcceleration = jerk * jerkTime;
+  const elapsed = t - jerkTime;
+  return jerk * Math.pow(jerkTime, 3) / 6 +
+    (jerk * jerkTime * jerkTime / 2) * elapsed +
+    peakAcceleration * elapsed * elapsed / 2;
+}
+
+function sCurvePosition(profile, t) {
+  const { distance, velocity, accelTime, cruiseTime, duration } = profile;
+
+  if (t <= 0) return 0;
+  if (t >= duration) return distance;
+  if (t <= accelTime) return accelerationDistance(profile, t);
+  if (t <= accelTime + cruiseTime) {
+    return velocity * accelTime / 2 + velocity * (t - accelTime);
+  }
+  return distance - accelerationDistance(profile, duration - t);
+}
+
+TrajectoryGenerator.MODES = TRAJECTORY_MODES;
+TrajectoryGenerator.PERIODIC_MODES = PERIODIC_MODES;
+TrajectoryGenerator.PROFILE_MODE = PROFILE_MODE;
+
+module.exports = TrajectoryGenerator;
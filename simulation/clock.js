@@ -0,0 +1,52 @@
+// simulation/clock.js
+
+/**
+ * Reloj de pared: el tiempo avanza solo
+ */
+class SystemClock {
+  constructor() {
+    this.virtual = false;
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Reloj virtual: el tiempo sólo avanza cuando la simulación lo indica
+ */
+class VirtualClock {
+  constructor(startTime = 0) {
+    this.virtual = true;
+    this.startTime = startTime;
+    this.currentTime = startTime;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  advance(ms) {
+    this.currentTime += ms;
+    return this.currentTime;
+  }
+
+  reset() {
+    this.currentTime = this.startTime;
+  }
+
+  // Las esperas no consumen tiempo simulado: el reloj lo mueve updateSimulation()
+  delay() {
+    return Promise.resolve();
+  }
+}
+
+module.exports = {
+  SystemClock,
+  VirtualClock
+};
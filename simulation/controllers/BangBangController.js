@@ -0,0 +1,68 @@
+// simulation/controllers/BangBangController.js
+const Controller = require('./Controller');
+
+const DEFAULT_PARAMS = {
+  onOutput: 20,   // mando con el error positivo (salida por debajo de la referencia)
+  offOutput: 0,   // mando con el error negativo
+  hysteresis: 2   // ancho total de la banda de histéresis (unidades de salida)
+};
+
+/**
+ * Control todo/nada con histéresis: conmuta a onOutput cuando el error
+ * supera +h/2 y a offOutput cuando baja de -h/2; dentro de la banda
+ * mantiene el último estado.
+ */
+class BangBangController extends Controller {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  reset() {
+    this.on = null;
+    this.switchCount = 0;
+    this.output = { total: 0 };
+  }
+
+  compute({ reference, measurement }) {
+    const { onOutput, offOutput, hysteresis } = this.params;
+    const error = reference - measurement;
+    const halfBand = hysteresis / 2;
+
+    let on = this.on;
+    if (on === null) {
+      on = error > 0;
+    } else if (error > halfBand) {
+      on = true;
+    } else if (error < -halfBand) {
+      on = false;
+    }
+
+    if (this.on !== null && on !== this.on) {
+      this.switchCount++;
+    }
+    this.on = on;
+
+    this.output = { total: on ? onOutput : offOutput };
+    return this.output.total;
+  }
+
+  getState() {
+    return {
+      on: this.on,
+      switchCount: this.switchCount
+    };
+  }
+}
+
+BangBangController.type = 'bangBang';
+BangBangController.label = 'Todo/nada con histéresis';
+BangBangController.DEFAULT_PARAMS = DEFAULT_PARAMS;
+BangBangController.limits = {
+  params: {
+    onOutput: { min: -1000, max: 1000 },
+    offOutput: { min: -1000, max: 1000 },
+    hysteresis: { min: 0, max: 90 }
+  }
+};
+
+module.exports = BangBangController;
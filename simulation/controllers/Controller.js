@@ -0,0 +1,69 @@
+// simulation/controllers/Controller.js
+
+/**
+ * Base común de las leyes de control. SystemController llama a compute()
+ * una vez por ciclo con la referencia y la medición del sensor; cada ley
+ * devuelve el mando que recibe el actuador y deja sus términos en output.
+ */
+class Controller {
+  constructor(params = {}, defaults = {}) {
+    this.params = { ...defaults, ...params };
+    this.reset();
+  }
+
+  reset() {
+    this.output = { total: 0 };
+  }
+
+  configure(params = {}) {
+    this.params = { ...this.params, ...params };
+    this.reset();
+    return this.params;
+  }
+
+  /**
+   * Aviso de cambio de referencia; por defecto se conserva el estado
+   */
+  onReferenceChange() {}
+
+  /**
+   * Ajusta el estado interno para que el próximo mando parta de output
+   * (transferencia sin salto desde otro modo); por defecto no hace nada
+   * @param {number} output - Mando a seguir
+   * @param {Object} context - { reference, measurement }
+   */
+  track() {}
+
+  /**
+   * Calcula el mando del ciclo actual
+   * @param {Object} context - Entradas del ciclo
+   * @param {number} context.reference - Referencia
+   * @param {number} context.measurement - Medición del sensor
+   * @param {number} context.dt - Periodo de muestreo (s)
+   * @param {Object} context.limits - Límites del actuador { min, max }
+   * @returns {number} Mando hacia el actuador
+   */
+  compute() {
+    throw new Error('compute() debe implementarse en la ley de control');
+  }
+
+  getOutput() {
+    return { ...this.output };
+  }
+
+  getState() {
+    return {};
+  }
+
+  getInfo() {
+    return {
+      type: this.constructor.type,
+      label: this.constructor.label,
+      params: { ...this.params },
+      state: this.getState(),
+      output: this.getOutput()
+    };
+  }
+}
+
+module.exports = Controller;
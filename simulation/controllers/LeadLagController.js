@@ -0,0 +1,72 @@
+// simulation/controllers/LeadLagController.js
+const Controller = require('./Controller');
+
+const DEFAULT_PARAMS = {
+  gain: 1,    // K
+  zero: 0.5,  // rad/s
+  pole: 5,    // rad/s (zero < pole = adelanto, zero > pole = atraso)
+  bias: 10    // mando constante sumado a la salida (empuje de equilibrio)
+};
+
+/**
+ * Compensador de adelanto/atraso C(s) = K·(s + zero)/(s + pole) sobre el
+ * error, discretizado con Tustin en cada ciclo (el periodo puede variar).
+ */
+class LeadLagController extends Controller {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  reset() {
+    this.previousError = null;
+    this.previousFiltered = 0;
+    this.output = { compensator: 0, bias: this.params.bias, total: this.params.bias };
+  }
+
+  compute({ reference, measurement, dt }) {
+    const { gain, zero, pole, bias } = this.params;
+    const error = reference - measurement;
+
+    let filtered;
+    if (this.previousError === null || !(dt > 0)) {
+      // Primer ciclo: ganancia de alta frecuencia de (s + z)/(s + p)
+      filtered = error;
+    } else {
+      const c = 2 / dt;
+      filtered = ((c + zero) * error + (zero - c) * this.previousError -
+        (pole - c) * this.previousFiltered) / (c + pole);
+    }
+
+    this.previousError = error;
+    this.previousFiltered = filtered;
+
+    this.output = {
+      compensator: gain * filtered,
+      bias,
+      total: bias + gain * filtered
+    };
+
+    return this.output.total;
+  }
+
+  getState() {
+    return {
+      previousError: this.previousError,
+      filteredError: this.previousFiltered
+    };
+  }
+}
+
+LeadLagController.type = 'leadLag';
+LeadLagController.label = 'Adelanto/atraso';
+LeadLagController.DEFAULT_PARAMS = DEFAULT_PARAMS;
+LeadLagController.limits = {
+  params: {
+    gain: { min: 0, max: 1000 },
+    zero: { min: 0, max: 1000 },
+    pole: { min: 0.001, max: 1000 },
+    bias: { min: -1000, max: 1000 }
+  }
+};
+
+module.exports = LeadLagController;
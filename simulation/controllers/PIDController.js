@@ -0,0 +1,211 @@
+// simulation/controllers/PIDController.js
+const Controller = require('./Controller');
+
+const DEFAULT_PARAMS = {
+  kp: 1.2,
+  ki: 0.1,
+  kd: 0.05,
+  b: 1,                          // peso de la referencia en el término proporcional
+  c: 0,                          // peso de la referencia en el derivativo (0 = derivada de la medición)
+  N: 10,                         // filtro del derivativo: Tf = (kd/kp)/N; 0 = sin filtro
+  antiWindup: 'backCalculation', // backCalculation, conditional, clamp o none
+  tt: 0,                         // s - constante de seguimiento del back-calculation; 0 = √(Ti·Td)
+  bumpless: true                 // conservar el estado en cambios de ganancia o referencia
+};
+
+const ANTI_WINDUP_MODES = ['backCalculation', 'conditional', 'clamp', 'none'];
+
+// Límite de la integral del error en el modo clamp
+const INTEGRAL_LIMIT = 100;
+
+/**
+ * PID paralelo de dos grados de libertad:
+ * u = kp·(b·r - y) + I + D, con D filtrado sobre (c·r - y) y la integral
+ * guardada como término (ki ya aplicado) para que los cambios de ki no
+ * produzcan saltos. El anti-windup usa los límites del actuador.
+ */
+class PIDController extends Controller {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+    this.gainOverride = null;
+  }
+
+  reset() {
+    this.integral = 0;
+    this.derivative = 0;
+    this.previousDerivativeError = null;
+    this.lastReference = null;
+    this.lastMeasurement = null;
+    this.saturated = false;
+    this.output = { proportional: 0, integral: 0, derivative: 0, total: 0 };
+  }
+
+  /**
+   * Cambia parámetros; con bumpless la integral absorbe el salto del
+   * término proporcional para que el mando sea continuo
+   */
+  configure(params = {}) {
+    const before = this.proportionalTerm();
+    this.params = { ...this.params, ...params };
+
+    if (!this.params.bumpless) {
+      this.reset();
+      return this.params;
+    }
+
+    this.absorbProportionalChange(before);
+    return this.params;
+  }
+
+  /**
+   * Ganancias impuestas por la planificación de ganancias; null vuelve a params.
+   * El cambio siempre es sin salto: la integral absorbe la variación de P.
+   * @param {Object|null} gains - { kp, ki, kd }
+   */
+  setScheduledGains(gains) {
+    const before = this.proportionalTerm();
+    this.gainOverride = gains ? { kp: gains.kp, ki: gains.ki, kd: gains.kd } : null;
+    this.absorbProportionalChange(before);
+  }
+
+  getActiveGains() {
+    const { kp, ki, kd } = this.gainOverride || this.params;
+    return { kp, ki, kd, scheduled: this.gainOverride !== null };
+  }
+
+  proportionalTerm() {
+    if (this.lastReference === null) return null;
+    return this.getActiveGains().kp * (this.params.b * this.lastReference - this.lastMeasurement);
+  }
+
+  absorbProportionalChange(before) {
+    if (this.getActiveGains().ki === 0) {
+      this.integral = 0;
+    } else if (before !== null) {
+      this.integral += before - this.proportionalTerm();
+    }
+  }
+
+  onReferenceChange() {
+    if (!this.params.bumpless) {
+      this.reset();
+    }
+  }
+
+  track(output, { reference, measurement }) {
+    const { kp, ki } = this.getActiveGains();
+    const { b } = this.params;
+    this.derivative = 0;
+    this.previousDerivativeError = null;
+    this.integral = ki > 0 ? output - kp * (b * reference - measurement) : 0;
+    this.lastReference = reference;
+    this.lastMeasurement = measurement;
+  }
+
+  /**
+   * Constante de seguimiento del back-calculation
+   * @returns {number} Tt en segundos
+   */
+  trackingTime() {
+    const { kp, ki, kd } = this.getActiveGains();
+    const { tt } = this.params;
+    if (tt > 0) return tt;
+
+    const Ti = kp > 0 ? kp / ki : 1 / ki;
+    const Td = kp > 0 ? kd / kp : 0;
+    return Td > 0 ? Math.sqrt(Ti * Td) : Ti;
+  }
+
+  compute({ reference, measurement, dt, limits }) {
+    const { kp, ki, kd } = this.getActiveGains();
+    const { b, c, N, antiWindup } = this.params;
+    const error = reference - measurement;
+
+    const proportional = kp * (b * reference - measurement);
+
+    // Derivativo filtrado de primer orden (Euler hacia atrás) sobre c·r - y
+    const derivativeError = c * reference - measurement;
+    if (this.previousDerivativeError === null || !(dt > 0)) {
+      this.derivative = 0;
+    } else {
+      const Tf = N > 0 && kp > 0 ? (kd / kp) / N : 0;
+      this.derivative = (Tf / (Tf + dt)) * this.derivative +
+        (kd / (Tf + dt)) * (derivativeError - this.previousDerivativeError);
+    }
+    this.previousDerivativeError = derivativeError;
+
+    const integral = this.integral;
+    const unsaturated = proportional + integral + this.derivative;
+    const saturatedOutput = limits
+      ? Math.max(limits.min, Math.min(limits.max, unsaturated))
+      : unsaturated;
+    this.saturated = saturatedOutput !== unsaturated;
+
+    // Integral para el próximo ciclo según la estrategia de anti-windup
+    if (ki > 0 && dt > 0) {
+      switch (antiWindup) {
+        case 'backCalculation':
+          this.integral += ki * error * dt + (dt / this.trackingTime()) * (saturatedOutput - unsaturated);
+          break;
+
+        case 'conditional': {
+          // Integrar sólo si no hay saturación o si el error ayuda a salir de ella
+          const windingUp = this.saturated && Math.sign(error) === Math.sign(unsaturated - saturatedOutput);
+          if (!windingUp) {
+            this.integral += ki * error * dt;
+          }
+          break;
+        }
+
+        case 'clamp': {
+          const limit = ki * INTEGRAL_LIMIT;
+          this.integral = Math.max(-limit, Math.min(limit, this.integral + ki * error * dt));
+          break;
+        }
+
+        default:
+          this.integral += ki * error * dt;
+      }
+    }
+
+    this.lastReference = reference;
+    this.lastMeasurement = measurement;
+
+    this.output = {
+      proportional,
+      integral,
+      derivative: this.derivative,
+      total: unsaturated
+    };
+
+    return this.output.total;
+  }
+
+  getState() {
+    return {
+      integral: this.integral,
+      derivative: this.derivative,
+      saturated: this.saturated
+    };
+  }
+}
+
+PIDController.type = 'pid';
+PIDController.label = 'PID';
+PIDController.DEFAULT_PARAMS = DEFAULT_PARAMS;
+PIDController.ANTI_WINDUP_MODES = ANTI_WINDUP_MODES;
+PIDController.limits = {
+  params: {
+    kp: { min: 0, max: 100 },
+    ki: { min: 0, max: 10 },
+    kd: { min: 0, max: 10 },
+    b: { min: 0, max: 1 },
+    c: { min: 0, max: 1 },
+    N: { min: 0, max: 100 },
+    antiWindup: { options: ANTI_WINDUP_MODES },
+    tt: { min: 0, max: 1000 },
+    bumpless: { options: [true, false] }
+  }
+};
+
+module.exports = PIDController;
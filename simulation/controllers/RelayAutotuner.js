@@ -0,0 +1,135 @@
+// simulation/controllers/RelayAutotuner.js
+const Controller = require('./Controller');
+
+const DEFAULT_PARAMS = {
+  amplitude: 10,   // d - amplitud del relé alrededor del mando de equilibrio
+  hysteresis: 1,   // ε - histéresis del relé (unidades de salida)
+  bias: 0,         // u0 - mando de equilibrio alrededor del que conmuta el relé
+  cycles: 3,       // ciclos consecutivos consistentes para dar por buena la medida
+  tolerance: 0.1,  // dispersión relativa admitida entre ciclos
+  timeout: 120     // s - tiempo máximo del experimento
+};
+
+/**
+ * Experimento de realimentación por relé de Åström–Hägglund. Sustituye
+ * temporalmente a la ley de control: conmuta u0 ± d según el signo del
+ * error con histéresis, mide el periodo y la amplitud del ciclo límite y
+ * estima la ganancia última Ku = 4d / (π·√(a² - ε²)) y el periodo Pu.
+ */
+class RelayAutotuner extends Controller {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  reset() {
+    this.elapsed = 0;
+    this.high = null;
+    this.lastRise = null;
+    this.cycleMax = -Infinity;
+    this.cycleMin = Infinity;
+    this.cycles = [];
+    this.status = 'running';
+    this.reason = null;
+    this.result = null;
+    this.output = { total: this.params.bias };
+  }
+
+  compute({ reference, measurement, dt }) {
+    if (this.status !== 'running') {
+      return this.output.total;
+    }
+
+    const { amplitude, hysteresis, bias, timeout } = this.params;
+    const error = reference - measurement;
+    this.elapsed += dt;
+
+    this.cycleMax = Math.max(this.cycleMax, measurement);
+    this.cycleMin = Math.min(this.cycleMin, measurement);
+
+    let high = this.high;
+    if (high === null) {
+      high = error > 0;
+    } else if (error > hysteresis) {
+      high = true;
+    } else if (error < -hysteresis) {
+      high = false;
+    }
+
+    // Cada conmutación a nivel alto cierra un ciclo completo
+    if (high && this.high === false) {
+      if (this.lastRise !== null) {
+        this.cycles.push({
+          period: this.elapsed - this.lastRise,
+          amplitude: (this.cycleMax - this.cycleMin) / 2
+        });
+        this.evaluate();
+      }
+      this.lastRise = this.elapsed;
+      this.cycleMax = measurement;
+      this.cycleMin = measurement;
+    }
+    this.high = high;
+
+    if (this.status === 'running' && this.elapsed > timeout) {
+      this.status = 'failed';
+      this.reason = `No se obtuvo un ciclo límite estable en ${timeout} s`;
+    }
+
+    this.output = { total: high ? bias + amplitude : bias - amplitude };
+    return this.output.total;
+  }
+
+  /**
+   * Comprueba si los últimos ciclos son consistentes y calcula Ku y Pu.
+   * El primer ciclo se descarta por ser transitorio.
+   */
+  evaluate() {
+    const { cycles: required, tolerance, amplitude, hysteresis } = this.params;
+    const measured = this.cycles.slice(1);
+    if (measured.length < required) return;
+
+    const recent = measured.slice(-required);
+    const meanPeriod = recent.reduce((sum, c) => sum + c.period, 0) / recent.length;
+    const meanAmplitude = recent.reduce((sum, c) => sum + c.amplitude, 0) / recent.length;
+
+    const consistent = recent.every(c =>
+      Math.abs(c.period - meanPeriod) <= tolerance * meanPeriod &&
+      Math.abs(c.amplitude - meanAmplitude) <= tolerance * meanAmplitude
+    );
+    if (!consistent || !(meanAmplitude > 0)) return;
+
+    const effective = meanAmplitude > hysteresis
+      ? Math.sqrt(meanAmplitude * meanAmplitude - hysteresis * hysteresis)
+      : meanAmplitude;
+
+    this.result = {
+      ultimateGain: 4 * amplitude / (Math.PI * effective),
+      ultimatePeriod: meanPeriod,
+      oscillationAmplitude: meanAmplitude,
+      relayAmplitude: amplitude,
+      hysteresis
+    };
+    this.status = 'completed';
+  }
+
+  getState() {
+    const last = this.cycles[this.cycles.length - 1];
+    return {
+      status: this.status,
+      reason: this.reason,
+      elapsed: this.elapsed,
+      relay: this.high ? 'high' : 'low',
+      cyclesMeasured: Math.max(0, this.cycles.length - 1),
+      cyclesRequired: this.params.cycles,
+      lastPeriod: last ? last.period : null,
+      lastAmplitude: last ? last.amplitude : null,
+      result: this.result
+    };
+  }
+}
+
+RelayAutotuner.type = 'relayAutotune';
+RelayAutotuner.label = 'Autosintonía por relé';
+RelayAutotuner.DEFAULT_PARAMS = DEFAULT_PARAMS;
+
+module.exports = RelayAutotuner;
@@ -0,0 +1,84 @@
+// simulation/controllers/StateFeedbackController.js
+const Controller = require('./Controller');
+
+const DEFAULT_PARAMS = {
+  k1: 0.6,             // ganancia sobre el error de ángulo (mando/°)
+  k2: 0.3,             // ganancia sobre la velocidad angular (mando/(°/s))
+  ki: 0.3,             // acción integral sobre el error (0 = realimentación pura)
+  offset: 0,           // mando de equilibrio u0
+  velocityFilter: 0.05 // s - constante del filtro del estimador de velocidad
+};
+
+/**
+ * Realimentación de estados sobre [ángulo, velocidad angular]:
+ * u = u0 + k1·(r - θ) - k2·ω + ki·∫(r - θ)dt
+ * Las ganancias pueden venir de un diseño LQR. Sólo se mide el ángulo,
+ * así que la velocidad se estima derivando la medición con un filtro de
+ * primer orden.
+ */
+class StateFeedbackController extends Controller {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  reset() {
+    this.integral = 0;
+    this.velocity = 0;
+    this.previousMeasurement = null;
+    this.output = { angle: 0, velocity: 0, integral: 0, offset: this.params.offset, total: this.params.offset };
+  }
+
+  estimateVelocity(measurement, dt) {
+    if (this.previousMeasurement === null || !(dt > 0)) {
+      this.previousMeasurement = measurement;
+      return this.velocity;
+    }
+
+    const raw = (measurement - this.previousMeasurement) / dt;
+    const { velocityFilter } = this.params;
+    const alpha = velocityFilter > 0 ? 1 - Math.exp(-dt / velocityFilter) : 1;
+    this.velocity += (raw - this.velocity) * alpha;
+    this.previousMeasurement = measurement;
+    return this.velocity;
+  }
+
+  compute({ reference, measurement, dt }) {
+    const { k1, k2, ki, offset } = this.params;
+    const error = reference - measurement;
+    const velocity = this.estimateVelocity(measurement, dt);
+
+    this.integral += error * dt;
+
+    this.output = {
+      angle: k1 * error,
+      velocity: -k2 * velocity,
+      integral: ki * this.integral,
+      offset,
+      total: offset + (k1 * error) - (k2 * velocity) + (ki * this.integral)
+    };
+
+    return this.output.total;
+  }
+
+  getState() {
+    return {
+      integral: this.integral,
+      estimatedVelocity: this.velocity
+    };
+  }
+}
+
+StateFeedbackController.type = 'stateFeedback';
+StateFeedbackController.label = 'Realimentación de estados';
+StateFeedbackController.DEFAULT_PARAMS = DEFAULT_PARAMS;
+StateFeedbackController.limits = {
+  params: {
+    k1: { min: 0, max: 100 },
+    k2: { min: 0, max: 100 },
+    ki: { min: 0, max: 10 },
+    offset: { min: -1000, max: 1000 },
+    velocityFilter: { min: 0, max: 1 }
+  }
+};
+
+module.exports = StateFeedbackController;
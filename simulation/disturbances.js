@@ -0,0 +1,156 @@
+// simulation/disturbances.js
+
+const DISTURBANCE_TYPES = ['step', 'impulse', 'sine', 'ramp', 'gust'];
+
+/**
+ * Planificador de perturbaciones externas. Los tiempos se expresan en
+ * milisegundos del reloj de la simulación; la amplitud está en las unidades
+ * de perturbación de la planta activa (torque, fuerza o potencia).
+ */
+class DisturbanceScheduler {
+  constructor() {
+    this.disturbances = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Programa una perturbación
+   * @param {Object} definition - { type, amplitude, startTime, duration, frequency, bandwidth, offset, label }
+   * @param {number} now - Tiempo actual de la simulación (ms)
+   * @returns {Object} Perturbación programada
+   */
+  add(definition, now) {
+    const startTime = parseFloat(definition.startTime) || 0;
+    const duration = definition.duration === undefined ? null : parseFloat(definition.duration);
+
+    const disturbance = {
+      id: `dist-${this.nextId++}`,
+      type: definition.type,
+      label: definition.label || definition.type,
+      amplitude: parseFloat(definition.amplitude),
+      startTime,
+      duration,
+      frequency: parseFloat(definition.frequency) || 1,
+      bandwidth: parseFloat(definition.bandwidth) || 0.5,
+      offset: parseFloat(definition.offset) || 0,
+      startsAt: now + startTime * 1000,
+      endsAt: duration ? now + (startTime + duration) * 1000 : null,
+      filterState: 0,
+      applied: false,
+      createdAt: now
+    };
+
+    this.disturbances.push(disturbance);
+    return this.describe(disturbance, now);
+  }
+
+  has(id) {
+    return this.disturbances.some(d => d.id === id);
+  }
+
+  remove(id) {
+    const index = this.disturbances.findIndex(d => d.id === id);
+    if (index === -1) return false;
+    this.disturbances.splice(index, 1);
+    return true;
+  }
+
+  clear() {
+    const count = this.disturbances.length;
+    this.disturbances = [];
+    return count;
+  }
+
+  /**
+   * Suma de perturbaciones activas en el intervalo [time, time + dt)
+   * @param {number} time - Inicio del intervalo (ms)
+   * @param {number} dt - Duración del intervalo (s)
+   * @param {Object} random - Generador con gaussian() para las ráfagas
+   * @returns {Object} { value, active }
+   */
+  evaluate(time, dt, random) {
+    let value = 0;
+    const active = [];
+    const intervalEnd = time + dt * 1000;
+
+    for (const disturbance of this.disturbances) {
+      const contribution = this.evaluateOne(disturbance, time, intervalEnd, dt, random);
+      if (contribution !== null) {
+        value += contribution;
+        active.push(disturbance.id);
+      }
+    }
+
+    // Descartar las que ya terminaron
+    this.disturbances = this.disturbances.filter(d => {
+      if (d.type === 'impulse') return !d.applied;
+      return d.endsAt === null || d.endsAt > intervalEnd;
+    });
+
+    return { value, active };
+  }
+
+  evaluateOne(disturbance, time, intervalEnd, dt, random) {
+    const { type, amplitude, startsAt, endsAt } = disturbance;
+
+    if (type === 'impulse') {
+      // El impulso (amplitud·s) se reparte en el primer intervalo que alcanza su inicio
+      if (disturbance.applied || startsAt >= intervalEnd || !(dt > 0)) return null;
+      disturbance.applied = true;
+      return amplitude / dt;
+    }
+
+    if (time < startsAt || (endsAt !== null && time >= endsAt)) {
+      return null;
+    }
+
+    const elapsed = (time - startsAt) / 1000;
+
+    switch (type) {
+      case 'step':
+        return amplitude;
+
+      case 'sine':
+        return disturbance.offset + amplitude * Math.sin(2 * Math.PI * disturbance.frequency * elapsed);
+
+      case 'ramp':
+        return disturbance.duration ? amplitude * (elapsed / disturbance.duration) : 0;
+
+      case 'gust': {
+        // Ruido blanco filtrado de primer orden con desviación estándar unitaria
+        const alpha = Math.exp(-2 * Math.PI * disturbance.bandwidth * dt);
+        disturbance.filterState = alpha * disturbance.filterState +
+          Math.sqrt(1 - alpha * alpha) * random.gaussian();
+        return disturbance.offset + amplitude * disturbance.filterState;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  describe(disturbance, now) {
+    return {
+      id: disturbance.id,
+      type: disturbance.type,
+      label: disturbance.label,
+      amplitude: disturbance.amplitude,
+      startTime: disturbance.startTime,
+      duration: disturbance.duration,
+      frequency: disturbance.frequency,
+      bandwidth: disturbance.bandwidth,
+      offset: disturbance.offset,
+      startsAt: disturbance.startsAt,
+      endsAt: disturbance.endsAt,
+      status: now >= disturbance.startsAt ? 'active' : 'pending'
+    };
+  }
+
+  list(now) {
+    return this.disturbances.map(d => this.describe(d, now));
+  }
+}
+
+DisturbanceScheduler.TYPES = DISTURBANCE_TYPES;
+
+module.exports = DisturbanceScheduler;
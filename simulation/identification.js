@@ -0,0 +1,371 @@
+// simulation/identification.js
+const { createLeastSquares } = require('../utils/linearAlgebra');
+const FOPDTPlant = require('./plants/FOPDTPlant');
+const SecondOrderPlant = require('./plants/SecondOrderPlant');
+
+const IDENTIFICATION_MODELS = ['fopdt', 'secondOrder', 'arx'];
+
+// Retardos evaluados en la primera pasada de la búsqueda del tiempo muerto
+const DELAY_CANDIDATES = 50;
+
+/**
+ * Lleva los datos a una grilla uniforme: el mando se mantiene (retención de
+ * orden cero) y la salida se interpola linealmente. Los datos del lazo en
+ * tiempo real tienen un dt variable.
+ * @param {Object} data - { time, input, output } con time en segundos
+ * @param {number} sampleTime - Periodo de la grilla; por defecto la mediana del dt
+ * @returns {Object} { time, input, output, sampleTime }
+ */
+function resample(data, sampleTime = null) {
+  const { time, input, output } = data;
+  const steps = time.slice(1).map((t, i) => t - time[i]).sort((a, b) => a - b);
+  const median = steps[Math.floor(steps.length / 2)];
+  const period = sampleTime || median;
+
+  const uniform = steps[0] > median * 0.99 && steps[steps.length - 1] < median * 1.01;
+  if (uniform && Math.abs(period - median) < median * 1e-6) {
+    return { time: time.slice(), input: input.slice(), output: output.slice(), sampleTime: period };
+  }
+
+  const result = { time: [], input: [], output: [], sampleTime: period };
+  let index = 0;
+  for (let t = time[0]; t <= time[time.length - 1] + 1e-9; t += period) {
+    while (index < time.length - 2 && time[index + 1] <= t) index++;
+    const span = time[index + 1] - time[index];
+    const ratio = span > 0 ? Math.min(1, Math.max(0, (t - time[index]) / span)) : 0;
+    result.time.push(t);
+    result.input.push(input[index]);
+    result.output.push(output[index] + (output[index + 1] - output[index]) * ratio);
+  }
+  return result;
+}
+
+// Iteraciones de variables instrumentales tras el ajuste por mínimos cuadrados
+const IV_ITERATIONS = 4;
+
+function regressors(input, output, k, na, nb, nk) {
+  const row = [];
+  for (let i = 1; i <= na; i++) row.push(-output[k - i]);
+  for (let j = 0; j < nb; j++) row.push(input[k - nk - j]);
+  row.push(1);
+  return row;
+}
+
+/**
+ * Ajuste ARX con término constante:
+ *   y[k] = -a1·y[k-1] - … - ana·y[k-na] + b1·u[k-nk] + … + bnb·u[k-nk-nb+1] + c
+ * Con instrumentos (salida simulada de un ajuste previo) la estimación por
+ * variables instrumentales no se sesga con el ruido del sensor.
+ * @returns {Object|null} { a, b, c, nk, start } o null si los datos no excitan el modelo
+ */
+function fitARX(input, output, na, nb, nk, instruments = null) {
+  const start = Math.max(na, nk + nb - 1);
+  const ls = createLeastSquares(na + nb + 1);
+
+  for (let k = start; k < output.length; k++) {
+    const row = regressors(input, output, k, na, nb, nk);
+    ls.add(row, output[k], instruments ? regressors(input, instruments, k, na, nb, nk) : row);
+  }
+
+  const theta = ls.solve();
+  if (!theta || theta.some(value => !isFinite(value))) return null;
+
+  return {
+    a: theta.slice(0, na),
+    b: theta.slice(na, na + nb),
+    c: theta[na + nb],
+    nk,
+    start
+  };
+}
+
+/**
+ * Mínimos cuadrados seguido de variables instrumentales; se queda con el
+ * modelo de mejor ajuste en simulación libre
+ * @returns {Object|null} { model, fit }
+ */
+function estimateARX(input, output, na, nb, nk, accept = () => true) {
+  let best = null;
+  let model = fitARX(input, output, na, nb, nk);
+
+  for (let i = 0; model && i <= IV_ITERATIONS; i++) {
+    if (!accept(model)) break;
+    const simulated = simulateARX(model, input, output);
+    const fit = fitPercent(output, simulated, model.start);
+    if (!best || fit > best.fit) best = { model, fit };
+    model = i < IV_ITERATIONS ? fitARX(input, output, na, nb, nk, simulated) : null;
+  }
+
+  return best;
+}
+
+/**
+ * Simulación libre del modelo ARX (sin usar las salidas medidas salvo las iniciales)
+ */
+function simulateARX(model, input, output) {
+  const { a, b, c, nk, start } = model;
+  const simulated = output.slice(0, start);
+
+  for (let k = start; k < output.length; k++) {
+    let value = c;
+    a.forEach((coefficient, i) => { value -= coefficient * simulated[k - i - 1]; });
+    b.forEach((coefficient, j) => { value += coefficient * input[k - nk - j]; });
+    simulated.push(value);
+  }
+  return simulated;
+}
+
+/**
+ * Porcentaje de ajuste: 100·(1 - ‖y - ŷ‖ / ‖y - media(y)‖)
+ */
+function fitPercent(output, simulated, start = 0) {
+  const measured = output.slice(start);
+  const mean = measured.reduce((sum, value) => sum + value, 0) / measured.length;
+  let error = 0;
+  let spread = 0;
+  measured.forEach((value, i) => {
+    error += Math.pow(value - simulated[start + i], 2);
+    spread += Math.pow(value - mean, 2);
+  });
+  if (!isFinite(error)) return -Infinity;
+  return spread > 0 ? 100 * (1 - Math.sqrt(error / spread)) : (error === 0 ? 100 : -Infinity);
+}
+
+/**
+ * Punto de operación del ajuste: el mando medio y la salida de equilibrio
+ * que le corresponde según el término constante
+ */
+function operatingPoint(model, input, output) {
+  const inputOffset = input.reduce((sum, value) => sum + value, 0) / input.length;
+  const denominator = 1 + model.a.reduce((sum, value) => sum + value, 0);
+  const numerator = model.b.reduce((sum, value) => sum + value, 0);
+  const outputOffset = Math.abs(denominator) > 1e-9
+    ? (numerator * inputOffset + model.c) / denominator
+    : output.reduce((sum, value) => sum + value, 0) / output.length;
+  return { inputOffset, outputOffset };
+}
+
+/**
+ * Busca el retardo nk que mejor ajusta en simulación libre: primero una
+ * grilla gruesa y después alrededor del mejor candidato
+ * @param {Function} fit - nk => { model, params, fit } o null si el candidato no sirve
+ */
+function searchDelay(maxDelay, fit) {
+  const stride = Math.max(1, Math.ceil(maxDelay / DELAY_CANDIDATES));
+  const evaluated = new Map();
+  const evaluate = nk => {
+    if (nk < 1 || nk > maxDelay || evaluated.has(nk)) return;
+    evaluated.set(nk, fit(nk));
+  };
+
+  for (let nk = 1; nk <= maxDelay; nk += stride) evaluate(nk);
+  const best = () => Array.from(evaluated.values())
+    .filter(Boolean)
+    .reduce((winner, candidate) => (!winner || candidate.fit > winner.fit ? candidate : winner), null);
+
+  const coarse = best();
+  if (coarse && stride > 1) {
+    for (let nk = coarse.model.nk - stride + 1; nk < coarse.model.nk + stride; nk++) evaluate(nk);
+  }
+  return best();
+}
+
+function fitFOPDT(nk, data) {
+  const estimate = estimateARX(data.input, data.output, 1, 1, nk, model => -model.a[0] > 0 && -model.a[0] < 1);
+  if (!estimate) return null;
+
+  const { model, fit } = estimate;
+  const pole = -model.a[0];
+  if (model.b[0] === 0) return null;
+
+  return {
+    model,
+    fit,
+    params: {
+      gain: model.b[0] / (1 - pole),
+      timeConstant: -data.sampleTime / Math.log(pole),
+      deadTime: (nk - 1) * data.sampleTime
+    }
+  };
+}
+
+// Estable y sin polos reales negativos, que no tienen equivalente continuo
+function hasContinuousPoles(model) {
+  const [a1, a2] = model.a;
+  const discriminant = a1 * a1 - 4 * a2;
+  if (discriminant < 0) return a2 < 1;
+  const z1 = (-a1 + Math.sqrt(discriminant)) / 2;
+  const z2 = (-a1 - Math.sqrt(discriminant)) / 2;
+  return z1 > 0 && z1 < 1 && z2 > 0 && z2 < 1;
+}
+
+function fitSecondOrder(nk, data) {
+  const estimate = estimateARX(data.input, data.output, 2, 2, nk, hasContinuousPoles);
+  if (!estimate) return null;
+
+  const { model, fit } = estimate;
+  const [a1, a2] = model.a;
+  const Ts = data.sampleTime;
+  const discriminant = a1 * a1 - 4 * a2;
+  let naturalFrequency;
+  let dampingRatio;
+  let poles;
+
+  if (discriminant < 0) {
+    // Polos complejos r·e^{±jφ} → s = (ln r ± jφ)/Ts
+    const radius = Math.sqrt(a2);
+    const angle = Math.acos(Math.max(-1, Math.min(1, -a1 / (2 * radius))));
+    const real = Math.log(radius) / Ts;
+    const imaginary = angle / Ts;
+    naturalFrequency = Math.hypot(real, imaginary);
+    dampingRatio = -real / naturalFrequency;
+    poles = [{ re: real, im: imaginary }, { re: real, im: -imaginary }];
+  } else {
+    const z1 = (-a1 + Math.sqrt(discriminant)) / 2;
+    const z2 = (-a1 - Math.sqrt(discriminant)) / 2;
+    const s1 = Math.log(z1) / Ts;
+    const s2 = Math.log(z2) / Ts;
+    naturalFrequency = Math.sqrt(s1 * s2);
+    dampingRatio = -(s1 + s2) / (2 * naturalFrequency);
+    poles = [{ re: s1, im: 0 }, { re: s2, im: 0 }];
+  }
+
+  return {
+    model,
+    fit,
+    params: {
+      gain: (model.b[0] + model.b[1]) / (1 + a1 + a2),
+      naturalFrequency,
+      dampingRatio,
+      deadTime: (nk - 1) * Ts
+    },
+    poles
+  };
+}
+
+/**
+ * Simula el modelo continuo que se cargaría como planta, partiendo de la
+ * primera muestra medida
+ */
+function simulateContinuous(PlantClass, params, data) {
+  const { input, output, sampleTime } = data;
+  const plant = new PlantClass(params);
+  const rate = output.length > 1 ? (output[1] - output[0]) / sampleTime : 0;
+  plant.initialize(output[0], rate, input[0]);
+
+  const simulated = [];
+  for (let k = 0; k < output.length; k++) {
+    simulated.push(plant.getOutput());
+    plant.step(input[k], sampleTime);
+  }
+  return simulated;
+}
+
+/**
+ * Ajusta un modelo lineal a datos de entrada/salida
+ * @param {string} model - fopdt, secondOrder o arx
+ * @param {Object} data - { time, input, output }; input[k] es el mando aplicado entre time[k] y time[k+1]
+ * @param {Object} options - { sampleTime, maxDeadTime, order: { na, nb, nk }, inputLimits: { min, max } }
+ * @returns {Object} Parámetros, planta cargable, ajuste y residuos
+ */
+function identifyModel(model, data, options = {}) {
+  const { maxDeadTime = 5, order = {}, inputLimits = { min: 0, max: 100 } } = options;
+  const uniform = resample(data, options.sampleTime);
+  const Ts = uniform.sampleTime;
+  const samples = uniform.output.length;
+
+  if (samples < 10) {
+    throw new Error(`Se necesitan al menos 10 muestras para identificar (hay ${samples})`);
+  }
+
+  const maxDelay = Math.max(1, Math.min(Math.round(maxDeadTime / Ts) + 1, Math.floor(samples / 4)));
+  let candidate;
+  let PlantClass = null;
+  let type;
+
+  switch (model) {
+    case 'fopdt':
+      candidate = searchDelay(maxDelay, nk => fitFOPDT(nk, uniform));
+      PlantClass = FOPDTPlant;
+      type = FOPDTPlant.type;
+      break;
+
+    case 'secondOrder':
+      candidate = searchDelay(maxDelay, nk => fitSecondOrder(nk, uniform));
+      PlantClass = SecondOrderPlant;
+      type = SecondOrderPlant.type;
+      break;
+
+    case 'arx': {
+      const { na = 2, nb = 2, nk = 1 } = order;
+      const estimate = estimateARX(uniform.input, uniform.output, na, nb, nk);
+      candidate = estimate && {
+        ...estimate,
+        params: { a: estimate.model.a, b: estimate.model.b, delay: nk, sampleTime: Ts }
+      };
+      type = 'arx';
+      break;
+    }
+
+    default:
+      throw new Error(`Modelo de identificación desconocido: ${model}. Modelos válidos: ${IDENTIFICATION_MODELS.join(', ')}`);
+  }
+
+  if (!candidate) {
+    throw new Error(model === 'arx'
+      ? 'Los datos no excitan la planta lo suficiente para ajustar el modelo (mando constante o colineal)'
+      : `Ningún retardo produjo un modelo ${model} estable; pruebe con arx o con datos con más excitación`);
+  }
+
+  const plantParams = {
+    ...candidate.params,
+    ...operatingPoint(candidate.model, uniform.input, uniform.output),
+    minInput: inputLimits.min,
+    maxInput: inputLimits.max
+  };
+
+  // El ajuste y los residuos son los del modelo que se cargaría como planta
+  const simulated = PlantClass
+    ? simulateContinuous(PlantClass, plantParams, uniform)
+    : simulateARX(candidate.model, uniform.input, uniform.output);
+  const start = PlantClass ? 0 : candidate.model.start;
+  const residuals = uniform.output.map((value, i) => value - simulated[i]).slice(start);
+
+  const result = {
+    model,
+    sampleTime: Ts,
+    samples,
+    params: plantParams,
+    discrete: {
+      a: candidate.model.a,
+      b: candidate.model.b,
+      c: candidate.model.c,
+      delay: candidate.model.nk
+    },
+    fit: fitPercent(uniform.output, simulated, start),
+    plant: { type, params: plantParams },
+    residuals: {
+      time: uniform.time.slice(start),
+      values: residuals,
+      mean: residuals.reduce((sum, value) => sum + value, 0) / residuals.length,
+      rms: Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length),
+      maxAbs: residuals.reduce((max, value) => Math.max(max, Math.abs(value)), 0)
+    }
+  };
+
+  if (model === 'secondOrder') {
+    result.poles = candidate.poles;
+    result.underdamped = candidate.params.dampingRatio < 1;
+  }
+
+  return result;
+}
+
+module.exports = {
+  IDENTIFICATION_MODELS,
+  identifyModel,
+  resample,
+  fitARX,
+  simulateARX,
+  fitPercent
+};
@@ -0,0 +1,50 @@
+// simulation/integrators.js
+
+/**
+ * Realiza un paso de Runge-Kutta de 4º orden
+ * @param {Function} derivatives - Función (state, input) => derivada del estado
+ * @param {number[]} state - Estado actual
+ * @param {number} input - Entrada aplicada (constante durante el paso)
+ * @param {number} h - Tamaño del paso en segundos
+ * @returns {number[]} Nuevo estado
+ */
+function rk4Step(derivatives, state, input, h) {
+  const offset = (base, slope, factor) => base.map((x, i) => x + slope[i] * factor);
+
+  const k1 = derivatives(state, input);
+  const k2 = derivatives(offset(state, k1, h / 2), input);
+  const k3 = derivatives(offset(state, k2, h / 2), input);
+  const k4 = derivatives(offset(state, k3, h), input);
+
+  return state.map((x, i) => x + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+/**
+ * Integra un intervalo completo con pasos RK4 de tamaño fijo
+ * @param {Function} derivatives - Función (state, input) => derivada del estado
+ * @param {number[]} state - Estado inicial
+ * @param {number} input - Entrada mantenida durante el intervalo (ZOH)
+ * @param {number} dt - Duración del intervalo en segundos
+ * @param {number} maxStep - Tamaño máximo del paso interno en segundos
+ * @returns {number[]} Estado al final del intervalo
+ */
+function integrate(derivatives, state, input, dt, maxStep = 0.001) {
+  if (!(dt > 0)) {
+    return state.slice();
+  }
+
+  const steps = Math.max(1, Math.ceil(dt / maxStep));
+  const h = dt / steps;
+  let next = state;
+
+  for (let i = 0; i < steps; i++) {
+    next = rk4Step(derivatives, next, input, h);
+  }
+
+  return next;
+}
+
+module.exports = {
+  rk4Step,
+  integrate
+};
@@ -0,0 +1,93 @@
+// simulation/plants/ARXPlant.js
+const LinearModelPlant = require('./LinearModelPlant');
+
+const DEFAULT_PARAMS = {
+  a: [-0.9],            // coeficientes del denominador a1..ana
+  b: [0.1],             // coeficientes del numerador b1..bnb
+  delay: 1,             // muestras de retardo nk (≥ 1)
+  sampleTime: 0.1,      // s - periodo del modelo discreto
+  inputOffset: 0,       // mando del punto de operación
+  outputOffset: 0,      // salida del punto de operación
+  minInput: 0,          // rango del actuador con el que se identificó
+  maxInput: 100
+};
+
+/**
+ * Modelo ARX discreto en desviaciones respecto del punto de operación:
+ *   y[k] + a1·y[k-1] + … + ana·y[k-na] = b1·u[k-nk] + … + bnb·u[k-nk-nb+1]
+ * Se actualiza cada sampleTime con el mando vigente (retención de orden
+ * cero) y mantiene la salida entre muestras, así que el lazo puede correr
+ * con un periodo distinto del de identificación.
+ */
+class ARXPlant extends LinearModelPlant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  initialState() {
+    // Salidas pasadas, la más reciente primero
+    return new Array(this.params.a.length).fill(0);
+  }
+
+  reset() {
+    super.reset();
+    this.elapsed = 0;
+    // Mandos pasados en desviación, el más reciente primero
+    this.inputs = new Array(this.params.delay + this.params.b.length).fill(0);
+    this.rate = 0;
+  }
+
+  step(controlOutput, dt, disturbance = 0) {
+    const { a, b, delay, sampleTime } = this.params;
+    this.input = this.computeInput(controlOutput);
+    this.disturbance = disturbance;
+    this.delayedInput = this.input;
+    this.elapsed += dt;
+
+    while (this.elapsed >= sampleTime - 1e-9) {
+      this.elapsed -= sampleTime;
+      this.inputs.unshift(this.deviation(this.input));
+      this.inputs.pop();
+
+      let output = 0;
+      a.forEach((coefficient, i) => { output -= coefficient * this.state[i]; });
+      b.forEach((coefficient, j) => { output += coefficient * this.inputs[delay + j - 1]; });
+
+      this.rate = (output - this.state[0]) / sampleTime;
+      this.state.unshift(output);
+      this.state.pop();
+    }
+
+    return this.getOutput();
+  }
+
+  staticGain() {
+    const { a, b } = this.params;
+    const denominator = 1 + a.reduce((sum, value) => sum + value, 0);
+    return Math.abs(denominator) > 1e-9 ? b.reduce((sum, value) => sum + value, 0) / denominator : null;
+  }
+
+  getOutputRate() {
+    return this.rate;
+  }
+}
+
+ARXPlant.type = 'arx';
+ARXPlant.label = 'Modelo ARX discreto (identificado)';
+ARXPlant.outputUnit = '°';
+ARXPlant.disturbanceUnit = 'u';
+ARXPlant.defaultReference = 0;
+ARXPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+ARXPlant.actuatorLimits = { min: 0, max: 100 };
+ARXPlant.limits = {
+  output: { min: -180, max: 180 },
+  params: {
+    a: { min: -1000, max: 1000, array: true, maxLength: 10 },
+    b: { min: -1000, max: 1000, array: true, maxLength: 10 },
+    delay: { min: 1, max: 100, integer: true },
+    sampleTime: { min: 0.0001, max: 10 },
+    ...LinearModelPlant.OPERATING_POINT_LIMITS
+  }
+};
+
+module.exports = ARXPlant;
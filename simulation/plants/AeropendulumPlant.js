@@ -0,0 +1,100 @@
+// simulation/plants/AeropendulumPlant.js
+const Plant = require('./Plant');
+
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Parámetros por defecto de un banco de laboratorio con contrapeso
+const DEFAULT_PARAMS = {
+  inertia: 0.02,          // kg·m² - inercia del brazo respecto al pivote
+  mass: 0.12,             // kg - masa total del brazo, motor y hélice
+  comDistance: 0.03,      // m - distancia del pivote al centro de masa
+  thrustDistance: 0.25,   // m - distancia del pivote a la hélice
+  friction: 0.01,         // N·m·s/rad - fricción viscosa en el pivote
+  thrustGain: 0.01,       // N por unidad de salida del controlador
+  gravity: 9.81,          // m/s²
+  angleLimit: 180,        // ° - tope mecánico del brazo
+  integrationStep: 0.001  // s - paso fijo del integrador RK4
+};
+
+/**
+ * Modelo no lineal de un aeropéndulo:
+ *   J·θ'' = F·L + τd - m·g·d·sen(θ) - b·θ'
+ * donde F es el empuje de la hélice fijado por la salida del controlador
+ * y τd un torque de perturbación externo.
+ * El ángulo se mide desde la vertical (brazo colgando = 0°).
+ */
+class AeropendulumPlant extends Plant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  computeInput(controlOutput) {
+    return controlOutput * this.params.thrustGain;
+  }
+
+  derivatives(state, thrust) {
+    const { inertia, mass, comDistance, thrustDistance, friction, gravity } = this.params;
+    const [theta, omega] = state;
+
+    const thrustTorque = thrust * thrustDistance;
+    const gravityTorque = mass * gravity * comDistance * Math.sin(theta);
+    const frictionTorque = friction * omega;
+
+    return [omega, (thrustTorque + this.disturbance - gravityTorque - frictionTorque) / inertia];
+  }
+
+  staticInput(angle, disturbance = 0) {
+    const { mass, gravity, comDistance, thrustDistance, thrustGain } = this.params;
+    const gravityTorque = mass * gravity * comDistance * Math.sin(angle * DEG_TO_RAD);
+    return (gravityTorque - disturbance) / (thrustDistance * thrustGain);
+  }
+
+  applyConstraints() {
+    // Tope mecánico: el brazo se detiene al alcanzar el límite
+    const limit = this.params.angleLimit * DEG_TO_RAD;
+    if (Math.abs(this.state[0]) > limit) {
+      this.state = [Math.sign(this.state[0]) * limit, 0];
+    }
+  }
+
+  getOutput() {
+    return this.state[0] * RAD_TO_DEG;
+  }
+
+  getOutputRate() {
+    return this.state[1] * RAD_TO_DEG;
+  }
+
+  getState() {
+    return {
+      angle: this.getOutput(),
+      angularVelocity: this.getOutputRate(),
+      thrust: this.input
+    };
+  }
+}
+
+AeropendulumPlant.type = 'aeropendulum';
+AeropendulumPlant.label = 'Aeropéndulo';
+AeropendulumPlant.outputUnit = '°';
+AeropendulumPlant.disturbanceUnit = 'N·m';
+AeropendulumPlant.defaultReference = 45;
+AeropendulumPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+AeropendulumPlant.actuatorLimits = { min: 0, max: 100 };
+AeropendulumPlant.limits = {
+  output: { min: -180, max: 180 },
+  params: {
+    inertia: { min: 0.001, max: 1 },
+    mass: { min: 0.01, max: 5 },
+    comDistance: { min: -0.5, max: 0.5 },
+    thrustDistance: { min: 0.01, max: 1 },
+    friction: { min: 0, max: 1 },
+    thrustGain: { min: 0.0001, max: 1 },
+    gravity: { min: 0, max: 20 },
+    angleLimit: { min: 1, max: 180 },
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = AeropendulumPlant;
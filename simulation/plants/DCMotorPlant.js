@@ -0,0 +1,95 @@
+// simulation/plants/DCMotorPlant.js
+const Plant = require('./Plant');
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const DEFAULT_PARAMS = {
+  inertia: 0.01,          // kg·m² - inercia del rotor y la carga
+  friction: 0.1,          // N·m·s/rad - fricción viscosa
+  torqueConstant: 0.01,   // N·m/A
+  backEmfConstant: 0.01,  // V·s/rad
+  resistance: 1,          // Ω
+  inductance: 0.5,        // H
+  voltageGain: 1,         // V por unidad de salida del controlador
+  maxVoltage: 24,         // V - tensión de alimentación
+  integrationStep: 0.001  // s - paso fijo del integrador RK4
+};
+
+/**
+ * Motor DC con lazo de posición:
+ *   J·ω' = Kt·i + τd - b·ω
+ *   L·i' = V - R·i - Ke·ω
+ * La posición del eje se reporta en grados.
+ */
+class DCMotorPlant extends Plant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  initialState() {
+    return [0, 0, 0];
+  }
+
+  computeInput(controlOutput) {
+    const { voltageGain, maxVoltage } = this.params;
+    return Math.max(-maxVoltage, Math.min(maxVoltage, controlOutput * voltageGain));
+  }
+
+  derivatives(state, voltage) {
+    const { inertia, friction, torqueConstant, backEmfConstant, resistance, inductance } = this.params;
+    const [, omega, current] = state;
+
+    return [
+      omega,
+      (torqueConstant * current + this.disturbance - friction * omega) / inertia,
+      (voltage - resistance * current - backEmfConstant * omega) / inductance
+    ];
+  }
+
+  staticInput(angle, disturbance = 0) {
+    // Sin par de carga propio: sólo hay que compensar la perturbación con corriente
+    const { torqueConstant, resistance, voltageGain } = this.params;
+    return (-disturbance / torqueConstant) * resistance / voltageGain;
+  }
+
+  getOutput() {
+    return this.state[0] * RAD_TO_DEG;
+  }
+
+  getOutputRate() {
+    return this.state[1] * RAD_TO_DEG;
+  }
+
+  getState() {
+    return {
+      position: this.getOutput(),
+      speed: this.getOutputRate(),
+      current: this.state[2],
+      voltage: this.input
+    };
+  }
+}
+
+DCMotorPlant.type = 'dcMotor';
+DCMotorPlant.label = 'Motor DC (posición)';
+DCMotorPlant.outputUnit = '°';
+DCMotorPlant.disturbanceUnit = 'N·m';
+DCMotorPlant.defaultReference = 90;
+DCMotorPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+DCMotorPlant.actuatorLimits = { min: -24, max: 24 };
+DCMotorPlant.limits = {
+  output: { min: -180, max: 180 },
+  params: {
+    inertia: { min: 0.0001, max: 10 },
+    friction: { min: 0, max: 10 },
+    torqueConstant: { min: 0.001, max: 10 },
+    backEmfConstant: { min: 0.001, max: 10 },
+    resistance: { min: 0.01, max: 100 },
+    inductance: { min: 0.001, max: 10 },
+    voltageGain: { min: 0.01, max: 100 },
+    maxVoltage: { min: 1, max: 480 },
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = DCMotorPlant;
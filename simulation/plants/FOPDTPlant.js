@@ -0,0 +1,52 @@
+// simulation/plants/FOPDTPlant.js
+const LinearModelPlant = require('./LinearModelPlant');
+
+const DEFAULT_PARAMS = {
+  gain: 1,               // unidades de salida por unidad de mando
+  timeConstant: 1,       // s
+  deadTime: 0,           // s
+  inputOffset: 0,        // mando del punto de operación
+  outputOffset: 0,       // salida del punto de operación
+  minInput: 0,           // rango del actuador con el que se identificó
+  maxInput: 100,
+  integrationStep: 0.001 // s - paso fijo del integrador RK4
+};
+
+/**
+ * Primer orden con tiempo muerto, típico resultado de una identificación:
+ *   τ·y' = -(y - y0) + K·(u(t - θ) - u0 + ud)
+ */
+class FOPDTPlant extends LinearModelPlant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  initialState() {
+    return [0];
+  }
+
+  derivatives(state, input) {
+    const { gain, timeConstant } = this.params;
+    return [(-state[0] + gain * this.deviation(input)) / timeConstant];
+  }
+}
+
+FOPDTPlant.type = 'fopdt';
+FOPDTPlant.label = 'Primer orden con tiempo muerto (identificado)';
+FOPDTPlant.outputUnit = '°';
+FOPDTPlant.disturbanceUnit = 'u';
+FOPDTPlant.defaultReference = 0;
+FOPDTPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+FOPDTPlant.actuatorLimits = { min: 0, max: 100 };
+FOPDTPlant.limits = {
+  output: { min: -180, max: 180 },
+  params: {
+    gain: { min: -10000, max: 10000 },
+    timeConstant: { min: 0.001, max: 100000 },
+    deadTime: { min: 0, max: 600 },
+    ...LinearModelPlant.OPERATING_POINT_LIMITS,
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = FOPDTPlant;
@@ -0,0 +1,121 @@
+// simulation/plants/LinearModelPlant.js
+const Plant = require('./Plant');
+const { integrate } = require('../integrators');
+
+/**
+ * Base de los modelos lineales identificados a partir de datos. El estado
+ * se expresa como desviación respecto del punto de operación
+ * (inputOffset, outputOffset), de modo que el modelo arranca en equilibrio.
+ * La perturbación entra sumada al mando, en sus mismas unidades, y el
+ * tiempo muerto se aplica con una cola de mandos pasados.
+ */
+class LinearModelPlant extends Plant {
+  reset() {
+    super.reset();
+    this.time = 0;
+    this.inputQueue = [];
+    this.delayedInput = this.params.inputOffset;
+  }
+
+  /**
+   * Arranca fuera del punto de operación, con el mando dado aplicado desde
+   * antes del inicio (para comparar el modelo con datos medidos)
+   * @param {number} output - Salida inicial
+   * @param {number} rate - Derivada inicial de la salida
+   * @param {number} input - Mando previo al inicio
+   */
+  initialize(output, rate, input) {
+    this.reset();
+    this.state[0] = output - this.params.outputOffset;
+    if (this.state.length > 1) this.state[1] = rate;
+    this.inputQueue = [{ time: -(this.params.deadTime || 0), input }];
+    this.delayedInput = input;
+  }
+
+  /**
+   * Mando que llega a la dinámica tras el tiempo muerto
+   * @param {number} input - Mando aplicado en este intervalo
+   * @returns {number}
+   */
+  delay(input) {
+    const deadTime = this.params.deadTime || 0;
+    if (deadTime <= 0) return input;
+
+    this.inputQueue.push({ time: this.time, input });
+    const appliedAt = this.time - deadTime + 1e-9;
+    while (this.inputQueue.length > 1 && this.inputQueue[1].time <= appliedAt) {
+      this.inputQueue.shift();
+    }
+
+    // Antes de cumplirse el tiempo muerto la dinámica sigue en el punto de operación
+    return this.inputQueue[0].time <= appliedAt ? this.inputQueue[0].input : this.params.inputOffset;
+  }
+
+  step(controlOutput, dt, disturbance = 0) {
+    this.input = this.computeInput(controlOutput);
+    this.disturbance = disturbance;
+    this.delayedInput = this.delay(this.input);
+    this.time += dt;
+
+    this.state = integrate(
+      (state, input) => this.derivatives(state, input),
+      this.state,
+      this.delayedInput,
+      dt,
+      this.params.integrationStep
+    );
+
+    return this.getOutput();
+  }
+
+  /**
+   * Entrada de la dinámica en desviación respecto del punto de operación
+   */
+  deviation(input) {
+    return input - this.params.inputOffset + this.disturbance;
+  }
+
+  /**
+   * Ganancia estática del modelo (salida por unidad de mando)
+   */
+  staticGain() {
+    return this.params.gain;
+  }
+
+  staticInput(output, disturbance = 0) {
+    const gain = this.staticGain();
+    if (!gain) return null;
+    return this.params.inputOffset + (output - this.params.outputOffset) / gain - disturbance;
+  }
+
+  getActuatorLimits() {
+    return { min: this.params.minInput, max: this.params.maxInput };
+  }
+
+  getOutput() {
+    return this.params.outputOffset + this.state[0];
+  }
+
+  getOutputRate() {
+    return this.derivatives(this.state, this.delayedInput)[0];
+  }
+
+  getState() {
+    return {
+      output: this.getOutput(),
+      rate: this.getOutputRate(),
+      input: this.input,
+      delayedInput: this.delayedInput
+    };
+  }
+}
+
+// Parámetros comunes del punto de operación y del rango de mando
+LinearModelPlant.OPERATING_POINT_LIMITS = {
+  inputOffset: { min: -1e6, max: 1e6 },
+  outputOffset: { min: -1e6, max: 1e6 },
+  minInput: { min: -1e6, max: 1e6 },
+  maxInput: { min: -1e6, max: 1e6 }
+};
+
+module.exports = LinearModelPlant;
@@ -0,0 +1,74 @@
+// simulation/plants/MassSpringPlant.js
+const Plant = require('./Plant');
+
+const M_TO_CM = 100;
+
+const DEFAULT_PARAMS = {
+  mass: 1,                // kg
+  damping: 4,             // N·s/m - amortiguamiento viscoso
+  stiffness: 20,          // N/m - constante del resorte
+  forceGain: 0.5,         // N por unidad de salida del controlador
+  integrationStep: 0.001  // s - paso fijo del integrador RK4
+};
+
+/**
+ * Sistema masa-resorte-amortiguador de segundo orden:
+ *   m·x'' + c·x' + k·x = F + Fd
+ * La posición se reporta en centímetros.
+ */
+class MassSpringPlant extends Plant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  computeInput(controlOutput) {
+    return controlOutput * this.params.forceGain;
+  }
+
+  derivatives(state, force) {
+    const { mass, damping, stiffness } = this.params;
+    const [x, v] = state;
+    return [v, (force + this.disturbance - damping * v - stiffness * x) / mass];
+  }
+
+  staticInput(position, disturbance = 0) {
+    const { stiffness, forceGain } = this.params;
+    return (stiffness * position / M_TO_CM - disturbance) / forceGain;
+  }
+
+  getOutput() {
+    return this.state[0] * M_TO_CM;
+  }
+
+  getOutputRate() {
+    return this.state[1] * M_TO_CM;
+  }
+
+  getState() {
+    return {
+      position: this.getOutput(),
+      velocity: this.getOutputRate(),
+      force: this.input
+    };
+  }
+}
+
+MassSpringPlant.type = 'massSpring';
+MassSpringPlant.label = 'Masa-resorte-amortiguador';
+MassSpringPlant.outputUnit = 'cm';
+MassSpringPlant.disturbanceUnit = 'N';
+MassSpringPlant.defaultReference = 20;
+MassSpringPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+MassSpringPlant.actuatorLimits = { min: -100, max: 100 };
+MassSpringPlant.limits = {
+  output: { min: -100, max: 100 },
+  params: {
+    mass: { min: 0.01, max: 100 },
+    damping: { min: 0, max: 1000 },
+    stiffness: { min: 0, max: 10000 },
+    forceGain: { min: 0.001, max: 100 },
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = MassSpringPlant;
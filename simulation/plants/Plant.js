@@ -0,0 +1,107 @@
+// simulation/plants/Plant.js
+const { integrate } = require('../integrators');
+
+/**
+ * Base común de los modelos de planta. Cada modelo define su vector de
+ * estado, sus derivadas y cómo se traduce la salida del controlador en la
+ * entrada física; la integración RK4 de paso fijo se comparte aquí.
+ */
+class Plant {
+  constructor(params = {}, defaults = {}) {
+    this.params = { ...defaults, ...params };
+    this.input = 0;
+    this.disturbance = 0;
+    this.reset();
+  }
+
+  /**
+   * Estado inicial del modelo; las subclases lo sobrescriben
+   * @returns {number[]}
+   */
+  initialState() {
+    return [0, 0];
+  }
+
+  reset() {
+    this.state = this.initialState();
+    this.input = 0;
+    this.disturbance = 0;
+  }
+
+  /**
+   * Traduce la salida del controlador en la entrada física de la planta
+   * @param {number} controlOutput - Salida del controlador
+   * @returns {number}
+   */
+  computeInput(controlOutput) {
+    return controlOutput;
+  }
+
+  derivatives() {
+    throw new Error('derivatives() debe implementarse en el modelo de planta');
+  }
+
+  /**
+   * Restricciones físicas aplicadas tras cada intervalo (topes, saturaciones)
+   */
+  applyConstraints() {}
+
+  /**
+   * Avanza el modelo manteniendo la entrada constante durante dt
+   * @param {number} controlOutput - Salida del controlador
+   * @param {number} dt - Intervalo en segundos
+   * @param {number} disturbance - Perturbación externa en las unidades de disturbanceUnit
+   * @returns {number} Salida medible de la planta
+   */
+  step(controlOutput, dt, disturbance = 0) {
+    this.input = this.computeInput(controlOutput);
+    this.disturbance = disturbance;
+
+    this.state = integrate(
+      (state, input) => this.derivatives(state, input),
+      this.state,
+      this.input,
+      dt,
+      this.params.integrationStep || 0.001
+    );
+
+    this.applyConstraints();
+    return this.getOutput();
+  }
+
+  /**
+   * Salida del controlador que mantiene la planta en reposo en `output`
+   * con una perturbación constante; base de los términos de prealimentación
+   * @param {number} output - Salida en las unidades de outputUnit
+   * @param {number} disturbance - Perturbación en las unidades de disturbanceUnit
+   * @returns {number|null} null si el modelo no define el equilibrio
+   */
+  staticInput() {
+    return null;
+  }
+
+  /**
+   * Rango de mando del actuador para este modelo
+   * @returns {Object} { min, max }
+   */
+  getActuatorLimits() {
+    return this.constructor.actuatorLimits;
+  }
+
+  getOutput() {
+    return this.state[0];
+  }
+
+  getOutputRate() {
+    return this.derivatives(this.state, this.input)[0];
+  }
+
+  getState() {
+    return {
+      output: this.getOutput(),
+      input: this.input
+    };
+  }
+}
+
+module.exports = Plant;
@@ -0,0 +1,55 @@
+// simulation/plants/SecondOrderPlant.js
+const LinearModelPlant = require('./LinearModelPlant');
+
+const DEFAULT_PARAMS = {
+  gain: 1,               // unidades de salida por unidad de mando
+  naturalFrequency: 1,   // rad/s
+  dampingRatio: 0.5,
+  deadTime: 0,           // s
+  inputOffset: 0,        // mando del punto de operación
+  outputOffset: 0,       // salida del punto de operación
+  minInput: 0,           // rango del actuador con el que se identificó
+  maxInput: 100,
+  integrationStep: 0.001 // s - paso fijo del integrador RK4
+};
+
+/**
+ * Segundo orden con tiempo muerto, típico resultado de una identificación:
+ *   y'' + 2ζωn·y' + ωn²·(y - y0) = K·ωn²·(u(t - θ) - u0 + ud)
+ */
+class SecondOrderPlant extends LinearModelPlant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  derivatives(state, input) {
+    const { gain, naturalFrequency: wn, dampingRatio: zeta } = this.params;
+    const [y, rate] = state;
+    return [rate, wn * wn * (gain * this.deviation(input) - y) - 2 * zeta * wn * rate];
+  }
+
+  getOutputRate() {
+    return this.state[1];
+  }
+}
+
+SecondOrderPlant.type = 'secondOrder';
+SecondOrderPlant.label = 'Segundo orden con tiempo muerto (identificado)';
+SecondOrderPlant.outputUnit = '°';
+SecondOrderPlant.disturbanceUnit = 'u';
+SecondOrderPlant.defaultReference = 0;
+SecondOrderPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+SecondOrderPlant.actuatorLimits = { min: 0, max: 100 };
+SecondOrderPlant.limits = {
+  output: { min: -180, max: 180 },
+  params: {
+    gain: { min: -10000, max: 10000 },
+    naturalFrequency: { min: 0.0001, max: 1000 },
+    dampingRatio: { min: 0, max: 10 },
+    deadTime: { min: 0, max: 600 },
+    ...LinearModelPlant.OPERATING_POINT_LIMITS,
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = SecondOrderPlant;
@@ -0,0 +1,71 @@
+// simulation/plants/ThermalPlant.js
+const Plant = require('./Plant');
+
+const DEFAULT_PARAMS = {
+  timeConstant: 60,       // s - constante de tiempo térmica
+  gain: 2,                // °C/W - ganancia estática
+  ambient: 25,            // °C - temperatura ambiente
+  heaterGain: 1,          // W por unidad de salida del controlador
+  maxPower: 200,          // W - potencia máxima del calefactor
+  integrationStep: 0.01   // s - paso fijo del integrador RK4
+};
+
+/**
+ * Sistema térmico de primer orden:
+ *   τ·T' = -(T - Ta) + K·(P + Pd)
+ * donde Pd es un flujo de calor de perturbación. El calefactor sólo aporta
+ * calor, por lo que la potencia nunca es negativa.
+ */
+class ThermalPlant extends Plant {
+  constructor(params = {}) {
+    super(params, DEFAULT_PARAMS);
+  }
+
+  initialState() {
+    return [this.params.ambient];
+  }
+
+  computeInput(controlOutput) {
+    const power = controlOutput * this.params.heaterGain;
+    return Math.max(0, Math.min(this.params.maxPower, power));
+  }
+
+  derivatives(state, power) {
+    const { timeConstant, gain, ambient } = this.params;
+    return [(-(state[0] - ambient) + gain * (power + this.disturbance)) / timeConstant];
+  }
+
+  staticInput(temperature, disturbance = 0) {
+    const { gain, ambient, heaterGain } = this.params;
+    return ((temperature - ambient) / gain - disturbance) / heaterGain;
+  }
+
+  getState() {
+    return {
+      temperature: this.getOutput(),
+      heatingRate: this.getOutputRate(),
+      power: this.input
+    };
+  }
+}
+
+ThermalPlant.type = 'thermal';
+ThermalPlant.label = 'Sistema térmico de primer orden';
+ThermalPlant.outputUnit = '°C';
+ThermalPlant.disturbanceUnit = 'W';
+ThermalPlant.defaultReference = 45;
+ThermalPlant.DEFAULT_PARAMS = DEFAULT_PARAMS;
+ThermalPlant.actuatorLimits = { min: 0, max: 100 };
+ThermalPlant.limits = {
+  output: { min: -20, max: 180 },
+  params: {
+    timeConstant: { min: 0.1, max: 3600 },
+    gain: { min: 0.01, max: 100 },
+    ambient: { min: -20, max: 50 },
+    heaterGain: { min: 0.01, max: 100 },
+    maxPower: { min: 1, max: 10000 },
+    integrationStep: { min: 0.00001, max: 0.1 }
+  }
+};
+
+module.exports = ThermalPlant;
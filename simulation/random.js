@@ -0,0 +1,63 @@
+// simulation/random.js
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32). Con la misma semilla
+ * produce siempre la misma secuencia, lo que permite reproducir simulaciones.
+ */
+class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.reset();
+  }
+
+  static normalizeSeed(seed) {
+    const num = Math.floor(Number(seed));
+    return Number.isFinite(num) ? num >>> 0 : 0;
+  }
+
+  reset(seed = this.seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+    this.spareGaussian = null;
+  }
+
+  /**
+   * Número uniforme en [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Muestra normal por Box-Muller
+   * @param {number} mean - Media
+   * @param {number} sigma - Desviación estándar
+   * @returns {number}
+   */
+  gaussian(mean = 0, sigma = 1) {
+    if (this.spareGaussian !== null) {
+      const value = this.spareGaussian;
+      this.spareGaussian = null;
+      return mean + sigma * value;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+
+    this.spareGaussian = radius * Math.sin(2 * Math.PI * v);
+    return mean + sigma * radius * Math.cos(2 * Math.PI * v);
+  }
+}
+
+module.exports = SeededRandom;
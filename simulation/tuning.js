@@ -0,0 +1,59 @@
+// simulation/tuning.js
+
+const TUNING_RULES = ['zieglerNichols', 'tyreusLuyben', 'phaseMargin'];
+
+/**
+ * Ganancias PID a partir de la ganancia y el periodo últimos
+ * @param {string} rule - zieglerNichols, tyreusLuyben o phaseMargin
+ * @param {number} Ku - Ganancia última
+ * @param {number} Pu - Periodo último (s)
+ * @param {Object} options - { phaseMargin } en grados para la regla phaseMargin
+ * @returns {Object} { kp, ki, kd, Ti, Td }
+ */
+function computeTuning(rule, Ku, Pu, options = {}) {
+  let kp;
+  let Ti;
+  let Td;
+
+  switch (rule) {
+    case 'zieglerNichols':
+      kp = 0.6 * Ku;
+      Ti = Pu / 2;
+      Td = Pu / 8;
+      break;
+
+    case 'tyreusLuyben':
+      kp = Ku / 2.2;
+      Ti = 2.2 * Pu;
+      Td = Pu / 6.3;
+      break;
+
+    case 'phaseMargin': {
+      // Lleva el punto último a fase -180° + φm sobre el círculo unitario, con Ti = 4·Td
+      const phi = (options.phaseMargin ?? 45) * Math.PI / 180;
+      const omega = 2 * Math.PI / Pu;
+      const tanPhi = Math.tan(phi);
+      const x = (tanPhi + Math.sqrt(tanPhi * tanPhi + 1)) / 2;
+      kp = Ku * Math.cos(phi);
+      Td = x / omega;
+      Ti = 4 * Td;
+      break;
+    }
+
+    default:
+      throw new Error(`Regla de sintonía desconocida: ${rule}. Reglas válidas: ${TUNING_RULES.join(', ')}`);
+  }
+
+  return {
+    kp,
+    ki: kp / Ti,
+    kd: kp * Td,
+    Ti,
+    Td
+  };
+}
+
+module.exports = {
+  TUNING_RULES,
+  computeTuning
+};
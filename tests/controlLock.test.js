@@ -0,0 +1,158 @@
+// tests/controlLock.test.js
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// config.js lee el token de administración al cargarse
+const ADMIN_TOKEN = 'token-de-prueba';
+process.env.CONTROL_ADMIN_TOKEN = ADMIN_TOKEN;
+
+const request = require('supertest');
+const Server = require('../server');
+const SystemController = require('../controllers/SystemController');
+const ControlLock = require('../controllers/ControlLock');
+const { ControlLockedError } = ControlLock;
+
+afterAll(() => {
+  delete process.env.CONTROL_ADMIN_TOKEN;
+});
+
+describe('Control exclusivo por REST', () => {
+  let server;
+  let owner;
+
+  beforeEach(async () => {
+    server = new Server();
+    server.stopSimulation();
+    server.wsManager.stopHeartbeat();
+
+    const { body } = await request(server.app).post('/api/control').send({ name: 'A' }).expect(200);
+    owner = body.lease.token;
+  });
+
+  afterEach(() => {
+    server.stopSimulation();
+    server.wsManager.stopHeartbeat();
+  });
+
+  const command = (command, token = null) => {
+    const req = request(server.app).post('/api/command');
+    if (token) req.set('X-Control-Token', token);
+    return req.send({ command });
+  };
+
+  test('un segundo cliente recibe 409 CONTROL_LOCKED', async () => {
+    const response = await command('startSystem').expect(409);
+    expect(response.body).toMatchObject({ code: 'CONTROL_LOCKED', owner: { name: 'A' } });
+    expect(server.systemController.operatingState.state).toBe('idle');
+
+    const denied = await request(server.app).post('/api/control').send({ name: 'B' }).expect(409);
+    expect(denied.body.code).toBe('CONTROL_LOCKED');
+
+    await request(server.app).put('/api/safety').send({ maxVelocity: 100 }).expect(409);
+
+    await command('startSystem', owner).expect(200);
+    expect(server.systemController.operatingState.state).toBe('running');
+  });
+
+  test('emergencyStop se acepta siempre', async () => {
+    await command('startSystem', owner).expect(200);
+
+    await command('emergencyStop').expect(200);
+    expect(server.systemController.operatingState.state).toBe('e-stopped');
+  });
+
+  test('la toma forzada exige el token de administración', async () => {
+    const wrong = await request(server.app).post('/api/control/force').set('X-Admin-Token', 'otro').send({ name: 'B' }).expect(403);
+    expect(wrong.body.code).toBe('INVALID_ADMIN_TOKEN');
+
+    const { body } = await request(server.app).post('/api/control/force').set('X-Admin-Token', ADMIN_TOKEN).send({ name: 'B' }).expect(200);
+    expect(body.lease.owner.name).toBe('B');
+
+    const response = await command('startSystem', owner).expect(409);
+    expect(response.body.code).toBe('CONTROL_LOCKED');
+    await command('startSystem', body.lease.token).expect(200);
+  });
+});
+
+describe('ControlLock', () => {
+  const a = { id: 'a', kind: 'rest' };
+  const b = { id: 'b', kind: 'rest' };
+
+  test('la concesión vence y queda libre para otro cliente', () => {
+    const lock = new ControlLock({ leaseDuration: 10 });
+    const { lease } = lock.acquire(a, undefined, 0);
+    expect(lease.expiresAt).toBe(10000);
+
+    expect(() => lock.acquire(b, undefined, 9999)).toThrow(ControlLockedError);
+    expect(lock.check({ token: null }, 'startSystem', 9999)).toMatchObject({ code: 'CONTROL_LOCKED' });
+    expect(lock.check({ token: lease.token }, 'startSystem', 9999)).toBeNull();
+
+    expect(lock.check({ token: null }, 'startSystem', 10000)).toBeNull();
+    expect(lock.lease).toBeNull();
+    expect(lock.acquire(b, undefined, 10000).previous).toBeNull();
+  });
+
+  test('renovar extiende el vencimiento sólo al dueño', () => {
+    const lock = new ControlLock({ leaseDuration: 10 });
+    const { lease } = lock.acquire(a, undefined, 0);
+
+    expect(() => lock.renew({ token: 'otro' }, undefined, 5000)).toThrow(expect.objectContaining({ code: 'NOT_OWNER' }));
+    expect(lock.renew({ token: lease.token }, undefined, 5000).expiresAt).toBe(15000);
+    expect(lock.expire(14999)).toBeNull();
+  });
+
+  test('sin token de administración la toma forzada está deshabilitada', () => {
+    const lock = new ControlLock();
+    lock.acquire(a, undefined, 0);
+    expect(() => lock.force(b, 'cualquiera', undefined, 0)).toThrow(expect.objectContaining({ code: 'FORCE_DISABLED' }));
+  });
+
+  test('la toma forzada desplaza al dueño vigente', () => {
+    const lock = new ControlLock({ adminToken: ADMIN_TOKEN });
+    lock.acquire(a, undefined, 0);
+
+    const { lease, previous } = lock.force(b, ADMIN_TOKEN, undefined, 1000);
+    expect(previous.owner.id).toBe('a');
+    expect(lease.owner.id).toBe('b');
+  });
+});
+
+describe('Cambio de dueño del control', () => {
+  const createSystem = () => new SystemController({
+    simulation: { mode: 'deterministic', seed: 1, autoStep: false, timestep: 0.01 },
+    control: { adminToken: ADMIN_TOKEN, leaseDuration: 10 }
+  });
+
+  test('el vencimiento se anuncia con controlChanged', () => {
+    const system = createSystem();
+    const changes = [];
+    system.on('controlChanged', change => changes.push(change));
+
+    system.requestControl({ id: 'a', kind: 'rest' });
+    const { expiresAt } = system.controlLock.lease;
+    system.expireControlLease(expiresAt - 1);
+    system.expireControlLease(expiresAt);
+
+    expect(changes.map(change => change.reason)).toEqual(['requested', 'expired']);
+    expect(changes[1]).toMatchObject({ lease: null, previous: { owner: { id: 'a' } } });
+  });
+
+  test('la toma forzada aborta el barrido en curso', async () => {
+    const system = createSystem();
+    const failed = jest.fn();
+    system.on('experimentFailed', failed);
+
+    system.requestControl({ id: 'a', kind: 'rest' });
+    await system.executeCommand('startSystem');
+    await system.executeCommand('frequencySweep', {});
+    expect(system.sweep).not.toBeNull();
+
+    system.forceControl({ id: 'b', kind: 'rest' }, ADMIN_TOKEN);
+    expect(system.sweep).toBeNull();
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Cambió el dueño del control' }));
+  });
+});
@@ -0,0 +1,75 @@
+// tests/determinism.test.js
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const SystemController = require('../controllers/SystemController');
+
+// Avanza paso a paso y guarda cada muestra: el historial del dashboard es corto
+async function step(system, steps, samples) {
+  for (let i = 0; i < steps; i++) {
+    const { data } = await system.executeCommand('stepSimulation', 1);
+    samples.push({
+      time: system.clock.now(),
+      angle: data.currentAngle,
+      trueAngle: data.trueAngle,
+      reference: data.referenceAngle,
+      controlOutput: data.controlOutput,
+      actuatorOutput: data.actuator.output,
+      disturbance: data.disturbance
+    });
+  }
+}
+
+// Guion de comandos con ruido de sensor y una ráfaga aleatoria
+async function runScript(system) {
+  const samples = [];
+  await system.executeCommand('startSystem');
+  await system.executeCommand('injectDisturbance', { type: 'gust', amplitude: 0.02, startTime: 0.5, duration: 2, bandwidth: 2 });
+  await step(system, 200, samples);
+  await system.executeCommand('setTargetAngle', 30);
+  await step(system, 300, samples);
+
+  expect(system.operatingState.state).toBe('running');
+  return samples;
+}
+
+function createSystem(seed) {
+  return new SystemController({
+    simulation: { mode: 'deterministic', seed, autoStep: false, timestep: 0.01 }
+  });
+}
+
+describe('Simulación determinista', () => {
+  test('la misma semilla y el mismo guion dan la misma trayectoria', async () => {
+    const first = await runScript(createSystem(42));
+    const second = await runScript(createSystem(42));
+
+    expect(first).toHaveLength(500);
+    expect(second).toEqual(first);
+  });
+
+  test('otra semilla cambia el ruido', async () => {
+    const first = await runScript(createSystem(42));
+    const other = await runScript(createSystem(43));
+
+    const signal = (samples, key) => samples.map(sample => sample[key]);
+    expect(signal(other, 'time')).toEqual(signal(first, 'time'));
+    expect(signal(other, 'angle')).not.toEqual(signal(first, 'angle'));
+    expect(signal(other, 'disturbance')).not.toEqual(signal(first, 'disturbance'));
+  });
+
+  test('reconfigurar con la misma semilla repite la corrida', async () => {
+    const system = createSystem(42);
+    const first = await runScript(system);
+
+    await system.configureSimulation({ seed: 42 });
+    expect(system.dataHistory.angles).toHaveLength(0);
+    expect(system.clock.now()).toBe(0);
+
+    expect(await runScript(system)).toEqual(first);
+  });
+});
@@ -0,0 +1,73 @@
+// tests/offlineSimulator.test.js
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const request = require('supertest');
+const Server = require('../server');
+const { runOfflineSimulation } = require('../controllers/OfflineSimulator');
+
+// Ruido de sensor por defecto y una ráfaga: ambos salen del PRNG con semilla
+const simulation = seed => ({
+  plant: { type: 'aeropendulum' },
+  controller: { kp: 1.2, ki: 0.1, kd: 0.05 },
+  setpoint: [{ time: 0, value: 30 }, { time: 5, value: 50 }],
+  duration: 10,
+  timestep: 0.01,
+  seed,
+  disturbances: [{ type: 'gust', amplitude: 0.02, startTime: 1, duration: 3, bandwidth: 2 }]
+});
+
+describe('Simulación offline', () => {
+  test('dos corridas con la misma semilla dan la misma trayectoria', async () => {
+    const first = await runOfflineSimulation(simulation(7));
+    const second = await runOfflineSimulation(simulation(7));
+
+    expect(first.stepsExecuted).toBe(1000);
+    expect(second.trajectory).toEqual(first.trajectory);
+    expect(second.metrics).toEqual(first.metrics);
+    expect(second.settings.seed).toBe(7);
+  });
+
+  test('otra semilla cambia el ruido y la ráfaga', async () => {
+    const first = await runOfflineSimulation(simulation(7));
+    const other = await runOfflineSimulation(simulation(8));
+
+    expect(other.trajectory.time).toEqual(first.trajectory.time);
+    expect(other.trajectory.setpoint).toEqual(first.trajectory.setpoint);
+    expect(other.trajectory.angle).not.toEqual(first.trajectory.angle);
+  });
+
+  describe('POST /api/simulate', () => {
+    let server;
+
+    beforeAll(() => {
+      server = new Server();
+      server.stopSimulation();
+      server.wsManager.stopHeartbeat();
+    });
+
+    afterAll(() => {
+      server.stopSimulation();
+      server.wsManager.stopHeartbeat();
+    });
+
+    test('repite la corrida con la misma semilla sin tocar el lazo en vivo', async () => {
+      const before = await server.systemController.getSystemStatus();
+
+      const first = await request(server.app).post('/api/simulate').send(simulation(3)).expect(200);
+      const second = await request(server.app).post('/api/simulate').send(simulation(3)).expect(200);
+
+      expect(second.body.trajectory).toEqual(first.body.trajectory);
+      expect(second.body.metrics).toEqual(first.body.metrics);
+      expect(second.body.runId).not.toBe(first.body.runId);
+
+      const after = await server.systemController.getSystemStatus();
+      expect(after.currentAngle).toBe(before.currentAngle);
+      expect(after.simulation.seed).toBe(before.simulation.seed);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// tests/operatingState.test.js
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const request = require('supertest');
+const Server = require('../server');
+const SystemController = require('../controllers/SystemController');
+
+describe('Estado de operación por REST', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new Server();
+    // Sin lazo ni watchdog: las pruebas sólo miran las transiciones
+    server.stopSimulation();
+    server.wsManager.stopHeartbeat();
+  });
+
+  afterEach(() => {
+    server.stopSimulation();
+    server.wsManager.stopHeartbeat();
+  });
+
+  const command = (command, value) => request(server.app).post('/api/command').send({ command, value });
+
+  test('calibrate se rechaza con el sistema en marcha', async () => {
+    await command('startSystem').expect(200);
+
+    const response = await command('calibrate').expect(409);
+    expect(response.body).toMatchObject({ code: 'COMMAND_NOT_ALLOWED', state: 'running' });
+    expect(response.body.allowedCommands).toContain('stopSystem');
+    expect(response.body.allowedCommands).not.toContain('calibrate');
+    expect(server.systemController.operatingState.state).toBe('running');
+  });
+
+  test('startSystem se rechaza tras la parada de emergencia hasta resetSystem', async () => {
+    await command('startSystem').expect(200);
+    await command('emergencyStop').expect(200);
+
+    const response = await command('startSystem').expect(409);
+    expect(response.body).toMatchObject({ code: 'COMMAND_NOT_ALLOWED', state: 'e-stopped' });
+
+    await command('resetSystem').expect(200);
+    await command('startSystem').expect(200);
+  });
+
+  test('las rutas equivalentes a comandos respetan el estado', async () => {
+    await command('emergencyStop').expect(200);
+
+    const response = await request(server.app).put('/api/pid').send({ kp: 2 }).expect(409);
+    expect(response.body).toMatchObject({ code: 'COMMAND_NOT_ALLOWED', state: 'e-stopped' });
+    expect(server.systemController.getPIDInfo().kp).not.toBe(2);
+  });
+
+  test('/api/status informa el estado y los comandos permitidos', async () => {
+    await command('startSystem').expect(200);
+    await command('pauseSystem').expect(200);
+
+    const { body } = await request(server.app).get('/api/status').expect(200);
+    expect(body.system.state).toBe('paused');
+    expect(body.system.allowedCommands).toEqual(expect.arrayContaining(['resumeSystem', 'stopSystem', 'emergencyStop']));
+    expect(body.system.allowedCommands).not.toContain('startSystem');
+  });
+});
+
+describe('Evento stateChanged', () => {
+  test('se emite en cada transición', async () => {
+    const system = new SystemController({
+      simulation: { mode: 'deterministic', seed: 1, autoStep: false, timestep: 0.01 }
+    });
+    const changes = [];
+    system.on('stateChanged', change => changes.push(change));
+
+    for (const name of ['startSystem', 'pauseSystem', 'resumeSystem', 'stopSystem', 'startSystem', 'emergencyStop', 'resetSystem']) {
+      await system.executeCommand(name);
+    }
+
+    expect(changes.map(({ event, from, to }) => [event, from, to])).toEqual([
+      ['startSystem', 'idle', 'running'],
+      ['pauseSystem', 'running', 'paused'],
+      ['resumeSystem', 'paused', 'running'],
+      ['stopSystem', 'running', 'idle'],
+      ['startSystem', 'idle', 'running'],
+      ['emergencyStop', 'running', 'e-stopped'],
+      ['resetSystem', 'e-stopped', 'idle']
+    ]);
+    changes.forEach(change => {
+      expect(Array.isArray(change.allowedCommands)).toBe(true);
+      expect(typeof change.time).toBe('string');
+    });
+  });
+
+  test('un comando rechazado no emite el evento', async () => {
+    const system = new SystemController({
+      simulation: { mode: 'deterministic', seed: 1, autoStep: false, timestep: 0.01 }
+    });
+    const listener = jest.fn();
+    system.on('stateChanged', listener);
+
+    await expect(system.executeCommand('pauseSystem')).rejects.toMatchObject({ code: 'COMMAND_NOT_ALLOWED' });
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+// tests/pidController.test.js
+const PIDController = require('../simulation/controllers/PIDController');
+
+const limits = { min: -10, max: 10 };
+const dt = 0.01;
+
+// 10 s con el actuador saturado por un error de 50 que el lazo no corrige
+function windUp(pid) {
+  for (let i = 0; i < 1000; i++) {
+    pid.compute({ reference: 50, measurement: 0, dt, limits });
+  }
+}
+
+// Ciclos que el mando sigue saturado después de que el error cambia de signo
+function cyclesToRecover(pid) {
+  let cycles = 0;
+  while (pid.compute({ reference: 0, measurement: 5, dt, limits }) >= limits.max && cycles < 100000) {
+    cycles++;
+  }
+  return cycles;
+}
+
+describe('PIDController: anti-windup', () => {
+  test('sin anti-windup la integral crece mientras dura la saturación', () => {
+    const pid = new PIDController({ kp: 1, ki: 1, kd: 0, antiWindup: 'none' });
+    windUp(pid);
+
+    expect(pid.getState().integral).toBeCloseTo(500, 6);
+    expect(cyclesToRecover(pid)).toBeGreaterThan(1000);
+  });
+
+  test('back-calculation lleva la integral al borde de la saturación', () => {
+    const pid = new PIDController({ kp: 1, ki: 1, kd: 0, antiWindup: 'backCalculation' });
+    windUp(pid);
+
+    expect(pid.getState().saturated).toBe(true);
+    expect(pid.getState().integral).toBeLessThanOrEqual(limits.max);
+    expect(cyclesToRecover(pid)).toBe(0);
+  });
+
+  test('la integración condicional se detiene mientras el error empuja hacia la saturación', () => {
+    const pid = new PIDController({ kp: 1, ki: 1, kd: 0, antiWindup: 'conditional' });
+    windUp(pid);
+
+    expect(pid.getState().integral).toBe(0);
+    expect(cyclesToRecover(pid)).toBe(0);
+  });
+
+  test('clamp acota la integral', () => {
+    const pid = new PIDController({ kp: 1, ki: 1, kd: 0, antiWindup: 'clamp' });
+    windUp(pid);
+
+    const unbounded = new PIDController({ kp: 1, ki: 1, kd: 0, antiWindup: 'none' });
+    windUp(unbounded);
+
+    expect(pid.getState().integral).toBeCloseTo(100, 6);
+    expect(cyclesToRecover(pid)).toBeLessThan(cyclesToRecover(unbounded));
+  });
+});
+
+describe('PIDController: transferencia sin salto', () => {
+  // Lleva el PID a un punto de operación con integral no nula
+  function settle(params) {
+    const pid = new PIDController({ kp: 1, ki: 0.5, kd: 0, ...params });
+    for (let i = 0; i < 200; i++) {
+      pid.compute({ reference: 10, measurement: 8, dt, limits: { min: -100, max: 100 } });
+    }
+    return pid;
+  }
+
+  const next = pid => pid.compute({ reference: 10, measurement: 8, dt, limits: { min: -100, max: 100 } });
+
+  test('un cambio de ganancias no produce salto en el mando', () => {
+    const pid = settle();
+    const before = pid.getOutput().total;
+
+    pid.configure({ kp: 4, ki: 2 });
+    const after = next(pid);
+
+    // Sólo cambia lo que integra un ciclo: ki·e·dt con las ganancias anteriores
+    expect(Math.abs(after - before)).toBeLessThan(0.5 * 2 * dt + 1e-9);
+    expect(pid.getState().integral).not.toBe(0);
+  });
+
+  test('sin bumpless el cambio de ganancias reinicia el estado', () => {
+    const pid = settle({ bumpless: false });
+    const before = pid.getOutput().total;
+
+    pid.configure({ kp: 4, ki: 2 });
+    const after = next(pid);
+
+    expect(Math.abs(after - before)).toBeGreaterThan(1);
+  });
+
+  test('las ganancias planificadas también cambian sin salto', () => {
+    const pid = settle();
+    const before = pid.getOutput().total;
+
+    pid.setScheduledGains({ kp: 3, ki: 0.5, kd: 0 });
+    expect(Math.abs(next(pid) - before)).toBeLessThan(0.5 * 2 * dt + 1e-9);
+    expect(pid.getActiveGains()).toMatchObject({ kp: 3, scheduled: true });
+  });
+
+  test('un cambio de referencia conserva la integral', () => {
+    const pid = settle();
+    const { integral } = pid.getState();
+
+    pid.onReferenceChange();
+    expect(pid.getState().integral).toBe(integral);
+
+    const reset = settle({ bumpless: false });
+    reset.onReferenceChange();
+    expect(reset.getState().integral).toBe(0);
+  });
+
+  test('con b = 0 y c = 0 el escalón de referencia no patea el mando', () => {
+    const pid = settle({ b: 0, c: 0, kd: 0.1 });
+    const before = pid.getOutput().total;
+
+    pid.onReferenceChange();
+    const after = pid.compute({ reference: 40, measurement: 8, dt, limits: { min: -100, max: 100 } });
+
+    expect(Math.abs(after - before)).toBeLessThan(0.5 * 2 * dt + 1e-9);
+  });
+
+  test('track parte del mando de otro modo sin salto', () => {
+    const pid = new PIDController({ kp: 2, ki: 1, kd: 0 });
+    pid.track(7, { reference: 10, measurement: 8 });
+
+    const output = pid.compute({ reference: 10, measurement: 8, dt, limits: { min: -100, max: 100 } });
+    expect(output).toBeCloseTo(7, 10);
+  });
+});
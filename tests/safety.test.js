@@ -0,0 +1,91 @@
+// tests/safety.test.js
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const SystemController = require('../controllers/SystemController');
+const { CommandNotAllowedError } = require('../controllers/OperatingStateMachine');
+
+// La referencia por defecto del aeropéndulo (45°) cruza el límite duro de 20°
+function createSystem(simulation = {}) {
+  return new SystemController({
+    simulation: { mode: 'deterministic', seed: 7, autoStep: false, timestep: 0.01, ...simulation },
+    safety: { softLimits: { min: -150, max: 15 }, hardLimits: { min: -170, max: 20 } }
+  });
+}
+
+describe('Supervisor de seguridad', () => {
+  test('el límite duro enclava la falla y deja el actuador en cero', async () => {
+    const system = createSystem();
+    const faults = [];
+    system.on('safetyFault', fault => faults.push(fault));
+
+    await system.executeCommand('startSystem');
+    const { stepsExecuted } = await system.executeCommand('stepSimulation', 1000);
+
+    expect(stepsExecuted).toBeLessThan(1000);
+    expect(faults).toHaveLength(1);
+    expect(faults[0]).toMatchObject({ cause: 'hardLimit', limit: 20 });
+    expect(system.operatingState.state).toBe('fault');
+    expect(system.safety.isFaulted()).toBe(true);
+    expect(system.systemData.controlOutput).toBe(0);
+    expect(system.systemData.actuator.output).toBe(0);
+
+    // Enclavada: el lazo no vuelve a correr ni a revisar
+    expect(await system.updateSimulation()).toBeNull();
+    expect(system.safety.history).toHaveLength(1);
+  });
+
+  test('startSystem se rechaza hasta reconocer la falla', async () => {
+    const system = createSystem();
+    await system.executeCommand('startSystem');
+    await system.executeCommand('stepSimulation', 1000);
+
+    await expect(system.executeCommand('startSystem')).rejects.toThrow(CommandNotAllowedError);
+    await expect(system.executeCommand('startSystem')).rejects.toMatchObject({ code: 'COMMAND_NOT_ALLOWED', state: 'fault' });
+
+    const { fault } = await system.executeCommand('acknowledgeFault');
+    expect(fault.acknowledgedAt).not.toBeNull();
+    expect(system.safety.isFaulted()).toBe(false);
+    expect(system.operatingState.state).toBe('idle');
+
+    await system.executeCommand('startSystem');
+    expect(system.operatingState.state).toBe('running');
+  });
+
+  test('la guarda de startSystem bloquea la falla enclavada fuera del estado fault', async () => {
+    const system = createSystem();
+    await system.executeCommand('startSystem');
+    await system.executeCommand('stepSimulation', 1000);
+    await system.executeCommand('emergencyStop');
+    await system.executeCommand('resetSystem');
+
+    expect(system.operatingState.state).toBe('idle');
+    await expect(system.executeCommand('startSystem')).rejects.toMatchObject({ code: 'GUARD_FAILED' });
+
+    await system.executeCommand('acknowledgeFault');
+    await system.executeCommand('startSystem');
+    expect(system.operatingState.state).toBe('running');
+  });
+
+  test('acknowledgeFault sin falla activa se rechaza', async () => {
+    const system = createSystem();
+    await expect(system.executeCommand('acknowledgeFault')).rejects.toMatchObject({ code: 'GUARD_FAILED' });
+  });
+
+  test('el watchdog dispara la falla si el lazo deja de completar ciclos', async () => {
+    const system = createSystem({ autoStep: true });
+    await system.executeCommand('startSystem');
+
+    const { watchdogTimeout } = system.safety.settings;
+    expect(system.superviseWatchdog(system.lastCycleAt + watchdogTimeout * 500)).toBeNull();
+
+    const fault = system.superviseWatchdog(system.lastCycleAt + watchdogTimeout * 2000);
+    expect(fault).toMatchObject({ cause: 'watchdog', limit: watchdogTimeout });
+    expect(system.operatingState.state).toBe('fault');
+    expect(system.systemData.actuator.output).toBe(0);
+  });
+});
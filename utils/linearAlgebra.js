@@ -0,0 +1,64 @@
+// utils/linearAlgebra.js
+
+/**
+ * Resuelve A·x = b por eliminación de Gauss con pivoteo parcial
+ * @param {number[][]} matrix - Matriz cuadrada A
+ * @param {number[]} vector - Término independiente b
+ * @returns {number[]|null} Solución, o null si A es singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  const scale = matrix.reduce((max, row) => row.reduce((m, value) => Math.max(m, Math.abs(value)), max), 0);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(a[pivot][col]) > scale * 1e-12)) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Mínimos cuadrados por ecuaciones normales acumuladas fila a fila, para no
+ * guardar la matriz de regresores completa. Con instrumentos distintos de
+ * los regresores resuelve la estimación por variables instrumentales.
+ * @param {number} size - Cantidad de parámetros
+ * @returns {Object} { add(row, target, instruments), solve() }
+ */
+function createLeastSquares(size) {
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+  const rhs = new Array(size).fill(0);
+
+  return {
+    add(row, target, instruments = row) {
+      for (let i = 0; i < size; i++) {
+        rhs[i] += instruments[i] * target;
+        for (let j = 0; j < size; j++) normal[i][j] += instruments[i] * row[j];
+      }
+    },
+    solve() {
+      return solveLinearSystem(normal, rhs);
+    }
+  };
+}
+
+module.exports = {
+  solveLinearSystem,
+  createLeastSquares
+};
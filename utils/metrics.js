@@ -0,0 +1,120 @@
+// utils/metrics.js
+
+/**
+ * Calcula métricas de respuesta a un escalón
+ * @param {Object} segment - Datos del tramo con referencia constante
+ * @param {number[]} segment.times - Tiempos en segundos desde el cambio de referencia
+ * @param {number[]} segment.values - Salida de la planta
+ * @param {number[]} segment.controlOutputs - Esfuerzo de control (opcional)
+ * @param {number} segment.reference - Referencia final del tramo
+ * @param {number} segment.initialValue - Salida en el instante del cambio
+ * @param {number} settlingBand - Banda de establecimiento como fracción del escalón
+ * @returns {Object} Métricas del tramo
+ */
+function computeStepMetrics(segment, settlingBand = 0.02) {
+  const { times, values, controlOutputs = [], reference, initialValue } = segment;
+  const stepSize = reference - initialValue;
+  const direction = Math.sign(stepSize) || 1;
+  const magnitude = Math.abs(stepSize);
+  const count = values.length;
+
+  const metrics = {
+    reference,
+    initialValue,
+    stepSize,
+    duration: count > 0 ? times[count - 1] : 0,
+    riseTime: null,
+    peakTime: null,
+    peakValue: null,
+    overshoot: 0,
+    settlingTime: null,
+    settlingBand,
+    steadyStateError: null,
+    ...computeIntegralMetrics(times, values.map(v => reference - v), controlOutputs)
+  };
+
+  if (count === 0) {
+    return metrics;
+  }
+
+  // Tiempo de subida del 10% al 90% del escalón
+  if (magnitude > 0) {
+    let t10 = null;
+    let t90 = null;
+    for (let i = 0; i < count; i++) {
+      const progress = (values[i] - initialValue) / stepSize;
+      if (t10 === null && progress >= 0.1) t10 = times[i];
+      if (t90 === null && progress >= 0.9) {
+        t90 = times[i];
+        break;
+      }
+    }
+    metrics.riseTime = t10 !== null && t90 !== null ? t90 - t10 : null;
+  }
+
+  // Pico y sobreimpulso en la dirección del escalón
+  let peakIndex = 0;
+  for (let i = 1; i < count; i++) {
+    if ((values[i] - values[peakIndex]) * direction > 0) peakIndex = i;
+  }
+  metrics.peakTime = times[peakIndex];
+  metrics.peakValue = values[peakIndex];
+  if (magnitude > 0) {
+    metrics.overshoot = Math.max(0, (values[peakIndex] - reference) * direction / magnitude * 100);
+  }
+
+  // Tiempo de establecimiento: última salida de la banda
+  const band = Math.max(magnitude * settlingBand, 1e-9);
+  let lastOutside = -1;
+  for (let i = 0; i < count; i++) {
+    if (Math.abs(values[i] - reference) > band) lastOutside = i;
+  }
+  if (lastOutside === -1) {
+    metrics.settlingTime = 0;
+  } else if (lastOutside < count - 1) {
+    metrics.settlingTime = times[lastOutside + 1];
+  }
+
+  // Error en régimen permanente: promedio del último 10% del tramo
+  const tailStart = Math.floor(count * 0.9);
+  const tail = values.slice(tailStart);
+  metrics.steadyStateError = reference - tail.reduce((a, b) => a + b, 0) / tail.length;
+
+  return metrics;
+}
+
+/**
+ * Integrales del error y del esfuerzo de control (regla del rectángulo)
+ * @param {number[]} times - Tiempos en segundos
+ * @param {number[]} errors - Error referencia - salida
+ * @param {number[]} controlOutputs - Esfuerzo de control (opcional)
+ * @returns {Object} { iae, ise, itae, controlEffort, controlEnergy }
+ */
+function computeIntegralMetrics(times, errors, controlOutputs = []) {
+  let iae = 0;
+  let ise = 0;
+  let itae = 0;
+  let controlEffort = 0;
+  let controlEnergy = 0;
+
+  for (let i = 1; i < times.length; i++) {
+    const dt = times[i] - times[i - 1];
+    const error = Math.abs(errors[i]);
+
+    iae += error * dt;
+    ise += error * error * dt;
+    itae += times[i] * error * dt;
+
+    if (controlOutputs.length > i) {
+      controlEffort += Math.abs(controlOutputs[i]) * dt;
+      controlEnergy += controlOutputs[i] * controlOutputs[i] * dt;
+    }
+  }
+
+  return { iae, ise, itae, controlEffort, controlEnergy };
+}
+
+module.exports = {
+  computeStepMetrics,
+  computeIntegralMetrics
+};
@@ -0,0 +1,117 @@
+// utils/optimization.js
+
+// Coeficientes estándar de Nelder–Mead: reflexión, expansión, contracción y encogimiento
+const REFLECTION = 1;
+const EXPANSION = 2;
+const CONTRACTION = 0.5;
+const SHRINK = 0.5;
+
+/**
+ * Minimiza una función con el método simplex de Nelder–Mead, acotado a una
+ * caja: cada punto propuesto se proyecta sobre los límites antes de evaluar.
+ * La función de costo puede ser asíncrona.
+ * @param {Function} cost - (x: number[]) => number | Promise<number>
+ * @param {number[]} start - Punto inicial
+ * @param {Object} options
+ * @param {number[]} options.lower - Límite inferior por coordenada
+ * @param {number[]} options.upper - Límite superior por coordenada
+ * @param {number[]} options.step - Tamaño inicial del simplex por coordenada
+ * @param {number} options.maxIterations
+ * @param {number} options.tolerance - Dispersión relativa del costo en el simplex para dar por convergido
+ * @param {number} options.xTolerance - Tamaño del simplex para dar por convergido
+ * @param {Function} options.shouldStop - () => boolean, para cancelar entre iteraciones
+ * @param {Function} options.onIteration - ({ iteration, point, value }) tras cada iteración
+ * @returns {Promise<Object>} { point, value, iterations, converged }
+ */
+async function nelderMead(cost, start, options) {
+  const {
+    lower,
+    upper,
+    step,
+    maxIterations = 100,
+    tolerance = 1e-4,
+    xTolerance = 1e-4,
+    shouldStop = () => false,
+    onIteration = () => {}
+  } = options;
+  const n = start.length;
+
+  const clamp = x => x.map((value, i) => Math.min(upper[i], Math.max(lower[i], value)));
+  const evaluate = async x => {
+    const point = clamp(x);
+    const value = await cost(point);
+    return { point, value: Number.isFinite(value) ? value : Infinity };
+  };
+  const move = (from, to, factor) => from.map((value, i) => value + factor * (to[i] - value));
+
+  const simplex = [await evaluate(start)];
+  for (let i = 0; i < n; i++) {
+    const vertex = [...simplex[0].point];
+    // Hacia el interior si el punto inicial está sobre el límite superior
+    vertex[i] += vertex[i] + step[i] <= upper[i] ? step[i] : -step[i];
+    simplex.push(await evaluate(vertex));
+  }
+
+  let iteration = 0;
+  let converged = false;
+
+  while (iteration < maxIterations && !shouldStop()) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+
+    const spread = Math.abs(worst.value - best.value);
+    const size = Math.max(...simplex.slice(1).map(vertex => Math.max(...vertex.point.map((value, i) => Math.abs(value - best.point[i])))));
+    if (spread <= tolerance * (Math.abs(best.value) + 1e-12) && size <= xTolerance) {
+      converged = true;
+      break;
+    }
+
+    const centroid = Array.from({ length: n }, (_, i) => simplex.slice(0, n).reduce((sum, vertex) => sum + vertex.point[i], 0) / n);
+    const reflected = await evaluate(move(centroid, worst.point, -REFLECTION));
+
+    if (reflected.value < best.value) {
+      const expanded = await evaluate(move(centroid, reflected.point, EXPANSION));
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      // Contracción hacia el lado del mejor entre el reflejado y el peor
+      const outside = reflected.value < worst.value;
+      const contracted = await evaluate(move(centroid, outside ? reflected.point : worst.point, CONTRACTION));
+      if (contracted.value < Math.min(reflected.value, worst.value)) {
+        simplex[n] = contracted;
+      } else {
+        for (let i = 1; i <= n; i++) {
+          simplex[i] = await evaluate(move(best.point, simplex[i].point, SHRINK));
+        }
+      }
+    }
+
+    iteration++;
+    const current = simplex.reduce((a, b) => (b.value < a.value ? b : a));
+    onIteration({ iteration, point: current.point, value: current.value });
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return { point: simplex[0].point, value: simplex[0].value, iterations: iteration, converged };
+}
+
+/**
+ * Frente de Pareto: elementos que ningún otro mejora en todos los objetivos
+ * (a minimizar) siendo estrictamente mejor en alguno
+ * @param {Object[]} items - Elementos a comparar
+ * @param {string[]} objectives - Propiedades numéricas de cada elemento
+ * @returns {Object[]} Elementos no dominados, en el orden de entrada
+ */
+function paretoFront(items, objectives) {
+  const dominates = (a, b) =>
+    objectives.every(key => a[key] <= b[key]) && objectives.some(key => a[key] < b[key]);
+
+  return items.filter(item => !items.some(other => other !== item && dominates(other, item)));
+}
+
+module.exports = {
+  nelderMead,
+  paretoFront
+};
@@ -1,4 +1,75 @@
 // utils/validation.js
+const DisturbanceScheduler = require('../simulation/disturbances');
+const { TUNING_RULES } = require('../simulation/tuning');
+const GainSchedule = require('../simulation/GainSchedule');
+const Feedforward = require('../simulation/Feedforward');
+const TrajectoryGenerator = require('../simulation/TrajectoryGenerator');
+const FrequencySweep = require('../simulation/FrequencySweep');
+const { IDENTIFICATION_MODELS } = require('../simulation/identification');
+const ExperimentRunner = require('../controllers/ExperimentRunner');
+const TuningJob = require('../controllers/TuningJob');
+const AlarmManager = require('../managers/AlarmManager');
+const { validatePlantParams } = require('../controllers/PlantRegistry');
+const { describeController, validateControllerParams } = require('../controllers/ControllerRegistry');
+
+// Rango de la ganancia de cada término de prealimentación
+const FEEDFORWARD_GAIN_LIMITS = {
+  gravity: { min: 0, max: 2 },
+  setpoint: { min: -10, max: 10 },
+  disturbance: { min: 0, max: 2 }
+};
+
+// Perfiles de referencia subidos por el usuario; los presets usan el mismo
+// patrón de nombre porque también se guardan como archivo
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_PROFILE_POINTS = 100000;
+const PROFILE_INTERPOLATIONS = ['linear', 'step'];
+
+// Duración máxima estimada de un barrido en frecuencia (s de lazo)
+const MAX_SWEEP_DURATION = 7200;
+
+// Límite de pasos por corrida offline para acotar memoria y tiempo de respuesta
+const MAX_OFFLINE_STEPS = 200000;
+
+// Límites del actuador que forman parte de un preset de controlador
+const PRESET_ACTUATOR_PARAMS = ['minOutput', 'maxOutput', 'slewRate'];
+
+// Pasos de simulación que puede sumar una búsqueda de ganancias (todas las evaluaciones)
+const MAX_TUNING_STEPS = 10000000;
+
+// Experimentos guionados
+const MAX_EXPERIMENT_STEPS = 200;
+const MAX_EXPERIMENT_WAIT = 3600; // s por espera
+
+// Comandos que acepta executeCommand()
+const VALID_COMMANDS = [
+  'startSystem',
+  'stopSystem',
+  'pauseSystem',
+  'resumeSystem',
+  'emergencyStop',
+  'setTargetAngle',
+  'resetSystem',
+  'calibrate',
+  'setPlant',
+  'stepSimulation',
+  'injectDisturbance',
+  'clearDisturbances',
+  'autotune',
+  'cancelAutotune',
+  'applyAutotune',
+  'rejectAutotune',
+  'setTrajectory',
+  'cancelTrajectory',
+  'playProfile',
+  'stopProfile',
+  'frequencySweep',
+  'cancelExperiment',
+  'setPID',
+  'applyPreset',
+  'tune',
+  'acknowledgeFault'
+];
 
 /**
  * Valida comandos del sistema
@@ -6,62 +77,1177 @@
  * @param {any} value - Valor asociado al comando
  * @returns {Object} Resultado de validación
  */
-function validateCommand(command, value) {
+function validateCommand(command, value) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  // Verificar si el comando es válido
+  if (!command || typeof command !== 'string') {
+    result.errors.push('Comando requerido y debe ser una cadena');
+    return result;
+  }
+
+  if (!VALID_COMMANDS.includes(command)) {
+    result.errors.push(`Comando inválido. Comandos válidos: ${VALID_COMMANDS.join(', ')}`);
+    return result;
+  }
+
+  // Validaciones específicas por comando
+  switch (command) {
+    case 'setTargetAngle':
+      if (value === undefined || value === null) {
+        result.errors.push('Valor requerido para setTargetAngle');
+        break;
+      }
+      
+      const angle = parseFloat(value);
+      if (isNaN(angle)) {
+        result.errors.push('El valor del ángulo debe ser un número');
+      } else if (angle < -180 || angle > 180) {
+        result.errors.push('El ángulo debe estar entre -180 y 180 grados');
+      }
+      break;
+
+    case 'setPlant':
+      if (typeof value === 'string') {
+        if (!value.trim()) {
+          result.errors.push('El tipo de planta no puede estar vacío');
+        }
+        break;
+      }
+
+      if (!value || typeof value !== 'object' || typeof value.type !== 'string') {
+        result.errors.push('setPlant requiere un tipo de planta o un objeto { type, params }');
+      } else if (value.params !== undefined && (typeof value.params !== 'object' || value.params === null)) {
+        result.errors.push('params debe ser un objeto');
+      }
+      break;
+
+    case 'stepSimulation':
+      if (value !== undefined && value !== null && value !== '') {
+        const steps = Number(value);
+        if (!Number.isInteger(steps) || steps < 1 || steps > 100000) {
+          result.errors.push('El número de pasos debe ser un entero entre 1 y 100000');
+        }
+      }
+      break;
+
+    case 'injectDisturbance': {
+      const disturbanceValidation = validateDisturbance(value);
+      result.errors.push(...disturbanceValidation.errors);
+      break;
+    }
+
+    case 'clearDisturbances':
+      if (value !== undefined && value !== null && value !== '' && typeof value !== 'string') {
+        result.errors.push('clearDisturbances acepta opcionalmente el id de una perturbación');
+      }
+      break;
+
+    case 'autotune':
+      result.errors.push(...validateAutotuneOptions(value).errors);
+      break;
+
+    case 'setTrajectory':
+      result.errors.push(...validateTrajectory(value).errors);
+      break;
+
+    case 'playProfile':
+      result.errors.push(...validateProfilePlayback(value).errors);
+      break;
+
+    case 'frequencySweep':
+      result.errors.push(...validateFrequencySweepOptions(value).errors);
+      break;
+
+    case 'setPID':
+      result.errors.push(...validatePIDParams(value).errors);
+      break;
+
+    case 'tune':
+      result.errors.push(...validateTuneRequest(value).errors);
+      break;
+
+    case 'applyPreset':
+      if (typeof value !== 'string' || !PROFILE_NAME_PATTERN.test(value)) {
+        result.errors.push('applyPreset requiere el nombre de un preset');
+      }
+      break;
+
+    case 'startSystem':
+    case 'stopSystem':
+    case 'emergencyStop':
+    case 'resetSystem':
+    case 'calibrate':
+    case 'cancelAutotune':
+    case 'applyAutotune':
+    case 'rejectAutotune':
+    case 'cancelTrajectory':
+    case 'stopProfile':
+    case 'cancelExperiment':
+    case 'acknowledgeFault':
+    case 'pauseSystem':
+    case 'resumeSystem':
+      // Estos comandos no requieren valor
+      if (value !== undefined && value !== null && value !== '') {
+        result.errors.push(`El comando ${command} no acepta valores adicionales`);
+      }
+      break;
+
+    default:
+      result.errors.push(`Validación no implementada para el comando: ${command}`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida las opciones del comando autotune
+ * @param {string|Object} options - Regla o { rule, phaseMargin, amplitude, hysteresis, cycles, tolerance, timeout }
+ * @returns {Object} Resultado de validación
+ */
+function validateAutotuneOptions(options) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (options === undefined || options === null || options === '') {
+    result.valid = true;
+    return result;
+  }
+
+  const opts = typeof options === 'string' ? { rule: options } : options;
+  if (typeof opts !== 'object' || Array.isArray(opts)) {
+    result.errors.push('autotune acepta una regla o un objeto de opciones');
+    return result;
+  }
+
+  if (opts.rule !== undefined && !TUNING_RULES.includes(opts.rule)) {
+    result.errors.push(`Regla de sintonía inválida. Reglas válidas: ${TUNING_RULES.join(', ')}`);
+  }
+
+  const ranges = {
+    phaseMargin: { min: 10, max: 80 },
+    amplitude: { min: 0.001, max: 1000 },
+    hysteresis: { min: 0, max: 45 },
+    cycles: { min: 2, max: 20 },
+    tolerance: { min: 0.01, max: 0.5 },
+    timeout: { min: 5, max: 3600 }
+  };
+
+  for (const [param, value] of Object.entries(opts)) {
+    if (param === 'rule') continue;
+    if (!ranges[param]) {
+      result.errors.push(`Opción de autosintonía inválida: ${param}`);
+      continue;
+    }
+
+    const numValue = Number(value);
+    if (value === null || value === '' || isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+    } else if (numValue < ranges[param].min || numValue > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    } else if (param === 'cycles' && !Number.isInteger(numValue)) {
+      result.errors.push('cycles debe ser un entero');
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida las opciones del barrido en frecuencia
+ * @param {Object} options - { mode, minFrequency, maxFrequency, points, amplitude, settleCycles, settleTime, measureCycles }
+ * @returns {Object} Resultado de validación
+ */
+function validateFrequencySweepOptions(options) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (options === undefined || options === null || options === '') {
+    result.valid = true;
+    return result;
+  }
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    result.errors.push('frequencySweep acepta un objeto de opciones');
+    return result;
+  }
+
+  if (options.mode !== undefined && !FrequencySweep.MODES.includes(options.mode)) {
+    result.errors.push(`Modo de barrido inválido. Modos válidos: ${FrequencySweep.MODES.join(', ')}`);
+  }
+
+  const ranges = {
+    minFrequency: { min: 0.001, max: 50 },
+    maxFrequency: { min: 0.001, max: 50 },
+    points: { min: 2, max: 50, integer: true },
+    amplitude: { min: 0.001, max: 1000 },
+    settleCycles: { min: 1, max: 50, integer: true },
+    settleTime: { min: 0, max: 600 },
+    measureCycles: { min: 1, max: 50, integer: true }
+  };
+
+  for (const [param, value] of Object.entries(options)) {
+    if (param === 'mode') continue;
+    if (!ranges[param]) {
+      result.errors.push(`Opción de barrido inválida: ${param}`);
+      continue;
+    }
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      result.errors.push(`${param} debe ser un número`);
+    } else if (value < ranges[param].min || value > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    } else if (ranges[param].integer && !Number.isInteger(value)) {
+      result.errors.push(`${param} debe ser un entero`);
+    }
+  }
+
+  if (result.errors.length === 0) {
+    const params = { ...FrequencySweep.DEFAULT_PARAMS, ...options };
+    if (params.minFrequency >= params.maxFrequency) {
+      result.errors.push('minFrequency debe ser menor que maxFrequency');
+    } else {
+      // Cada frecuencia espera settleCycles periodos (o settleTime) y mide measureCycles
+      const ratio = params.maxFrequency / params.minFrequency;
+      const duration = Array.from({ length: params.points }, (_, i) => {
+        const period = 1 / (params.minFrequency * Math.pow(ratio, i / (params.points - 1)));
+        return Math.max(params.settleCycles * period, params.settleTime) + params.measureCycles * period;
+      }).reduce((a, b) => a + b, 0);
+      if (duration > MAX_SWEEP_DURATION) {
+        result.errors.push(`El barrido duraría ${Math.round(duration)} s; el máximo es ${MAX_SWEEP_DURATION} s`);
+      }
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida una solicitud de identificación
+ * @param {Object} request - { model, runId | from, to, sampleTime, maxDeadTime, order: { na, nb, nk }, apply }
+ * @returns {Object} Resultado de validación
+ */
+function validateIdentifyRequest(request) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    result.errors.push('La solicitud de identificación debe ser un objeto');
+    return result;
+  }
+
+  const { model, runId, from, to, sampleTime, maxDeadTime, order, apply } = request;
+
+  if (!IDENTIFICATION_MODELS.includes(model)) {
+    result.errors.push(`Modelo de identificación inválido. Modelos válidos: ${IDENTIFICATION_MODELS.join(', ')}`);
+  }
+
+  // Fuente de datos: una corrida registrada o un tramo del historial en vivo
+  if (runId !== undefined) {
+    if (typeof runId !== 'string' || !runId) {
+      result.errors.push('runId debe ser una cadena');
+    }
+    if (from !== undefined || to !== undefined) {
+      result.errors.push('Indique runId o un rango from/to, no ambos');
+    }
+  } else {
+    result.errors.push(...validateHistoryParams({ from, to }).errors);
+  }
+
+  if (sampleTime !== undefined && (typeof sampleTime !== 'number' || isNaN(sampleTime) || sampleTime < 0.001 || sampleTime > 10)) {
+    result.errors.push('sampleTime debe ser un número entre 0.001 y 10 segundos');
+  }
+  if (maxDeadTime !== undefined && (typeof maxDeadTime !== 'number' || isNaN(maxDeadTime) || maxDeadTime < 0 || maxDeadTime > 600)) {
+    result.errors.push('maxDeadTime debe ser un número entre 0 y 600 segundos');
+  }
+  if (apply !== undefined && typeof apply !== 'boolean') {
+    result.errors.push('apply debe ser booleano');
+  }
+
+  if (order !== undefined) {
+    if (model !== 'arx') {
+      result.errors.push('order sólo aplica al modelo arx');
+    } else if (!order || typeof order !== 'object' || Array.isArray(order)) {
+      result.errors.push('order debe ser un objeto { na, nb, nk }');
+    } else {
+      const ranges = {
+        na: { min: 1, max: 10 },
+        nb: { min: 1, max: 10 },
+        nk: { min: 1, max: 100 }
+      };
+      for (const [param, value] of Object.entries(order)) {
+        if (!ranges[param]) {
+          result.errors.push(`Parámetro de orden inválido: ${param}`);
+        } else if (!Number.isInteger(value) || value < ranges[param].min || value > ranges[param].max) {
+          result.errors.push(`${param} debe ser un entero entre ${ranges[param].min} y ${ranges[param].max}`);
+        }
+      }
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida la definición de un experimento guionado
+ * @param {Object} definition - { name, description, stopOnFailure, steps: [{ type, ... }] }
+ *   command: { command, value }; wait: { duration }; waitSettled: { timeout };
+ *   assert: { metric, min, max }
+ * @returns {Object} Resultado de validación
+ */
+function validateExperimentDefinition(definition) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    result.errors.push('La definición del experimento debe ser un objeto');
+    return result;
+  }
+
+  const { name, description, stopOnFailure, steps } = definition;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    result.errors.push('name es requerido (hasta 100 caracteres)');
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+    result.errors.push('description debe ser una cadena de hasta 1000 caracteres');
+  }
+  if (stopOnFailure !== undefined && typeof stopOnFailure !== 'boolean') {
+    result.errors.push('stopOnFailure debe ser booleano');
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_EXPERIMENT_STEPS) {
+    result.errors.push(`steps debe ser una lista de 1 a ${MAX_EXPERIMENT_STEPS} pasos`);
+    return result;
+  }
+
+  steps.forEach((step, index) => {
+    const label = `Paso ${index + 1}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      result.errors.push(`${label}: debe ser un objeto`);
+      return;
+    }
+    if (!ExperimentRunner.STEP_TYPES.includes(step.type)) {
+      result.errors.push(`${label}: tipo inválido. Tipos válidos: ${ExperimentRunner.STEP_TYPES.join(', ')}`);
+      return;
+    }
+
+    const allowed = {
+      command: ['type', 'command', 'value'],
+      wait: ['type', 'duration'],
+      waitSettled: ['type', 'timeout'],
+      assert: ['type', 'metric', 'min', 'max']
+    }[step.type];
+    Object.keys(step)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => result.errors.push(`${label}: campo inválido para ${step.type}: ${key}`));
+
+    switch (step.type) {
+      case 'command':
+        // Los límites que dependen del estado (planta, lazo en marcha) se comprueban al ejecutar
+        result.errors.push(...validateCommand(step.command, step.value).errors.map(error => `${label}: ${error}`));
+        break;
+
+      case 'wait':
+        if (typeof step.duration !== 'number' || isNaN(step.duration) || step.duration <= 0 || step.duration > MAX_EXPERIMENT_WAIT) {
+          result.errors.push(`${label}: duration debe ser un número mayor que 0 y hasta ${MAX_EXPERIMENT_WAIT} segundos`);
+        }
+        break;
+
+      case 'waitSettled':
+        if (step.timeout !== undefined && (typeof step.timeout !== 'number' || isNaN(step.timeout) || step.timeout <= 0 || step.timeout > MAX_EXPERIMENT_WAIT)) {
+          result.errors.push(`${label}: timeout debe ser un número mayor que 0 y hasta ${MAX_EXPERIMENT_WAIT} segundos`);
+        }
+        break;
+
+      case 'assert': {
+        if (!ExperimentRunner.ASSERTION_METRICS.includes(step.metric)) {
+          result.errors.push(`${label}: métrica inválida. Métricas válidas: ${ExperimentRunner.ASSERTION_METRICS.join(', ')}`);
+        }
+        const bounds = ['min', 'max'].filter(key => step[key] !== undefined);
+        if (bounds.length === 0) {
+          result.errors.push(`${label}: la aserción requiere min, max o ambos`);
+        }
+        bounds.forEach(key => {
+          if (typeof step[key] !== 'number' || isNaN(step[key])) {
+            result.errors.push(`${label}: ${key} debe ser un número`);
+          }
+        });
+        if (bounds.length === 2 && step.min > step.max) {
+          result.errors.push(`${label}: min no puede ser mayor que max`);
+        }
+        break;
+      }
+    }
+  });
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida una búsqueda de ganancias sobre el simulador offline
+ * @param {Object} request - { setpoint, duration, timestep, seed, plant, sensor, actuator, disturbances, settlingBand,
+ *   bounds: { kp: [min, max], ki, kd }, cost: { itae, overshoot, effort }, grid, maxIterations, tolerance, candidates }
+ * @returns {Object} Resultado de validación
+ */
+function validateTuneRequest(request) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    result.errors.push('tune requiere un objeto con al menos setpoint y duration');
+    return result;
+  }
+
+  const { bounds, cost, grid, maxIterations, tolerance, candidates, ...simulation } = request;
+  const simulationKeys = ['setpoint', 'duration', 'timestep', 'seed', 'plant', 'sensor', 'actuator', 'disturbances', 'settlingBand'];
+
+  Object.keys(simulation)
+    .filter(key => !simulationKeys.includes(key))
+    .forEach(key => result.errors.push(`Opción de sintonía inválida: ${key}`));
+
+  if (simulation.setpoint === undefined) {
+    result.errors.push('setpoint es requerido: la búsqueda necesita al menos un escalón');
+  }
+  const simulationCheck = validateOfflineSimulation(Object.fromEntries(
+    Object.entries(simulation).filter(([key]) => simulationKeys.includes(key))
+  ));
+  result.errors.push(...simulationCheck.errors);
+
+  if (bounds !== undefined) {
+    const pidLimits = describeController('pid').limits.params;
+    if (!bounds || typeof bounds !== 'object' || Array.isArray(bounds)) {
+      result.errors.push('bounds debe ser un objeto { kp: [min, max], ki, kd }');
+    } else {
+      for (const [gain, range] of Object.entries(bounds)) {
+        if (!TuningJob.GAINS.includes(gain)) {
+          result.errors.push(`Ganancia inválida en bounds: ${gain}`);
+        } else if (!Array.isArray(range) || range.length !== 2 || !range.every(value => typeof value === 'number' && !isNaN(value))) {
+          result.errors.push(`bounds.${gain} debe ser [min, max]`);
+        } else if (range[0] < pidLimits[gain].min || range[1] > pidLimits[gain].max || range[0] >= range[1]) {
+          result.errors.push(`bounds.${gain} debe cumplir ${pidLimits[gain].min} <= min < max <= ${pidLimits[gain].max}`);
+        }
+      }
+    }
+  }
+
+  if (cost !== undefined) {
+    if (!cost || typeof cost !== 'object' || Array.isArray(cost)) {
+      result.errors.push('cost debe ser un objeto { itae, overshoot, effort }');
+    } else {
+      for (const [term, weight] of Object.entries(cost)) {
+        if (!(term in TuningJob.DEFAULT_OPTIONS.cost)) {
+          result.errors.push(`Término de costo inválido: ${term}`);
+        } else if (typeof weight !== 'number' || isNaN(weight) || weight < 0 || weight > 1e6) {
+          result.errors.push(`El peso ${term} debe ser un número entre 0 y 1000000`);
+        }
+      }
+      const weights = { ...TuningJob.DEFAULT_OPTIONS.cost, ...cost };
+      if (Object.values(weights).every(weight => weight === 0)) {
+        result.errors.push('Al menos un peso del costo debe ser mayor que 0');
+      }
+    }
+  }
+
+  const ranges = {
+    grid: { value: grid, min: 1, max: 6, integer: true },
+    maxIterations: { value: maxIterations, min: 1, max: 500, integer: true },
+    tolerance: { value: tolerance, min: 1e-9, max: 1 },
+    candidates: { value: candidates, min: 1, max: 20, integer: true }
+  };
+  for (const [param, range] of Object.entries(ranges)) {
+    if (range.value === undefined) continue;
+    if (typeof range.value !== 'number' || isNaN(range.value) || range.value < range.min || range.value > range.max) {
+      result.errors.push(`${param} debe ser un número entre ${range.min} y ${range.max}`);
+    } else if (range.integer && !Number.isInteger(range.value)) {
+      result.errors.push(`${param} debe ser un entero`);
+    }
+  }
+
+  if (result.errors.length === 0) {
+    // Cota de evaluaciones: base, grilla, simplex inicial y hasta n+1 por iteración (encogimiento)
+    const options = { ...TuningJob.DEFAULT_OPTIONS, ...request };
+    const gains = TuningJob.GAINS.length;
+    const evaluations = 1 + Math.pow(options.grid, gains) + gains + (gains + 1) * options.maxIterations;
+    const steps = evaluations * Number(options.duration) / Number(options.timestep);
+    if (steps > MAX_TUNING_STEPS) {
+      result.errors.push(`La búsqueda podría simular ${Math.round(steps)} pasos; el máximo es ${MAX_TUNING_STEPS}. Reduzca grid, maxIterations o duration / timestep`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida parámetros PID
+ * @param {Object} pidParams - Parámetros PID a validar
+ * @returns {Object} Resultado de validación
+ */
+function validatePIDParams(pidParams) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!pidParams || typeof pidParams !== 'object') {
+    result.errors.push('Parámetros PID deben ser un objeto');
+    return result;
+  }
+
+  // Rangos y opciones definidos por el propio PID (ganancias, pesos, filtro, anti-windup)
+  const ranges = describeController('pid').limits.params;
+  const validParams = Object.keys(ranges);
+  const providedParams = Object.keys(pidParams);
+
+  // Verificar que al menos un parámetro válido esté presente
+  const hasValidParam = providedParams.some(param => validParams.includes(param));
+  if (!hasValidParam) {
+    result.errors.push(`Debe proporcionar al menos uno de: ${validParams.join(', ')}`);
+    return result;
+  }
+
+  // Validar cada parámetro
+  for (const [param, value] of Object.entries(pidParams)) {
+    if (!validParams.includes(param)) {
+      result.errors.push(`Parámetro PID inválido: ${param}`);
+      continue;
+    }
+
+    if (ranges[param].options) {
+      if (!ranges[param].options.includes(value)) {
+        result.errors.push(`${param} debe ser uno de: ${ranges[param].options.join(', ')}`);
+      }
+      continue;
+    }
+
+    const numValue = parseFloat(value);
+    if (isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+      continue;
+    }
+
+    if (numValue < ranges[param].min) {
+      result.errors.push(`${param} debe ser mayor o igual a ${ranges[param].min}`);
+      continue;
+    }
+
+    if (numValue > ranges[param].max) {
+      result.errors.push(`${param} (${numValue}) excede el valor máximo recomendado (${ranges[param].max})`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida una tabla de planificación de ganancias
+ * @param {Object} schedule - { enabled, variable, interpolation, points: [{ breakpoint, kp, ki, kd }] }
+ * @param {Object} current - Tabla vigente, para validar el resultado de la actualización parcial
+ * @returns {Object} Resultado de validación
+ */
+function validateGainSchedule(schedule, current = {}) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    result.errors.push('La planificación de ganancias debe ser un objeto');
+    return result;
+  }
+
+  const allowed = ['enabled', 'variable', 'interpolation', 'points'];
+  Object.keys(schedule)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => result.errors.push(`Campo de planificación inválido: ${key}`));
+
+  const { enabled, variable, interpolation, points } = schedule;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    result.errors.push('enabled debe ser booleano');
+  }
+
+  if (variable !== undefined && !GainSchedule.VARIABLES.includes(variable)) {
+    result.errors.push(`variable debe ser una de: ${GainSchedule.VARIABLES.join(', ')}`);
+  }
+
+  if (interpolation !== undefined && !GainSchedule.INTERPOLATIONS.includes(interpolation)) {
+    result.errors.push(`interpolation debe ser una de: ${GainSchedule.INTERPOLATIONS.join(', ')}`);
+  }
+
+  if (points !== undefined) {
+    if (!Array.isArray(points) || points.length > 50) {
+      result.errors.push('points debe ser un arreglo de hasta 50 puntos');
+    } else {
+      const ranges = describeController('pid').limits.params;
+      const breakpoints = new Set();
+
+      points.forEach((point, index) => {
+        if (!point || typeof point !== 'object') {
+          result.errors.push(`Punto ${index}: debe ser un objeto { breakpoint, kp, ki, kd }`);
+          return;
+        }
+
+        const breakpoint = Number(point.breakpoint);
+        if (point.breakpoint === undefined || isNaN(breakpoint) || breakpoint < -180 || breakpoint > 180) {
+          result.errors.push(`Punto ${index}: breakpoint debe ser un número entre -180 y 180`);
+        } else if (breakpoints.has(breakpoint)) {
+          result.errors.push(`Punto ${index}: breakpoint ${breakpoint} repetido`);
+        } else {
+          breakpoints.add(breakpoint);
+        }
+
+        ['kp', 'ki', 'kd'].forEach(gain => {
+          const value = Number(point[gain]);
+          if (point[gain] === undefined || isNaN(value) || value < ranges[gain].min || value > ranges[gain].max) {
+            result.errors.push(`Punto ${index}: ${gain} debe estar entre ${ranges[gain].min} y ${ranges[gain].max}`);
+          }
+        });
+      });
+    }
+  }
+
+  const willBeEnabled = enabled !== undefined ? enabled : current.enabled;
+  const finalPoints = points !== undefined ? points : current.points;
+  if (willBeEnabled && (!Array.isArray(finalPoints) || finalPoints.length === 0)) {
+    result.errors.push('Para activar la planificación se necesita al menos un punto');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+// Parámetros de cada modo de trayectoria y sus rangos
+const TRAJECTORY_PARAMS = {
+  ramp: {
+    target: { min: -180, max: 180, required: true },
+    rate: { min: 0.01, max: 1000, required: true }
+  },
+  scurve: {
+    target: { min: -180, max: 180, required: true },
+    maxVelocity: { min: 0.01, max: 1000, required: true },
+    maxAcceleration: { min: 0.01, max: 10000, required: true },
+    maxJerk: { min: 0.01, max: 100000, required: true }
+  },
+  sequence: {},
+  square: {
+    amplitude: { min: 0, max: 180, required: true },
+    frequency: { min: 0.001, max: 10, required: true },
+    offset: { min: -180, max: 180 },
+    cycles: { min: 1, max: 10000, integer: true }
+  }
+};
+TRAJECTORY_PARAMS.triangle = TRAJECTORY_PARAMS.square;
+TRAJECTORY_PARAMS.sine = TRAJECTORY_PARAMS.square;
+
+/**
+ * Valida la definición de una trayectoria de referencia
+ * @param {Object} trajectory - { mode, ...parámetros }; ver TRAJECTORY_PARAMS
+ *   sequence: { steps: [{ value, duration }], loop }
+ * @returns {Object} Resultado de validación
+ */
+function validateTrajectory(trajectory) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!trajectory || typeof trajectory !== 'object' || Array.isArray(trajectory)) {
+    result.errors.push('La trayectoria debe ser un objeto { mode, ... }');
+    return result;
+  }
+
+  const { mode } = trajectory;
+  if (!TrajectoryGenerator.MODES.includes(mode)) {
+    result.errors.push(`Modo de trayectoria inválido. Modos válidos: ${TrajectoryGenerator.MODES.join(', ')}`);
+    return result;
+  }
+
+  const ranges = TRAJECTORY_PARAMS[mode];
+  const allowed = mode === 'sequence' ? ['mode', 'steps', 'loop'] : ['mode', ...Object.keys(ranges)];
+  Object.keys(trajectory)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => result.errors.push(`Parámetro inválido para ${mode}: ${key}`));
+
+  for (const [param, range] of Object.entries(ranges)) {
+    const value = trajectory[param];
+    if (value === undefined) {
+      if (range.required) result.errors.push(`${param} es requerido para ${mode}`);
+      continue;
+    }
+    if (typeof value !== 'number' || isNaN(value) || value < range.min || value > range.max) {
+      result.errors.push(`${param} debe ser un número entre ${range.min} y ${range.max}`);
+    } else if (range.integer && !Number.isInteger(value)) {
+      result.errors.push(`${param} debe ser un entero`);
+    }
+  }
+
+  if (mode === 'sequence') {
+    const { steps, loop } = trajectory;
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > 100) {
+      result.errors.push('steps debe ser un arreglo de 1 a 100 escalones { value, duration }');
+    } else {
+      steps.forEach((step, index) => {
+        const value = step && step.value;
+        const duration = step && step.duration;
+        if (typeof value !== 'number' || isNaN(value) || value < -180 || value > 180) {
+          result.errors.push(`Escalón ${index}: value debe ser un número entre -180 y 180`);
+        }
+        if (typeof duration !== 'number' || isNaN(duration) || duration <= 0 || duration > 3600) {
+          result.errors.push(`Escalón ${index}: duration debe ser un número mayor que 0 y hasta 3600 segundos`);
+        }
+      });
+    }
+    if (loop !== undefined && typeof loop !== 'boolean') {
+      result.errors.push('loop debe ser booleano');
+    }
+  }
+
+  if (TrajectoryGenerator.PERIODIC_MODES.includes(mode) && result.errors.length === 0 &&
+      trajectory.offset !== undefined && Math.abs(trajectory.offset) + trajectory.amplitude > 180) {
+    result.errors.push('La onda excede los ±180°: |offset| + amplitude debe ser como máximo 180');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida un perfil de referencia antes de guardarlo
+ * @param {Object} profile - { name, points: [{ t, reference }], description }
+ * @returns {Object} Resultado de validación
+ */
+function validateProfile(profile) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  const { name, points, description } = profile || {};
+
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    result.errors.push('name debe tener de 1 a 64 letras, números, _ o -');
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    result.errors.push('description debe ser un texto de hasta 500 caracteres');
+  }
+
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_PROFILE_POINTS) {
+    result.errors.push(`El perfil debe tener entre 1 y ${MAX_PROFILE_POINTS} puntos`);
+    return result;
+  }
+
+  // Un error por tipo basta: los perfiles pueden tener miles de puntos
+  let previousTime = -Infinity;
+  for (let i = 0; i < points.length; i++) {
+    const { t, reference } = points[i];
+    if (isNaN(t) || t < 0) {
+      result.errors.push(`Punto ${i}: t debe ser un número mayor o igual a 0`);
+      break;
+    }
+    if (t < previousTime) {
+      result.errors.push(`Punto ${i}: los tiempos deben estar en orden creciente`);
+      break;
+    }
+    if (isNaN(reference) || reference < -180 || reference > 180) {
+      result.errors.push(`Punto ${i}: la referencia debe ser un número entre -180 y 180 grados`);
+      break;
+    }
+    previousTime = t;
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida un preset de controlador. Sin controller se guarda la configuración vigente.
+ * @param {Object} preset - { name, description, author, controller: { type, params }, actuator: { minOutput, maxOutput, slewRate } }
+ * @returns {Object} Resultado de validación
+ */
+function validatePreset(preset) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    result.errors.push('El preset debe ser un objeto');
+    return result;
+  }
+
+  const { name, description, author, controller, actuator } = preset;
+
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    result.errors.push('name debe tener de 1 a 64 letras, números, _ o -');
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    result.errors.push('description debe ser un texto de hasta 500 caracteres');
+  }
+  if (author !== undefined && (typeof author !== 'string' || author.length > 100)) {
+    result.errors.push('author debe ser un texto de hasta 100 caracteres');
+  }
+
+  if (controller !== undefined) {
+    if (!controller || typeof controller !== 'object' || typeof controller.type !== 'string') {
+      result.errors.push('controller debe ser un objeto { type, params }');
+    } else {
+      result.errors.push(...validateControllerParams(controller.type, controller.params).errors);
+    }
+  }
+
+  if (actuator !== undefined && actuator !== null) {
+    if (typeof actuator !== 'object' || Array.isArray(actuator)) {
+      result.errors.push('actuator debe ser un objeto { minOutput, maxOutput, slewRate }');
+    } else {
+      Object.keys(actuator)
+        .filter(key => !PRESET_ACTUATOR_PARAMS.includes(key))
+        .forEach(key => result.errors.push(`Límite de actuador inválido en un preset: ${key}`));
+      const limits = Object.fromEntries(Object.entries(actuator).filter(([key]) => PRESET_ACTUATOR_PARAMS.includes(key)));
+      result.errors.push(...validateActuatorConfig(limits).errors);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida las opciones del comando playProfile
+ * @param {string|Object} options - Nombre o { name, loop, timeScale, interpolation }
+ * @returns {Object} Resultado de validación
+ */
+function validateProfilePlayback(options) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  const opts = typeof options === 'string' ? { name: options } : options;
+  if (!opts || typeof opts !== 'object' || Array.isArray(opts)) {
+    result.errors.push('playProfile requiere el nombre del perfil o { name, loop, timeScale, interpolation }');
+    return result;
+  }
+
+  const allowed = ['name', 'loop', 'timeScale', 'interpolation'];
+  Object.keys(opts)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => result.errors.push(`Opción de reproducción inválida: ${key}`));
+
+  if (typeof opts.name !== 'string' || !PROFILE_NAME_PATTERN.test(opts.name)) {
+    result.errors.push('name debe ser el nombre de un perfil guardado');
+  }
+
+  if (opts.loop !== undefined && typeof opts.loop !== 'boolean') {
+    result.errors.push('loop debe ser booleano');
+  }
+
+  if (opts.timeScale !== undefined &&
+      (typeof opts.timeScale !== 'number' || isNaN(opts.timeScale) || opts.timeScale < 0.01 || opts.timeScale > 100)) {
+    result.errors.push('timeScale debe ser un número entre 0.01 y 100');
+  }
+
+  if (opts.interpolation !== undefined && !PROFILE_INTERPOLATIONS.includes(opts.interpolation)) {
+    result.errors.push(`interpolation debe ser una de: ${PROFILE_INTERPOLATIONS.join(', ')}`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida la configuración de las métricas de respuesta
+ * @param {Object} settings - { settlingBand, settleWindow, timeout }
+ * @returns {Object} Resultado de validación
+ */
+function validateMetricsConfig(settings) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    result.errors.push('La configuración de métricas debe ser un objeto');
+    return result;
+  }
+
+  const ranges = {
+    settlingBand: { min: 0.001, max: 0.5 },
+    settleWindow: { min: 0, max: 600 },
+    timeout: { min: 1, max: 3600 }
+  };
+
+  for (const [param, value] of Object.entries(settings)) {
+    if (!ranges[param]) {
+      result.errors.push(`Parámetro de métricas inválido: ${param}`);
+      continue;
+    }
+    if (typeof value !== 'number' || isNaN(value) || value < ranges[param].min || value > ranges[param].max) {
+      result.errors.push(`${param} debe ser un número entre ${ranges[param].min} y ${ranges[param].max}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida la configuración del supervisor de seguridad (actualización parcial)
+ * @param {Object} settings - { enabled, softLimits: { min, max }, hardLimits: { min, max }, maxVelocity, maxSaturationTime, watchdogTimeout }
+ * @param {Object} current - Configuración vigente, para comprobar que los límites blandos queden dentro de los duros
+ * @returns {Object} Resultado de validación
+ */
+function validateSafetyConfig(settings, current = {}) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    result.errors.push('La configuración de seguridad debe ser un objeto');
+    return result;
+  }
+
+  const ranges = {
+    maxVelocity: { min: 0, max: 100000 },
+    maxSaturationTime: { min: 0, max: 3600 },
+    watchdogTimeout: { min: 0, max: 60 }
+  };
+
+  for (const [param, value] of Object.entries(settings)) {
+    if (param === 'enabled') {
+      if (typeof value !== 'boolean') {
+        result.errors.push('enabled debe ser booleano');
+      }
+    } else if (param === 'softLimits' || param === 'hardLimits') {
+      // null desactiva el límite
+      if (value === null) continue;
+      if (typeof value !== 'object' || Array.isArray(value) ||
+          typeof value.min !== 'number' || typeof value.max !== 'number' || isNaN(value.min) || isNaN(value.max)) {
+        result.errors.push(`${param} debe ser { min, max } o null`);
+      } else if (value.min >= value.max) {
+        result.errors.push(`${param}.min debe ser menor que ${param}.max`);
+      }
+    } else if (ranges[param]) {
+      if (typeof value !== 'number' || isNaN(value) || value < ranges[param].min || value > ranges[param].max) {
+        result.errors.push(`${param} debe ser un número entre ${ranges[param].min} y ${ranges[param].max} (0 lo desactiva)`);
+      }
+    } else {
+      result.errors.push(`Parámetro de seguridad inválido: ${param}`);
+    }
+  }
+
+  if (result.errors.length === 0) {
+    const { softLimits, hardLimits } = { ...current, ...settings };
+    if (softLimits && hardLimits && (softLimits.min < hardLimits.min || softLimits.max > hardLimits.max)) {
+      result.errors.push(`Los límites blandos (${softLimits.min} a ${softLimits.max}) deben quedar dentro de los duros (${hardLimits.min} a ${hardLimits.max})`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida la configuración del dead-man (actualización parcial)
+ * @param {Object} settings - { enabled, timeout, safeAngle, rampRate, holdTime }
+ * @param {Object} safety - Configuración vigente del supervisor, para los límites blandos
+ * @param {number} pingInterval - Periodo del ping de protocolo (ms), cuyo pong cuenta como heartbeat
+ * @returns {Object} Resultado de validación
+ */
+function validateDeadManConfig(settings, safety = {}, pingInterval = null) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    result.errors.push('La configuración del dead-man debe ser un objeto');
+    return result;
+  }
+
+  const ranges = {
+    timeout: { min: 0.5, max: 600 },
+    safeAngle: { min: -180, max: 180 },
+    rampRate: { min: 0.01, max: 1000 },
+    holdTime: { min: 0, max: 60 }
+  };
+
+  for (const [param, value] of Object.entries(settings)) {
+    if (param === 'enabled') {
+      if (typeof value !== 'boolean') {
+        result.errors.push('enabled debe ser booleano');
+      }
+    } else if (ranges[param]) {
+      if (typeof value !== 'number' || isNaN(value) || value < ranges[param].min || value > ranges[param].max) {
+        result.errors.push(`${param} debe ser un número entre ${ranges[param].min} y ${ranges[param].max}`);
+      }
+    } else {
+      result.errors.push(`Parámetro del dead-man inválido: ${param}`);
+    }
+  }
+
+  // La rampa al ángulo seguro pasa por setTrajectory, que exige los límites blandos
+  const { softLimits } = safety;
+  if (result.errors.length === 0 && settings.safeAngle !== undefined && safety.enabled && softLimits &&
+      (settings.safeAngle < softLimits.min || settings.safeAngle > softLimits.max)) {
+    result.errors.push(`safeAngle debe quedar dentro de los límites blandos (${softLimits.min} a ${softLimits.max})`);
+  }
+
+  // Un cliente que sólo responde al ping no manda otro heartbeat hasta el
+  // siguiente, así que con un plazo menor el dead-man actuaría sin motivo
+  if (result.errors.length === 0 && settings.timeout !== undefined && pingInterval &&
+      settings.timeout * 1000 <= pingInterval) {
+    result.errors.push(`timeout debe ser mayor que el periodo del ping de protocolo (${pingInterval / 1000} s, config.websocket.heartbeatInterval)`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida un pedido, renovación o toma forzada del control exclusivo
+ * @param {Object} request - { duration (s), name }
+ * @param {number} maxDuration - Duración máxima de la concesión (s)
+ * @returns {Object} Resultado de validación
+ */
+function validateControlRequest(request = {}, maxDuration = 300) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    result.errors.push('El pedido debe ser un objeto');
+    return result;
+  }
+
+  for (const [param, value] of Object.entries(request)) {
+    if (value === undefined) continue;
+    if (param === 'duration') {
+      if (typeof value !== 'number' || isNaN(value) || value < 1 || value > maxDuration) {
+        result.errors.push(`duration debe ser un número entre 1 y ${maxDuration} s`);
+      }
+    } else if (param === 'name') {
+      if (typeof value !== 'string' || value.length === 0 || value.length > 64) {
+        result.errors.push('name debe ser un texto de 1 a 64 caracteres');
+      }
+    } else {
+      result.errors.push(`Parámetro inválido: ${param}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida las definiciones de alarmas de la configuración
+ * @param {Object[]} definitions - [{ id, description, signal, condition: { operator, value }, absolute, delay, severity }]
+ * @returns {Object} Resultado de validación
+ */
+function validateAlarmDefinitions(definitions) {
   const result = {
     valid: false,
     errors: []
   };
 
-  // Comandos válidos
-  const validCommands = [
-    'startSystem',
-    'stopSystem', 
-    'emergencyStop',
-    'setTargetAngle',
-    'resetSystem',
-    'calibrate'
-  ];
-
-  // Verificar si el comando es válido
-  if (!command || typeof command !== 'string') {
-    result.errors.push('Comando requerido y debe ser una cadena');
+  if (!Array.isArray(definitions)) {
+    result.errors.push('Las definiciones de alarmas deben ser un array');
     return result;
   }
 
-  if (!validCommands.includes(command)) {
-    result.errors.push(`Comando inválido. Comandos válidos: ${validCommands.join(', ')}`);
+  const ids = new Set();
+  definitions.forEach((definition, index) => {
+    const label = `Alarma ${index + 1}`;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      result.errors.push(`${label}: debe ser un objeto`);
+      return;
+    }
+
+    const { id, description, signal, condition, absolute, delay, severity } = definition;
+
+    if (typeof id !== 'string' || !PROFILE_NAME_PATTERN.test(id)) {
+      result.errors.push(`${label}: id debe tener de 1 a 64 letras, números, _ o -`);
+    } else if (ids.has(id)) {
+      result.errors.push(`${label}: id repetido (${id})`);
+    } else {
+      ids.add(id);
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+      result.errors.push(`${label}: description debe ser un texto de hasta 200 caracteres`);
+    }
+    if (!AlarmManager.SIGNALS.includes(signal)) {
+      result.errors.push(`${label}: signal debe ser uno de: ${AlarmManager.SIGNALS.join(', ')}`);
+    }
+    if (!condition || typeof condition !== 'object' || !AlarmManager.OPERATORS.includes(condition.operator) ||
+        typeof condition.value !== 'number' || isNaN(condition.value)) {
+      result.errors.push(`${label}: condition debe ser { operator: ${AlarmManager.OPERATORS.join(' | ')}, value: número }`);
+    }
+    if (absolute !== undefined && typeof absolute !== 'boolean') {
+      result.errors.push(`${label}: absolute debe ser booleano`);
+    }
+    if (typeof delay !== 'number' || isNaN(delay) || delay < 0 || delay > 3600) {
+      result.errors.push(`${label}: delay debe ser un número entre 0 y 3600 s`);
+    }
+    if (!AlarmManager.SEVERITIES.includes(severity)) {
+      result.errors.push(`${label}: severity debe ser uno de: ${AlarmManager.SEVERITIES.join(', ')}`);
+    }
+  });
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida un pedido de shelve de alarma
+ * @param {Object} request - { duration (s), reason }
+ * @returns {Object} Resultado de validación
+ */
+function validateAlarmShelve(request = {}) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    result.errors.push('El pedido debe ser un objeto');
     return result;
   }
 
-  // Validaciones específicas por comando
-  switch (command) {
-    case 'setTargetAngle':
-      if (value === undefined || value === null) {
-        result.errors.push('Valor requerido para setTargetAngle');
-        break;
-      }
-      
-      const angle = parseFloat(value);
-      if (isNaN(angle)) {
-        result.errors.push('El valor del ángulo debe ser un número');
-      } else if (angle < -180 || angle > 180) {
-        result.errors.push('El ángulo debe estar entre -180 y 180 grados');
+  for (const [param, value] of Object.entries(request)) {
+    if (param === 'duration') {
+      if (typeof value !== 'number' || isNaN(value) || value <= 0 || value > 86400) {
+        result.errors.push('duration debe ser un número mayor que 0 y de hasta 86400 s');
       }
-      break;
-
-    case 'startSystem':
-    case 'stopSystem':
-    case 'emergencyStop':
-    case 'resetSystem':
-    case 'calibrate':
-      // Estos comandos no requieren valor
-      if (value !== undefined && value !== null && value !== '') {
-        result.errors.push(`El comando ${command} no acepta valores adicionales`);
+    } else if (param === 'reason') {
+      if (typeof value !== 'string' || value.length > 200) {
+        result.errors.push('reason debe ser un texto de hasta 200 caracteres');
       }
-      break;
-
-    default:
-      result.errors.push(`Validación no implementada para el comando: ${command}`);
+    } else {
+      result.errors.push(`Parámetro inválido: ${param}`);
+    }
   }
 
   result.valid = result.errors.length === 0;
@@ -69,60 +1255,52 @@ function validateCommand(command, value) {
 }
 
 /**
- * Valida parámetros PID
- * @param {Object} pidParams - Parámetros PID a validar
+ * Valida la configuración de prealimentación (actualización parcial por término)
+ * @param {Object} feedforward - { gravity: { enabled, gain, source }, setpoint: { enabled, gain }, disturbance: { enabled, gain } }
  * @returns {Object} Resultado de validación
  */
-function validatePIDParams(pidParams) {
+function validateFeedforwardConfig(feedforward) {
   const result = {
     valid: false,
     errors: []
   };
 
-  if (!pidParams || typeof pidParams !== 'object') {
-    result.errors.push('Parámetros PID deben ser un objeto');
+  if (!feedforward || typeof feedforward !== 'object' || Array.isArray(feedforward)) {
+    result.errors.push('La prealimentación debe ser un objeto');
     return result;
   }
 
-  const validParams = ['kp', 'ki', 'kd'];
-  const providedParams = Object.keys(pidParams);
-
-  // Verificar que al menos un parámetro válido esté presente
-  const hasValidParam = providedParams.some(param => validParams.includes(param));
-  if (!hasValidParam) {
-    result.errors.push(`Debe proporcionar al menos uno de: ${validParams.join(', ')}`);
-    return result;
-  }
+  Object.keys(feedforward)
+    .filter(key => !Feedforward.TERMS.includes(key))
+    .forEach(key => result.errors.push(`Término de prealimentación inválido: ${key}`));
 
-  // Validar cada parámetro
-  for (const [param, value] of Object.entries(pidParams)) {
-    if (!validParams.includes(param)) {
-      result.errors.push(`Parámetro PID inválido: ${param}`);
-      continue;
+  Feedforward.TERMS.filter(term => feedforward[term] !== undefined).forEach(term => {
+    const settings = feedforward[term];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      result.errors.push(`${term} debe ser un objeto`);
+      return;
     }
 
-    const numValue = parseFloat(value);
-    if (isNaN(numValue)) {
-      result.errors.push(`${param} debe ser un número`);
-      continue;
-    }
+    const allowed = term === 'gravity' ? ['enabled', 'gain', 'source'] : ['enabled', 'gain'];
+    Object.keys(settings)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => result.errors.push(`Campo inválido en ${term}: ${key}`));
 
-    if (numValue < 0) {
-      result.errors.push(`${param} debe ser mayor o igual a 0`);
-      continue;
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      result.errors.push(`${term}.enabled debe ser booleano`);
     }
 
-    // Rangos razonables para parámetros PID
-    const ranges = {
-      kp: { min: 0, max: 100 },
-      ki: { min: 0, max: 10 },
-      kd: { min: 0, max: 10 }
-    };
+    if (settings.gain !== undefined) {
+      const { min, max } = FEEDFORWARD_GAIN_LIMITS[term];
+      if (typeof settings.gain !== 'number' || isNaN(settings.gain) || settings.gain < min || settings.gain > max) {
+        result.errors.push(`${term}.gain debe ser un número entre ${min} y ${max}`);
+      }
+    }
 
-    if (numValue > ranges[param].max) {
-      result.errors.push(`${param} (${numValue}) excede el valor máximo recomendado (${ranges[param].max})`);
+    if (settings.source !== undefined && !Feedforward.GRAVITY_SOURCES.includes(settings.source)) {
+      result.errors.push(`gravity.source debe ser una de: ${Feedforward.GRAVITY_SOURCES.join(', ')}`);
     }
-  }
+  });
 
   result.valid = result.errors.length === 0;
   return result;
@@ -349,12 +1527,350 @@ function validateSystemConfig(config) {
   return result;
 }
 
+/**
+ * Valida configuración de la simulación
+ * @param {Object} simulation - { mode, seed, timestep, autoStep }
+ * @returns {Object} Resultado de validación
+ */
+function validateSimulationConfig(simulation) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!simulation || typeof simulation !== 'object') {
+    result.errors.push('La configuración de simulación debe ser un objeto');
+    return result;
+  }
+
+  const { mode, seed, timestep, autoStep } = simulation;
+
+  if (mode !== undefined && !['realtime', 'deterministic'].includes(mode)) {
+    result.errors.push('mode debe ser realtime o deterministic');
+  }
+
+  if (seed !== undefined && seed !== null) {
+    const seedNum = Number(seed);
+    if (!Number.isInteger(seedNum) || seedNum < 0 || seedNum > 4294967295) {
+      result.errors.push('seed debe ser un entero entre 0 y 4294967295');
+    }
+  }
+
+  if (timestep !== undefined) {
+    const stepNum = Number(timestep);
+    if (isNaN(stepNum) || stepNum < 0.0001 || stepNum > 1) {
+      result.errors.push('timestep debe ser un número entre 0.0001 y 1 segundos');
+    }
+  }
+
+  if (autoStep !== undefined && typeof autoStep !== 'boolean') {
+    result.errors.push('autoStep debe ser booleano');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida la definición de una perturbación
+ * @param {Object} disturbance - { type, amplitude, startTime, duration, frequency, bandwidth }
+ * @returns {Object} Resultado de validación
+ */
+function validateDisturbance(disturbance) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!disturbance || typeof disturbance !== 'object' || Array.isArray(disturbance)) {
+    result.errors.push('La perturbación debe ser un objeto');
+    return result;
+  }
+
+  const { type, amplitude, startTime, duration, frequency, bandwidth } = disturbance;
+
+  if (!DisturbanceScheduler.TYPES.includes(type)) {
+    result.errors.push(`Tipo de perturbación inválido. Tipos válidos: ${DisturbanceScheduler.TYPES.join(', ')}`);
+    return result;
+  }
+
+  if (amplitude === undefined || isNaN(parseFloat(amplitude))) {
+    result.errors.push('amplitude debe ser un número');
+  }
+
+  if (startTime !== undefined) {
+    const startNum = parseFloat(startTime);
+    if (isNaN(startNum) || startNum < 0 || startNum > 3600) {
+      result.errors.push('startTime debe estar entre 0 y 3600 segundos');
+    }
+  }
+
+  if (duration !== undefined) {
+    const durationNum = parseFloat(duration);
+    if (isNaN(durationNum) || durationNum <= 0 || durationNum > 3600) {
+      result.errors.push('duration debe ser mayor a 0 y no exceder 3600 segundos');
+    }
+  } else if (type === 'ramp') {
+    result.errors.push('La rampa requiere duration');
+  }
+
+  if (frequency !== undefined) {
+    const freqNum = parseFloat(frequency);
+    if (isNaN(freqNum) || freqNum <= 0 || freqNum > 50) {
+      result.errors.push('frequency debe estar entre 0 y 50 Hz');
+    }
+  }
+
+  if (bandwidth !== undefined) {
+    const bandNum = parseFloat(bandwidth);
+    if (isNaN(bandNum) || bandNum <= 0 || bandNum > 50) {
+      result.errors.push('bandwidth debe estar entre 0 y 50 Hz');
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida configuración del sensor
+ * @param {Object} sensor - Parámetros del sensor
+ * @returns {Object} Resultado de validación
+ */
+function validateSensorConfig(sensor) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!sensor || typeof sensor !== 'object' || Array.isArray(sensor)) {
+    result.errors.push('La configuración del sensor debe ser un objeto');
+    return result;
+  }
+
+  const ranges = {
+    noiseSigma: { min: 0, max: 50 },
+    countsPerRevolution: { min: 0, max: 1048576, integer: true },
+    delaySamples: { min: 0, max: 100, integer: true },
+    bias: { min: -90, max: 90 },
+    biasDrift: { min: 0, max: 10 },
+    dropoutProbability: { min: 0, max: 1 }
+  };
+
+  for (const [param, value] of Object.entries(sensor)) {
+    if (!ranges[param]) {
+      result.errors.push(`Parámetro de sensor inválido: ${param}`);
+      continue;
+    }
+
+    const numValue = Number(value);
+    if (value === null || value === '' || isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+      continue;
+    }
+
+    if (ranges[param].integer && !Number.isInteger(numValue)) {
+      result.errors.push(`${param} debe ser un entero`);
+      continue;
+    }
+
+    if (numValue < ranges[param].min || numValue > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida configuración del actuador
+ * @param {Object} actuator - Parámetros del actuador
+ * @param {Object} current - Configuración vigente, para validar minOutput < maxOutput en una actualización parcial
+ * @returns {Object} Resultado de validación
+ */
+function validateActuatorConfig(actuator, current = {}) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!actuator || typeof actuator !== 'object' || Array.isArray(actuator)) {
+    result.errors.push('La configuración del actuador debe ser un objeto');
+    return result;
+  }
+
+  const ranges = {
+    minOutput: { min: -1000, max: 1000 },
+    maxOutput: { min: -1000, max: 1000 },
+    slewRate: { min: 0, max: 100000 },
+    deadband: { min: 0, max: 100 },
+    timeConstant: { min: 0, max: 10 }
+  };
+
+  for (const [param, value] of Object.entries(actuator)) {
+    if (!ranges[param]) {
+      result.errors.push(`Parámetro de actuador inválido: ${param}`);
+      continue;
+    }
+
+    const numValue = Number(value);
+    if (value === null || value === '' || isNaN(numValue)) {
+      result.errors.push(`${param} debe ser un número`);
+      continue;
+    }
+
+    if (numValue < ranges[param].min || numValue > ranges[param].max) {
+      result.errors.push(`${param} debe estar entre ${ranges[param].min} y ${ranges[param].max}`);
+    }
+  }
+
+  const { minOutput, maxOutput } = { ...current, ...actuator };
+  if (minOutput !== undefined && maxOutput !== undefined && Number(minOutput) >= Number(maxOutput)) {
+    result.errors.push('minOutput debe ser menor que maxOutput');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida una solicitud de simulación offline
+ * @param {Object} request - { plant, controller, setpoint, trajectory, duration, timestep, seed, sensor, actuator, disturbances, gainSchedule, feedforward }
+ * @returns {Object} Resultado de validación
+ */
+function validateOfflineSimulation(request) {
+  const result = {
+    valid: false,
+    errors: []
+  };
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    result.errors.push('La solicitud de simulación debe ser un objeto');
+    return result;
+  }
+
+  const { plant, controller, setpoint, duration, timestep = 0.01, seed, sensor, actuator, disturbances, gainSchedule, feedforward, trajectory, settlingBand } = request;
+
+  const durationNum = Number(duration);
+  if (duration === undefined || isNaN(durationNum) || durationNum <= 0 || durationNum > 3600) {
+    result.errors.push('duration debe ser un número mayor que 0 y hasta 3600 segundos');
+  }
+
+  const simulationCheck = validateSimulationConfig({ timestep, seed });
+  result.errors.push(...simulationCheck.errors);
+
+  if (simulationCheck.valid && !isNaN(durationNum) && durationNum / Number(timestep) > MAX_OFFLINE_STEPS) {
+    result.errors.push(`La simulación excede el máximo de ${MAX_OFFLINE_STEPS} pasos (duration / timestep)`);
+  }
+
+  if (plant !== undefined) {
+    const plantRequest = typeof plant === 'string' ? { type: plant } : plant;
+    if (!plantRequest || typeof plantRequest !== 'object') {
+      result.errors.push('plant debe ser un tipo de planta o { type, params }');
+    } else {
+      result.errors.push(...validatePlantParams(plantRequest.type, plantRequest.params).errors);
+    }
+  }
+
+  if (controller !== undefined) {
+    // { type, params } selecciona una ley de control; si no, son ganancias PID
+    if (controller && controller.type !== undefined) {
+      result.errors.push(...validateControllerParams(controller.type, controller.params).errors);
+    } else {
+      result.errors.push(...validatePIDParams(controller).errors);
+    }
+  }
+
+  if (setpoint !== undefined) {
+    const points = Array.isArray(setpoint) ? setpoint : [{ time: 0, value: setpoint }];
+    if (points.length === 0) {
+      result.errors.push('El perfil de referencia no puede estar vacío');
+    }
+    for (const point of points) {
+      const value = Number(point && point.value);
+      const time = Number(point && point.time !== undefined ? point.time : 0);
+      if (isNaN(value) || value < -180 || value > 180) {
+        result.errors.push('Cada valor de referencia debe ser un número entre -180 y 180');
+        break;
+      }
+      if (isNaN(time) || time < 0) {
+        result.errors.push('Cada tiempo del perfil debe ser un número mayor o igual a 0');
+        break;
+      }
+    }
+  }
+
+  if (sensor !== undefined) {
+    result.errors.push(...validateSensorConfig(sensor).errors);
+  }
+
+  if (actuator !== undefined) {
+    result.errors.push(...validateActuatorConfig(actuator).errors);
+  }
+
+  if (disturbances !== undefined) {
+    if (!Array.isArray(disturbances)) {
+      result.errors.push('disturbances debe ser un arreglo');
+    } else {
+      for (const disturbance of disturbances) {
+        result.errors.push(...validateDisturbance(disturbance).errors);
+      }
+    }
+  }
+
+  if (gainSchedule !== undefined) {
+    result.errors.push(...validateGainSchedule(gainSchedule).errors);
+  }
+
+  if (feedforward !== undefined) {
+    result.errors.push(...validateFeedforwardConfig(feedforward).errors);
+  }
+
+  if (trajectory !== undefined) {
+    result.errors.push(...validateTrajectory(trajectory).errors);
+  }
+
+  if (settlingBand !== undefined) {
+    const bandNum = Number(settlingBand);
+    if (isNaN(bandNum) || bandNum <= 0 || bandNum >= 1) {
+      result.errors.push('settlingBand debe ser una fracción entre 0 y 1');
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
 module.exports = {
+  VALID_COMMANDS,
   validateCommand,
   validatePIDParams,
+  validateAutotuneOptions,
+  validateFrequencySweepOptions,
+  validateIdentifyRequest,
+  validateExperimentDefinition,
+  validateTuneRequest,
+  validateGainSchedule,
+  validateFeedforwardConfig,
+  validateTrajectory,
+  validateProfile,
+  validateProfilePlayback,
+  validatePreset,
+  validateMetricsConfig,
+  validateSafetyConfig,
+  validateDeadManConfig,
+  validateControlRequest,
+  validateAlarmDefinitions,
+  validateAlarmShelve,
   validateHistoryParams,
   validateIP,
   sanitizeInput,
   validateWebSocketMessage,
-  validateSystemConfig
+  validateSystemConfig,
+  validateSimulationConfig,
+  validateDisturbance,
+  validateSensorConfig,
+  validateActuatorConfig,
+  validateOfflineSimulation
 };
\ No newline at end of file